@@ -0,0 +1,305 @@
+// Firestore 安全規則測試，需在模擬器中執行: npm run test:rules
+// (firebase emulators:exec 會啟動 Firestore 模擬器並設定 FIRESTORE_EMULATOR_HOST，模擬器需要 Java)
+const { describe, test, before, after, beforeEach } = require('node:test');
+const fs = require('fs');
+const path = require('path');
+const { initializeTestEnvironment, assertFails, assertSucceeds } = require('@firebase/rules-unit-testing');
+const { getDataRoot } = require('./src/schema');
+
+const PROJECT_ID = 'demo-oking-inventory';
+const basePath = getDataRoot('test-app');
+
+let testEnv;
+
+// 以指定 uid 登入的 Firestore，uid 對應的角色由 beforeEach 寫入 users
+const dbAs = (uid) => testEnv.authenticatedContext(uid).firestore();
+const docAt = (db, ...segments) => db.doc([basePath, ...segments].join('/'));
+
+before(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: PROJECT_ID,
+    firestore: { rules: fs.readFileSync(path.join(__dirname, 'firestore.rules'), 'utf8') }
+  });
+});
+
+after(async () => {
+  await testEnv.cleanup();
+});
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+  await testEnv.withSecurityRulesDisabled(async (context) => {
+    const db = context.firestore();
+    await docAt(db, 'users', 'admin').set({ role: 'admin' });
+    await docAt(db, 'users', 'warehouse').set({ role: 'warehouse' });
+    await docAt(db, 'products', 'p1').set({ sku: 'A-001', name: '測試商品', stock: 10, stockByLocation: { main: 10 }, reserved: 0, price_retail: 100 });
+    await docAt(db, 'purchaseOrders', 'po1').set({ orderNumber: 'PO-20260101-001', partyName: '測試供應商', status: 'Pending', items: [{ productId: 'p1', name: '測試商品', quantity: 5, cost: 50 }], totalAmount: 250 });
+  });
+});
+
+describe('products', () => {
+  test('倉庫人員不可修改商品主檔欄位', async () => {
+    await assertFails(docAt(dbAs('warehouse'), 'products', 'p1').update({ name: '改名' }));
+    await assertFails(docAt(dbAs('warehouse'), 'products', 'p1').update({ price_retail: 1 }));
+    await assertFails(docAt(dbAs('warehouse'), 'products', 'p1').update({ stock: 9, price_retail: 1 }));
+  });
+
+  test('倉庫人員不可新增或刪除商品', async () => {
+    await assertFails(docAt(dbAs('warehouse'), 'products', 'p2').set({ sku: 'A-002', name: '新商品' }));
+    await assertFails(docAt(dbAs('warehouse'), 'products', 'p1').delete());
+  });
+
+  test('倉庫人員可以異動庫存與保留數量 (出貨、調撥)', async () => {
+    await assertSucceeds(docAt(dbAs('warehouse'), 'products', 'p1').update({ stock: 8, stockByLocation: { main: 8 }, reserved: 0 }));
+  });
+
+  test('倉庫人員只能在收貨增加庫存時更新平均成本與最近進價', async () => {
+    const productRef = docAt(dbAs('warehouse'), 'products', 'p1');
+    await assertFails(productRef.update({ averageCost: 1 }));
+    await assertFails(productRef.update({ cost: 1 }));
+    await assertFails(productRef.update({ stock: 8, stockByLocation: { main: 8 }, averageCost: 1 }));
+    await assertFails(productRef.update({ stock: 12, stockByLocation: { main: 12 }, averageCost: -1, cost: 50 }));
+    await assertSucceeds(productRef.update({ stock: 12, stockByLocation: { main: 12 }, averageCost: 55, cost: 50 }));
+  });
+
+  test('管理員可以新增與修改商品', async () => {
+    await assertSucceeds(docAt(dbAs('admin'), 'products', 'p2').set({ sku: 'A-002', name: '新商品' }));
+    await assertSucceeds(docAt(dbAs('admin'), 'products', 'p1').update({ name: '改名', price_retail: 120 }));
+  });
+});
+
+describe('purchaseOrders', () => {
+  test('倉庫人員不可新增、修改或刪除採購單', async () => {
+    await assertFails(docAt(dbAs('warehouse'), 'purchaseOrders', 'po2').set({ orderNumber: 'PO-20260101-002', partyName: '測試供應商', status: 'Pending', items: [] }));
+    await assertFails(docAt(dbAs('warehouse'), 'purchaseOrders', 'po1').update({ partyName: '其他供應商' }));
+    await assertFails(docAt(dbAs('warehouse'), 'purchaseOrders', 'po1').update({ totalAmount: 1 }));
+    await assertFails(docAt(dbAs('warehouse'), 'purchaseOrders', 'po1').delete());
+  });
+
+  const receivedItems = [{ productId: 'p1', name: '測試商品', quantity: 5, cost: 50, receivedQuantity: 2 }];
+  const receiptSummary = { receiptId: 'r1', receiptNumber: 'PO-20260101-001-R1', subtotal: 100, taxAmount: 5, totalAmount: 105 };
+
+  test('倉庫人員可以對待收貨的採購單登記收貨', async () => {
+    const warehouseDb = dbAs('warehouse');
+    await assertSucceeds(docAt(warehouseDb, 'purchaseOrders', 'po1').get());
+    await assertSucceeds(docAt(warehouseDb, 'purchaseOrders', 'po1').update({
+      status: 'Partially Received', items: receivedItems, receiptCount: 1, receiptSummaries: [receiptSummary], lastReceivedAt: new Date()
+    }));
+    await assertSucceeds(docAt(warehouseDb, 'purchaseOrders', 'po1', 'receipts', 'r1').set({ receiptNumber: 'PO-20260101-001-R1', items: [] }));
+  });
+
+  test('倉庫人員收貨時不可修改進價、數量或增減品項', async () => {
+    const orderRef = docAt(dbAs('warehouse'), 'purchaseOrders', 'po1');
+    const receive = (items) => orderRef.update({ status: 'Partially Received', items, receiptCount: 1, receiptSummaries: [receiptSummary] });
+    await assertFails(receive([{ ...receivedItems[0], cost: 500 }]));
+    await assertFails(receive([{ ...receivedItems[0], quantity: 50 }]));
+    await assertFails(receive([...receivedItems, { productId: 'p1', name: '測試商品', quantity: 1, cost: 0, receivedQuantity: 1 }]));
+    await assertFails(receive([]));
+  });
+
+  test('倉庫人員不可修改先前的收貨金額', async () => {
+    await testEnv.withSecurityRulesDisabled(context => docAt(context.firestore(), 'purchaseOrders', 'po1').update({
+      status: 'Partially Received', items: receivedItems, receiptCount: 1, receiptSummaries: [receiptSummary]
+    }));
+    const orderRef = docAt(dbAs('warehouse'), 'purchaseOrders', 'po1');
+    const secondItems = [{ ...receivedItems[0], receivedQuantity: 5 }];
+    const secondSummary = { ...receiptSummary, receiptId: 'r2', receiptNumber: 'PO-20260101-001-R2', subtotal: 150, taxAmount: 8, totalAmount: 158 };
+    await assertFails(orderRef.update({ status: 'Received', items: secondItems, receiptCount: 2, receiptSummaries: [{ ...receiptSummary, totalAmount: 10500 }, secondSummary] }));
+    await assertFails(orderRef.update({ status: 'Received', items: secondItems, receiptCount: 1, receiptSummaries: [{ ...secondSummary, totalAmount: 10500 }] }));
+    await assertSucceeds(orderRef.update({ status: 'Received', items: secondItems, receiptCount: 2, receiptSummaries: [receiptSummary, secondSummary] }));
+  });
+
+  test('倉庫人員不可對已收貨或已結案的採購單登記收貨', async () => {
+    await testEnv.withSecurityRulesDisabled(context => docAt(context.firestore(), 'purchaseOrders', 'po1').update({ status: 'Closed' }));
+    await assertFails(docAt(dbAs('warehouse'), 'purchaseOrders', 'po1').get());
+    await assertFails(docAt(dbAs('warehouse'), 'purchaseOrders', 'po1').update({ status: 'Received', items: receivedItems, receiptCount: 1, receiptSummaries: [receiptSummary] }));
+  });
+
+  test('管理員可以新增與修改採購單', async () => {
+    await assertSucceeds(docAt(dbAs('admin'), 'purchaseOrders', 'po2').set({ orderNumber: 'PO-20260101-002', partyName: '測試供應商', status: 'Pending', items: [] }));
+    await assertSucceeds(docAt(dbAs('admin'), 'purchaseOrders', 'po1').update({ partyName: '其他供應商' }));
+  });
+});
+
+describe('salesOrders', () => {
+  const salesOrder = {
+    orderNumber: 'SO-20260101-001', partyName: '測試客戶', status: 'Pending Shipment', shipmentCount: 0,
+    items: [{ productId: 'p1', name: '測試商品', quantity: 2, price: 100, reservedQuantity: 2 }], totalAmount: 200
+  };
+  const shippedItems = [{ ...salesOrder.items[0], shippedQuantity: 2, reservedQuantity: 0, costAtSale: 60 }];
+  const seedSalesOrder = (data = {}) => testEnv.withSecurityRulesDisabled(context => docAt(context.firestore(), 'salesOrders', 'so1').set({ ...salesOrder, ...data }));
+
+  test('倉庫人員登記出貨時可以同時更新訂單並新增出貨紀錄', async () => {
+    await seedSalesOrder();
+    const warehouseDb = dbAs('warehouse');
+    const batch = warehouseDb.batch();
+    batch.update(docAt(warehouseDb, 'salesOrders', 'so1'), { status: 'Completed', items: shippedItems, shipmentCount: 1, lastShippedAt: new Date() });
+    batch.set(docAt(warehouseDb, 'salesOrders', 'so1', 'shipments', 'sh1'), { shipmentNumber: 'SO-20260101-001-S1', items: [] });
+    await assertSucceeds(batch.commit());
+  });
+
+  test('倉庫人員出貨時不可修改售價、數量或增減品項', async () => {
+    await seedSalesOrder();
+    const orderRef = docAt(dbAs('warehouse'), 'salesOrders', 'so1');
+    await assertFails(orderRef.update({ status: 'Completed', items: [{ ...shippedItems[0], price: 1 }] }));
+    await assertFails(orderRef.update({ status: 'Completed', items: [{ ...shippedItems[0], quantity: 1 }] }));
+    await assertFails(orderRef.update({ status: 'Completed', items: [...shippedItems, { productId: 'p1', name: '測試商品', quantity: 1, price: 0 }] }));
+    await assertFails(orderRef.update({ status: 'Completed', items: [] }));
+  });
+
+  test('出貨紀錄不可單獨新增，出貨單號需對應新的出貨次數', async () => {
+    await seedSalesOrder();
+    const warehouseDb = dbAs('warehouse');
+    await assertFails(docAt(warehouseDb, 'salesOrders', 'so1', 'shipments', 'sh1').set({ shipmentNumber: 'SO-20260101-001-S1', items: [] }));
+
+    const batch = warehouseDb.batch();
+    batch.update(docAt(warehouseDb, 'salesOrders', 'so1'), { status: 'Completed', items: shippedItems, shipmentCount: 1 });
+    batch.set(docAt(warehouseDb, 'salesOrders', 'so1', 'shipments', 'sh1'), { shipmentNumber: 'SO-20260101-001-S2', items: [] });
+    await assertFails(batch.commit());
+  });
+
+  test('不可對待批准或已完成的訂單新增出貨紀錄', async () => {
+    await seedSalesOrder({ status: 'Completed' });
+    const adminDb = dbAs('admin');
+    const batch = adminDb.batch();
+    batch.update(docAt(adminDb, 'salesOrders', 'so1'), { shipmentCount: 1 });
+    batch.set(docAt(adminDb, 'salesOrders', 'so1', 'shipments', 'sh1'), { shipmentNumber: 'SO-20260101-001-S1', items: [] });
+    await assertFails(batch.commit());
+
+    await seedSalesOrder({ status: 'Pending Approval' });
+    const warehouseDb = dbAs('warehouse');
+    await assertFails(docAt(warehouseDb, 'salesOrders', 'so1').update({ status: 'Completed', items: shippedItems, shipmentCount: 1 }));
+  });
+});
+
+describe('lots', () => {
+  test('倉庫人員可以建立批號並異動數量，不可修改批號資料或刪除', async () => {
+    const lotRef = docAt(dbAs('warehouse'), 'lots', 'p1_main_L001');
+    await assertSucceeds(lotRef.set({ productId: 'p1', warehouseId: 'main', lotNumber: 'L001', quantity: 5, receivedQuantity: 5 }));
+    await assertSucceeds(lotRef.update({ quantity: 3 }));
+    await assertFails(lotRef.update({ lotNumber: 'L002' }));
+    await assertFails(lotRef.delete());
+    await assertSucceeds(docAt(dbAs('admin'), 'lots', 'p1_main_L001').delete());
+  });
+
+  test('倉庫人員建立批號時結存必須等於入庫數量，且不可加入其他欄位', async () => {
+    const lotRef = docAt(dbAs('warehouse'), 'lots', 'p1_main_L002');
+    const lot = { productId: 'p1', productName: '測試商品', warehouseId: 'main', lotNumber: 'L002', expiryDate: null };
+    await assertFails(lotRef.set({ ...lot, quantity: 500 }));
+    await assertFails(lotRef.set({ ...lot, quantity: 500, receivedQuantity: 5 }));
+    await assertFails(lotRef.set({ ...lot, quantity: 5, receivedQuantity: 5, recalled: false }));
+    await assertSucceeds(lotRef.set({ ...lot, quantity: 0 }));
+    await assertSucceeds(docAt(dbAs('warehouse'), 'lots', 'p1_main_L003').set({ ...lot, lotNumber: 'L003', quantity: 5, receivedQuantity: 5 }));
+  });
+});
+
+describe('inventoryLogs / costLogs', () => {
+  test('流水帳只能新增，不可修改或刪除', async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await docAt(context.firestore(), 'inventoryLogs', 'log1').set({ productId: 'p1', type: 'in', change: 1 });
+      await docAt(context.firestore(), 'costLogs', 'log1').set({ productId: 'p1', type: 'in', oldAvgCost: 50, newAvgCost: 55 });
+    });
+    for (const uid of ['admin', 'warehouse']) {
+      const db = dbAs(uid);
+      await assertSucceeds(docAt(db, 'inventoryLogs', `new-${uid}`).set({ productId: 'p1', type: 'out', change: -1 }));
+      await assertSucceeds(docAt(db, 'costLogs', `new-${uid}`).set({ productId: 'p1', type: 'in', oldAvgCost: 55, newAvgCost: 56 }));
+      await assertFails(docAt(db, 'inventoryLogs', 'log1').update({ change: 100 }));
+      await assertFails(docAt(db, 'inventoryLogs', 'log1').delete());
+      await assertFails(docAt(db, 'costLogs', 'log1').update({ newAvgCost: 1 }));
+      await assertFails(docAt(db, 'costLogs', 'log1').delete());
+    }
+  });
+
+  test('成本流水帳只有管理員可以讀取', async () => {
+    await assertSucceeds(docAt(dbAs('admin'), 'costLogs', 'log1').get());
+    await assertFails(docAt(dbAs('warehouse'), 'costLogs', 'log1').get());
+    await assertSucceeds(docAt(dbAs('warehouse'), 'inventoryLogs', 'log1').get());
+  });
+});
+
+describe('stockCounts', () => {
+  const stockCount = { countNumber: 'SC-20260101-001', warehouseId: 'main', status: 'Counting', items: [] };
+
+  test('倉庫人員可以建立盤點單並送出實盤數量，不可核准或刪除', async () => {
+    const countRef = docAt(dbAs('warehouse'), 'stockCounts', 'sc1');
+    await assertFails(docAt(dbAs('warehouse'), 'stockCounts', 'sc2').set({ ...stockCount, status: 'Approved' }));
+    await assertSucceeds(countRef.set(stockCount));
+    await assertFails(countRef.update({ warehouseId: 'other' }));
+    await assertSucceeds(countRef.update({ items: [{ productId: 'p1', countedQuantity: 9 }], status: 'Pending Approval', submittedBy: 'warehouse', systemStocks: { 0: 10 } }));
+    await assertFails(countRef.update({ status: 'Approved' }));
+    await assertFails(countRef.delete());
+  });
+
+  test('倉庫人員只能在送出時寫入帳面數量，送出後不可修改帳面數量或品項', async () => {
+    const countRef = docAt(dbAs('warehouse'), 'stockCounts', 'sc1');
+    const items = [{ productId: 'p1', countedQuantity: 9 }];
+    await assertSucceeds(countRef.set(stockCount));
+    await assertSucceeds(countRef.update({ items }));
+    await assertFails(countRef.update({ items, systemStocks: { 0: 10 } }));
+    await assertFails(countRef.update({ items, status: 'Pending Approval', submittedBy: 'warehouse' }));
+    await assertFails(countRef.update({ items, status: 'Pending Approval', submittedBy: 'warehouse', systemStocks: {} }));
+    await assertSucceeds(countRef.update({ items, status: 'Pending Approval', submittedBy: 'warehouse', systemStocks: { 0: 10 } }));
+    await assertFails(countRef.update({ systemStocks: { 0: 9 } }));
+    await assertFails(countRef.update({ items: [{ ...items[0], systemStock: 9, variance: 0 }] }));
+    await assertFails(countRef.update({ status: 'Counting', systemStocks: { 0: 9 } }));
+  });
+
+  test('管理員可以核准或刪除盤點單', async () => {
+    await testEnv.withSecurityRulesDisabled(context => docAt(context.firestore(), 'stockCounts', 'sc1').set({ ...stockCount, status: 'Pending Approval' }));
+    await assertSucceeds(docAt(dbAs('admin'), 'stockCounts', 'sc1').update({ status: 'Approved' }));
+    await assertSucceeds(docAt(dbAs('admin'), 'stockCounts', 'sc1').delete());
+  });
+});
+
+describe('stockTransfers / counters', () => {
+  test('調撥單建立後不可修改或刪除', async () => {
+    const transferRef = docAt(dbAs('warehouse'), 'stockTransfers', 't1');
+    await assertSucceeds(transferRef.set({ transferNumber: 'TR-20260101-001', fromWarehouseId: 'main', toWarehouseId: 'second', items: [] }));
+    await assertFails(transferRef.update({ toWarehouseId: 'main' }));
+    await assertFails(docAt(dbAs('admin'), 'stockTransfers', 't1').delete());
+  });
+
+  test('單號計數器可以遞增，不可刪除', async () => {
+    const counterRef = docAt(dbAs('warehouse'), 'counters', 'stockTransfers');
+    await assertSucceeds(counterRef.set({ period: '20260101', seq: 1 }));
+    await assertSucceeds(counterRef.update({ seq: 2 }));
+    await assertFails(counterRef.delete());
+    await assertFails(docAt(dbAs('admin'), 'counters', 'stockTransfers').delete());
+  });
+});
+
+describe('returns / payments', () => {
+  test('退貨單與收付款只有管理員可以建立，倉庫人員不可讀寫', async () => {
+    for (const collection of ['salesReturns', 'purchaseReturns', 'customerPayments', 'supplierPayments']) {
+      await assertFails(docAt(dbAs('warehouse'), collection, 'd1').set({ amount: 100 }));
+      await assertSucceeds(docAt(dbAs('admin'), collection, 'd1').set({ amount: 100 }));
+      await assertFails(docAt(dbAs('warehouse'), collection, 'd1').get());
+      await assertFails(docAt(dbAs('admin'), collection, 'd1').update({ amount: 1 }));
+    }
+  });
+});
+
+describe('settings', () => {
+  test('倉庫人員可以讀取公司資料，但不可讀取其他設定或修改公司資料', async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await docAt(context.firestore(), 'settings', 'company').set({ companyName: '測試公司', taxId: '12345678' });
+      await docAt(context.firestore(), 'settings', 'sales').set({ minMarginPercent: 10 });
+    });
+    await assertSucceeds(docAt(dbAs('warehouse'), 'settings', 'company').get());
+    await assertFails(docAt(dbAs('warehouse'), 'settings', 'sales').get());
+    await assertFails(docAt(dbAs('warehouse'), 'settings', 'company').update({ companyName: '改名' }));
+  });
+
+  test('管理員可以修改公司資料', async () => {
+    await assertSucceeds(docAt(dbAs('admin'), 'settings', 'company').set({ companyName: '測試公司', taxId: '12345678' }));
+  });
+});
+
+describe('users', () => {
+  test('未登入或沒有角色的使用者不可讀寫業務資料', async () => {
+    const anonymous = testEnv.unauthenticatedContext().firestore();
+    await assertFails(docAt(anonymous, 'products', 'p1').get());
+    await assertFails(docAt(dbAs('no-role'), 'products', 'p1').get());
+    await assertFails(docAt(dbAs('no-role'), 'users', 'no-role').set({ role: 'admin' }));
+  });
+});
@@ -0,0 +1,58 @@
+const admin = require('firebase-admin');
+const { getDataRoot } = require('../src/schema');
+const { validateDocument } = require('../src/models');
+const { MIGRATIONS } = require('./migrations');
+// !! 重要 !!
+// 1. 與 seed.js 相同，正式專案需要 'scripts/serviceAccountKey.json'；模擬器加上 --emulator 或設定 FIRESTORE_EMULATOR_HOST
+// 2. 用法: FIREBASE_APP_ID=<web app 的 appId> node scripts/migrate.js [--emulator] [--dry-run]
+// 3. 已套用的版本記錄在 schemaMigrations/{version}，重複執行只會套用新增的遷移。建議執行前先從「資料備份」頁面匯出備份
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+
+if (args.includes('--emulator') && !process.env.FIRESTORE_EMULATOR_HOST) process.env.FIRESTORE_EMULATOR_HOST = 'localhost:8080';
+
+if (process.env.FIRESTORE_EMULATOR_HOST) {
+  admin.initializeApp({ projectId: process.env.GCLOUD_PROJECT || 'demo-inventory' });
+} else {
+  admin.initializeApp({ credential: admin.credential.cert(require('./serviceAccountKey.json')) });
+}
+
+const db = admin.firestore();
+
+const getMigrationDocId = (version) => String(version).padStart(3, '0');
+
+const main = async () => {
+  const appId = process.env.FIREBASE_APP_ID;
+  if (!appId) {
+    console.error('用法: FIREBASE_APP_ID=<appId> node scripts/migrate.js [--emulator] [--dry-run]');
+    process.exit(1);
+  }
+  const basePath = getDataRoot(appId);
+  try {
+    const applied = new Set((await db.collection(`${basePath}/schemaMigrations`).get()).docs.map(doc => doc.data().version));
+    const pending = MIGRATIONS.filter(migration => !applied.has(migration.version)).sort((a, b) => a.version - b.version);
+    if (pending.length === 0) {
+      console.log('✅ 資料已是最新版本，沒有需要套用的遷移。');
+      return;
+    }
+
+    for (const migration of pending) {
+      console.log(`\n▶ v${migration.version} ${migration.name}: ${migration.description}`);
+      const updatedCount = await migration.up({ db, basePath, dryRun });
+      console.log(`  ${dryRun ? '將更新' : '已更新'} ${updatedCount} 筆文件`);
+      if (!dryRun) {
+        await db.doc(`${basePath}/schemaMigrations/${getMigrationDocId(migration.version)}`).set(validateDocument('schemaMigrations', {
+          version: migration.version, name: migration.name, description: migration.description, updatedCount,
+          appliedAt: admin.firestore.FieldValue.serverTimestamp()
+        }));
+      }
+    }
+    console.log(dryRun ? '\n--dry-run: 未寫入任何資料。' : '\n✅ 遷移完成');
+  } catch (error) {
+    console.error('\n❌ 遷移失敗:', error);
+    process.exit(1);
+  }
+};
+
+main();
@@ -0,0 +1,245 @@
+const { MODELS, ValidationError, validateDocument } = require('../src/models');
+const { BACKUP_SUBCOLLECTIONS } = require('../src/backupFormat');
+const { getProductSupplierDocId, WRITE_BATCH_SIZE, calculateTax, getNetUnitPrice } = require('../src/schema');
+// 資料遷移清單，由 scripts/migrate.js 依 version 順序套用尚未執行的遷移。
+// 已發佈的遷移不可修改或重新編號，新的結構變更請在最後新增一個版本。
+// up({ db, basePath, dryRun }) 回傳更新的文件數；dryRun 時只計算不寫入。
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+
+// Timestamp 等物件在正規化時原樣保留，以參照比較即可
+const isEqualValue = (a, b) => {
+  if (a === b) return true;
+  if (Array.isArray(a) && Array.isArray(b)) return a.length === b.length && a.every((item, index) => isEqualValue(item, b[index]));
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => isEqualValue(a[key], b[key]));
+  }
+  return false;
+};
+
+/**
+ * 依批次寫入文件
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {Array<{ ref: FirebaseFirestore.DocumentReference, data: object }>} writes
+ * @param {boolean} dryRun
+ * @param {'update' | 'create'} method WriteBatch 的寫入方法
+ * @returns {Promise<number>} 寫入的文件數
+ */
+const writeInBatches = async (db, writes, dryRun, method) => {
+  if (dryRun) return writes.length;
+  for (let start = 0; start < writes.length; start += WRITE_BATCH_SIZE) {
+    const batch = db.batch();
+    writes.slice(start, start + WRITE_BATCH_SIZE).forEach(({ ref, data }) => batch[method](ref, data));
+    await batch.commit();
+  }
+  return writes.length;
+};
+
+// 依批次更新文件，回傳更新的文件數
+const updateInBatches = (db, updates, dryRun) => writeInBatches(db, updates, dryRun, 'update');
+
+// 依批次新增文件，文件已存在時 create 會失敗，不會覆寫
+const createInBatches = (db, creates, dryRun) => writeInBatches(db, creates, dryRun, 'create');
+
+// 只更新正規化後有變化的欄位，模型未定義的舊欄位保留不動；無法正規化的文件列出警告後略過
+const getNormalizeUpdate = (modelName, docSnapshot) => {
+  const data = docSnapshot.data();
+  try {
+    const normalized = validateDocument(modelName, data, { partial: true, allowUnknown: true });
+    const changes = Object.fromEntries(Object.entries(normalized).filter(([key, value]) => !isEqualValue(value, data[key])));
+    return Object.keys(changes).length > 0 ? { ref: docSnapshot.ref, data: changes } : null;
+  } catch (error) {
+    if (!(error instanceof ValidationError)) throw error;
+    console.warn(`  ⚠️ ${docSnapshot.ref.path}: ${error.message}`);
+    return null;
+  }
+};
+
+const normalizeDocuments = async ({ db, basePath, dryRun }) => {
+  const subcollectionNames = BACKUP_SUBCOLLECTIONS.map(subcollection => subcollection.name);
+  const collectionNames = Object.keys(MODELS).filter(name => !subcollectionNames.includes(name) && name !== 'schemaMigrations');
+  const updates = [];
+  for (const name of collectionNames) {
+    const snapshot = await db.collection(`${basePath}/${name}`).get();
+    snapshot.docs.forEach(docSnapshot => {
+      const update = getNormalizeUpdate(name, docSnapshot);
+      if (update) updates.push(update);
+    });
+    const subcollections = BACKUP_SUBCOLLECTIONS.filter(subcollection => subcollection.parent === name);
+    for (const subcollection of subcollections) {
+      for (const parent of snapshot.docs) {
+        const subSnapshot = await parent.ref.collection(subcollection.name).get();
+        subSnapshot.docs.forEach(docSnapshot => {
+          const update = getNormalizeUpdate(subcollection.name, docSnapshot);
+          if (update) updates.push(update);
+        });
+      }
+    }
+  }
+  return updateInBatches(db, updates, dryRun);
+};
+
+// 訂單原本只記錄 partyName，依名稱比對補上客戶/供應商 id；名稱重複或找不到的訂單列出後略過
+const PARTY_ID_TARGETS = [
+  { collectionName: 'salesOrders', partyCollection: 'customers', idField: 'customerId' },
+  { collectionName: 'purchaseOrders', partyCollection: 'suppliers', idField: 'supplierId' }
+];
+
+const backfillPartyIds = async ({ db, basePath, dryRun }) => {
+  const updates = [];
+  for (const { collectionName, partyCollection, idField } of PARTY_ID_TARGETS) {
+    const parties = (await db.collection(`${basePath}/${partyCollection}`).get()).docs;
+    const idsByName = {};
+    parties.forEach(party => (idsByName[party.data().name] = idsByName[party.data().name] || []).push(party.id));
+
+    const unmatched = {};
+    const orders = await db.collection(`${basePath}/${collectionName}`).get();
+    orders.docs.filter(order => !order.data()[idField]).forEach(order => {
+      const ids = idsByName[order.data().partyName] || [];
+      if (ids.length === 1) updates.push({ ref: order.ref, data: { [idField]: ids[0] } });
+      else unmatched[order.data().partyName] = (unmatched[order.data().partyName] || 0) + 1;
+    });
+    Object.entries(unmatched).forEach(([partyName, count]) => console.warn(`  ⚠️ ${collectionName}: ${count} 張訂單的「${partyName}」找不到唯一對應的 ${partyCollection}，未補上 ${idField}`));
+  }
+  return updateInBatches(db, updates, dryRun);
+};
+
+// 收付款依名稱補上客戶/供應商 id，退回單沿用原訂單的 id；訂單補記對象目前的編號與等級作為快照
+const PARTY_SNAPSHOT_TARGETS = [
+  { partyCollection: 'customers', idField: 'customerId', orderCollection: 'salesOrders', returnCollection: 'salesReturns', paymentCollection: 'customerPayments' },
+  { partyCollection: 'suppliers', idField: 'supplierId', orderCollection: 'purchaseOrders', returnCollection: 'purchaseReturns', paymentCollection: 'supplierPayments' }
+];
+
+const backfillPartySnapshots = async ({ db, basePath, dryRun }) => {
+  const updates = [];
+  for (const { partyCollection, idField, orderCollection, returnCollection, paymentCollection } of PARTY_SNAPSHOT_TARGETS) {
+    const parties = new Map((await db.collection(`${basePath}/${partyCollection}`).get()).docs.map(party => [party.id, party.data()]));
+    const idsByName = {};
+    parties.forEach((party, id) => (idsByName[party.name] = idsByName[party.name] || []).push(id));
+
+    const orders = await db.collection(`${basePath}/${orderCollection}`).get();
+    orders.docs.filter(order => order.data().partyCode === undefined).forEach(order => {
+      const party = parties.get(order.data()[idField]);
+      if (party) updates.push({ ref: order.ref, data: { partyCode: party.code || '', ...(party.tier && { partyTier: party.tier }) } });
+    });
+
+    const orderPartyIds = new Map(orders.docs.map(order => [order.id, order.data()[idField]]));
+    const returns = await db.collection(`${basePath}/${returnCollection}`).get();
+    returns.docs.filter(returnDoc => !returnDoc.data()[idField] && orderPartyIds.get(returnDoc.data().orderId)).forEach(returnDoc => {
+      updates.push({ ref: returnDoc.ref, data: { [idField]: orderPartyIds.get(returnDoc.data().orderId) } });
+    });
+
+    const unmatched = {};
+    const payments = await db.collection(`${basePath}/${paymentCollection}`).get();
+    payments.docs.filter(payment => !payment.data()[idField]).forEach(payment => {
+      const ids = idsByName[payment.data().partyName] || [];
+      if (ids.length === 1) updates.push({ ref: payment.ref, data: { [idField]: ids[0], partyCode: parties.get(ids[0]).code || '' } });
+      else unmatched[payment.data().partyName] = (unmatched[payment.data().partyName] || 0) + 1;
+    });
+    Object.entries(unmatched).forEach(([partyName, count]) => console.warn(`  ⚠️ ${paymentCollection}: ${count} 筆的「${partyName}」找不到唯一對應的 ${partyCollection}，未補上 ${idField}`));
+  }
+  return updateInBatches(db, updates, dryRun);
+};
+
+// 依採購紀錄建立商品與供應商的供應關係，最近進價取該供應商最近一次到貨的進價；
+// 商品上的 preferredSupplierId (供應商目錄上線前的慣用供應商) 轉為 isPreferred
+const RECEIVED_PURCHASE_STATUSES = ['Partially Received', 'Received', 'Closed'];
+
+const backfillProductSuppliers = async ({ db, basePath, dryRun }) => {
+  const existing = new Set((await db.collection(`${basePath}/productSuppliers`).get()).docs.map(link => link.id));
+  const preferredSuppliers = new Map((await db.collection(`${basePath}/products`).get()).docs.map(product => [product.id, product.data().preferredSupplierId]));
+  const links = new Map();
+  const orders = (await db.collection(`${basePath}/purchaseOrders`).where('status', 'in', RECEIVED_PURCHASE_STATUSES).get()).docs
+    .map(order => order.data())
+    .filter(order => order.supplierId)
+    .sort((a, b) => (a.lastReceivedAt || a.createdAt).toMillis() - (b.lastReceivedAt || b.createdAt).toMillis());
+  orders.forEach(order => order.items.filter(item => item.receivedQuantity > 0 && preferredSuppliers.has(item.productId)).forEach(item => {
+    links.set(getProductSupplierDocId(item.productId, order.supplierId), {
+      productId: item.productId, supplierId: order.supplierId, lastPrice: item.cost || 0, lastPurchasedAt: order.lastReceivedAt || order.createdAt
+    });
+  }));
+  preferredSuppliers.forEach((supplierId, productId) => {
+    if (!supplierId) return;
+    const docId = getProductSupplierDocId(productId, supplierId);
+    links.set(docId, { productId, supplierId, ...links.get(docId), isPreferred: true });
+  });
+
+  const creates = [...links].filter(([docId]) => !existing.has(docId))
+    .map(([docId, data]) => ({ ref: db.doc(`${basePath}/productSuppliers/${docId}`), data: validateDocument('productSuppliers', data) }));
+  return createInBatches(db, creates, dryRun);
+};
+
+// 多倉庫上線前的資料沒有倉庫，出貨、收貨與退貨都必須選擇倉庫。沒有任何倉庫時建立預設倉庫，
+// 並將商品原有的 stock 記入預設倉庫 (標記 isDefault 的倉庫，未標記時取編碼排序的第一個，與前端 useWarehouses 相同) 的 stockByLocation
+const DEFAULT_WAREHOUSE = { code: 'WH-01', name: '主倉庫', isDefault: true };
+
+const createDefaultWarehouse = async ({ db, basePath, dryRun }) => {
+  const warehouses = (await db.collection(`${basePath}/warehouses`).get()).docs
+    .sort((a, b) => (a.data().code || '').localeCompare(b.data().code || ''));
+  const defaultWarehouse = warehouses.find(warehouse => warehouse.data().isDefault) || warehouses[0];
+  const warehouseRef = defaultWarehouse ? defaultWarehouse.ref : db.collection(`${basePath}/warehouses`).doc();
+  if (!defaultWarehouse) {
+    console.log(`  建立預設倉庫 ${DEFAULT_WAREHOUSE.code} ${DEFAULT_WAREHOUSE.name}`);
+    if (!dryRun) await warehouseRef.create(validateDocument('warehouses', DEFAULT_WAREHOUSE));
+  }
+
+  const products = await db.collection(`${basePath}/products`).get();
+  const updates = products.docs.filter(product => !product.data().stockByLocation)
+    .map(product => ({ ref: product.ref, data: { stockByLocation: { [warehouseRef.id]: product.data().stock || 0 } } }));
+  return (defaultWarehouse ? 0 : 1) + await updateInBatches(db, updates, dryRun);
+};
+
+// 應收/應付帳款與報表改讀訂單上的出貨/收貨摘要，依既有的出貨與收貨紀錄補上摘要；
+// 金額上線前的出貨紀錄依訂單品項的實際單價計算，收貨紀錄依採購單的進價計算，稅別沿用訂單
+const getShipmentSummary = (order, shipmentSnapshot) => {
+  const shipment = shipmentSnapshot.data();
+  const amounts = shipment.totalAmount !== undefined ? shipment : calculateTax(shipment.items.reduce((sum, shipmentItem) => {
+    const item = order.items.find(orderItem => orderItem.productId === shipmentItem.productId);
+    return sum + (item ? getNetUnitPrice(order, item) * shipmentItem.quantity : 0);
+  }, 0), order.taxMode);
+  return {
+    shipmentId: shipmentSnapshot.id, shipmentNumber: shipment.shipmentNumber, shippedAt: shipment.shippedAt,
+    taxMode: amounts.taxMode || 'exempt', netAmount: amounts.netAmount, taxAmount: amounts.taxAmount, totalAmount: amounts.totalAmount,
+    costAmount: shipment.items.reduce((sum, item) => sum + (item.costAtSale || 0) * item.quantity, 0)
+  };
+};
+
+const getReceiptSummary = (order, receiptSnapshot) => {
+  const receipt = receiptSnapshot.data();
+  const amounts = receipt.totalAmount !== undefined ? receipt : calculateTax(receipt.items.reduce((sum, item) => sum + item.cost * item.quantity, 0), order.taxMode);
+  return {
+    receiptId: receiptSnapshot.id, receiptNumber: receipt.receiptNumber, receivedAt: receipt.receivedAt,
+    taxMode: amounts.taxMode || 'exempt', netAmount: amounts.netAmount, taxAmount: amounts.taxAmount, totalAmount: amounts.totalAmount
+  };
+};
+
+const backfillChargeSummaries = async ({ db, basePath, dryRun }) => {
+  const targets = [
+    { collectionName: 'salesOrders', subcollection: 'shipments', summaryField: 'shipmentSummaries', dateField: 'shippedAt', getSummary: getShipmentSummary },
+    { collectionName: 'purchaseOrders', subcollection: 'receipts', summaryField: 'receiptSummaries', dateField: 'receivedAt', getSummary: getReceiptSummary }
+  ];
+  const updates = [];
+  for (const { collectionName, subcollection, summaryField, dateField, getSummary } of targets) {
+    const orders = await db.collection(`${basePath}/${collectionName}`).get();
+    for (const orderSnapshot of orders.docs.filter(order => !order.data()[summaryField])) {
+      const details = await orderSnapshot.ref.collection(subcollection).get();
+      if (details.empty) continue;
+      const summaries = details.docs.map(detail => getSummary(orderSnapshot.data(), detail))
+        .sort((a, b) => a[dateField].toMillis() - b[dateField].toMillis());
+      updates.push({ ref: orderSnapshot.ref, data: validateDocument(collectionName, { [summaryField]: summaries }, { partial: true }) });
+    }
+  }
+  return updateInBatches(db, updates, dryRun);
+};
+
+const MIGRATIONS = [
+  { version: 1, name: 'normalize-documents', description: '依模型正規化既有文件 (數字字串轉為數字、文字去除前後空白)', up: normalizeDocuments },
+  { version: 2, name: 'backfill-party-ids', description: '依名稱比對補上銷售單的 customerId 與採購單的 supplierId', up: backfillPartyIds },
+  { version: 3, name: 'backfill-party-snapshots', description: '收付款與退回單補上客戶/供應商 id，訂單補記對象的編號與等級快照', up: backfillPartySnapshots },
+  { version: 4, name: 'backfill-product-suppliers', description: '依採購到貨紀錄建立商品供應關係 (最近進價)，並將商品的慣用供應商轉入供應商目錄', up: backfillProductSuppliers },
+  { version: 5, name: 'create-default-warehouse', description: '沒有倉庫時建立預設倉庫，並將商品既有的庫存記入預設倉庫的 stockByLocation', up: createDefaultWarehouse },
+  { version: 6, name: 'backfill-charge-summaries', description: '依出貨與收貨紀錄補上銷售單的出貨摘要與採購單的收貨摘要 (應收/應付帳款與報表的認列依據)', up: backfillChargeSummaries }
+];
+
+module.exports = { MIGRATIONS };
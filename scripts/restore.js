@@ -0,0 +1,96 @@
+const fs = require('fs');
+const admin = require('firebase-admin');
+const { BACKUP_SUBCOLLECTIONS, getSubcollectionKey, deserializeValue, validateArchive } = require('../src/backupFormat');
+const { getDataRoot, WRITE_BATCH_SIZE } = require('../src/schema');
+// !! 重要 !!
+// 1. 與 seed.js 相同，需要 'scripts/serviceAccountKey.json' (目標專案的服務帳號)
+// 2. 封存檔由系統的「資料備份」頁面下載
+// 3. 用法: FIREBASE_APP_ID=<目標 web app 的 appId> node scripts/restore.js <backup.json> [--dry-run]
+//    只能還原到空的專案，目標路徑已有資料時會中止，避免覆蓋現有資料
+const serviceAccount = require('./serviceAccountKey.json');
+
+admin.initializeApp({
+  credential: admin.credential.cert(serviceAccount)
+});
+
+const db = admin.firestore();
+
+const toTimestamp = (date) => admin.firestore.Timestamp.fromDate(date);
+
+/**
+ * 確認目標路徑下的集合都是空的
+ * @param {string} basePath artifacts/{appId}/public/data
+ * @param {string[]} collectionNames 封存檔中的集合
+ * @returns {Promise<string[]>} 已有資料的集合名稱
+ */
+const findNonEmptyCollections = async (basePath, collectionNames) => {
+  const nonEmpty = [];
+  for (const name of collectionNames) {
+    const snapshot = await db.collection(`${basePath}/${name}`).limit(1).get();
+    if (!snapshot.empty) nonEmpty.push(name);
+  }
+  return nonEmpty;
+};
+
+/**
+ * 依批次寫入文件，保留原本的文件 id
+ * @param {Array<{ path: string, data: object }>} writes
+ */
+const writeInBatches = async (writes) => {
+  for (let start = 0; start < writes.length; start += WRITE_BATCH_SIZE) {
+    const batch = db.batch();
+    writes.slice(start, start + WRITE_BATCH_SIZE).forEach(({ path, data }) => batch.set(db.doc(path), data));
+    await batch.commit();
+    console.log(`  已寫入 ${Math.min(start + WRITE_BATCH_SIZE, writes.length)} / ${writes.length}`);
+  }
+};
+
+const restore = async (appId, archive, dryRun) => {
+  const basePath = getDataRoot(appId);
+  const collectionNames = Object.keys(archive.collections);
+
+  const nonEmpty = await findNonEmptyCollections(basePath, collectionNames);
+  if (nonEmpty.length > 0) throw new Error(`目標專案已有資料: ${nonEmpty.join(', ')}。請還原到空的專案。`);
+
+  const writes = [];
+  for (const name of collectionNames) {
+    archive.collections[name].forEach(({ id, data }) => writes.push({ path: `${basePath}/${name}/${id}`, data: deserializeValue(data, toTimestamp) }));
+  }
+  for (const subcollection of BACKUP_SUBCOLLECTIONS) {
+    const docs = (archive.subcollections || {})[getSubcollectionKey(subcollection)] || [];
+    docs.forEach(({ parentId, id, data }) => writes.push({ path: `${basePath}/${subcollection.parent}/${parentId}/${subcollection.name}/${id}`, data: deserializeValue(data, toTimestamp) }));
+  }
+
+  console.log(`封存檔: ${archive.appId} 於 ${archive.exportedAt} 匯出，共 ${writes.length} 筆文件`);
+  Object.entries(archive.counts || {}).forEach(([name, count]) => console.log(`  ${name}: ${count}`));
+  if (dryRun) {
+    console.log('\n--dry-run: 驗證通過，未寫入任何資料。');
+    return;
+  }
+  await writeInBatches(writes);
+};
+
+const main = async () => {
+  const appId = process.env.FIREBASE_APP_ID;
+  const [file, ...flags] = process.argv.slice(2);
+  if (!appId || !file) {
+    console.error('用法: FIREBASE_APP_ID=<appId> node scripts/restore.js <backup.json> [--dry-run]');
+    process.exit(1);
+  }
+  try {
+    const archive = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const errors = validateArchive(archive);
+    if (errors.length > 0) {
+      console.error('❌ 封存檔驗證失敗:');
+      errors.forEach(error => console.error(`  - ${error}`));
+      process.exit(1);
+    }
+    await restore(appId, archive, flags.includes('--dry-run'));
+    console.log('\n✅ 還原完成');
+  } catch (error) {
+    console.error('\n❌ 還原失敗:', error);
+    process.exit(1);
+  }
+};
+
+main();
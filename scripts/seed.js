@@ -1,172 +1,462 @@
 const admin = require('firebase-admin');
-const { v4: uuidv4 } = require('uuid');
+const { getDataRoot, WRITE_BATCH_SIZE, TIER_MAP, getPriceField, getProductSupplierDocId, DOC_NUMBER_FORMATS, formatDocPeriod, formatDocNumber, calculateTax } = require('../src/schema');
+const { validateDocument } = require('../src/models');
+const { BACKUP_COLLECTIONS } = require('../src/backupFormat');
+const { getEan13CheckDigit } = require('../src/barcode');
+const { MIGRATIONS } = require('./migrations');
 // !! 重要 !!
-// 1. 從 Firebase 控制台下載你的服務帳號金鑰
-// 2. 將它重新命名為 'serviceAccountKey.json' 並放在這個 'scripts' 資料夾中
-// 3. 確認 'scripts/serviceAccountKey.json' 已經加入到 .gitignore
-const serviceAccount = require('./serviceAccountKey.json');
+// 1. 寫入正式專案時，從 Firebase 控制台下載服務帳號金鑰，
+//    重新命名為 'serviceAccountKey.json' 放在這個 'scripts' 資料夾中 (已加入 .gitignore)
+// 2. 寫入模擬器時不需要金鑰: 加上 --emulator (預設 localhost:8080) 或自行設定 FIRESTORE_EMULATOR_HOST
+// 3. 用法: FIREBASE_APP_ID=<web app 的 appId> node scripts/seed.js [選項]
+//      --emulator      寫入本機模擬器
+//      --reset         先清空既有資料 (保留 users 角色設定)，否則目標已有資料時會中止
+//      --months=12     模擬的月數
+//      --orders=3000   模擬期間的銷售單總數，可調高作為壓力測試
+//      --seed=42       亂數種子，相同種子產生相同資料
+//      --dry-run       只模擬並列出筆數，不連線寫入
+// 資料以逐日模擬產生: 低於安全庫存時向供應商下採購單，到貨後入庫並更新移動平均成本，
+// 銷售單依客戶等級計價並出貨，收付款在帳期後沖銷，最後設定單號計數器，避免與系統接續產生的單號重複。
 
-admin.initializeApp({
-  credential: admin.credential.cert(serviceAccount)
-});
+const parseArgs = (args) => Object.fromEntries(args.map(arg => {
+  const [key, value] = arg.replace(/^--/, '').split('=');
+  return [key, value === undefined ? true : value];
+}));
+
+const options = parseArgs(process.argv.slice(2));
+const MONTHS = parseInt(options.months, 10) || 12;
+const ORDER_COUNT = parseInt(options.orders, 10) || 3000;
+const RANDOM_SEED = parseInt(options.seed, 10) || 42;
+
+if (options.emulator && !process.env.FIRESTORE_EMULATOR_HOST) process.env.FIRESTORE_EMULATOR_HOST = 'localhost:8080';
+
+if (process.env.FIRESTORE_EMULATOR_HOST) {
+  admin.initializeApp({ projectId: process.env.GCLOUD_PROJECT || 'demo-inventory' });
+} else {
+  admin.initializeApp({ credential: admin.credential.cert(require('./serviceAccountKey.json')) });
+}
 
 const db = admin.firestore();
 
-// --- 初始資料定義 (根據你的新結構) ---
+const SEED_USER = 'seed-script';
+const DAY_MS = 24 * 60 * 60 * 1000;
 
-const suppliersData = [
-    { supplierCode: 'SUP-001', name: '大同電子', createdAt: admin.firestore.FieldValue.serverTimestamp() },
-    { supplierCode: 'SUP-002', name: '聲寶集團', createdAt: admin.firestore.FieldValue.serverTimestamp() },
-    { supplierCode: 'SUP-003', name: '宏碁電腦', createdAt: admin.firestore.FieldValue.serverTimestamp() }
+// --- 亂數 (mulberry32)，讓同一個種子每次產生相同的資料 ---
+
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+  const pick = (list) => list[Math.floor(next() * list.length)];
+  // weights: { key: 權重 }
+  const weighted = (weights) => {
+    const entries = Object.entries(weights);
+    let roll = next() * entries.reduce((sum, [, weight]) => sum + weight, 0);
+    for (const [key, weight] of entries) {
+      roll -= weight;
+      if (roll < 0) return key;
+    }
+    return entries[entries.length - 1][0];
+  };
+  return { next, int, pick, weighted };
+};
+
+const random = createRandom(RANDOM_SEED);
+
+// --- 主檔定義 ---
+
+const warehousesData = [
+  { code: 'WH-01', name: '台北總倉', isDefault: true },
+  { code: 'WH-02', name: '台中倉', isDefault: false }
 ];
 
-const customersData = [
-    { customerCode: 'CUS-001', name: '全國電子', level: 'gold', createdAt: admin.firestore.FieldValue.serverTimestamp() },
-    { customerCode: 'CUS-002', name: '燦坤3C', level: 'silver', createdAt: admin.firestore.FieldValue.serverTimestamp() },
-    { customerCode: 'CUS-003', name: '順發電腦', level: 'bronze', createdAt: admin.firestore.FieldValue.serverTimestamp() },
-    { customerCode: 'CUS-004', name: '網路散客', level: 'retail', createdAt: admin.firestore.FieldValue.serverTimestamp() }
+const suppliersData = [
+  { code: 'SUP-001', name: '大同電子', leadTimeDays: 5 },
+  { code: 'SUP-002', name: '聲寶集團', leadTimeDays: 7 },
+  { code: 'SUP-003', name: '宏碁電腦', leadTimeDays: 10 },
+  { code: 'SUP-004', name: '華碩電腦', leadTimeDays: 10 },
+  { code: 'SUP-005', name: '東元電機', leadTimeDays: 7 },
+  { code: 'SUP-006', name: '台灣松下', leadTimeDays: 14 }
 ];
 
-const productsData = [
-    { 
-        sku: 'TATUNG-TAC-11R', brand: '大同', name: '電鍋', spec: '11人份/不鏽鋼', description: '百年經典，國民電鍋', 
-        prices: { retail: 2890, bronze: 2800, silver: 2750, gold: 2700 },
-        lowStockThreshold: 10, 
-        createdAt: admin.firestore.FieldValue.serverTimestamp(), 
-        updatedAt: admin.firestore.FieldValue.serverTimestamp()
-    },
-    { 
-        sku: 'SAMPO-ES-B10F', brand: '聲寶', name: '定頻洗衣機', spec: '10KG', description: '強力洗淨，節能省水',
-        prices: { retail: 8490, bronze: 8300, silver: 8200, gold: 8000 },
-        lowStockThreshold: 5, 
-        createdAt: admin.firestore.FieldValue.serverTimestamp(), 
-        updatedAt: admin.firestore.FieldValue.serverTimestamp()
-    },
-    { 
-        sku: 'ACER-AN515', brand: 'Acer', name: 'Nitro 5 電競筆電', spec: 'i5-12500H/16G/512G/RTX3050', description: '入門電競首選，高效散熱',
-        prices: { retail: 32900, bronze: 32000, silver: 31500, gold: 31000 },
-        lowStockThreshold: 3, 
-        createdAt: admin.firestore.FieldValue.serverTimestamp(), 
-        updatedAt: admin.firestore.FieldValue.serverTimestamp()
-    }
+// 商品樣板: 每個規格產生一個商品，cost 為參考進價
+const productTemplates = [
+  { supplier: 0, brand: '大同', name: '電鍋', description: '百年經典，國民電鍋', variants: [{ spec: '6人份/不鏽鋼', cost: 1650 }, { spec: '11人份/不鏽鋼', cost: 2100 }, { spec: '11人份/紅色', cost: 2200 }] },
+  { supplier: 0, brand: '大同', name: '電風扇', description: '靜音節能', variants: [{ spec: '14吋', cost: 1100 }, { spec: '16吋', cost: 1350 }] },
+  { supplier: 0, brand: '大同', name: '烤麵包機', description: '雙槽烘烤', variants: [{ spec: '二片式', cost: 720 }] },
+  { supplier: 1, brand: '聲寶', name: '定頻洗衣機', description: '強力洗淨，節能省水', variants: [{ spec: '10KG', cost: 6300 }, { spec: '13KG', cost: 7800 }] },
+  { supplier: 1, brand: '聲寶', name: '變頻冰箱', description: '一級能效，雙門設計', variants: [{ spec: '250L', cost: 12500 }, { spec: '460L', cost: 19800 }] },
+  { supplier: 1, brand: '聲寶', name: '液晶顯示器', description: '窄邊框護眼螢幕', variants: [{ spec: '32吋', cost: 4600 }, { spec: '43吋', cost: 7200 }, { spec: '55吋', cost: 11800 }] },
+  { supplier: 2, brand: 'Acer', name: 'Nitro 5 電競筆電', description: '入門電競首選，高效散熱', variants: [{ spec: 'i5-12500H/16G/512G/RTX3050', cost: 24500 }, { spec: 'i7-12700H/16G/1T/RTX3060', cost: 32500 }] },
+  { supplier: 2, brand: 'Acer', name: 'Aspire 文書筆電', description: '輕薄長效續航', variants: [{ spec: 'i3/8G/256G', cost: 12800 }, { spec: 'i5/16G/512G', cost: 16900 }] },
+  { supplier: 2, brand: 'Acer', name: '電腦螢幕', description: 'IPS 廣視角', variants: [{ spec: '24吋/FHD', cost: 2600 }, { spec: '27吋/2K', cost: 5200 }] },
+  { supplier: 3, brand: 'ASUS', name: 'Vivobook 筆電', description: '輕巧多彩', variants: [{ spec: 'R5/8G/512G', cost: 14500 }, { spec: 'R7/16G/1T', cost: 19900 }] },
+  { supplier: 3, brand: 'ASUS', name: '無線路由器', description: 'WiFi 6 雙頻', variants: [{ spec: 'AX1800', cost: 1750 }, { spec: 'AX5400', cost: 4300 }] },
+  { supplier: 3, brand: 'ASUS', name: '電競滑鼠', description: '人體工學設計', variants: [{ spec: '有線', cost: 650 }, { spec: '無線', cost: 1250 }] },
+  { supplier: 4, brand: '東元', name: '變頻冷氣', description: '分離式一對一', variants: [{ spec: '2.8kW', cost: 18500 }, { spec: '5.0kW', cost: 27800 }] },
+  { supplier: 4, brand: '東元', name: '除濕機', description: '智慧濕度控制', variants: [{ spec: '6公升', cost: 4200 }, { spec: '12公升', cost: 6500 }] },
+  { supplier: 5, brand: 'Panasonic', name: '吹風機', description: '奈米水離子', variants: [{ spec: 'EH-NA0J', cost: 4900 }, { spec: 'EH-NA9L', cost: 6800 }] },
+  { supplier: 5, brand: 'Panasonic', name: '微波爐', description: '燒烤微波兩用', variants: [{ spec: '20L', cost: 2800 }, { spec: '27L/變頻', cost: 7600 }] },
+  { supplier: 5, brand: 'Panasonic', name: '空氣清淨機', description: 'nanoe 除菌', variants: [{ spec: '13坪', cost: 8900 }] }
 ];
 
-// --- 腳本函式 ---
+// 各等級售價為零售價的折扣，進位到 10 元
+const TIER_DISCOUNTS = { retail: 1, bronze: 0.97, silver: 0.95, gold: 0.92 };
+const roundPrice = (value) => Math.round(value / 10) * 10;
+
+const CUSTOMER_CITIES = ['台北', '新北', '桃園', '新竹', '台中', '彰化', '嘉義', '台南', '高雄', '屏東', '宜蘭', '花蓮'];
+const CUSTOMER_WORDS = ['興隆', '大成', '永信', '三和', '聯發', '金鼎', '佳美', '宏達', '信義', '長春', '福來', '全勝', '建新', '光華', '東昇', '瑞豐'];
+const CUSTOMER_TYPES = ['電器行', '3C 館', '家電量販', '電腦門市', '通訊行'];
+const CUSTOMER_COUNT = 80;
+// 客戶等級比例，金牌客戶下單量較大
+const TIER_WEIGHTS = { retail: 35, bronze: 30, silver: 22, gold: 13 };
+const TIER_QUANTITY = { retail: [1, 3], bronze: [1, 5], silver: [2, 8], gold: [3, 12] };
+
+// 零售客戶以含稅價交易，其他客戶開立外加稅發票
+const TAX_MODE_BY_TIER = { retail: 'inclusive', bronze: 'exclusive', silver: 'exclusive', gold: 'exclusive' };
+
+const PAYMENT_METHOD_WEIGHTS = { transfer: 60, check: 25, cash: 10, card: 5 };
+const CANCEL_REASONS = ['客戶取消', '重複下單', '客戶改訂其他型號'];
+
+// --- 模擬 ---
+
+const toTimestamp = (date) => admin.firestore.Timestamp.fromDate(date);
+const atTime = (day, hour, minute = 0) => new Date(day.getFullYear(), day.getMonth(), day.getDate(), hour, minute);
+const addDays = (day, days) => new Date(day.getTime() + days * DAY_MS);
+const getDayKey = (day) => formatDocPeriod(day, 'day');
+
+const createDocNumberer = () => {
+  const counters = {};
+  const next = (docType, date) => {
+    const period = formatDocPeriod(date, DOC_NUMBER_FORMATS[docType].period);
+    const counter = counters[docType];
+    counters[docType] = { period, seq: counter && counter.period === period ? counter.seq + 1 : 1 };
+    return formatDocNumber(docType, period, counters[docType].seq);
+  };
+  return { next, counters };
+};
 
 /**
- * 清空並填入一個集合的資料 (包含子集合)
- * @param {string} collectionPath 集合路徑
- * @param {Array<object>} data 要寫入的資料陣列
- * @param {{ subcollection: string, itemsField: string, idField: string } | null} subcollectionConfig 子集合設定
- * @returns {Promise<Array<string>>} 新增文件的 ID 列表
+ * 逐日模擬交易，回傳要寫入的文件 (路徑相對於 artifacts/{appId}/public/data)
+ * @returns {Array<{ path: string, data: object }>}
  */
-const seedCollection = async (collectionPath, data, subcollectionConfig = null) => {
-  console.log(`正在初始化 ${collectionPath}...`);
-  const collectionRef = db.collection(collectionPath);
-  
-  // 刪除舊資料
-  const snapshot = await collectionRef.limit(500).get();
-  if (!snapshot.empty) {
-    const batch = db.batch();
-    snapshot.docs.forEach(doc => batch.delete(doc.ref));
-    await batch.commit();
-    console.log(` -> 已清除 ${snapshot.size} 筆舊文件。`);
-  }
+const simulate = () => {
+  const writes = [];
+  const newId = (collectionName) => db.collection(collectionName).doc().id;
+  // 以路徑倒數第二段 (集合或子集合名稱) 的模型檢查每一筆文件
+  const put = (path, data) => writes.push({ path, data: validateDocument(path.split('/').slice(-2)[0], data) });
+  const numberer = createDocNumberer();
+
+  const today = new Date();
+  const endDay = atTime(today, 0);
+  const startDay = new Date(endDay.getFullYear(), endDay.getMonth() - MONTHS, endDay.getDate());
+  const createdAt = toTimestamp(atTime(startDay, 8));
+
+  const warehouses = warehousesData.map(warehouse => ({ ...warehouse, id: newId('warehouses') }));
+  const [defaultWarehouse] = warehouses;
+  warehouses.forEach(({ id, ...data }) => put(`warehouses/${id}`, data));
+
+  const suppliers = suppliersData.map(supplier => ({ ...supplier, id: newId('suppliers') }));
+  suppliers.forEach(({ id, ...data }) => put(`suppliers/${id}`, data));
+
+  const customerNames = new Set(['網路散客']);
+  while (customerNames.size < CUSTOMER_COUNT) customerNames.add(`${random.pick(CUSTOMER_CITIES)}${random.pick(CUSTOMER_WORDS)}${random.pick(CUSTOMER_TYPES)}`);
+  const customers = [...customerNames].map((name, index) => ({
+    id: newId('customers'), code: `CUS-${String(index + 1).padStart(3, '0')}`, name, tier: index === 0 ? 'retail' : random.weighted(TIER_WEIGHTS)
+  }));
+  customers.forEach(({ id, ...data }) => put(`customers/${id}`, data));
+
+  let skuSeq = 0;
+  const products = productTemplates.flatMap(template => template.variants.map(variant => {
+    skuSeq += 1;
+    const retail = roundPrice(variant.cost * (1.25 + random.next() * 0.2));
+    // 台灣國碼 471 開頭的 EAN-13 條碼
+    const barcodeBase = `4710000${String(skuSeq).padStart(5, '0')}`;
+    return {
+      id: newId('products'),
+      supplier: suppliers[template.supplier],
+      baseCost: variant.cost,
+      data: {
+        sku: `${template.brand.toUpperCase()}-${String(skuSeq).padStart(4, '0')}`, barcode: `${barcodeBase}${getEan13CheckDigit(barcodeBase)}`, brand: template.brand, name: template.name, spec: variant.spec, description: template.description,
+        ...Object.fromEntries(Object.keys(TIER_MAP).map(tier => [getPriceField(tier), roundPrice(retail * TIER_DISCOUNTS[tier])])),
+        floorPrice: roundPrice(variant.cost * 1.05),
+        lowStockThreshold: variant.cost > 10000 ? 3 : 8,
+        averageCost: 0, cost: 0, stock: 0, reserved: 0,
+        stockByLocation: Object.fromEntries(warehouses.map(warehouse => [warehouse.id, 0])),
+        createdAt
+      },
+      // 供應商目錄: 每個商品由樣板的供應商供應，最近進價在到貨時更新
+      productSupplier: {
+        supplierId: suppliers[template.supplier].id, supplierSku: `${suppliers[template.supplier].code.replace('SUP-', 'P')}-${String(skuSeq).padStart(5, '0')}`,
+        minOrderQuantity: variant.cost > 10000 ? 2 : 10, isPreferred: true
+      },
+      onOrder: 0
+    };
+  }));
+  const getProductName = (product) => `${product.data.brand} ${product.data.name} ${product.data.spec}`.trim();
 
-  // 新增資料
-  const batch = db.batch();
-  const docIds = [];
-  for (const item of data) {
-    const docRef = collectionRef.doc(); // 自動產生 ID
-    const { [subcollectionConfig?.itemsField]: subcollectionItems, ...mainData } = item;
-    batch.set(docRef, mainData);
-    docIds.push(docRef.id);
-
-    if (subcollectionConfig && subcollectionItems) {
-      for (const subItem of subcollectionItems) {
-        const subDocRef = docRef.collection(subcollectionConfig.subcollection).doc(subItem[subcollectionConfig.idField]);
-        batch.set(subDocRef, subItem);
+  const inventoryLog = (product, warehouseId, change, relatedDoc, date) => put(`inventoryLogs/${newId('inventoryLogs')}`, {
+    productId: product.id, productName: getProductName(product), type: change > 0 ? 'in' : 'out', change, newStock: product.data.stock,
+    warehouseId, locationStock: product.data.stockByLocation[warehouseId], relatedDoc, timestamp: toTimestamp(date)
+  });
+
+  const scheduled = {};
+  // 週日不營業，排到週日的工作順延一天
+  const schedule = (day, task) => {
+    const key = getDayKey(day.getDay() === 0 ? addDays(day, 1) : day);
+    (scheduled[key] = scheduled[key] || []).push(task);
+  };
+
+  // party: { customerId | supplierId, partyName, partyCode }，沿用訂單上的對象
+  const addPayment = (collectionName, party, amount, relatedNumber, day) => {
+    const paidAt = atTime(day, 0);
+    const method = random.weighted(PAYMENT_METHOD_WEIGHTS);
+    put(`${collectionName}/${newId(collectionName)}`, {
+      ...party, amount, method, paidAt: toTimestamp(paidAt),
+      reference: method === 'check' ? `AB${random.int(1000000, 9999999)}` : (method === 'transfer' ? `末五碼 ${random.int(10000, 99999)}` : ''),
+      remarks: relatedNumber,
+      paymentNumber: numberer.next(collectionName, paidAt), createdBy: SEED_USER, createdAt: toTimestamp(atTime(day, 16, random.int(0, 59)))
+    });
+  };
+
+  // 到貨: 入庫、更新移動平均成本，30 天後付款
+  const receivePurchase = (order, day) => {
+    const receivedAt = atTime(day, 10, random.int(0, 59));
+    const receiptNumber = `${order.data.orderNumber}-R1`;
+    const receiptItems = [];
+    order.data.items.forEach(item => {
+      const product = products.find(p => p.id === item.productId);
+      const oldStock = product.data.stock;
+      const oldAvgCost = product.data.averageCost;
+      const newAvgCost = oldStock + item.quantity > 0 ? ((oldStock * oldAvgCost) + (item.quantity * item.cost)) / (oldStock + item.quantity) : item.cost;
+      product.data.stock += item.quantity;
+      product.data.stockByLocation[order.warehouseId] += item.quantity;
+      Object.assign(product.data, { averageCost: newAvgCost, cost: item.cost });
+      Object.assign(product.productSupplier, { lastPrice: item.cost, lastPriceTaxMode: order.data.taxMode, lastPurchasedAt: toTimestamp(receivedAt), updatedAt: toTimestamp(receivedAt) });
+      product.onOrder -= item.quantity;
+      item.receivedQuantity = item.quantity;
+      receiptItems.push({ productId: item.productId, name: item.name, quantity: item.quantity, cost: item.cost });
+      inventoryLog(product, order.warehouseId, item.quantity, receiptNumber, receivedAt);
+      if (oldAvgCost.toFixed(5) !== newAvgCost.toFixed(5)) {
+        put(`costLogs/${newId('costLogs')}`, { productId: product.id, productName: item.name, type: 'in', relatedDoc: receiptNumber, oldAvgCost, newAvgCost, timestamp: toTimestamp(receivedAt) });
       }
+    });
+    // 一次全數到貨，收貨金額等於採購單金額
+    const receiptId = newId('receipts');
+    const receiptAmounts = { taxMode: order.data.taxMode, netAmount: order.data.netAmount, taxAmount: order.data.taxAmount, totalAmount: order.data.totalAmount };
+    put(`purchaseOrders/${order.id}/receipts/${receiptId}`, { receiptNumber, warehouseId: order.warehouseId, items: receiptItems, ...receiptAmounts, receivedBy: SEED_USER, receivedAt: toTimestamp(receivedAt) });
+    Object.assign(order.data, {
+      status: 'Received', receiptCount: 1, receiptSummaries: [{ receiptId, receiptNumber, receivedAt: toTimestamp(receivedAt), ...receiptAmounts }],
+      lastReceivedAt: toTimestamp(receivedAt), receivedAt: toTimestamp(receivedAt)
+    });
+    schedule(addDays(day, 30), (paymentDay) => addPayment('supplierPayments', { supplierId: order.data.supplierId, partyName: order.data.partyName, partyCode: order.data.partyCode }, order.data.totalAmount, order.data.orderNumber, paymentDay));
+  };
+
+  const purchaseOrders = [];
+  // 依供應商彙總低於再訂購點 (安全庫存的 3 倍) 的商品開立採購單，3-7 天後到貨 (期初進貨當天到貨)
+  const replenish = (day, isOpening) => {
+    suppliers.forEach(supplier => {
+      const lines = products.filter(product => product.supplier === supplier && product.data.stock + product.onOrder <= product.data.lowStockThreshold * 3);
+      if (lines.length === 0) return;
+      const orderDate = atTime(day, 9, random.int(0, 59));
+      const items = lines.map(product => {
+        const quantity = product.data.lowStockThreshold * random.int(4, 8);
+        product.onOrder += quantity;
+        return { productId: product.id, name: getProductName(product), quantity, cost: Math.round(product.baseCost * (0.95 + random.next() * 0.1)), supplierSku: product.productSupplier.supplierSku };
+      });
+      const order = {
+        id: newId('purchaseOrders'),
+        warehouseId: random.next() < 0.75 ? defaultWarehouse.id : warehouses[1].id,
+        data: {
+          partyName: supplier.name, partyCode: supplier.code, supplierId: supplier.id, taxMode: 'exclusive', items,
+          ...calculateTax(items.reduce((sum, item) => sum + item.cost * item.quantity, 0), 'exclusive'),
+          orderNumber: numberer.next('purchaseOrders', orderDate), status: 'Pending', createdAt: toTimestamp(orderDate)
+        }
+      };
+      purchaseOrders.push(order);
+      if (isOpening) receivePurchase(order, day);
+      else schedule(addDays(day, random.int(3, 7)), (receiveDay) => receivePurchase(order, receiveDay));
+    });
+  };
+
+  const salesOrders = [];
+  const createSalesOrder = (day, orderDate, ageInDays) => {
+    const customer = random.pick(customers);
+    const lineCount = random.int(1, 4);
+    const items = [];
+    for (let i = 0; i < lineCount; i++) {
+      const product = random.pick(products);
+      if (items.some(item => item.productId === product.id)) continue;
+      const [minQuantity, maxQuantity] = TIER_QUANTITY[customer.tier];
+      const price = product.data[getPriceField(customer.tier)];
+      items.push({ productId: product.id, name: getProductName(product), quantity: random.int(minQuantity, maxQuantity), price, listPrice: price, priceSource: 'base', cost: product.data.cost });
+    }
+    const order = {
+      id: newId('salesOrders'),
+      data: {
+        partyName: customer.name, partyCode: customer.code, partyTier: customer.tier, customerId: customer.id, taxMode: TAX_MODE_BY_TIER[customer.tier], items,
+        ...calculateTax(items.reduce((sum, item) => sum + item.price * item.quantity, 0), TAX_MODE_BY_TIER[customer.tier]),
+        orderNumber: numberer.next('salesOrders', orderDate), status: 'Pending Approval', createdAt: toTimestamp(orderDate)
+      }
+    };
+    salesOrders.push(order);
+
+    if (random.next() < 0.02) {
+      Object.assign(order.data, { status: 'Cancelled', cancelReason: random.pick(CANCEL_REASONS), cancelledBy: SEED_USER, cancelledAt: toTimestamp(atTime(day, 18)) });
+      return;
+    }
+    // 最後一個營業日的訂單待批准，前兩個營業日的訂單已批准並保留庫存，其餘當天出貨
+    if (ageInDays === 0) return;
+    const approvedAt = toTimestamp(new Date(orderDate.getTime() + 60 * 60 * 1000));
+    if (ageInDays <= 2) {
+      items.forEach(item => {
+        const product = products.find(p => p.id === item.productId);
+        item.reservedQuantity = Math.max(0, Math.min(item.quantity, product.data.stock - product.data.reserved));
+        product.data.reserved += item.reservedQuantity;
+      });
+      Object.assign(order.data, { status: 'Pending Shipment', approvedAt });
+      return;
     }
+
+    // 出貨倉庫: 優先選擇所有品項都有庫存的倉庫，不足的數量不出貨 (訂單數量同步調降)
+    const warehouse = warehouses.find(w => items.every(item => products.find(p => p.id === item.productId).data.stockByLocation[w.id] >= item.quantity)) || defaultWarehouse;
+    const shippedAt = atTime(day, 18, random.int(0, 59));
+    const shipmentNumber = `${order.data.orderNumber}-S1`;
+    const lines = items.map(item => {
+      const product = products.find(p => p.id === item.productId);
+      return { item, product, quantity: Math.min(item.quantity, product.data.stockByLocation[warehouse.id]) };
+    }).filter(line => line.quantity > 0);
+    if (lines.length === 0) {
+      Object.assign(order.data, { status: 'Cancelled', cancelReason: '缺貨', cancelledBy: SEED_USER, cancelledAt: toTimestamp(shippedAt) });
+      return;
+    }
+    const shipmentItems = [];
+    order.data.items = lines.map(({ item, product, quantity }) => {
+      product.data.stock -= quantity;
+      product.data.stockByLocation[warehouse.id] -= quantity;
+      shipmentItems.push({ productId: item.productId, name: item.name, quantity, costAtSale: product.data.averageCost, price: item.price });
+      inventoryLog(product, warehouse.id, -quantity, shipmentNumber, shippedAt);
+      return { ...item, quantity, shippedQuantity: quantity, reservedQuantity: 0, costAtSale: product.data.averageCost };
+    });
+    const shipmentId = newId('shipments');
+    const shipmentAmounts = calculateTax(order.data.items.reduce((sum, item) => sum + item.price * item.quantity, 0), order.data.taxMode);
+    const costAmount = shipmentItems.reduce((sum, item) => sum + item.costAtSale * item.quantity, 0);
+    Object.assign(order.data, shipmentAmounts, {
+      status: 'Completed', approvedAt, shipmentCount: 1, shipmentSummaries: [{ shipmentId, shipmentNumber, shippedAt: toTimestamp(shippedAt), ...shipmentAmounts, costAmount }],
+      lastShippedAt: toTimestamp(shippedAt), shippedAt: toTimestamp(shippedAt)
+    });
+    put(`salesOrders/${order.id}/shipments/${shipmentId}`, { shipmentNumber, warehouseId: warehouse.id, items: shipmentItems, ...shipmentAmounts, shippedBy: SEED_USER, shippedAt: toTimestamp(shippedAt) });
+    // 大部分客戶於 20-60 天後付款，少數逾期未付留作帳齡分析
+    if (random.next() < 0.92) {
+      schedule(addDays(day, random.int(20, 60)), (paymentDay) => addPayment('customerPayments', { customerId: order.data.customerId, partyName: order.data.partyName, partyCode: order.data.partyCode }, order.data.totalAmount, order.data.orderNumber, paymentDay));
+    }
+  };
+
+  const businessDays = [];
+  for (let day = startDay; day <= endDay; day = addDays(day, 1)) {
+    if (day.getDay() !== 0) businessDays.push(day);
+  }
+  // 每日訂單數在平均值上下浮動，依累計權重分配使總數剛好等於 ORDER_COUNT
+  const dayWeights = businessDays.map(() => 0.5 + random.next());
+  const totalWeight = dayWeights.reduce((sum, weight) => sum + weight, 0);
+  let cumulativeWeight = 0;
+
+  replenish(startDay, true);
+  businessDays.forEach((day, index) => {
+    (scheduled[getDayKey(day)] || []).forEach(task => task(day));
+    delete scheduled[getDayKey(day)];
+    if (index > 0) replenish(day, false);
+    const ordersBefore = Math.round(ORDER_COUNT * cumulativeWeight / totalWeight);
+    cumulativeWeight += dayWeights[index];
+    const count = Math.round(ORDER_COUNT * cumulativeWeight / totalWeight) - ordersBefore;
+    // 單號依建立時間排序
+    const orderDates = Array.from({ length: count }, () => atTime(day, random.int(9, 17), random.int(0, 59))).sort((a, b) => a - b);
+    orderDates.forEach(orderDate => createSalesOrder(day, orderDate, businessDays.length - 1 - index));
+  });
+
+  products.forEach(({ id, data }) => put(`products/${id}`, data));
+  products.forEach(({ id, productSupplier }) => put(`productSuppliers/${getProductSupplierDocId(id, productSupplier.supplierId)}`, { productId: id, ...productSupplier }));
+  salesOrders.forEach(({ id, data }) => put(`salesOrders/${id}`, data));
+  purchaseOrders.forEach(({ id, data }) => put(`purchaseOrders/${id}`, data));
+  // 計數器接續最後一張單據，系統當天再建立單據時不會產生重複的單號
+  Object.entries(numberer.counters).forEach(([docType, counter]) => put(`counters/${docType}`, { ...counter, updatedAt: toTimestamp(today) }));
+  // 產生的資料已符合目前的結構，將所有遷移標記為已套用
+  MIGRATIONS.forEach(migration => put(`schemaMigrations/${String(migration.version).padStart(3, '0')}`, {
+    version: migration.version, name: migration.name, description: migration.description, updatedCount: 0, appliedAt: toTimestamp(today)
+  }));
+  return writes;
+};
+
+// --- 寫入 ---
+
+// 需要清空的集合: 除了 users (保留角色設定，避免清空後無法登入) 以外的所有集合
+const SEED_COLLECTIONS = BACKUP_COLLECTIONS.filter(name => name !== 'users');
+
+/**
+ * 清空集合 (含子集合)，不受單一批次 500 筆的限制
+ * @param {string} basePath artifacts/{appId}/public/data
+ */
+const resetCollections = async (basePath) => {
+  for (const name of SEED_COLLECTIONS) {
+    await db.recursiveDelete(db.collection(`${basePath}/${name}`));
+    console.log(` -> 已清空 ${name}`);
+  }
+};
+
+const findNonEmptyCollections = async (basePath) => {
+  const nonEmpty = [];
+  for (const name of SEED_COLLECTIONS) {
+    const snapshot = await db.collection(`${basePath}/${name}`).limit(1).get();
+    if (!snapshot.empty) nonEmpty.push(name);
+  }
+  return nonEmpty;
+};
+
+const writeInBatches = async (basePath, writes) => {
+  for (let start = 0; start < writes.length; start += WRITE_BATCH_SIZE) {
+    const batch = db.batch();
+    writes.slice(start, start + WRITE_BATCH_SIZE).forEach(({ path, data }) => batch.set(db.doc(`${basePath}/${path}`), data));
+    await batch.commit();
+    if ((start / WRITE_BATCH_SIZE) % 10 === 0 || start + WRITE_BATCH_SIZE >= writes.length) console.log(`  已寫入 ${Math.min(start + WRITE_BATCH_SIZE, writes.length)} / ${writes.length}`);
   }
-  await batch.commit();
-  console.log(` -> 已新增 ${data.length} 筆新文件。`);
-  return docIds;
 };
 
 const main = async () => {
+  const appId = process.env.FIREBASE_APP_ID;
+  if (!appId) {
+    console.error('用法: FIREBASE_APP_ID=<appId> node scripts/seed.js [--emulator] [--reset] [--months=12] [--orders=3000] [--seed=42] [--dry-run]');
+    process.exit(1);
+  }
+  const basePath = getDataRoot(appId);
   try {
-    console.log('🔥 開始執行資料庫初始化腳本...');
-    
-    const supplierIds = await seedCollection('suppliers', suppliersData);
-    const customerIds = await seedCollection('customers', customersData);
-    
-    // 新增商品，並為每個商品建立對應的庫存文件
-    const productIds = await seedCollection('products', productsData);
-
-    console.log('正在初始化 inventory...');
-    const inventoryBatch = db.batch();
-    productIds.forEach((productId, index) => {
-        const inventoryRef = db.collection('inventory').doc(productId);
-        inventoryBatch.set(inventoryRef, {
-            currentStock: 100, // 給予初始庫存
-            averageCost: productsData[index].prices.retail * 0.8 // 假設初始成本
-        });
+    console.log(`🔥 開始產生 ${MONTHS} 個月、${ORDER_COUNT} 張銷售單的模擬資料 (${process.env.FIRESTORE_EMULATOR_HOST ? `模擬器 ${process.env.FIRESTORE_EMULATOR_HOST}` : '正式專案'}: ${basePath})`);
+    const writes = simulate();
+    const counts = {};
+    writes.forEach(({ path }) => {
+      const segments = path.split('/');
+      const name = segments.length > 2 ? `${segments[0]}/${segments[2]}` : segments[0];
+      counts[name] = (counts[name] || 0) + 1;
     });
-    await inventoryBatch.commit();
-    console.log(` -> 已為 ${productIds.length} 個商品建立初始庫存文件。`);
-
-    // 新增銷售訂單範例
-    const salesOrdersData = [
-      {
-        orderNumber: `SO-${new Date().toISOString().slice(0,10).replace(/-/g,'')}-001`,
-        customerId: customerIds[0],
-        customerName: customersData[0].name,
-        status: 'completed',
-        totalAmount: productsData[0].prices.gold * 2,
-        totalCost: (productsData[0].prices.retail * 0.8) * 2,
-        grossProfit: (productsData[0].prices.gold * 2) - ((productsData[0].prices.retail * 0.8) * 2),
-        createdBy: 'script-user',
-        createdAt: admin.firestore.FieldValue.serverTimestamp(),
-        shippedAt: admin.firestore.FieldValue.serverTimestamp(),
-        items: [
-          {
-            productId: productIds[0],
-            sku: productsData[0].sku,
-            name: productsData[0].name,
-            quantity: 2,
-            unitPrice: productsData[0].prices.gold,
-            unitCost: productsData[0].prices.retail * 0.8
-          }
-        ]
-      }
-    ];
-    await seedCollection('salesOrders', salesOrdersData, { subcollection: 'items', itemsField: 'items', idField: 'productId' });
-
-    // 新增採購訂單範例
-    const purchaseOrdersData = [
-      {
-        orderNumber: `PO-${new Date().toISOString().slice(0,10).replace(/-/g,'')}-001`,
-        supplierId: supplierIds[1],
-        supplierName: suppliersData[1].name,
-        status: 'completed',
-        totalAmount: 1500 * 5,
-        createdBy: 'script-user',
-        createdAt: admin.firestore.FieldValue.serverTimestamp(),
-        receivedAt: admin.firestore.FieldValue.serverTimestamp(),
-        items: [
-          {
-            productId: productIds[2],
-            sku: productsData[2].sku,
-            name: productsData[2].name,
-            quantity: 5,
-            purchasePrice: 1500
-          }
-        ]
-      }
-    ];
-    await seedCollection('purchaseOrders', purchaseOrdersData, { subcollection: 'items', itemsField: 'items', idField: 'productId' });
+    Object.entries(counts).forEach(([name, count]) => console.log(`  ${name}: ${count}`));
+    if (options['dry-run']) {
+      console.log('\n--dry-run: 未寫入任何資料。');
+      process.exit(0);
+    }
 
+    if (options.reset) {
+      console.log('正在清空既有資料...');
+      await resetCollections(basePath);
+    } else {
+      const nonEmpty = await findNonEmptyCollections(basePath);
+      if (nonEmpty.length > 0) throw new Error(`目標已有資料: ${nonEmpty.join(', ')}。請加上 --reset 清空後重新產生。`);
+    }
+    await writeInBatches(basePath, writes);
     console.log('\n✅ 資料庫初始化成功！');
   } catch (error) {
     console.error('\n❌ 資料庫初始化失敗:', error);
@@ -174,4 +464,4 @@ const main = async () => {
   }
 };
 
-main();
\ No newline at end of file
+main();
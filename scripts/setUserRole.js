@@ -0,0 +1,50 @@
+const admin = require('firebase-admin');
+const { ROLE_MAP } = require('../src/schema');
+const { validateDocument } = require('../src/models');
+// !! 重要 !!
+// 1. 與 seed.js 相同，需要 'scripts/serviceAccountKey.json'
+// 2. 使用者需先在 Firebase 控制台 (Authentication) 以電子郵件/密碼建立
+// 3. 用法: FIREBASE_APP_ID=<web app 的 appId> node scripts/setUserRole.js <email> <admin|warehouse>
+const serviceAccount = require('./serviceAccountKey.json');
+
+admin.initializeApp({
+  credential: admin.credential.cert(serviceAccount)
+});
+
+const db = admin.firestore();
+
+const ROLES = Object.keys(ROLE_MAP);
+
+/**
+ * 將角色寫入 artifacts/{appId}/public/data/users/{uid}，路徑需與 App.js 的 getDocPath 一致
+ * @param {string} appId Firebase Web App 的 appId
+ * @param {string} email 使用者電子郵件
+ * @param {string} role 'admin' 或 'warehouse'
+ */
+const setUserRole = async (appId, email, role) => {
+  const userRecord = await admin.auth().getUserByEmail(email);
+  await db.doc(`artifacts/${appId}/public/data/users/${userRecord.uid}`).set(validateDocument('users', {
+    email,
+    role,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  }), { merge: true });
+  return userRecord.uid;
+};
+
+const main = async () => {
+  const appId = process.env.FIREBASE_APP_ID;
+  const [email, role] = process.argv.slice(2);
+  if (!appId || !email || !ROLES.includes(role)) {
+    console.error('用法: FIREBASE_APP_ID=<appId> node scripts/setUserRole.js <email> <admin|warehouse>');
+    process.exit(1);
+  }
+  try {
+    const uid = await setUserRole(appId, email, role);
+    console.log(`✅ 已將 ${email} (${uid}) 設定為 ${role}`);
+  } catch (error) {
+    console.error('\n❌ 設定角色失敗:', error);
+    process.exit(1);
+  }
+};
+
+main();
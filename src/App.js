@@ -1,8 +1,14 @@
 import React, { useState, useEffect, useMemo, createContext, useContext, useRef, useCallback } from 'react';
-import { signInAnonymously, onAuthStateChanged } from 'firebase/auth';
-import { collection, doc, onSnapshot, addDoc, updateDoc, deleteDoc, runTransaction, query, where, orderBy, serverTimestamp, getDocs, writeBatch } from 'firebase/firestore';
-import { Home, Package, ShoppingCart, DollarSign, FileText, PlusCircle, Edit, Trash2, AlertCircle, ChevronDown, ChevronRight, Truck, Printer, ClipboardList, Users, FolderKanban, CheckCircle, Archive, Building } from 'lucide-react';
+import { createPortal } from 'react-dom';
+import { readSheet } from 'read-excel-file/browser';
+import { signInWithEmailAndPassword, signOut, onAuthStateChanged } from 'firebase/auth';
+import { collection, doc, onSnapshot, addDoc, setDoc, updateDoc, deleteDoc, runTransaction, query, where, orderBy, serverTimestamp, getDocs, writeBatch, Timestamp } from 'firebase/firestore';
+import { Home, Package, ShoppingCart, DollarSign, FileText, PlusCircle, Edit, Trash2, AlertCircle, ChevronDown, ChevronRight, Truck, Printer, ClipboardList, Users, FolderKanban, CheckCircle, Archive, Building, Building2, LogOut, Warehouse, ArrowRightLeft, Wallet, Upload, Download, Tag, PackagePlus, PackageCheck, BookOpen, Barcode, ScanLine, Camera } from 'lucide-react';
 import app, { auth, db } from './firebaseConfig.js';
+import { getDataRoot, WRITE_BATCH_SIZE, TIER_MAP, PRICE_LIST_KIND_MAP, PRICE_SOURCE_MAP, APPROVAL_REASON_MAP, DEFAULT_MIN_MARGIN_PERCENT, getProductSupplierDocId, getLotDocId, ROLE_MAP, ADJUST_REASON_MAP, PAYMENT_METHOD_MAP, getPriceField, DOC_NUMBER_FORMATS, formatDocPeriod, formatDocNumber, TAX_MODE_MAP, calculateTax, DISCOUNT_TYPE_MAP, getLineAmount, calculateOrderAmounts, getNetUnitPrice, convertUnitCost, getNetUnitCost, MAX_ORDER_ITEMS } from './schema';
+import { validateDocument } from './models';
+import { BACKUP_VERSION, BACKUP_COLLECTIONS, BACKUP_SUBCOLLECTIONS, getSubcollectionKey, buildArchive, toCsv } from './backupFormat';
+import { isCode128Encodable, encodeCode128 } from './barcode';
 
 // --- App & Firebase Initialization ---
 // Firebase 已在 firebaseConfig.js 中初始化
@@ -10,17 +16,89 @@ import app, { auth, db } from './firebaseConfig.js';
 const appId = app.options.appId;
 
 // --- Collection Path Helpers ---
-const getCollectionPath = (collectionName) => `artifacts/${appId}/public/data/${collectionName}`;
-const getDocPath = (collectionName, docId) => `artifacts/${appId}/public/data/${collectionName}/${docId}`;
+const getCollectionPath = (collectionName) => `${getDataRoot(appId)}/${collectionName}`;
+const getDocPath = (collectionName, docId) => `${getDataRoot(appId)}/${collectionName}/${docId}`;
+
+// --- Document Numbering ---
+// 在交易中取得下一個單號，計數器記錄在 counters/{docType} ({ period, seq })。
+// 單號與單據在同一個交易寫入，交易失敗就不會佔用號碼，因此不會跳號或重複。
+// Firestore 交易必須先讀後寫，請在該交易的其他讀取完成後、任何寫入之前呼叫。
+const getNextDocNumber = async (transaction, docType) => {
+    const counterRef = doc(db, getDocPath('counters', docType));
+    const counterDoc = await transaction.get(counterRef);
+    const period = formatDocPeriod(new Date(), DOC_NUMBER_FORMATS[docType].period);
+    const seq = counterDoc.exists() && counterDoc.data().period === period ? counterDoc.data().seq + 1 : 1;
+    transaction.set(counterRef, validateDocument('counters', { period, seq, updatedAt: serverTimestamp() }));
+    return formatDocNumber(docType, period, seq);
+};
 
 // --- Helper Functions ---
-const TIER_MAP = {
-    retail: '零售',
-    bronze: '銅牌',
-    silver: '銀牌',
-    gold: '金牌'
+// 可由倉庫出貨的銷售單狀態 (部分出貨的訂單保留未出貨數量為待補貨)
+const SHIPPABLE_STATUSES = ['Pending Shipment', 'Partially Shipped'];
+// 出貨已結束的銷售單狀態 (全數出貨，或部分出貨後結案不再補貨)，已出貨的數量可以退貨
+const SHIPPED_STATUSES = ['Completed', 'Closed'];
+// 可收貨的採購單狀態 (部分收貨的採購單在結案前保持開啟)
+const RECEIVABLE_STATUSES = ['Pending', 'Partially Received'];
+
+// 已有出貨或收貨紀錄的訂單不可再編輯或取消
+const hasStockMoved = (order) => order.items.some(item => (item.shippedQuantity || 0) > 0 || (item.receivedQuantity || 0) > 0);
+const EDITABLE_STATUSES = { sales: ['Pending Approval'], purchases: ['Draft', 'Pending'] };
+const CANCELLABLE_STATUSES = { sales: ['Pending Approval', 'Pending Shipment'], purchases: ['Draft', 'Pending'] };
+
+// 可用庫存 = 在庫數量 (stock) - 已批准訂單保留的數量 (reserved)
+const getAvailableStock = (product) => (product?.stock || 0) - (product?.reserved || 0);
+
+// 銷售單品項尚未出貨也未保留的數量 (批准時可用庫存不足的待補貨)
+const getUnreservedQuantity = (item) => item.quantity - (item.shippedQuantity || 0) - (item.reservedQuantity || 0);
+
+// 交易中依可用庫存為品項補足保留數量，不足的部分不保留；回傳仍缺貨的品項說明
+const reserveAvailableStock = (items, productStates) => {
+    const shortItems = [];
+    for (const item of items) {
+        const productState = productStates[item.productId];
+        const needed = getUnreservedQuantity(item);
+        const reservedQuantity = Math.max(0, Math.min(needed, getAvailableStock(productState)));
+        productState.reserved = (productState.reserved || 0) + reservedQuantity;
+        item.reservedQuantity = (item.reservedQuantity || 0) + reservedQuantity;
+        if (reservedQuantity < needed) shortItems.push(`${item.name} (缺 ${needed - reservedQuantity})`);
+    }
+    return shortItems;
+};
+
+// 各倉庫的在庫數量 (stockByLocation: { [warehouseId]: 數量 })，stock 維持為所有倉庫的合計。
+// 多倉庫上線前的商品只有 stock，視為全部存放在預設倉庫
+const getStockByLocation = (product, defaultWarehouseId) => {
+    if (product?.stockByLocation) return product.stockByLocation;
+    return defaultWarehouseId && product?.stock ? { [defaultWarehouseId]: product.stock } : {};
+};
+const getLocationStock = (product, warehouseId, defaultWarehouseId) => getStockByLocation(product, defaultWarehouseId)[warehouseId] || 0;
+
+// 交易中調整指定倉庫的數量，同步更新合計 stock
+const moveLocationStock = (productState, warehouseId, change) => {
+    productState.stockByLocation = { ...productState.stockByLocation, [warehouseId]: (productState.stockByLocation[warehouseId] || 0) + change };
+    productState.stock += change;
+};
+
+// inventoryLogs / costLogs 的異動類型，source 用來細分同一類型的來源 (例如進貨退出也是 'out')
+const LOG_TYPE_MAP = {
+    in: { label: '進貨', color: 'bg-green-100 text-green-800' },
+    out: { label: '銷貨', color: 'bg-red-100 text-red-800' },
+    return: { label: '銷貨退回', color: 'bg-yellow-100 text-yellow-800' },
+    purchaseReturn: { label: '進貨退出', color: 'bg-orange-100 text-orange-800' },
+    adjust: { label: '盤點調整', color: 'bg-blue-100 text-blue-800' },
+    transfer: { label: '調撥', color: 'bg-purple-100 text-purple-800' }
+};
+const LogTypeBadge = ({ log }) => {
+    const logType = LOG_TYPE_MAP[log.source] || LOG_TYPE_MAP[log.type];
+    return <span className={`px-2 py-1 rounded-full text-xs ${logType?.color || 'bg-gray-100 text-gray-800'}`}>{logType?.label || log.type}</span>;
 };
 
+// 未稅金額，稅別與稅額計算 (calculateTax) 定義於 schema.js
+const getNetAmount = (document) => document.netAmount ?? document.totalAmount;
+
+// 採購品項已入庫數量；分批收貨上線前已收貨的採購單沒有 receivedQuantity，視為全數到貨
+const getReceivedQuantity = (order, item) => item.receivedQuantity ?? (order.status === 'Received' ? item.quantity : 0);
+
 // --- Modal Context for Messages and Confirmations ---
 const ModalContext = createContext(null);
 const useModal = () => useContext(ModalContext);
@@ -29,11 +107,11 @@ const ModalProvider = ({ children }) => {
     const [modal, setModal] = useState(null);
     const [messages, setMessages] = useState([]);
 
-    const showMessage = (message, type = 'success') => {
+    const showMessage = useCallback((message, type = 'success') => {
         const id = Date.now();
         setMessages(prev => [...prev, { id, message, type }]);
         setTimeout(() => setMessages(prev => prev.filter(m => m.id !== id)), 3000);
-    };
+    }, []);
 
     const showConfirmation = (message) => {
         return new Promise(resolve => {
@@ -70,29 +148,353 @@ const useAuth = () => useContext(AuthContext);
 
 const AuthProvider = ({ children }) => {
     const [user, setUser] = useState(null);
-    const [role, setRole] = useState('admin');
+    const [role, setRole] = useState(null);
     const [loading, setLoading] = useState(true);
 
     useEffect(() => {
-        if (!auth) { setLoading(false); return; }
-        const unsubscribe = onAuthStateChanged(auth, async (currentUser) => {
-            if (currentUser) {
-                setUser(currentUser); setLoading(false);
-            } else {
-                try {
-                    await signInAnonymously(auth);
-                } catch (error) {
-                    console.error("Firebase 匿名登入失敗:", error); setLoading(false);
-                }
+        if (!auth || !db) { setLoading(false); return; }
+        let unsubscribeRole = null;
+        const unsubscribe = onAuthStateChanged(auth, (currentUser) => {
+            if (unsubscribeRole) { unsubscribeRole(); unsubscribeRole = null; }
+            setUser(currentUser);
+            if (!currentUser) {
+                setRole(null); setLoading(false);
+                return;
             }
+            setLoading(true);
+            // 角色只能由管理員在 users 集合中設定，前端不再提供切換
+            unsubscribeRole = onSnapshot(doc(db, getDocPath('users', currentUser.uid)), snapshot => {
+                const userRole = snapshot.exists() ? snapshot.data().role : null;
+                setRole(ROLE_MAP[userRole] ? userRole : null);
+                setLoading(false);
+            }, error => {
+                console.error("讀取使用者角色錯誤:", error);
+                setRole(null); setLoading(false);
+            });
         });
-        return () => unsubscribe();
+        return () => { unsubscribe(); if (unsubscribeRole) unsubscribeRole(); };
     }, []);
 
-    const value = { user, role, setRole, loading };
+    const login = (email, password) => signInWithEmailAndPassword(auth, email, password);
+    const logout = () => signOut(auth);
+
+    const value = { user, role, loading, login, logout };
     return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
 };
 
+// --- Warehouses ---
+// 預設倉庫為標記 isDefault 的倉庫，未標記時取編碼排序的第一個
+const useWarehouses = () => {
+    const [warehouses, setWarehouses] = useState([]);
+    const { user } = useAuth();
+
+    useEffect(() => {
+        if (!user) return;
+        const unsubscribe = onSnapshot(collection(db, getCollectionPath('warehouses')), snapshot => {
+            setWarehouses(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })).sort((a, b) => (a.code || '').localeCompare(b.code || '')));
+        });
+        return () => unsubscribe();
+    }, [user]);
+
+    const defaultWarehouseId = (warehouses.find(w => w.isDefault) || warehouses[0])?.id || null;
+    const getWarehouseName = useCallback((warehouseId) => warehouses.find(w => w.id === warehouseId)?.name || '-', [warehouses]);
+    return { warehouses, defaultWarehouseId, getWarehouseName };
+};
+
+const WarehouseSelect = ({ warehouses, value, onChange, label = '倉庫' }) => (
+    <div className="flex items-center space-x-2 text-sm">
+        <label className="font-medium text-gray-700">{label}</label>
+        <select value={value || ''} onChange={(e) => onChange(e.target.value)} className="p-2 border rounded-md bg-white">
+            {warehouses.length === 0 && <option value="">-- 尚未建立倉庫 --</option>}
+            {warehouses.map(w => <option key={w.id} value={w.id}>{w.name} ({w.code})</option>)}
+        </select>
+    </div>
+);
+
+// --- Parties (customers / suppliers) ---
+// 單據以 customerId / supplierId 參照客戶與供應商，partyName、partyCode、partyTier 為建立當時的快照
+const getPartySnapshot = (party) => ({ partyName: party.name, partyCode: party.code || '', ...(party.tier && { partyTier: party.tier }) });
+
+// 顯示時依 id 取目前的名稱，舊資料沒有 id 或對象已刪除時退回快照名稱
+const useParties = (collectionName) => {
+    const [parties, setParties] = useState([]);
+    const { user } = useAuth();
+
+    useEffect(() => {
+        if (!user) return;
+        const unsubscribe = onSnapshot(collection(db, getCollectionPath(collectionName)), snapshot => {
+            setParties(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })).sort((a, b) => (a.name || '').localeCompare(b.name || '')));
+        });
+        return () => unsubscribe();
+    }, [user, collectionName]);
+
+    const getParty = useCallback((partyId) => parties.find(p => p.id === partyId) || null, [parties]);
+    const getPartyName = useCallback((partyId, fallbackName) => getParty(partyId)?.name || fallbackName || '-', [getParty]);
+    return { parties, getParty, getPartyName };
+};
+
+// --- Product suppliers ---
+// 商品與供應商的供應關係；採購單的進價優先使用該供應商的最近進價，沒有紀錄時使用商品最近一次的進價
+const useProductSuppliers = () => {
+    const [productSuppliers, setProductSuppliers] = useState([]);
+    const { user } = useAuth();
+
+    useEffect(() => {
+        if (!user) return;
+        const unsubscribe = onSnapshot(collection(db, getCollectionPath('productSuppliers')), snapshot => setProductSuppliers(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))));
+        return () => unsubscribe();
+    }, [user]);
+
+    const getProductSupplier = useCallback((productId, supplierId) => productSuppliers.find(link => link.productId === productId && link.supplierId === supplierId) || null, [productSuppliers]);
+    const getPreferredSupplier = useCallback((productId) => productSuppliers.find(link => link.productId === productId && link.isPreferred) || null, [productSuppliers]);
+    return { productSuppliers, getProductSupplier, getPreferredSupplier };
+};
+
+// 帶入採購單的進價 (taxMode 為要帶入的採購單稅別): 供應商最近進價依當時採購單的稅別換算；沒有供應關係時以商品的未稅進價換算
+const getSupplierCost = (product, productSupplier, taxMode) => (productSupplier?.lastPrice !== undefined
+    ? convertUnitCost(productSupplier.lastPrice, productSupplier.lastPriceTaxMode || 'exclusive', taxMode)
+    : convertUnitCost(product?.cost || 0, 'exclusive', taxMode));
+
+// 最近進價附上稅別，內含稅的進價與未稅進價不同
+const formatLastPrice = (productSupplier) => `$${productSupplier.lastPrice.toLocaleString()}${productSupplier.lastPriceTaxMode === 'inclusive' ? ` (${TAX_MODE_MAP.inclusive})` : ''}`;
+
+// --- Pricing ---
+// 售價決定順序: 客戶合約價 > 等級價目表 > 商品主檔的等級售價 (price_{tier})；
+// 有效期間內的促銷價若更低則改用促銷價。同類價目表同時有效時以生效日最晚的一張為準
+const isPriceListActive = (priceList, date) => {
+    const effectiveFrom = priceList.effectiveFrom?.toDate();
+    const effectiveTo = priceList.effectiveTo?.toDate();
+    return !!effectiveFrom && effectiveFrom <= date && (!effectiveTo || date <= effectiveTo);
+};
+
+// 數量級距: 取「最低數量 ≤ 訂購數量」之中門檻最高的一筆
+const getBreakPrice = (priceList, productId, quantity) => {
+    const breaks = priceList.items.filter(item => item.productId === productId && item.minQuantity <= quantity);
+    if (breaks.length === 0) return null;
+    return breaks.reduce((best, item) => (item.minQuantity > best.minQuantity ? item : best)).price;
+};
+
+const findListPrice = (priceLists, productId, quantity) => priceLists
+    .map(priceList => ({ priceList, price: getBreakPrice(priceList, productId, quantity) }))
+    .filter(candidate => candidate.price !== null)
+    .sort((a, b) => b.priceList.effectiveFrom.toMillis() - a.priceList.effectiveFrom.toMillis())[0] || null;
+
+/**
+ * 依客戶、數量與日期計算品項牌價
+ * @returns {{ listPrice: number, priceSource: string, priceListId?: string, priceListName?: string }}
+ */
+const resolvePrice = ({ product, customer, quantity, priceLists, date = new Date() }) => {
+    const tier = customer?.tier || 'retail';
+    const activeLists = priceLists.filter(priceList => isPriceListActive(priceList, date)
+        && (!priceList.tier || priceList.tier === tier)
+        && (priceList.kind !== 'contract' || priceList.customerId === customer?.id));
+    const listsOfKind = (kind) => activeLists.filter(priceList => priceList.kind === kind);
+    const toResult = (priceSource, match) => ({ listPrice: match.price, priceSource, priceListId: match.priceList.id, priceListName: match.priceList.name });
+
+    const contract = findListPrice(listsOfKind('contract'), product.id, quantity);
+    const tierList = !contract && findListPrice(listsOfKind('tier'), product.id, quantity);
+    const resolved = contract ? toResult('contract', contract)
+        : tierList ? toResult('tier', tierList)
+        : { listPrice: product[getPriceField(tier)] || product.price_retail || 0, priceSource: 'base' };
+
+    const promotion = listsOfKind('promotion')
+        .map(priceList => ({ priceList, price: getBreakPrice(priceList, product.id, quantity) }))
+        .filter(candidate => candidate.price !== null)
+        .sort((a, b) => a.price - b.price)[0];
+    return promotion && promotion.price < resolved.listPrice ? toResult('promotion', promotion) : resolved;
+};
+
+// 單價與定價引擎算出的牌價不同即為手動改價，必須填寫原因
+const isPriceOverridden = (item) => item.listPrice !== undefined && item.price !== item.listPrice;
+
+// 手動改價 (有 overrideReason) 時顯示原牌價與來源
+const getPriceSourceLabel = (item) => {
+    const source = `${PRICE_SOURCE_MAP[item.priceSource] || PRICE_SOURCE_MAP.base}${item.priceListName ? `: ${item.priceListName}` : ''}`;
+    return item.overrideReason ? `手動改價 (${item.overrideReason})，原${source} $${(item.listPrice || 0).toLocaleString()}` : source;
+};
+
+const formatDiscount = (discountType, discountValue) => (discountValue ? (discountType === 'percent' ? `${discountValue}%` : `-$${discountValue.toLocaleString()}`) : '');
+
+// 估算毛利: 成本以商品平均成本計算 (尚未進貨過的商品退回最近進價)，毛利率以未稅金額為基準，取至小數一位
+const calculateMargin = (netAmount, items, products) => {
+    const estimatedCost = items.reduce((sum, item) => {
+        const product = products.find(p => p.id === item.productId);
+        return sum + (product?.averageCost || product?.cost || 0) * item.quantity;
+    }, 0);
+    const marginPercent = netAmount > 0 ? Math.round((netAmount - estimatedCost) / netAmount * 1000) / 10 : 0;
+    return { estimatedCost: Math.round(estimatedCost * 100) / 100, marginPercent };
+};
+
+// 需管理員特別核准的原因: 手動改價低於商品最低售價 (floorPrice)、整單毛利率低於門檻
+const getApprovalReasons = ({ items, products, marginPercent, minMarginPercent }) => [
+    ...items
+        .filter(item => item.overrideReason && products.find(p => p.id === item.productId)?.floorPrice > item.price)
+        .map(item => ({ code: 'belowFloor', message: `${item.name} 單價 $${item.price.toLocaleString()} 低於最低售價 $${products.find(p => p.id === item.productId).floorPrice.toLocaleString()}` })),
+    ...(marginPercent < minMarginPercent ? [{ code: 'lowMargin', message: `毛利率 ${marginPercent}% 低於門檻 ${minMarginPercent}%` }] : [])
+];
+
+// 銷售設定 (settings/sales)，目前只有毛利率門檻
+const useSalesSettings = () => {
+    const [settings, setSettings] = useState(null);
+    const { user } = useAuth();
+
+    useEffect(() => {
+        if (!user) return;
+        const unsubscribe = onSnapshot(doc(db, getDocPath('settings', 'sales')), snapshot => setSettings(snapshot.exists() ? snapshot.data() : {}));
+        return () => unsubscribe();
+    }, [user]);
+
+    const saveSettings = useCallback((changes) => setDoc(doc(db, getDocPath('settings', 'sales')), validateDocument('settings', { ...changes, updatedBy: user.uid, updatedAt: serverTimestamp() }), { merge: true }), [user]);
+    return { minMarginPercent: settings?.minMarginPercent ?? DEFAULT_MIN_MARGIN_PERCENT, saveSettings };
+};
+
+// 公司資料 (settings/company)，列印單據的抬頭；尚未讀取完成時為 null
+const useCompanySettings = () => {
+    const [company, setCompany] = useState(null);
+    const { user } = useAuth();
+
+    useEffect(() => {
+        if (!user) return;
+        const unsubscribe = onSnapshot(doc(db, getDocPath('settings', 'company')), snapshot => setCompany(snapshot.exists() ? snapshot.data() : {}), error => console.error("讀取公司資料錯誤:", error));
+        return () => unsubscribe();
+    }, [user]);
+
+    const saveCompany = useCallback((changes) => setDoc(doc(db, getDocPath('settings', 'company')), validateDocument('settings', { ...changes, updatedBy: user.uid, updatedAt: serverTimestamp() }), { merge: true }), [user]);
+    return { company, saveCompany };
+};
+
+// --- Accounts (AR / AP) ---
+// 帳齡區間以單據日期起算的天數劃分
+const AGING_BUCKETS = [
+    { key: 'days30', label: '0-30 天', maxDays: 30 },
+    { key: 'days60', label: '31-60 天', maxDays: 60 },
+    { key: 'days90', label: '61-90 天', maxDays: 90 },
+    { key: 'over90', label: '90 天以上', maxDays: Infinity }
+];
+
+// 交易與退回的異動附帶稅別與未稅/稅額 (退回為負數)，供營業稅申報彙總；收付款沒有這些欄位
+const getEntryTax = (document, sign) => ({ taxMode: document.taxMode || 'exempt', netAmount: sign * getNetAmount(document), taxAmount: sign * (document.taxAmount || 0) });
+
+// 異動以 partyId 歸戶；id 上線前的舊單據以名稱歸戶
+const getEntryParty = (document, partyIdField) => ({ partyId: document[partyIdField] || `name:${document.partyName}`, partyName: document.partyName });
+
+const getPaymentEntry = (payment, label, partyIdField) => ({
+    id: payment.id, ...getEntryParty(payment, partyIdField), date: payment.paidAt?.toDate(), number: payment.paymentNumber,
+    description: `${label} (${PAYMENT_METHOD_MAP[payment.method] || payment.method}${payment.reference ? ` ${payment.reference}` : ''})`, amount: -payment.amount
+});
+
+// 訂單的每次出貨 (出貨日期、金額與銷貨成本)；出貨紀錄上線前已完成的訂單視為一次出貨
+const getOrderShipments = (order) => {
+    if (order.shipmentSummaries?.length) return order.shipmentSummaries.map(shipment => ({ ...shipment, date: shipment.shippedAt?.toDate() }));
+    if (order.status !== 'Completed') return [];
+    return [{
+        shipmentId: order.id, date: (order.shippedAt || order.createdAt)?.toDate(), taxMode: order.taxMode, netAmount: getNetAmount(order), taxAmount: order.taxAmount || 0, totalAmount: order.totalAmount,
+        costAmount: order.items.reduce((sum, item) => sum + (item.costAtSale || 0) * (item.shippedQuantity ?? item.quantity), 0)
+    }];
+};
+
+// 銷貨依每次出貨認列 (出貨日期、出貨數量)
+const getSalesCharges = (order) => getOrderShipments(order).map(shipment => ({
+    id: shipment.shipmentId, ...getEntryParty(order, 'customerId'), date: shipment.date, number: order.orderNumber,
+    description: shipment.shipmentNumber ? `銷貨 (出貨 ${shipment.shipmentNumber})` : '銷貨', amount: shipment.totalAmount, ...getEntryTax(shipment, 1)
+}));
+
+// 進貨依每次收貨認列 (收貨日期、收貨數量)；收貨紀錄上線前到貨的採購單以整張單據的到貨數量認列
+const getPurchaseCharges = (order) => {
+    if (!order.receiptSummaries?.length) {
+        const received = calculateTax(order.items.reduce((sum, item) => sum + getReceivedQuantity(order, item) * item.cost, 0), order.taxMode);
+        return [{ id: order.id, ...getEntryParty(order, 'supplierId'), date: (order.lastReceivedAt || order.createdAt)?.toDate(), number: order.orderNumber, description: '進貨', amount: received.totalAmount, ...getEntryTax(received, 1) }];
+    }
+    return order.receiptSummaries.map(receipt => ({
+        id: receipt.receiptId, ...getEntryParty(order, 'supplierId'), date: receipt.receivedAt?.toDate(), number: order.orderNumber, description: `進貨 (收貨 ${receipt.receiptNumber})`, amount: receipt.totalAmount, ...getEntryTax(receipt, 1)
+    }));
+};
+
+// 應收帳款異動: 出貨的銷貨為應收 (正數)，銷貨退回與收款沖減 (負數)
+const getReceivableEntries = (sales, salesReturns, payments) => [
+    ...sales.flatMap(getSalesCharges),
+    ...salesReturns.map(salesReturn => ({ id: salesReturn.id, ...getEntryParty(salesReturn, 'customerId'), date: salesReturn.createdAt?.toDate(), number: salesReturn.returnNumber, description: `銷貨退回 (${salesReturn.orderNumber})`, amount: -salesReturn.totalAmount, ...getEntryTax(salesReturn, -1) })),
+    ...payments.map(payment => getPaymentEntry(payment, '收款', 'customerId'))
+].filter(entry => entry.date);
+
+// 應付帳款異動: 只計入實際到貨的金額，進貨退出與付款沖減
+const getPayableEntries = (purchases, purchaseReturns, payments) => [
+    ...purchases.flatMap(getPurchaseCharges),
+    ...purchaseReturns.map(purchaseReturn => ({ id: purchaseReturn.id, ...getEntryParty(purchaseReturn, 'supplierId'), date: purchaseReturn.createdAt?.toDate(), number: purchaseReturn.returnNumber, description: `進貨退出 (${purchaseReturn.orderNumber})`, amount: -purchaseReturn.totalAmount, ...getEntryTax(purchaseReturn, -1) })),
+    ...payments.map(payment => getPaymentEntry(payment, '付款', 'supplierId'))
+].filter(entry => entry.date);
+
+// 收付款設定，應收與應付共用同一套收付款紀錄、帳齡與對帳單計算
+const ACCOUNT_TYPES = {
+    receivable: {
+        paymentCollection: 'customerPayments', partyCollection: 'customers', partyIdField: 'customerId', partyLabel: '客戶', paymentLabel: '收款', balanceLabel: '應收',
+        chargeCollection: 'salesOrders', chargeStatuses: ['Partially Shipped', ...SHIPPED_STATUSES], returnCollection: 'salesReturns', getEntries: getReceivableEntries
+    },
+    payable: {
+        paymentCollection: 'supplierPayments', partyCollection: 'suppliers', partyIdField: 'supplierId', partyLabel: '供應商', paymentLabel: '付款', balanceLabel: '應付',
+        chargeCollection: 'purchaseOrders', chargeStatuses: ['Partially Received', 'Received', 'Closed'], returnCollection: 'purchaseReturns', getEntries: getPayableEntries
+    }
+};
+
+// 對帳單: 開始日期前的異動合計為期初餘額，期間內逐筆累計餘額，最後一筆餘額即期末餘額
+const buildStatement = (entries, startDate, endDate) => {
+    const start = new Date(`${startDate}T00:00:00`);
+    const end = new Date(`${endDate}T23:59:59.999`);
+    const sorted = [...entries].sort((a, b) => a.date - b.date);
+    const openingBalance = sorted.filter(entry => entry.date < start).reduce((sum, entry) => sum + entry.amount, 0);
+    let balance = openingBalance;
+    const periodEntries = [];
+    for (const entry of sorted.filter(entry => entry.date >= start && entry.date <= end)) {
+        balance += entry.amount;
+        periodEntries.push({ ...entry, balance });
+    }
+    return {
+        openingBalance,
+        entries: periodEntries,
+        totalCharges: periodEntries.filter(entry => entry.amount > 0).reduce((sum, entry) => sum + entry.amount, 0),
+        totalCredits: periodEntries.filter(entry => entry.amount < 0).reduce((sum, entry) => sum - entry.amount, 0),
+        closingBalance: balance
+    };
+};
+
+// 帳齡: 收付款與退回依先進先出沖銷最早的單據，未沖銷的餘額依單據日期歸入各區間；
+// 沖銷後仍有餘額 (溢收/溢付) 以負數列在最近的區間
+const buildAging = (entries, asOf = new Date()) => {
+    const aging = Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket.key, 0]));
+    let remainingCredit = entries.filter(entry => entry.amount < 0).reduce((sum, entry) => sum - entry.amount, 0);
+    const charges = entries.filter(entry => entry.amount > 0).sort((a, b) => a.date - b.date);
+    for (const charge of charges) {
+        const applied = Math.min(charge.amount, remainingCredit);
+        remainingCredit -= applied;
+        if (charge.amount - applied <= 0) continue;
+        const days = Math.floor((asOf - charge.date) / 86400000);
+        aging[AGING_BUCKETS.find(bucket => days <= bucket.maxDays).key] += charge.amount - applied;
+    }
+    aging[AGING_BUCKETS[0].key] -= remainingCredit;
+    aging.total = AGING_BUCKETS.reduce((sum, bucket) => sum + aging[bucket.key], 0);
+    return aging;
+};
+
+// 訂閱計算帳款所需的單據，回傳所有往來對象的異動 (尚未依對象或日期篩選)
+const useAccountEntries = (type) => {
+    const [sources, setSources] = useState({ charges: [], returns: [], payments: [] });
+    const { user } = useAuth();
+
+    useEffect(() => {
+        if (!user) return;
+        const config = ACCOUNT_TYPES[type];
+        const setSource = (key) => (snapshot) => setSources(prev => ({ ...prev, [key]: snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })) }));
+        const unsubscribes = [
+            onSnapshot(query(collection(db, getCollectionPath(config.chargeCollection)), where('status', 'in', config.chargeStatuses)), setSource('charges')),
+            onSnapshot(collection(db, getCollectionPath(config.returnCollection)), setSource('returns')),
+            onSnapshot(collection(db, getCollectionPath(config.paymentCollection)), setSource('payments'))
+        ];
+        return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+    }, [user, type]);
+
+    return useMemo(() => ACCOUNT_TYPES[type].getEntries(sources.charges, sources.returns, sources.payments), [type, sources]);
+};
+
 // --- Main App Component ---
 export default function App() {
     return (
@@ -127,22 +529,31 @@ const InventorySystem = () => {
     }, [role, currentView]);
 
     const renderView = () => {
-        if (loading || !user) return <div className="flex items-center justify-center h-full"><div className="text-xl font-semibold">驗證使用者身份中...</div></div>;
         switch (currentView) {
             case 'dashboard': return <Dashboard />;
             case 'products': return role === 'admin' ? <ProductManagement /> : <AccessDenied />;
             case 'customers': return role === 'admin' ? <CustomerManagement /> : <AccessDenied />;
             case 'suppliers': return role === 'admin' ? <SupplierManagement /> : <AccessDenied />;
-            case 'inventory': return role === 'admin' ? <InventoryManagement /> : <AccessDenied />;
+            case 'warehouses': return role === 'admin' ? <WarehouseManagement /> : <AccessDenied />;
+            case 'priceLists': return role === 'admin' ? <PriceListManagement /> : <AccessDenied />;
+            case 'company': return role === 'admin' ? <CompanySettings /> : <AccessDenied />;
+            case 'inventory': return <InventoryManagement />;
             case 'sales': return role === 'admin' ? <SalesManagement /> : <AccessDenied />;
             case 'shipping': return <WarehouseShippingManagement />;
+            case 'receiving': return <WarehouseReceivingManagement />;
             case 'purchases': return role === 'admin' ? <PurchaseManagement /> : <AccessDenied />;
+            case 'replenishment': return role === 'admin' ? <Replenishment /> : <AccessDenied />;
+            case 'accounts': return role === 'admin' ? <AccountsManagement /> : <AccessDenied />;
             case 'reports': return role === 'admin' ? <Reports /> : <AccessDenied />;
+            case 'dataBackup': return role === 'admin' ? <DataBackup /> : <AccessDenied />;
             default: return <Dashboard />;
         }
     };
 
     if (!auth || !db) return <div className="flex items-center justify-center h-screen bg-gray-100"><div className="text-xl font-semibold text-red-500">Firebase 設定錯誤，請檢查設定。</div></div>;
+    if (loading) return <div className="flex items-center justify-center h-screen bg-gray-100"><div className="text-xl font-semibold">驗證使用者身份中...</div></div>;
+    if (!user) return <LoginPage />;
+    if (!role) return <NoRoleAssigned />;
 
     return (
         <div className="flex h-screen bg-gray-50 font-sans">
@@ -155,6 +566,60 @@ const InventorySystem = () => {
     );
 }
 
+// --- Login ---
+const LoginPage = () => {
+    const { login } = useAuth();
+    const [email, setEmail] = useState('');
+    const [password, setPassword] = useState('');
+    const [error, setError] = useState('');
+    const [submitting, setSubmitting] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError(''); setSubmitting(true);
+        try {
+            await login(email, password);
+        } catch (err) {
+            console.error("登入失敗:", err);
+            setError(['auth/invalid-credential', 'auth/wrong-password', 'auth/user-not-found', 'auth/invalid-email'].includes(err.code) ? '電子郵件或密碼錯誤。' : `登入失敗: ${err.message}`);
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    return (
+        <div className="flex items-center justify-center h-screen bg-gray-100">
+            <div className="bg-white rounded-lg shadow-xl p-8 w-full max-w-sm">
+                <h1 className="text-2xl font-bold text-gray-800 mb-6 text-center">進銷存系統</h1>
+                <form onSubmit={handleSubmit} className="space-y-4">
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">電子郵件</label>
+                        <input type="email" value={email} onChange={(e) => setEmail(e.target.value)} className="w-full p-2 border rounded" autoComplete="username" required />
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">密碼</label>
+                        <input type="password" value={password} onChange={(e) => setPassword(e.target.value)} className="w-full p-2 border rounded" autoComplete="current-password" required />
+                    </div>
+                    {error && <p className="text-sm text-red-600">{error}</p>}
+                    <button type="submit" disabled={submitting} className="w-full px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600 disabled:opacity-50">{submitting ? '登入中...' : '登入'}</button>
+                </form>
+            </div>
+        </div>
+    );
+};
+
+const NoRoleAssigned = () => {
+    const { user, logout } = useAuth();
+    return (
+        <div className="flex flex-col items-center justify-center h-screen bg-gray-100 text-center">
+            <AlertCircle className="w-16 h-16 text-red-500 mb-4" />
+            <h2 className="text-2xl font-bold text-gray-700">帳號尚未開通</h2>
+            <p className="text-gray-500 mt-2">帳號 {user.email} 尚未設定角色，請聯絡管理員。</p>
+            <button onClick={logout} className="mt-6 px-4 py-2 bg-gray-200 rounded hover:bg-gray-300">登出</button>
+        </div>
+    );
+};
+
 const getAvailableViews = (role) => {
     const allViews = [
         { id: 'dashboard', label: '儀表板', icon: Home },
@@ -166,35 +631,40 @@ const getAvailableViews = (role) => {
                 { id: 'products', label: '商品管理', icon: Package },
                 { id: 'customers', label: '客戶管理', icon: Users },
                 { id: 'suppliers', label: '供應商管理', icon: Building },
+                { id: 'warehouses', label: '倉庫管理', icon: Warehouse },
+                { id: 'priceLists', label: '價目表管理', icon: Tag },
+                { id: 'company', label: '公司資料', icon: Building2 },
             ] 
         },
         { id: 'inventory', label: '庫存管理', icon: ClipboardList },
         { id: 'sales', label: '銷貨管理', icon: ShoppingCart },
         { id: 'shipping', label: '倉庫出貨管理', icon: Truck },
+        { id: 'receiving', label: '倉庫收貨管理', icon: PackageCheck },
         { id: 'purchases', label: '進貨管理', icon: DollarSign },
+        { id: 'replenishment', label: '補貨建議', icon: PackagePlus },
+        { id: 'accounts', label: '帳款管理', icon: Wallet },
         { id: 'reports', label: '報表與結算', icon: FileText },
+        { id: 'dataBackup', label: '資料備份', icon: Download },
     ];
     if (role === 'admin') {
         return allViews;
     }
     if (role === 'warehouse') {
-        const allowedIds = ['dashboard', 'shipping'];
+        const allowedIds = ['dashboard', 'inventory', 'shipping', 'receiving'];
         return allViews.filter(view => allowedIds.includes(view.id) && !view.children);
     }
     return [];
 };
 
 const Header = () => {
-    const { role, setRole } = useAuth();
+    const { user, role, logout } = useAuth();
     return (
         <header className="bg-white shadow-sm p-4 border-b flex justify-between items-center">
             <h2 className="text-xl font-semibold text-gray-700">歡迎使用系統</h2>
             <div className="flex items-center space-x-4">
-                <span className="text-sm text-gray-600">目前角色: <span className="font-bold text-blue-600">{role === 'admin' ? '管理員' : '倉庫人員'}</span></span>
-                <select value={role} onChange={(e) => setRole(e.target.value)} className="p-2 border rounded-md bg-white text-sm">
-                    <option value="admin">切換為 管理員</option>
-                    <option value="warehouse">切換為 倉庫人員</option>
-                </select>
+                <span className="text-sm text-gray-600">{user.email}</span>
+                <span className="text-sm text-gray-600">目前角色: <span className="font-bold text-blue-600">{ROLE_MAP[role]}</span></span>
+                <button onClick={logout} className="flex items-center p-2 border rounded-md bg-white text-sm text-gray-600 hover:bg-gray-100"><LogOut className="w-4 h-4 mr-1" /> 登出</button>
             </div>
         </header>
     );
@@ -277,6 +747,7 @@ const Sidebar = ({ currentView, setCurrentView }) => {
 const Dashboard = () => {
     const [products, setProducts] = useState([]);
     const [sales, setSales] = useState([]);
+    const [salesReturns, setSalesReturns] = useState([]);
     const { role, user } = useAuth();
     const [startDate, setStartDate] = useState(() => new Date(new Date().getFullYear(), new Date().getMonth(), 1).toISOString().split('T')[0]);
     const [endDate, setEndDate] = useState(() => new Date(new Date().getFullYear(), new Date().getMonth() + 1, 0).toISOString().split('T')[0]);
@@ -285,23 +756,32 @@ const Dashboard = () => {
         if (!user) return;
         const productsUnsub = onSnapshot(collection(db, getCollectionPath('products')), snapshot => setProducts(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))), error => console.error("讀取商品錯誤:", error));
         const salesUnsub = onSnapshot(collection(db, getCollectionPath('salesOrders')), snapshot => setSales(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))), error => console.error("讀取銷售單錯誤:", error));
-        return () => { productsUnsub(); salesUnsub(); };
-    }, [user]);
+        // 銷貨退回只有管理員可以讀取
+        const returnsUnsub = role === 'admin'
+            ? onSnapshot(collection(db, getCollectionPath('salesReturns')), snapshot => setSalesReturns(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))), error => console.error("讀取銷貨退回錯誤:", error))
+            : () => {};
+        return () => { productsUnsub(); salesUnsub(); returnsUnsub(); };
+    }, [user, role]);
 
-    const filteredCompletedSales = useMemo(() => {
-        const start = new Date(startDate);
-        const end = new Date(endDate);
-        end.setHours(23, 59, 59, 999);
-        return sales.filter(order => {
-            const orderDate = order.createdAt?.toDate();
-            return order.status === 'Completed' && orderDate >= start && orderDate <= end;
-        });
+    // 與報表的整體業績分析相同: 依出貨日期認列每次出貨的未稅金額，沖減當期銷貨退回
+    const periodShipments = useMemo(() => {
+        const start = new Date(`${startDate}T00:00:00`);
+        const end = new Date(`${endDate}T23:59:59.999`);
+        return sales.flatMap(getOrderShipments).filter(shipment => shipment.date >= start && shipment.date <= end);
     }, [sales, startDate, endDate]);
 
-    const totalRevenue = useMemo(() => filteredCompletedSales.reduce((sum, order) => sum + order.totalAmount, 0), [filteredCompletedSales]);
-    const totalCompletedOrders = useMemo(() => filteredCompletedSales.length, [filteredCompletedSales]);
+    const totalRevenue = useMemo(() => {
+        const start = new Date(`${startDate}T00:00:00`);
+        const end = new Date(`${endDate}T23:59:59.999`);
+        const totalReturns = salesReturns.filter(salesReturn => {
+            const returnDate = salesReturn.createdAt?.toDate();
+            return returnDate >= start && returnDate <= end;
+        }).reduce((sum, salesReturn) => sum + getNetAmount(salesReturn), 0);
+        return periodShipments.reduce((sum, shipment) => sum + shipment.netAmount, 0) - totalReturns;
+    }, [periodShipments, salesReturns, startDate, endDate]);
     const totalInventoryCost = useMemo(() => products.reduce((sum, p) => sum + ((p.stock || 0) * (p.averageCost || 0)), 0), [products]);
-    const lowStockProducts = useMemo(() => products.filter(p => p.stock <= (p.lowStockThreshold || 5)), [products]);
+    const lowStockProducts = useMemo(() => products.filter(p => getAvailableStock(p) <= (p.lowStockThreshold || 5)), [products]);
+    const totalReservedUnits = useMemo(() => products.reduce((sum, p) => sum + (p.reserved || 0), 0), [products]);
 
     return (
         <div>
@@ -320,11 +800,12 @@ const Dashboard = () => {
             </div>
             <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6 mb-6">
                 {role === 'admin' && <StatCard icon={DollarSign} title="期間總銷售額" value={`$${totalRevenue.toLocaleString()}`} color="green" />}
-                {role === 'admin' && <StatCard icon={CheckCircle} title="期間已完成訂單" value={totalCompletedOrders} color="blue" />}
+                {role === 'admin' && <StatCard icon={CheckCircle} title="期間出貨次數" value={periodShipments.length} color="blue" />}
                 {role === 'admin' && <StatCard icon={Archive} title="總庫存成本" value={`$${totalInventoryCost.toLocaleString(undefined, {minimumFractionDigits: 2, maximumFractionDigits: 2})}`} color="purple" />}
                 <StatCard icon={Package} title="商品總數" value={products.length} color="blue" />
-                <StatCard icon={Truck} title="待出貨訂單" value={sales.filter(o => o.status === 'Pending Shipment').length} color="orange" />
-                <StatCard icon={AlertCircle} title="低庫存商品" value={lowStockProducts.length} color="red" />
+                <StatCard icon={Truck} title="待出貨訂單" value={sales.filter(o => SHIPPABLE_STATUSES.includes(o.status)).length} color="orange" />
+                <StatCard icon={ClipboardList} title="已保留庫存數量" value={totalReservedUnits} color="purple" />
+                <StatCard icon={AlertCircle} title="低庫存商品 (依可用庫存)" value={lowStockProducts.length} color="red" />
             </div>
         </div>
     );
@@ -366,11 +847,284 @@ const ResizableHeader = ({ children, width, onResize }) => {
     );
 };
 
+// --- Bulk Import ---
+// 批次匯入設定: 欄位標題可以是欄位代碼、中文名稱或別名；keyField 用來比對既有資料，決定新增或更新
+const IMPORT_TYPES = {
+    products: {
+        label: '商品', collectionName: 'products', keyField: 'sku',
+        fields: [
+            { key: 'sku', label: '商品貨號', aliases: ['SKU', '貨號', '料號'], required: true },
+            { key: 'brand', label: '品牌' },
+            { key: 'name', label: '產品名稱', aliases: ['品名', '商品名稱'], required: true },
+            { key: 'spec', label: '規格' },
+            { key: 'barcode', label: '條碼', aliases: ['國際條碼', 'EAN', 'Barcode'], type: 'barcode' },
+            { key: 'description', label: '商品描述', aliases: ['描述'] },
+            { key: 'price_retail', label: '零售價', type: 'number' },
+            { key: 'price_bronze', label: '銅牌價', type: 'number' },
+            { key: 'price_silver', label: '銀牌價', type: 'number' },
+            { key: 'price_gold', label: '金牌價', type: 'number' },
+            { key: 'floorPrice', label: '最低售價', aliases: ['底價'], type: 'number' },
+            { key: 'lowStockThreshold', label: '低庫存警示數量', aliases: ['安全庫存'], type: 'integer' }
+        ],
+        // 掃描時以條碼或 SKU 找商品 (findProductByCode)，條碼不可與其他商品的條碼或 SKU 重複
+        validateRow: (data, otherRecords) => {
+            const duplicate = data.barcode && findProductByCode(otherRecords, data.barcode);
+            return duplicate ? `條碼「${data.barcode}」已用於商品 ${duplicate.sku}` : null;
+        },
+        // 新商品的庫存與成本一律由進貨、盤點產生，不從檔案匯入
+        createDefaults: () => ({ averageCost: 0, cost: 0, stock: 0, reserved: 0, price_retail: 0, price_bronze: 0, price_silver: 0, price_gold: 0, lowStockThreshold: 5, createdAt: serverTimestamp() })
+    },
+    customers: {
+        label: '客戶', collectionName: 'customers', keyField: 'code',
+        fields: [
+            { key: 'code', label: '客戶編碼', aliases: ['編碼'], required: true },
+            { key: 'name', label: '客戶名稱', aliases: ['名稱'], required: true },
+            { key: 'tier', label: '客戶等級', aliases: ['等級'], type: 'tier' }
+        ],
+        createDefaults: () => ({ tier: 'retail' })
+    },
+    suppliers: {
+        label: '供應商', collectionName: 'suppliers', keyField: 'code',
+        fields: [
+            { key: 'code', label: '供應商編碼', aliases: ['編碼'], required: true },
+            { key: 'name', label: '供應商名稱', aliases: ['名稱'], required: true },
+            { key: 'leadTimeDays', label: '交期天數', aliases: ['交期'], type: 'integer' }
+        ],
+        createDefaults: () => ({})
+    }
+};
+const IMPORT_ACTION_MAP = {
+    create: { label: '新增', color: 'text-green-600' },
+    update: { label: '更新', color: 'text-blue-600' },
+    unchanged: { label: '無變更', color: 'text-gray-400' },
+    error: { label: '錯誤', color: 'text-red-600' }
+};
+
+// 解析 CSV (支援雙引號包住的逗號、換行與 "" 跳脫，以及 Excel 存檔時的 BOM)
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const input = text.replace(/^\uFEFF/, '');
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') { field += '"'; i++; }
+            else if (char === '"') inQuotes = false;
+            else field += char;
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+};
+
+// 讀取 CSV 或 XLSX 的第一個工作表，回傳標題列與資料列 (略過空白列)
+const readSpreadsheet = async (file) => {
+    const rows = file.name.toLowerCase().endsWith('.csv') ? parseCsv(await file.text()) : await readSheet(file);
+    const [headerRow = [], ...dataRows] = rows.filter(row => row.some(cell => cell !== null && String(cell).trim() !== ''));
+    return { headers: headerRow.map(cell => String(cell ?? '').trim()), rows: dataRows };
+};
+
+const normalizeHeader = (header) => header.toLowerCase().replace(/[\s_()（）]/g, '');
+const guessImportMapping = (fields, headers) => Object.fromEntries(fields.map(field => {
+    const candidates = [field.key, field.label, ...(field.aliases || [])].map(normalizeHeader);
+    const index = headers.findIndex(header => candidates.includes(normalizeHeader(header)));
+    return [field.key, index >= 0 ? index : ''];
+}));
+
+const parseImportValue = (field, rawValue) => {
+    const value = String(rawValue ?? '').trim();
+    if (value === '') return { empty: true };
+    if (field.type === 'number' || field.type === 'integer') {
+        const number = Number(value.replace(/,/g, ''));
+        if (Number.isNaN(number) || number < 0 || (field.type === 'integer' && !Number.isInteger(number))) return { error: `${field.label}「${value}」不是有效的${field.type === 'integer' ? '整數' : '數字'}` };
+        return { value: number };
+    }
+    if (field.type === 'tier') {
+        const tier = TIER_MAP[value] ? value : Object.keys(TIER_MAP).find(key => TIER_MAP[key] === value);
+        if (!tier) return { error: `${field.label}「${value}」不存在 (可用: ${Object.values(TIER_MAP).join('、')})` };
+        return { value: tier };
+    }
+    if (field.type === 'barcode' && !isCode128Encodable(value)) return { error: `${field.label}「${value}」含有無法列印成條碼的字元 (只可使用半形英數字與符號)` };
+    return { value };
+};
+
+// 逐列驗證並與既有資料比對: 必填、格式、檔案內重複的 key 及 validateRow 回報的問題列為錯誤；既有 key 只更新有填值且不同的欄位
+// validateRow 比對的是既有資料套用前面各列匯入內容後的結果
+const buildImportPlan = (config, rows, mapping, existingRecords) => {
+    const existingByKey = new Map(existingRecords.filter(record => record[config.keyField]).map(record => [String(record[config.keyField]).trim().toLowerCase(), record]));
+    const importedByKey = new Map(existingByKey);
+    const seenKeys = new Map();
+    return rows.map((row, index) => {
+        const rowNumber = index + 2;
+        const data = {};
+        const errors = [];
+        for (const field of config.fields) {
+            if (mapping[field.key] === '') continue;
+            const parsed = parseImportValue(field, row[mapping[field.key]]);
+            if (parsed.error) errors.push(parsed.error);
+            else if (parsed.empty && field.required) errors.push(`${field.label}為必填`);
+            else if (!parsed.empty) data[field.key] = parsed.value;
+        }
+        const key = String(data[config.keyField] ?? '').toLowerCase();
+        if (key && seenKeys.has(key)) errors.push(`${config.fields.find(field => field.key === config.keyField).label}與第 ${seenKeys.get(key)} 列重複`);
+        if (key && !seenKeys.has(key)) seenKeys.set(key, rowNumber);
+        const rowError = errors.length === 0 && config.validateRow?.(data, [...importedByKey].filter(([recordKey]) => recordKey !== key).map(([, record]) => record));
+        if (rowError) errors.push(rowError);
+        if (errors.length > 0) return { rowNumber, key: data[config.keyField], action: 'error', data, errors };
+
+        const existing = existingByKey.get(key);
+        importedByKey.set(key, { ...existing, ...data });
+        if (!existing) return { rowNumber, key: data[config.keyField], action: 'create', data, errors };
+        const changes = Object.fromEntries(Object.entries(data).filter(([field, value]) => field !== config.keyField && existing[field] !== value));
+        return { rowNumber, key: data[config.keyField], action: Object.keys(changes).length > 0 ? 'update' : 'unchanged', existing, data: changes, errors };
+    });
+};
+
+const BulkImportModal = ({ type, existingRecords, onClose }) => {
+    const config = IMPORT_TYPES[type];
+    const [fileName, setFileName] = useState('');
+    const [sheet, setSheet] = useState(null);
+    const [mapping, setMapping] = useState({});
+    const [results, setResults] = useState(null);
+    const [isImporting, setIsImporting] = useState(false);
+    const { showMessage } = useModal();
+
+    const missingRequired = config.fields.filter(field => field.required && mapping[field.key] === '');
+    const plan = useMemo(() => (sheet && missingRequired.length === 0 ? buildImportPlan(config, sheet.rows, mapping, existingRecords) : []), [config, sheet, mapping, existingRecords, missingRequired.length]);
+    const counts = useMemo(() => Object.fromEntries(Object.keys(IMPORT_ACTION_MAP).map(action => [action, plan.filter(row => row.action === action).length])), [plan]);
+
+    const handleFileChange = async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        try {
+            const parsed = await readSpreadsheet(file);
+            if (parsed.rows.length === 0) return showMessage('檔案中沒有資料列。', 'error');
+            setFileName(file.name);
+            setSheet(parsed);
+            setMapping(guessImportMapping(config.fields, parsed.headers));
+            setResults(null);
+        } catch (error) { showMessage(`無法讀取檔案: ${error.message}`, 'error'); }
+    };
+
+    // 依批次寫入，未通過文件驗證的列不寫入；單一批次失敗只影響該批的列，其他批次照常寫入
+    const handleImport = async () => {
+        const pending = plan.filter(row => row.action === 'create' || row.action === 'update');
+        setIsImporting(true);
+        const outcomes = new Map();
+        for (let start = 0; start < pending.length; start += WRITE_BATCH_SIZE) {
+            const batch = writeBatch(db);
+            const queued = [];
+            for (const row of pending.slice(start, start + WRITE_BATCH_SIZE)) {
+                try {
+                    if (row.action === 'create') batch.set(doc(collection(db, getCollectionPath(config.collectionName))), validateDocument(config.collectionName, { ...config.createDefaults(), ...row.data }));
+                    else batch.update(doc(db, getDocPath(config.collectionName, row.existing.id)), validateDocument(config.collectionName, row.data, { partial: true }));
+                    queued.push(row);
+                } catch (error) {
+                    outcomes.set(row.rowNumber, error.message);
+                }
+            }
+            if (queued.length === 0) continue;
+            try {
+                await batch.commit();
+                queued.forEach(row => outcomes.set(row.rowNumber, null));
+            } catch (error) {
+                queued.forEach(row => outcomes.set(row.rowNumber, error.message));
+            }
+        }
+        setIsImporting(false);
+        setResults(plan.map(row => ({ ...row, writeError: outcomes.get(row.rowNumber) })));
+        const failed = [...outcomes.values()].filter(Boolean).length;
+        showMessage(`匯入完成: 成功 ${outcomes.size - failed} 筆，失敗 ${failed + counts.error} 筆。`, failed + counts.error > 0 ? 'error' : 'success');
+    };
+
+    const describeRow = (row) => Object.entries(row.data).map(([field, value]) => {
+        const label = config.fields.find(f => f.key === field)?.label || field;
+        return row.action === 'update' ? `${label}: ${row.existing[field] ?? '(空白)'} → ${value}` : `${label}: ${value}`;
+    }).join('、');
+
+    const rowsToShow = results || plan;
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex justify-center items-center z-50">
+            <div className="bg-white rounded-lg shadow-xl p-8 w-full max-w-5xl max-h-[90vh] flex flex-col">
+                <h3 className="text-2xl font-bold mb-4">批次匯入{config.label}</h3>
+                <div className="mb-4">
+                    <label className="block text-sm font-medium text-gray-700 mb-1">選擇 CSV 或 Excel (.xlsx) 檔案，第一列為欄位標題</label>
+                    <input type="file" accept=".csv,.xlsx" onChange={handleFileChange} disabled={isImporting} className="block w-full text-sm" />
+                    <p className="text-xs text-gray-500 mt-1">可用欄位: {config.fields.map(field => `${field.label}${field.required ? '*' : ''}`).join('、')}。已存在的{config.fields.find(field => field.key === config.keyField).label}會更新有填值的欄位。</p>
+                </div>
+                {sheet && !results && (
+                    <div className="grid grid-cols-2 md:grid-cols-4 gap-2 mb-4 text-sm">
+                        {config.fields.map(field => (
+                            <div key={field.key}>
+                                <label className="block text-xs text-gray-600 mb-1">{field.label}{field.required && <span className="text-red-500">*</span>}</label>
+                                <select value={mapping[field.key]} onChange={(e) => setMapping(prev => ({ ...prev, [field.key]: e.target.value === '' ? '' : Number(e.target.value) }))} className="w-full p-1 border rounded bg-white">
+                                    <option value="">-- 不匯入 --</option>
+                                    {sheet.headers.map((header, index) => <option key={index} value={index}>{header || `第 ${index + 1} 欄`}</option>)}
+                                </select>
+                            </div>
+                        ))}
+                    </div>
+                )}
+                {sheet && missingRequired.length > 0 && <p className="text-sm text-red-600 mb-2">請指定必填欄位的對應: {missingRequired.map(field => field.label).join('、')}</p>}
+                {rowsToShow.length > 0 && (
+                    <>
+                        <p className="text-sm text-gray-700 mb-2">
+                            {fileName}: {Object.entries(IMPORT_ACTION_MAP).map(([action, { label }]) => `${label} ${counts[action]} 筆`).join('，')}
+                        </p>
+                        <div className="overflow-y-auto border rounded-md flex-1">
+                            <table className="w-full text-sm text-left text-gray-500">
+                                <thead className="text-xs text-gray-700 uppercase bg-gray-50 sticky top-0">
+                                    <tr><th className="px-4 py-2">列</th><th className="px-4 py-2">{results ? '結果' : '動作'}</th><th className="px-4 py-2">{config.fields.find(field => field.key === config.keyField).label}</th><th className="px-4 py-2">內容 / 錯誤</th></tr>
+                                </thead>
+                                <tbody>{rowsToShow.map(row => {
+                                    const failed = row.action === 'error' || row.writeError;
+                                    return (
+                                        <tr key={row.rowNumber} className="bg-white border-b">
+                                            <td className="px-4 py-2">{row.rowNumber}</td>
+                                            <td className={`px-4 py-2 font-semibold ${failed ? IMPORT_ACTION_MAP.error.color : IMPORT_ACTION_MAP[row.action].color}`}>{row.writeError ? '寫入失敗' : IMPORT_ACTION_MAP[row.action].label}{results && !failed && row.action !== 'unchanged' && ' ✓'}</td>
+                                            <td className="px-4 py-2">{row.key}</td>
+                                            <td className={`px-4 py-2 ${failed ? 'text-red-600' : ''}`}>{row.writeError || (row.errors.length > 0 ? row.errors.join('；') : describeRow(row))}</td>
+                                        </tr>
+                                    );
+                                })}</tbody>
+                            </table>
+                        </div>
+                    </>
+                )}
+                <div className="flex justify-end space-x-4 pt-4">
+                    <button type="button" onClick={onClose} disabled={isImporting} className="px-4 py-2 bg-gray-200 rounded hover:bg-gray-300">{results ? '關閉' : '取消'}</button>
+                    {!results && <button type="button" onClick={handleImport} disabled={isImporting || counts.create + counts.update === 0} className="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600 disabled:bg-gray-300">{isImporting ? '匯入中...' : `確認匯入 ${counts.create + counts.update} 筆`}</button>}
+                </div>
+            </div>
+        </div>
+    );
+};
+
 // --- Customer Management ---
 const CustomerManagement = () => {
     const [customers, setCustomers] = useState([]);
     const [isModalOpen, setIsModalOpen] = useState(false);
     const [editingCustomer, setEditingCustomer] = useState(null);
+    const [isImportOpen, setIsImportOpen] = useState(false);
     const [searchTerm, setSearchTerm] = useState('');
     const { user } = useAuth();
     const { showConfirmation } = useModal();
@@ -388,11 +1142,11 @@ const CustomerManagement = () => {
 
     const handleAdd = async (customer) => {
         const { id, ...customerData } = customer; 
-        await addDoc(collection(db, getCollectionPath('customers')), customerData);
+        await addDoc(collection(db, getCollectionPath('customers')), validateDocument('customers', customerData));
     };
     const handleUpdate = async (customer) => {
         const { id, ...customerData } = customer;
-        await updateDoc(doc(db, getDocPath('customers', id)), customerData);
+        await updateDoc(doc(db, getDocPath('customers', id)), validateDocument('customers', customerData, { partial: true }));
     };
     const handleDelete = async (id) => {
         const confirmed = await showConfirmation('確定要刪除此客戶嗎？');
@@ -420,6 +1174,7 @@ const CustomerManagement = () => {
                         onChange={(e) => setSearchTerm(e.target.value)}
                         className="w-64 p-2 border rounded-md"
                     />
+                    <button onClick={() => setIsImportOpen(true)} className="flex items-center bg-gray-600 text-white px-4 py-2 rounded-lg shadow hover:bg-gray-700 transition"><Upload className="w-5 h-5 mr-2" /> 批次匯入</button>
                     <button onClick={() => openModal()} className="flex items-center bg-blue-500 text-white px-4 py-2 rounded-lg shadow hover:bg-blue-600 transition"><PlusCircle className="w-5 h-5 mr-2" /> 新增客戶</button>
                 </div>
             </div>
@@ -447,14 +1202,23 @@ const CustomerManagement = () => {
                 </table>
             </div></div>
             {isModalOpen && <CustomerForm customer={editingCustomer} onClose={() => setIsModalOpen(false)} onSave={editingCustomer ? handleUpdate : handleAdd} />}
+            {isImportOpen && <BulkImportModal type="customers" existingRecords={customers} onClose={() => setIsImportOpen(false)} />}
         </div>
     );
 };
 
 const CustomerForm = ({ customer, onClose, onSave }) => {
+    const { showMessage } = useModal();
     const [formData, setFormData] = useState({ name: customer?.name || '', tier: customer?.tier || 'retail', code: customer?.code || '' });
     const handleChange = (e) => { const { name, value } = e.target; setFormData(prev => ({ ...prev, [name]: value })); };
-    const handleSubmit = (e) => { e.preventDefault(); onSave({ id: customer?.id, ...formData }); onClose(); };
+    // 儲存成功才關閉表單，失敗時保留已輸入的內容
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        try {
+            await onSave({ id: customer?.id, ...formData });
+            onClose();
+        } catch (error) { showMessage(`儲存失敗: ${error.message}`, 'error'); }
+    };
 
     return (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex justify-center items-center z-50">
@@ -491,10 +1255,13 @@ const SupplierManagement = () => {
     const [suppliers, setSuppliers] = useState([]);
     const [isModalOpen, setIsModalOpen] = useState(false);
     const [editingSupplier, setEditingSupplier] = useState(null);
+    const [catalogSupplier, setCatalogSupplier] = useState(null);
+    const [isImportOpen, setIsImportOpen] = useState(false);
     const [searchTerm, setSearchTerm] = useState('');
     const { user } = useAuth();
     const { showConfirmation } = useModal();
-    const [columnWidths, setColumnWidths] = useState({ code: 150, name: 300, actions: 100 });
+    const { productSuppliers } = useProductSuppliers();
+    const [columnWidths, setColumnWidths] = useState({ code: 150, name: 300, catalogue: 120, actions: 140 });
 
     const handleResize = (key) => (newWidth) => {
         setColumnWidths(prev => ({ ...prev, [key]: newWidth }));
@@ -508,11 +1275,11 @@ const SupplierManagement = () => {
 
     const handleAdd = async (supplier) => {
         const { id, ...supplierData } = supplier;
-        await addDoc(collection(db, getCollectionPath('suppliers')), supplierData);
+        await addDoc(collection(db, getCollectionPath('suppliers')), validateDocument('suppliers', supplierData));
     };
     const handleUpdate = async (supplier) => {
         const { id, ...supplierData } = supplier;
-        await updateDoc(doc(db, getDocPath('suppliers', id)), supplierData);
+        await updateDoc(doc(db, getDocPath('suppliers', id)), validateDocument('suppliers', supplierData, { partial: true }));
     };
     const handleDelete = async (id) => {
         const confirmed = await showConfirmation('確定要刪除此供應商嗎？');
@@ -540,6 +1307,7 @@ const SupplierManagement = () => {
                         onChange={(e) => setSearchTerm(e.target.value)}
                         className="w-64 p-2 border rounded-md"
                     />
+                    <button onClick={() => setIsImportOpen(true)} className="flex items-center bg-gray-600 text-white px-4 py-2 rounded-lg shadow hover:bg-gray-700 transition"><Upload className="w-5 h-5 mr-2" /> 批次匯入</button>
                     <button onClick={() => openModal()} className="flex items-center bg-blue-500 text-white px-4 py-2 rounded-lg shadow hover:bg-blue-600 transition"><PlusCircle className="w-5 h-5 mr-2" /> 新增供應商</button>
                 </div>
             </div>
@@ -549,6 +1317,7 @@ const SupplierManagement = () => {
                         <tr>
                             <ResizableHeader width={columnWidths.code} onResize={handleResize('code')}>供應商編碼</ResizableHeader>
                             <ResizableHeader width={columnWidths.name} onResize={handleResize('name')}>供應商名稱</ResizableHeader>
+                            <ResizableHeader width={columnWidths.catalogue} onResize={handleResize('catalogue')}>供應商品</ResizableHeader>
                             <th style={{width: `${columnWidths.actions}px`}} className="px-6 py-3">操作</th>
                         </tr>
                     </thead>
@@ -556,7 +1325,9 @@ const SupplierManagement = () => {
                         <tr key={s.id} className="bg-white border-b border-gray-200 hover:bg-gray-50">
                             <td className="px-6 py-4 font-medium text-gray-900 truncate border-r border-gray-200">{s.code}</td>
                             <td className="px-6 py-4 truncate border-r border-gray-200">{s.name}</td>
+                            <td className="px-6 py-4 border-r border-gray-200">{productSuppliers.filter(link => link.supplierId === s.id).length} 項</td>
                             <td className="px-6 py-4 flex space-x-2">
+                                <button onClick={() => setCatalogSupplier(s)} className="text-gray-600 hover:text-gray-800" title="供應商目錄"><BookOpen className="w-5 h-5" /></button>
                                 <button onClick={() => openModal(s)} className="text-blue-600 hover:text-blue-800"><Edit className="w-5 h-5" /></button>
                                 <button onClick={() => handleDelete(s.id)} className="text-red-600 hover:text-red-800"><Trash2 className="w-5 h-5" /></button>
                             </td>
@@ -565,14 +1336,24 @@ const SupplierManagement = () => {
                 </table>
             </div></div>
             {isModalOpen && <SupplierForm supplier={editingSupplier} onClose={() => setIsModalOpen(false)} onSave={editingSupplier ? handleUpdate : handleAdd} />}
+            {catalogSupplier && <SupplierCatalog supplier={catalogSupplier} onClose={() => setCatalogSupplier(null)} />}
+            {isImportOpen && <BulkImportModal type="suppliers" existingRecords={suppliers} onClose={() => setIsImportOpen(false)} />}
         </div>
     );
 };
 
 const SupplierForm = ({ supplier, onClose, onSave }) => {
-    const [formData, setFormData] = useState({ name: supplier?.name || '', code: supplier?.code || '' });
+    const { showMessage } = useModal();
+    const [formData, setFormData] = useState({ name: supplier?.name || '', code: supplier?.code || '', leadTimeDays: supplier?.leadTimeDays ?? '' });
     const handleChange = (e) => { const { name, value } = e.target; setFormData(prev => ({ ...prev, [name]: value })); };
-    const handleSubmit = (e) => { e.preventDefault(); onSave({ id: supplier?.id, ...formData }); onClose(); };
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const { leadTimeDays, ...supplierData } = formData;
+        try {
+            await onSave({ id: supplier?.id, ...supplierData, ...(leadTimeDays !== '' && { leadTimeDays: parseInt(leadTimeDays, 10) || 0 }) });
+            onClose();
+        } catch (error) { showMessage(`儲存失敗: ${error.message}`, 'error'); }
+    };
 
     return (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex justify-center items-center z-50">
@@ -587,6 +1368,10 @@ const SupplierForm = ({ supplier, onClose, onSave }) => {
                         <label className="block text-sm font-medium text-gray-700 mb-1">供應商名稱</label>
                         <input name="name" value={formData.name} onChange={handleChange} className="w-full p-2 border rounded" required />
                     </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">交期天數 (下單到到貨，補貨建議使用)</label>
+                        <input type="number" name="leadTimeDays" value={formData.leadTimeDays} onChange={handleChange} min="0" placeholder={`未填寫時以 ${REPLENISHMENT_DEFAULTS.leadTimeDays} 天估算`} className="w-full p-2 border rounded" />
+                    </div>
                     <div className="flex justify-end space-x-4 pt-4">
                         <button type="button" onClick={onClose} className="px-4 py-2 bg-gray-200 rounded hover:bg-gray-300">取消</button>
                         <button type="submit" className="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600">儲存</button>
@@ -597,20 +1382,13 @@ const SupplierForm = ({ supplier, onClose, onSave }) => {
     );
 };
 
-
-// --- Product Management ---
-const ProductManagement = () => {
+// 供應商目錄: 維護此供應商可供應的商品、料號、最小訂購量與交期；最近進價由收貨自動更新
+const SupplierCatalog = ({ supplier, onClose }) => {
     const [products, setProducts] = useState([]);
-    const [isModalOpen, setIsModalOpen] = useState(false);
-    const [editingProduct, setEditingProduct] = useState(null);
-    const [searchTerm, setSearchTerm] = useState('');
+    const [editingLink, setEditingLink] = useState(null);
     const { user } = useAuth();
-    const { showConfirmation } = useModal();
-    const [columnWidths, setColumnWidths] = useState({ sku: 150, brand: 150, name: 300, spec: 200, actions: 100 });
-
-    const handleResize = (key) => (newWidth) => {
-        setColumnWidths(prev => ({ ...prev, [key]: newWidth }));
-    };
+    const { showConfirmation, showMessage } = useModal();
+    const { productSuppliers } = useProductSuppliers();
 
     useEffect(() => {
         if (!user) return;
@@ -618,42 +1396,523 @@ const ProductManagement = () => {
         return () => unsubscribe();
     }, [user]);
 
-    const handleAdd = async (product) => {
-        const { id, ...productData } = product;
-        await addDoc(collection(db, getCollectionPath('products')), { ...productData, averageCost: 0, cost: 0, stock: 0, price_retail: 0, price_bronze: 0, price_silver: 0, price_gold: 0, createdAt: new Date() });
+    const catalogue = useMemo(() => productSuppliers
+        .filter(link => link.supplierId === supplier.id)
+        .map(link => ({ ...link, product: products.find(p => p.id === link.productId) }))
+        .sort((a, b) => (a.product?.sku || '').localeCompare(b.product?.sku || '')),
+    [productSuppliers, products, supplier.id]);
+    const availableProducts = products.filter(p => !catalogue.some(link => link.productId === p.id));
+
+    const openForm = (link = null) => setEditingLink({
+        isNew: !link, productId: link?.productId || '', supplierSku: link?.supplierSku || '',
+        minOrderQuantity: link?.minOrderQuantity ?? '', leadTimeDays: link?.leadTimeDays ?? '', isPreferred: !!link?.isPreferred
+    });
+    const handleChange = (e) => { const { name, value, type, checked } = e.target; setEditingLink(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value })); };
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        const { productId, supplierSku, minOrderQuantity, leadTimeDays, isPreferred } = editingLink;
+        const batch = writeBatch(db);
+        // merge 保留收貨時記錄的最近進價
+        batch.set(doc(db, getDocPath('productSuppliers', getProductSupplierDocId(productId, supplier.id))), validateDocument('productSuppliers', {
+            productId, supplierId: supplier.id, supplierSku, minOrderQuantity: parseInt(minOrderQuantity, 10) || 0,
+            leadTimeDays: leadTimeDays === '' ? null : parseInt(leadTimeDays, 10) || 0, isPreferred, updatedAt: serverTimestamp()
+        }), { merge: true });
+        // 每個商品只保留一個慣用供應商
+        if (isPreferred) {
+            productSuppliers.filter(link => link.productId === productId && link.isPreferred && link.supplierId !== supplier.id)
+                .forEach(link => batch.update(doc(db, getDocPath('productSuppliers', link.id)), validateDocument('productSuppliers', { isPreferred: false, updatedAt: serverTimestamp() }, { partial: true })));
+        }
+        try {
+            await batch.commit();
+            setEditingLink(null);
+        } catch (error) { showMessage(`儲存失敗: ${error.message}`, 'error'); }
     };
-    const handleUpdate = async (product) => {
-        const {id, ...productData} = product;
-        await updateDoc(doc(db, getDocPath('products', product.id)), productData);
-    }
-    const handleDelete = async (id) => {
-        const confirmed = await showConfirmation('確定要刪除此商品嗎？');
-        if (confirmed) await deleteDoc(doc(db, getDocPath('products', id)));
+
+    const handleDelete = async (link) => {
+        const confirmed = await showConfirmation(`確定要從 ${supplier.name} 的目錄移除「${link.product?.name || link.productId}」嗎？`);
+        if (!confirmed) return;
+        try {
+            await deleteDoc(doc(db, getDocPath('productSuppliers', link.id)));
+        } catch (error) { showMessage(`移除失敗: ${error.message}`, 'error'); }
     };
-    const openModal = (product = null) => { setEditingProduct(product); setIsModalOpen(true); };
-    
-    const filteredProducts = useMemo(() => {
-        const lowercasedTerm = searchTerm.toLowerCase();
-        return products.filter(p => 
-            (p.sku || '').toLowerCase().includes(lowercasedTerm) ||
-            (p.brand || '').toLowerCase().includes(lowercasedTerm) ||
-            (p.name || '').toLowerCase().includes(lowercasedTerm) ||
-            (p.spec || '').toLowerCase().includes(lowercasedTerm)
-        );
-    }, [products, searchTerm]);
 
     return (
-        <div>
-            <div className="flex justify-between items-center mb-6">
-                <h2 className="text-3xl font-bold text-gray-800">商品管理</h2>
-                 <div className="flex items-center space-x-4">
-                    <input 
-                        type="text" 
-                        placeholder="搜尋商品..."
-                        value={searchTerm}
-                        onChange={(e) => setSearchTerm(e.target.value)}
-                        className="w-64 p-2 border rounded-md"
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex justify-center items-center z-50">
+            <div className="bg-white rounded-lg shadow-xl p-8 w-full max-w-5xl max-h-[90vh] overflow-y-auto">
+                <div className="flex justify-between items-center mb-2">
+                    <h3 className="text-2xl font-bold">供應商目錄: {supplier.name} ({supplier.code})</h3>
+                    {!editingLink && <button onClick={() => openForm()} className="flex items-center bg-blue-500 text-white px-4 py-2 rounded-lg shadow hover:bg-blue-600 transition"><PlusCircle className="w-5 h-5 mr-2" /> 新增商品</button>}
+                </div>
+                <p className="text-sm text-gray-600 mb-4">交期未填寫時使用供應商交期 ({supplier.leadTimeDays ?? REPLENISHMENT_DEFAULTS.leadTimeDays} 天)。最近進價於收貨時自動更新，新增採購單時以此帶入進價。</p>
+                {editingLink && (
+                    <form onSubmit={handleSave} className="p-4 mb-4 border rounded-md bg-gray-50 grid grid-cols-6 gap-4 items-end">
+                        <div className="col-span-2">
+                            <label className="block text-xs text-gray-600 mb-1">商品</label>
+                            <select name="productId" value={editingLink.productId} onChange={handleChange} disabled={!editingLink.isNew} className="w-full p-2 border rounded bg-white" required>
+                                <option value="">選擇商品</option>
+                                {(editingLink.isNew ? availableProducts : products).map(p => <option key={p.id} value={p.id}>{p.sku} {`${p.brand || ''} ${p.name} ${p.spec || ''}`.trim()}</option>)}
+                            </select>
+                        </div>
+                        <div><label className="block text-xs text-gray-600 mb-1">供應商料號</label><input name="supplierSku" value={editingLink.supplierSku} onChange={handleChange} className="w-full p-2 border rounded" /></div>
+                        <div><label className="block text-xs text-gray-600 mb-1">最小訂購量</label><input type="number" name="minOrderQuantity" value={editingLink.minOrderQuantity} onChange={handleChange} min="0" className="w-full p-2 border rounded" /></div>
+                        <div><label className="block text-xs text-gray-600 mb-1">交期 (天)</label><input type="number" name="leadTimeDays" value={editingLink.leadTimeDays} onChange={handleChange} min="0" className="w-full p-2 border rounded" /></div>
+                        <div><label className="flex items-center text-sm text-gray-700 mb-2"><input type="checkbox" name="isPreferred" checked={editingLink.isPreferred} onChange={handleChange} className="mr-2" />慣用供應商</label></div>
+                        <div className="col-span-6 flex justify-end space-x-4">
+                            <button type="button" onClick={() => setEditingLink(null)} className="px-4 py-2 bg-gray-200 rounded hover:bg-gray-300">取消</button>
+                            <button type="submit" className="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600">儲存</button>
+                        </div>
+                    </form>
+                )}
+                <table className="w-full text-sm text-left text-gray-500">
+                    <thead className="text-xs text-gray-700 uppercase bg-gray-50">
+                        <tr>
+                            <th className="px-4 py-3 border-r border-gray-200">SKU</th>
+                            <th className="px-4 py-3 border-r border-gray-200">商品</th>
+                            <th className="px-4 py-3 border-r border-gray-200">供應商料號</th>
+                            <th className="px-4 py-3 border-r border-gray-200 text-right">最小訂購量</th>
+                            <th className="px-4 py-3 border-r border-gray-200 text-right">交期 (天)</th>
+                            <th className="px-4 py-3 border-r border-gray-200 text-right">最近進價</th>
+                            <th className="px-4 py-3 border-r border-gray-200">最近進貨</th>
+                            <th className="px-4 py-3 border-r border-gray-200">慣用</th>
+                            <th className="px-4 py-3">操作</th>
+                        </tr>
+                    </thead>
+                    <tbody>{catalogue.map(link => (
+                        <tr key={link.id} className="bg-white border-b border-gray-200 hover:bg-gray-50">
+                            <td className="px-4 py-3 border-r border-gray-200 font-medium text-gray-900">{link.product?.sku || '-'}</td>
+                            <td className="px-4 py-3 border-r border-gray-200">{link.product ? `${link.product.brand || ''} ${link.product.name} ${link.product.spec || ''}`.trim() : '(商品已刪除)'}</td>
+                            <td className="px-4 py-3 border-r border-gray-200">{link.supplierSku || '-'}</td>
+                            <td className="px-4 py-3 border-r border-gray-200 text-right">{link.minOrderQuantity || '-'}</td>
+                            <td className="px-4 py-3 border-r border-gray-200 text-right">{link.leadTimeDays ?? <span className="text-gray-400">{supplier.leadTimeDays ?? REPLENISHMENT_DEFAULTS.leadTimeDays}</span>}</td>
+                            <td className="px-4 py-3 border-r border-gray-200 text-right">{link.lastPrice !== undefined ? formatLastPrice(link) : '-'}</td>
+                            <td className="px-4 py-3 border-r border-gray-200">{link.lastPurchasedAt?.toDate().toLocaleDateString() || '-'}</td>
+                            <td className="px-4 py-3 border-r border-gray-200">{link.isPreferred && <CheckCircle className="w-5 h-5 text-green-600" />}</td>
+                            <td className="px-4 py-3 flex space-x-2">
+                                <button onClick={() => openForm(link)} className="text-blue-600 hover:text-blue-800"><Edit className="w-5 h-5" /></button>
+                                <button onClick={() => handleDelete(link)} className="text-red-600 hover:text-red-800"><Trash2 className="w-5 h-5" /></button>
+                            </td>
+                        </tr>))}
+                        {catalogue.length === 0 && <tr><td colSpan="9" className="px-6 py-4 text-center">此供應商尚未建立供應商品。</td></tr>}
+                    </tbody>
+                </table>
+                <div className="flex justify-end mt-6">
+                    <button onClick={onClose} className="px-4 py-2 bg-gray-200 rounded hover:bg-gray-300">關閉</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// --- Warehouse Management ---
+const WarehouseManagement = () => {
+    const [isModalOpen, setIsModalOpen] = useState(false);
+    const [editingWarehouse, setEditingWarehouse] = useState(null);
+    const { warehouses, defaultWarehouseId } = useWarehouses();
+    const { showConfirmation, showMessage } = useModal();
+
+    // 只保留一個預設倉庫: 儲存倉庫與取消其他倉庫的預設在同一批次寫入；失敗時由 WarehouseForm 顯示錯誤並保持表單開啟
+    const saveWarehouse = async (warehouseRef, warehouseData, isNew) => {
+        const batch = writeBatch(db);
+        if (isNew) batch.set(warehouseRef, validateDocument('warehouses', warehouseData));
+        else batch.update(warehouseRef, validateDocument('warehouses', warehouseData, { partial: true }));
+        if (warehouseData.isDefault) {
+            warehouses.filter(w => w.isDefault && w.id !== warehouseRef.id).forEach(w => batch.update(doc(db, getDocPath('warehouses', w.id)), validateDocument('warehouses', { isDefault: false }, { partial: true })));
+        }
+        await batch.commit();
+    };
+    const handleAdd = async (warehouse) => {
+        const { id, ...warehouseData } = warehouse;
+        await saveWarehouse(doc(collection(db, getCollectionPath('warehouses'))), warehouseData, true);
+    };
+    const handleUpdate = async (warehouse) => {
+        const { id, ...warehouseData } = warehouse;
+        await saveWarehouse(doc(db, getDocPath('warehouses', id)), warehouseData, false);
+    };
+    const handleDelete = async (id) => {
+        try {
+            const productsSnapshot = await getDocs(collection(db, getCollectionPath('products')));
+            if (productsSnapshot.docs.some(productDoc => getLocationStock(productDoc.data(), id, defaultWarehouseId) !== 0)) {
+                return showMessage('此倉庫仍有庫存，無法刪除。', 'error');
+            }
+            const confirmed = await showConfirmation('確定要刪除此倉庫嗎？');
+            if (confirmed) await deleteDoc(doc(db, getDocPath('warehouses', id)));
+        } catch (error) { showMessage(`刪除失敗: ${error.message}`, 'error'); }
+    };
+    const openModal = (warehouse = null) => { setEditingWarehouse(warehouse); setIsModalOpen(true); };
+
+    return (
+        <div>
+            <div className="flex justify-between items-center mb-6">
+                <h2 className="text-3xl font-bold text-gray-800">倉庫管理</h2>
+                <button onClick={() => openModal()} className="flex items-center bg-blue-500 text-white px-4 py-2 rounded-lg shadow hover:bg-blue-600 transition"><PlusCircle className="w-5 h-5 mr-2" /> 新增倉庫</button>
+            </div>
+            <div className="bg-white p-4 rounded-lg shadow"><div className="overflow-x-auto">
+                <table className="w-full text-sm text-left text-gray-500">
+                    <thead className="text-xs text-gray-700 uppercase bg-gray-50">
+                        <tr>
+                            <th className="px-6 py-3 border-r border-gray-200">倉庫編碼</th>
+                            <th className="px-6 py-3 border-r border-gray-200">倉庫名稱</th>
+                            <th className="px-6 py-3 border-r border-gray-200">預設</th>
+                            <th className="px-6 py-3">操作</th>
+                        </tr>
+                    </thead>
+                    <tbody>{warehouses.map(w => (
+                        <tr key={w.id} className="bg-white border-b border-gray-200 hover:bg-gray-50">
+                            <td className="px-6 py-4 font-medium text-gray-900 border-r border-gray-200">{w.code}</td>
+                            <td className="px-6 py-4 border-r border-gray-200">{w.name}</td>
+                            <td className="px-6 py-4 border-r border-gray-200">{w.id === defaultWarehouseId && <CheckCircle className="w-5 h-5 text-green-600" />}</td>
+                            <td className="px-6 py-4 flex space-x-2">
+                                <button onClick={() => openModal(w)} className="text-blue-600 hover:text-blue-800"><Edit className="w-5 h-5" /></button>
+                                <button onClick={() => handleDelete(w.id)} className="text-red-600 hover:text-red-800"><Trash2 className="w-5 h-5" /></button>
+                            </td>
+                        </tr>))}
+                    </tbody>
+                </table>
+            </div></div>
+            {isModalOpen && <WarehouseForm warehouse={editingWarehouse} onClose={() => setIsModalOpen(false)} onSave={editingWarehouse ? handleUpdate : handleAdd} />}
+        </div>
+    );
+};
+
+const WarehouseForm = ({ warehouse, onClose, onSave }) => {
+    const { showMessage } = useModal();
+    const [formData, setFormData] = useState({ name: warehouse?.name || '', code: warehouse?.code || '', isDefault: warehouse?.isDefault || false });
+    const handleChange = (e) => { const { name, value, type, checked } = e.target; setFormData(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value })); };
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        try {
+            await onSave({ id: warehouse?.id, ...formData });
+            onClose();
+        } catch (error) { showMessage(`儲存失敗: ${error.message}`, 'error'); }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex justify-center items-center z-50">
+            <div className="bg-white rounded-lg shadow-xl p-8 w-full max-w-md">
+                <h3 className="text-2xl font-bold mb-6">{warehouse ? '編輯倉庫' : '新增倉庫'}</h3>
+                <form onSubmit={handleSubmit} className="space-y-4">
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">倉庫編碼</label>
+                        <input name="code" value={formData.code} onChange={handleChange} className="w-full p-2 border rounded" required />
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">倉庫名稱</label>
+                        <input name="name" value={formData.name} onChange={handleChange} className="w-full p-2 border rounded" required />
+                    </div>
+                    <label className="flex items-center text-sm text-gray-700"><input type="checkbox" name="isDefault" checked={formData.isDefault} onChange={handleChange} className="mr-2" />設為預設倉庫 (未指定倉庫的既有庫存歸屬於此)</label>
+                    <div className="flex justify-end space-x-4 pt-4">
+                        <button type="button" onClick={onClose} className="px-4 py-2 bg-gray-200 rounded hover:bg-gray-300">取消</button>
+                        <button type="submit" className="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600">儲存</button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+};
+
+// --- Company Settings ---
+const COMPANY_FIELDS = [
+    { key: 'companyName', label: '公司名稱', required: true },
+    { key: 'taxId', label: '統一編號', required: true, pattern: '\\d{8}', title: '統一編號為 8 位數字' },
+    { key: 'address', label: '地址' },
+    { key: 'phone', label: '電話' }
+];
+
+const CompanySettings = () => {
+    const { company, saveCompany } = useCompanySettings();
+    const [formData, setFormData] = useState(null);
+    const { showMessage } = useModal();
+    const values = formData || Object.fromEntries(COMPANY_FIELDS.map(field => [field.key, company?.[field.key] || '']));
+
+    const handleChange = (e) => { const { name, value } = e.target; setFormData({ ...values, [name]: value }); };
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        try {
+            await saveCompany(values);
+            setFormData(null);
+            showMessage('公司資料已儲存。');
+        } catch (error) { showMessage(`儲存失敗: ${error.message}`, 'error'); }
+    };
+
+    if (!company) return <p className="text-center p-8">載入中...</p>;
+    return (
+        <div>
+            <h2 className="text-3xl font-bold text-gray-800 mb-6">公司資料</h2>
+            <form onSubmit={handleSubmit} className="bg-white p-6 rounded-lg shadow max-w-xl space-y-4">
+                <p className="text-sm text-gray-500">列印報價單、訂單確認書、出貨單與揀貨單時作為公司抬頭。</p>
+                {COMPANY_FIELDS.map(({ key, label, required, pattern, title }) => (
+                    <div key={key}>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+                        <input name={key} value={values[key]} onChange={handleChange} required={required} pattern={pattern} title={title} className="w-full p-2 border rounded" />
+                    </div>
+                ))}
+                <div className="flex justify-end pt-2">
+                    <button type="submit" disabled={!formData} className="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600 disabled:bg-gray-300">儲存</button>
+                </div>
+            </form>
+        </div>
+    );
+};
+
+// --- Price List Management ---
+// date input 使用本地日期 (toISOString 為 UTC，台灣時區的午夜會變成前一天)
+const toDateInputValue = (date) => new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().split('T')[0];
+
+const getPriceListStatus = (priceList, date) => {
+    if (isPriceListActive(priceList, date)) return { label: '生效中', color: 'text-green-600' };
+    return priceList.effectiveFrom?.toDate() > date ? { label: '未生效', color: 'text-blue-600' } : { label: '已結束', color: 'text-gray-400' };
+};
+
+const PriceListManagement = () => {
+    const [priceLists, setPriceLists] = useState([]);
+    const [products, setProducts] = useState([]);
+    const [isModalOpen, setIsModalOpen] = useState(false);
+    const [editingPriceList, setEditingPriceList] = useState(null);
+    const { user } = useAuth();
+    const { showConfirmation, showMessage } = useModal();
+    const { parties: customers, getPartyName } = useParties('customers');
+
+    useEffect(() => {
+        if (!user) return;
+        const q = query(collection(db, getCollectionPath('priceLists')), orderBy('effectiveFrom', 'desc'));
+        const unsubPriceLists = onSnapshot(q, snapshot => setPriceLists(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))));
+        const unsubProducts = onSnapshot(collection(db, getCollectionPath('products')), snapshot => setProducts(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))));
+        return () => { unsubPriceLists(); unsubProducts(); };
+    }, [user]);
+
+    const handleSave = async (priceList) => {
+        const { id, ...priceListData } = priceList;
+        const data = { ...priceListData, updatedBy: user.uid, updatedAt: serverTimestamp() };
+        try {
+            if (id) await updateDoc(doc(db, getDocPath('priceLists', id)), validateDocument('priceLists', data, { partial: true }));
+            else await addDoc(collection(db, getCollectionPath('priceLists')), validateDocument('priceLists', data));
+            showMessage('價目表已儲存。');
+            setIsModalOpen(false);
+        } catch (error) { showMessage(`儲存失敗: ${error.message}`, 'error'); }
+    };
+    const handleDelete = async (priceList) => {
+        const confirmed = await showConfirmation(`確定要刪除價目表「${priceList.name}」嗎？已建立的訂單不受影響。`);
+        if (!confirmed) return;
+        try {
+            await deleteDoc(doc(db, getDocPath('priceLists', priceList.id)));
+        } catch (error) { showMessage(`刪除失敗: ${error.message}`, 'error'); }
+    };
+    const openModal = (priceList = null) => { setEditingPriceList(priceList); setIsModalOpen(true); };
+
+    const getTargetLabel = (priceList) => {
+        if (priceList.kind === 'contract') return getPartyName(priceList.customerId, priceList.partyName);
+        return priceList.tier ? TIER_MAP[priceList.tier] : '全部等級';
+    };
+    const now = new Date();
+
+    return (
+        <div>
+            <div className="flex justify-between items-center mb-6">
+                <h2 className="text-3xl font-bold text-gray-800">價目表管理</h2>
+                <button onClick={() => openModal()} className="flex items-center bg-blue-500 text-white px-4 py-2 rounded-lg shadow hover:bg-blue-600 transition"><PlusCircle className="w-5 h-5 mr-2" /> 新增價目表</button>
+            </div>
+            <p className="text-sm text-gray-600 mb-4">建立銷售單時依序採用客戶合約價、等級價目表、商品售價；有效期間內的促銷價較低時改用促銷價。同一商品可設定多個最低數量作為數量級距。</p>
+            <div className="bg-white p-4 rounded-lg shadow"><div className="overflow-x-auto">
+                <table className="w-full text-sm text-left text-gray-500">
+                    <thead className="text-xs text-gray-700 uppercase bg-gray-50">
+                        <tr>
+                            <th className="px-6 py-3 border-r border-gray-200">名稱</th>
+                            <th className="px-6 py-3 border-r border-gray-200">類型</th>
+                            <th className="px-6 py-3 border-r border-gray-200">適用對象</th>
+                            <th className="px-6 py-3 border-r border-gray-200">有效期間</th>
+                            <th className="px-6 py-3 border-r border-gray-200 text-right">品項數</th>
+                            <th className="px-6 py-3 border-r border-gray-200">狀態</th>
+                            <th className="px-6 py-3">操作</th>
+                        </tr>
+                    </thead>
+                    <tbody>{priceLists.map(priceList => {
+                        const status = getPriceListStatus(priceList, now);
+                        return (
+                            <tr key={priceList.id} className="bg-white border-b border-gray-200 hover:bg-gray-50">
+                                <td className="px-6 py-4 font-medium text-gray-900 border-r border-gray-200">{priceList.name}</td>
+                                <td className="px-6 py-4 border-r border-gray-200">{PRICE_LIST_KIND_MAP[priceList.kind]}</td>
+                                <td className="px-6 py-4 border-r border-gray-200">{getTargetLabel(priceList)}</td>
+                                <td className="px-6 py-4 border-r border-gray-200">{priceList.effectiveFrom?.toDate().toLocaleDateString()} ~ {priceList.effectiveTo ? priceList.effectiveTo.toDate().toLocaleDateString() : '無結束日'}</td>
+                                <td className="px-6 py-4 border-r border-gray-200 text-right">{priceList.items.length}</td>
+                                <td className={`px-6 py-4 font-semibold border-r border-gray-200 ${status.color}`}>{status.label}</td>
+                                <td className="px-6 py-4 flex space-x-2">
+                                    <button onClick={() => openModal(priceList)} className="text-blue-600 hover:text-blue-800"><Edit className="w-5 h-5" /></button>
+                                    <button onClick={() => handleDelete(priceList)} className="text-red-600 hover:text-red-800"><Trash2 className="w-5 h-5" /></button>
+                                </td>
+                            </tr>
+                        );
+                    })}
+                    {priceLists.length === 0 && <tr><td colSpan="7" className="px-6 py-4 text-center">尚未建立價目表，銷售單將使用商品主檔的等級售價。</td></tr>}
+                    </tbody>
+                </table>
+            </div></div>
+            {isModalOpen && <PriceListForm priceList={editingPriceList} products={products} customers={customers} onClose={() => setIsModalOpen(false)} onSave={handleSave} />}
+        </div>
+    );
+};
+
+const PriceListForm = ({ priceList, products, customers, onClose, onSave }) => {
+    const [formData, setFormData] = useState({
+        name: priceList?.name || '', kind: priceList?.kind || 'tier', tier: priceList?.tier || '', customerId: priceList?.customerId || '',
+        effectiveFrom: priceList?.effectiveFrom ? toDateInputValue(priceList.effectiveFrom.toDate()) : toDateInputValue(new Date()),
+        effectiveTo: priceList?.effectiveTo ? toDateInputValue(priceList.effectiveTo.toDate()) : '',
+        remarks: priceList?.remarks || ''
+    });
+    const [items, setItems] = useState(() => priceList ? priceList.items.map(item => ({ ...item })) : [{ productId: '', minQuantity: 1, price: '' }]);
+    const { showMessage } = useModal();
+    const isContract = formData.kind === 'contract';
+
+    const handleChange = (e) => { const { name, value } = e.target; setFormData(prev => ({ ...prev, [name]: value })); };
+    const handleItemChange = (index, field, value) => setItems(prev => prev.map((item, i) => (i === index ? { ...item, [field]: value } : item)));
+    const addItem = () => setItems(prev => [...prev, { productId: '', minQuantity: 1, price: '' }]);
+    const removeItem = (index) => setItems(prev => prev.filter((_, i) => i !== index));
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        const customer = customers.find(c => c.id === formData.customerId);
+        if (isContract && !customer) return showMessage('客戶合約價請選擇客戶。', 'error');
+        if (formData.effectiveTo && formData.effectiveTo < formData.effectiveFrom) return showMessage('結束日不可早於生效日。', 'error');
+        const finalItems = items.filter(item => item.productId).map(item => {
+            const product = products.find(p => p.id === item.productId);
+            return { productId: item.productId, name: `${product?.brand || ''} ${product?.name || ''} ${product?.spec || ''}`.trim() || item.name, minQuantity: parseInt(item.minQuantity, 10) || 1, price: parseFloat(item.price) || 0 };
+        });
+        if (finalItems.length === 0) return showMessage('請至少設定一項商品價格。', 'error');
+        const keys = finalItems.map(item => `${item.productId}:${item.minQuantity}`);
+        if (new Set(keys).size !== keys.length) return showMessage('同一商品的最低數量不可重複。', 'error');
+
+        onSave({
+            id: priceList?.id, name: formData.name, kind: formData.kind, remarks: formData.remarks, items: finalItems,
+            // 合約價只適用指定客戶，等級與促銷價目表不限定客戶
+            tier: !isContract && formData.tier ? formData.tier : null,
+            customerId: isContract ? customer.id : null,
+            partyName: isContract ? customer.name : null,
+            effectiveFrom: new Date(`${formData.effectiveFrom}T00:00:00`),
+            effectiveTo: formData.effectiveTo ? new Date(`${formData.effectiveTo}T23:59:59.999`) : null
+        });
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex justify-center items-center z-50">
+            <div className="bg-white rounded-lg shadow-xl p-8 w-full max-w-3xl">
+                <h3 className="text-2xl font-bold mb-6">{priceList ? '編輯價目表' : '新增價目表'}</h3>
+                <form onSubmit={handleSubmit} className="space-y-4">
+                    <div className="grid grid-cols-2 gap-4">
+                        <div><label className="block text-sm font-medium text-gray-700 mb-1">名稱</label><input name="name" value={formData.name} onChange={handleChange} className="w-full p-2 border rounded" required /></div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-1">類型</label>
+                            <select name="kind" value={formData.kind} onChange={handleChange} className="w-full p-2 border rounded bg-white">
+                                {Object.entries(PRICE_LIST_KIND_MAP).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                            </select>
+                        </div>
+                        {isContract ? (
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-1">客戶</label>
+                                <select name="customerId" value={formData.customerId} onChange={handleChange} className="w-full p-2 border rounded bg-white" required>
+                                    <option value="">-- 選擇客戶 --</option>
+                                    {customers.map(c => <option key={c.id} value={c.id}>{c.name} ({c.code})</option>)}
+                                </select>
+                            </div>
+                        ) : (
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-1">適用客戶等級</label>
+                                <select name="tier" value={formData.tier} onChange={handleChange} className="w-full p-2 border rounded bg-white">
+                                    <option value="">全部等級</option>
+                                    {Object.entries(TIER_MAP).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                                </select>
+                            </div>
+                        )}
+                        <div className="grid grid-cols-2 gap-2">
+                            <div><label className="block text-sm font-medium text-gray-700 mb-1">生效日</label><input type="date" name="effectiveFrom" value={formData.effectiveFrom} onChange={handleChange} className="w-full p-2 border rounded" required /></div>
+                            <div><label className="block text-sm font-medium text-gray-700 mb-1">結束日 (可留空)</label><input type="date" name="effectiveTo" value={formData.effectiveTo} onChange={handleChange} className="w-full p-2 border rounded" /></div>
+                        </div>
+                    </div>
+                    <div className="space-y-2 max-h-64 overflow-y-auto pr-2">
+                        <div className="flex items-center space-x-2 text-xs text-gray-500 px-2"><span className="w-1/2">商品</span><span className="w-1/4">最低數量</span><span className="w-1/4">單價</span><span className="w-5"></span></div>
+                        {items.map((item, index) => (
+                            <div key={index} className="flex items-center space-x-2 p-2 border rounded-md">
+                                <select value={item.productId} onChange={(e) => handleItemChange(index, 'productId', e.target.value)} className="w-1/2 p-2 border rounded bg-white" required>
+                                    <option value="">選擇商品</option>
+                                    {products.map(p => <option key={p.id} value={p.id}>{`${p.brand || ''} ${p.name} ${p.spec || ''}`.trim()} (零售 ${p.price_retail || 0})</option>)}
+                                </select>
+                                <input type="number" value={item.minQuantity} onChange={(e) => handleItemChange(index, 'minQuantity', e.target.value)} min="1" className="w-1/4 p-2 border rounded" required />
+                                <input type="number" value={item.price} onChange={(e) => handleItemChange(index, 'price', e.target.value)} min="0" step="0.01" className="w-1/4 p-2 border rounded" required />
+                                <button type="button" onClick={() => removeItem(index)} className="text-red-500"><Trash2 className="w-5 h-5"/></button>
+                            </div>))}
+                    </div>
+                    <button type="button" onClick={addItem} className="text-blue-500 hover:text-blue-700 flex items-center"><PlusCircle className="w-4 h-4 mr-1"/> 新增品項</button>
+                    <div><label className="block text-sm font-medium text-gray-700 mb-1">備註</label><input name="remarks" value={formData.remarks} onChange={handleChange} className="w-full p-2 border rounded" /></div>
+                    <div className="flex justify-end space-x-4 pt-4">
+                        <button type="button" onClick={onClose} className="px-4 py-2 bg-gray-200 rounded hover:bg-gray-300">取消</button>
+                        <button type="submit" className="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600">儲存</button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+};
+
+// --- Product Management ---
+const ProductManagement = () => {
+    const [products, setProducts] = useState([]);
+    const [isModalOpen, setIsModalOpen] = useState(false);
+    const [editingProduct, setEditingProduct] = useState(null);
+    const [isImportOpen, setIsImportOpen] = useState(false);
+    const [searchTerm, setSearchTerm] = useState('');
+    const { user } = useAuth();
+    const { showConfirmation } = useModal();
+    const [labelProducts, setLabelProducts] = useState(null);
+    const [columnWidths, setColumnWidths] = useState({ sku: 150, barcode: 150, brand: 150, name: 300, spec: 200, actions: 140 });
+
+    const handleResize = (key) => (newWidth) => {
+        setColumnWidths(prev => ({ ...prev, [key]: newWidth }));
+    };
+
+    useEffect(() => {
+        if (!user) return;
+        const unsubscribe = onSnapshot(collection(db, getCollectionPath('products')), snapshot => setProducts(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))));
+        return () => unsubscribe();
+    }, [user]);
+
+    const handleAdd = async (product) => {
+        const { id, ...productData } = product;
+        await addDoc(collection(db, getCollectionPath('products')), validateDocument('products', { averageCost: 0, cost: 0, stock: 0, reserved: 0, price_retail: 0, price_bronze: 0, price_silver: 0, price_gold: 0, ...productData, createdAt: serverTimestamp() }));
+    };
+    const handleUpdate = async (product) => {
+        const {id, ...productData} = product;
+        await updateDoc(doc(db, getDocPath('products', product.id)), validateDocument('products', productData, { partial: true }));
+    }
+    const handleDelete = async (id) => {
+        const confirmed = await showConfirmation('確定要刪除此商品嗎？');
+        if (confirmed) await deleteDoc(doc(db, getDocPath('products', id)));
+    };
+    const openModal = (product = null) => { setEditingProduct(product); setIsModalOpen(true); };
+    
+    const filteredProducts = useMemo(() => {
+        const lowercasedTerm = searchTerm.toLowerCase();
+        return products.filter(p => 
+            (p.sku || '').toLowerCase().includes(lowercasedTerm) ||
+            (p.brand || '').toLowerCase().includes(lowercasedTerm) ||
+            (p.name || '').toLowerCase().includes(lowercasedTerm) ||
+            (p.spec || '').toLowerCase().includes(lowercasedTerm) ||
+            (p.barcode || '').toLowerCase().includes(lowercasedTerm)
+        );
+    }, [products, searchTerm]);
+
+    return (
+        <div>
+            <div className="flex justify-between items-center mb-6">
+                <h2 className="text-3xl font-bold text-gray-800">商品管理</h2>
+                 <div className="flex items-center space-x-4">
+                    <input 
+                        type="text" 
+                        placeholder="搜尋商品..."
+                        value={searchTerm}
+                        onChange={(e) => setSearchTerm(e.target.value)}
+                        className="w-64 p-2 border rounded-md"
                     />
+                    <button onClick={() => setLabelProducts(filteredProducts)} className="flex items-center bg-gray-600 text-white px-4 py-2 rounded-lg shadow hover:bg-gray-700 transition"><Barcode className="w-5 h-5 mr-2" /> 列印條碼標籤</button>
+                    <button onClick={() => setIsImportOpen(true)} className="flex items-center bg-gray-600 text-white px-4 py-2 rounded-lg shadow hover:bg-gray-700 transition"><Upload className="w-5 h-5 mr-2" /> 批次匯入</button>
                     <button onClick={() => openModal()} className="flex items-center bg-blue-500 text-white px-4 py-2 rounded-lg shadow hover:bg-blue-600 transition"><PlusCircle className="w-5 h-5 mr-2" /> 新增商品</button>
                 </div>
             </div>
@@ -662,6 +1921,7 @@ const ProductManagement = () => {
                     <thead className="text-xs text-gray-700 uppercase bg-gray-50">
                         <tr>
                             <ResizableHeader width={columnWidths.sku} onResize={handleResize('sku')}>SKU</ResizableHeader>
+                            <ResizableHeader width={columnWidths.barcode} onResize={handleResize('barcode')}>條碼</ResizableHeader>
                             <ResizableHeader width={columnWidths.brand} onResize={handleResize('brand')}>品牌</ResizableHeader>
                             <ResizableHeader width={columnWidths.name} onResize={handleResize('name')}>產品名稱</ResizableHeader>
                             <ResizableHeader width={columnWidths.spec} onResize={handleResize('spec')}>規格</ResizableHeader>
@@ -671,10 +1931,12 @@ const ProductManagement = () => {
                     <tbody>{filteredProducts.map(p => (
                         <tr key={p.id} className="bg-white border-b border-gray-200 hover:bg-gray-50">
                             <td className="px-6 py-4 font-medium text-gray-900 truncate border-r border-gray-200">{p.sku}</td>
+                            <td className="px-6 py-4 truncate border-r border-gray-200">{p.barcode}</td>
                             <td className="px-6 py-4 truncate border-r border-gray-200">{p.brand}</td>
                             <td className="px-6 py-4 truncate border-r border-gray-200">{p.name}</td>
                             <td className="px-6 py-4 truncate border-r border-gray-200">{p.spec}</td>
                             <td className="px-6 py-4 flex space-x-2">
+                                <button onClick={() => setLabelProducts([p])} className="text-gray-600 hover:text-gray-800" title="列印條碼標籤"><Barcode className="w-5 h-5" /></button>
                                 <button onClick={() => openModal(p)} className="text-blue-600 hover:text-blue-800"><Edit className="w-5 h-5" /></button>
                                 <button onClick={() => handleDelete(p.id)} className="text-red-600 hover:text-red-800"><Trash2 className="w-5 h-5" /></button>
                             </td>
@@ -682,41 +1944,59 @@ const ProductManagement = () => {
                     </tbody>
                 </table>
             </div></div>
-            {isModalOpen && <ProductForm product={editingProduct} onClose={() => setIsModalOpen(false)} onSave={editingProduct ? handleUpdate : handleAdd} />}
+            {isModalOpen && <ProductForm product={editingProduct} products={products} onClose={() => setIsModalOpen(false)} onSave={editingProduct ? handleUpdate : handleAdd} />}
+            {isImportOpen && <BulkImportModal type="products" existingRecords={products} onClose={() => setIsImportOpen(false)} />}
+            {labelProducts && <BarcodeLabelSheet products={labelProducts} onClose={() => setLabelProducts(null)} />}
         </div>
     );
 };
 
-const ProductForm = ({ product, onClose, onSave }) => {
+const ProductForm = ({ product, products, onClose, onSave }) => {
     const isEditing = !!product;
+    const { showMessage } = useModal();
     const [formData, setFormData] = useState({
-        sku: product?.sku || '', brand: product?.brand || '', name: product?.name || '', spec: product?.spec || '', description: product?.description || '',
+        sku: product?.sku || '', barcode: product?.barcode || '', brand: product?.brand || '', name: product?.name || '', spec: product?.spec || '', description: product?.description || '',
         price_retail: product?.price_retail ?? '', price_bronze: product?.price_bronze ?? '', price_silver: product?.price_silver ?? '', price_gold: product?.price_gold ?? '',
-        lowStockThreshold: product?.lowStockThreshold ?? '',
+        floorPrice: product?.floorPrice ?? '', lowStockThreshold: product?.lowStockThreshold ?? '',
+        reorderPoint: product?.reorderPoint ?? '', maxStock: product?.maxStock ?? '',
+        lotTracked: !!product?.lotTracked,
     });
 
     const handleChange = (e) => { const { name, value } = e.target; setFormData(prev => ({ ...prev, [name]: value })); };
     
-    const handleSubmit = (e) => {
+    const handleSubmit = async (e) => {
         e.preventDefault();
+        // 掃描時以條碼或 SKU 找商品，兩者都不可與其他商品重複
+        const duplicate = findProductByCode(products.filter(p => p.id !== product?.id), formData.barcode);
+        if (formData.barcode.trim() && duplicate) return showMessage(`條碼 ${formData.barcode} 已用於商品 ${duplicate.sku}。`, 'error');
+        if (formData.barcode.trim() && !isCode128Encodable(formData.barcode.trim())) return showMessage(`條碼 ${formData.barcode} 含有無法列印成條碼的字元，只可使用半形英數字與符號。`, 'error');
+        // 批號商品的庫存必須全數屬於某個批號，既有庫存沒有批號，出貨時無法分配
+        if (formData.lotTracked && !product?.lotTracked && (product?.stock || 0) > 0) return showMessage('此商品仍有庫存，無法改為批號管理。請待庫存出清後再啟用。', 'error');
         const dataToSave = {
             ...formData,
             price_retail: parseFloat(formData.price_retail) || 0,
             price_bronze: parseFloat(formData.price_bronze) || 0,
             price_silver: parseFloat(formData.price_silver) || 0,
             price_gold: parseFloat(formData.price_gold) || 0,
+            floorPrice: parseFloat(formData.floorPrice) || 0,
             lowStockThreshold: parseInt(formData.lowStockThreshold, 10) || 5,
+            // 留空表示由補貨建議自動估算
+            reorderPoint: formData.reorderPoint === '' ? null : parseInt(formData.reorderPoint, 10) || 0,
+            maxStock: formData.maxStock === '' ? null : parseInt(formData.maxStock, 10) || 0,
         };
-        onSave({ id: product?.id, ...dataToSave });
-        onClose();
+        try {
+            await onSave({ id: product?.id, ...dataToSave });
+            onClose();
+        } catch (error) { showMessage(`儲存失敗: ${error.message}`, 'error'); }
     };
 
     return (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex justify-center items-center z-50">
-            <div className="bg-white rounded-lg shadow-xl p-8 w-full max-w-lg">
+            <div className="bg-white rounded-lg shadow-xl p-8 w-full max-w-lg max-h-[90vh] overflow-y-auto">
                 <h3 className="text-2xl font-bold mb-6">{isEditing ? '編輯商品' : '新增商品'}</h3>
                 <form onSubmit={handleSubmit} className="space-y-4">
                     <div><label className="block text-sm font-medium text-gray-700 mb-1">商品貨號 (SKU)</label><input name="sku" value={formData.sku} onChange={handleChange} className="w-full p-2 border rounded" required /></div>
+                    <div><label className="block text-sm font-medium text-gray-700 mb-1">條碼 (EAN 等國際條碼，留空時標籤與掃描使用 SKU)</label><input name="barcode" value={formData.barcode} onChange={handleChange} className="w-full p-2 border rounded" /></div>
                     <div><label className="block text-sm font-medium text-gray-700 mb-1">品牌</label><input name="brand" value={formData.brand} onChange={handleChange} className="w-full p-2 border rounded" /></div>
                     <div><label className="block text-sm font-medium text-gray-700 mb-1">產品名稱</label><input name="name" value={formData.name} onChange={handleChange} className="w-full p-2 border rounded" required /></div>
                     <div><label className="block text-sm font-medium text-gray-700 mb-1">規格</label><input name="spec" value={formData.spec} onChange={handleChange} className="w-full p-2 border rounded" /></div>
@@ -730,11 +2010,21 @@ const ProductForm = ({ product, onClose, onSave }) => {
                                 <div><label className="block text-xs text-gray-600 mb-1">銅牌價</label><input type="number" name="price_bronze" value={formData.price_bronze} onChange={handleChange} className="w-full p-2 border rounded" /></div>
                                 <div><label className="block text-xs text-gray-600 mb-1">銀牌價</label><input type="number" name="price_silver" value={formData.price_silver} onChange={handleChange} className="w-full p-2 border rounded" /></div>
                                 <div><label className="block text-xs text-gray-600 mb-1">金牌價</label><input type="number" name="price_gold" value={formData.price_gold} onChange={handleChange} className="w-full p-2 border rounded" /></div>
+                                <div className="col-span-2"><label className="block text-xs text-gray-600 mb-1">最低售價 (手動改價低於此價需管理員特別核准，0 為不限制)</label><input type="number" name="floorPrice" value={formData.floorPrice} onChange={handleChange} className="w-full p-2 border rounded" /></div>
                             </div>
                         </div>
                     )}
                     
                     <div><label className="block text-sm font-medium text-gray-700 mb-1">低庫存警示數量</label><input type="number" name="lowStockThreshold" value={formData.lowStockThreshold} onChange={handleChange} className="w-full p-2 border rounded" required /></div>
+                    <label className="flex items-center text-sm text-gray-700"><input type="checkbox" checked={formData.lotTracked} onChange={(e) => setFormData(prev => ({ ...prev, lotTracked: e.target.checked }))} className="mr-2" />批號管理 (收貨需登記批號與有效期限，出貨依先到期先出分配批號)</label>
+                    <div className="p-4 border rounded-md bg-gray-50">
+                        <label className="block text-sm font-medium text-gray-700 mb-2">補貨設定 (留空由系統依銷售速度與交期估算)</label>
+                        <p className="text-xs text-gray-500 mb-2">慣用供應商、最小訂購量與交期請在供應商管理的供應商目錄設定。</p>
+                        <div className="grid grid-cols-2 gap-4">
+                            <div><label className="block text-xs text-gray-600 mb-1">再訂購點</label><input type="number" name="reorderPoint" value={formData.reorderPoint} onChange={handleChange} min="0" className="w-full p-2 border rounded" /></div>
+                            <div><label className="block text-xs text-gray-600 mb-1">最高庫存</label><input type="number" name="maxStock" value={formData.maxStock} onChange={handleChange} min="0" className="w-full p-2 border rounded" /></div>
+                        </div>
+                    </div>
 
                     <div className="flex justify-end space-x-4 pt-4">
                         <button type="button" onClick={onClose} className="px-4 py-2 bg-gray-200 rounded hover:bg-gray-300">取消</button>
@@ -746,49 +2036,1059 @@ const ProductForm = ({ product, onClose, onSave }) => {
     );
 };
 
-const InventoryManagement = () => {
-    const [products, setProducts] = useState([]);
-    const [ledgerProduct, setLedgerProduct] = useState(null);
-    const [costLedgerProduct, setCostLedgerProduct] = useState(null);
+// --- Barcodes ---
+// 掃描槍 (USB 鍵盤輸入，以 Enter 結尾) 或相機 (瀏覽器支援 BarcodeDetector 時) 讀取條碼，
+// 掃描內容比對商品的條碼 (barcode) 或 SKU，不分大小寫
+const normalizeScanCode = (code) => String(code || '').trim().toUpperCase();
+const findProductByCode = (products, code) => {
+    const normalized = normalizeScanCode(code);
+    if (!normalized) return null;
+    return products.find(p => normalizeScanCode(p.barcode) === normalized || normalizeScanCode(p.sku) === normalized) || null;
+};
+
+/**
+ * 將掃描到的商品計入單據品項，同一商品出現在多個品項時依序補滿
+ * @param {Array<{ productId: string }>} items 單據品項
+ * @param {number[]} counts 各品項目前的數量
+ * @param {number[]} limits 各品項的應有數量 (Infinity 表示不限)
+ * @param {object|null} product 比對到的商品 (含 id)
+ * @param {string} code 掃描內容
+ * @returns {{ counts: number[], index?: number, issue?: string }} 錯誤或多餘的商品以 issue 說明，數量不變
+ */
+const applyScan = (items, counts, limits, product, code) => {
+    if (!product) return { counts, issue: `條碼 ${code} 找不到對應商品` };
+    const productName = `${product.brand || ''} ${product.name} ${product.spec || ''}`.trim();
+    const indexes = items.map((item, index) => index).filter(index => items[index].productId === product.id);
+    if (indexes.length === 0) return { counts, issue: `${productName} 不在此單據中` };
+    const index = indexes.find(i => (counts[i] || 0) < limits[i]);
+    if (index === undefined) return { counts, issue: `${productName} 超過應有數量` };
+    const newCounts = [...counts];
+    newCounts[index] = (newCounts[index] || 0) + 1;
+    return { counts: newCounts, index };
+};
+
+const CameraScanner = ({ onScan }) => {
+    const videoRef = useRef(null);
+    const onScanRef = useRef(onScan);
+    const [error, setError] = useState(window.BarcodeDetector ? '' : '此瀏覽器不支援相機條碼辨識，請改用掃描槍。');
+
+    useEffect(() => { onScanRef.current = onScan; }, [onScan]);
+
+    useEffect(() => {
+        if (!window.BarcodeDetector) return;
+        let stream = null;
+        let timer = null;
+        let stopped = false;
+        let lastCode = '';
+        let lastSeenAt = 0;
+        const detector = new window.BarcodeDetector();
+        navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } }).then(mediaStream => {
+            if (stopped) return mediaStream.getTracks().forEach(track => track.stop());
+            stream = mediaStream;
+            videoRef.current.srcObject = mediaStream;
+            videoRef.current.play();
+            timer = setInterval(async () => {
+                const barcodes = await detector.detect(videoRef.current).catch(() => []);
+                const code = barcodes[0]?.rawValue;
+                if (!code) return;
+                // 同一個條碼持續停留在鏡頭前只計一次，移開超過 1.5 秒後再掃才會重複計數
+                const isRepeat = code === lastCode && Date.now() - lastSeenAt < 1500;
+                lastCode = code;
+                lastSeenAt = Date.now();
+                if (!isRepeat) onScanRef.current(code);
+            }, 300);
+        }).catch(err => setError(`無法開啟相機: ${err.message}`));
+        return () => {
+            stopped = true;
+            clearInterval(timer);
+            if (stream) stream.getTracks().forEach(track => track.stop());
+        };
+    }, []);
+
+    if (error) return <p className="text-sm text-red-600 mt-2">{error}</p>;
+    return <video ref={videoRef} muted playsInline className="mt-2 w-full max-h-48 bg-black rounded object-contain" />;
+};
+
+// 掃描模式的輸入區: 掃描槍輸入後自動送出，並列出掃描到的錯誤或多餘商品
+const ScanPanel = ({ onScan, lastScan, issues, onClearIssues }) => {
+    const [code, setCode] = useState('');
+    const [useCamera, setUseCamera] = useState(false);
+
+    const handleKeyDown = (e) => {
+        if (e.key !== 'Enter') return;
+        e.preventDefault();
+        if (code.trim()) onScan(code.trim());
+        setCode('');
+    };
+
+    return (
+        <div className="mb-4 p-4 border rounded-md bg-gray-50">
+            <div className="flex items-center space-x-2">
+                <ScanLine className="w-5 h-5 text-gray-500" />
+                <input value={code} onChange={(e) => setCode(e.target.value)} onKeyDown={handleKeyDown} autoFocus placeholder="以掃描槍掃描條碼或 SKU (手動輸入後按 Enter)" className="flex-1 p-2 border rounded" />
+                <button type="button" onClick={() => setUseCamera(prev => !prev)} className={`flex items-center px-3 py-2 rounded text-sm ${useCamera ? 'bg-blue-500 text-white hover:bg-blue-600' : 'bg-gray-200 hover:bg-gray-300'}`}><Camera className="w-4 h-4 mr-1" /> 相機</button>
+            </div>
+            {useCamera && <CameraScanner onScan={onScan} />}
+            {lastScan && <p className={`text-sm mt-2 ${lastScan.isError ? 'text-red-600' : 'text-green-700'}`}>{lastScan.text}</p>}
+            {issues.length > 0 && (
+                <div className="mt-2 p-2 border border-red-300 rounded bg-red-50 text-sm text-red-700">
+                    <div className="flex justify-between items-center">
+                        <span className="font-semibold">掃描異常 {issues.length} 筆，請將錯誤或多餘的商品取出</span>
+                        <button type="button" onClick={onClearIssues} className="text-xs underline">已處理，清除警示</button>
+                    </div>
+                    <ul className="list-disc pl-5 mt-1">{issues.map((issue, index) => <li key={index}>{issue}</li>)}</ul>
+                </div>
+            )}
+        </div>
+    );
+};
+
+/**
+ * 單據的掃描狀態: 掃描成功時以 setCounts 更新數量，錯誤或多餘的商品記錄為異常
+ * @param {{ items: Array, counts: number[], limits: number[], products: Array, setCounts: Function }} options
+ */
+const useScanSession = ({ items, counts, limits, products, setCounts }) => {
+    const [lastScan, setLastScan] = useState(null);
+    const [issues, setIssues] = useState([]);
+
+    const handleScan = (code) => {
+        const result = applyScan(items, counts, limits, findProductByCode(products, code), code);
+        if (result.issue) {
+            setIssues(prev => [...prev, result.issue]);
+            setLastScan({ isError: true, text: result.issue });
+            return;
+        }
+        setCounts(result.counts);
+        const limit = limits[result.index];
+        setLastScan({ isError: false, text: `${items[result.index].name}: ${result.counts[result.index]}${Number.isFinite(limit) ? ` / ${limit}` : ''}` });
+    };
+    const clearIssues = () => { setIssues([]); setLastScan(null); };
+    return { lastScan, issues, handleScan, clearIssues };
+};
+
+// 標籤優先使用商品條碼，沒有條碼或條碼無法編碼 (條碼驗證上線前的資料) 時使用 SKU (僅限英數字)
+const getLabelCode = (product) => [product.barcode, product.sku].find(isCode128Encodable) || '';
+
+const BarcodeSvg = ({ value, height = 40 }) => {
+    const widths = encodeCode128(value);
+    const quietZone = 10;
+    const bars = [];
+    let x = quietZone;
+    widths.forEach((width, index) => {
+        if (index % 2 === 0) bars.push(<rect key={index} x={x} y={0} width={width} height={height} />);
+        x += width;
+    });
+    return <svg viewBox={`0 0 ${x + quietZone} ${height}`} preserveAspectRatio="none" shapeRendering="crispEdges" className="w-full" style={{ height }}>{bars}</svg>;
+};
+
+// 條碼標籤: A4 每列 3 張，沒有可用條碼的商品列在上方提醒
+const BarcodeLabelSheet = ({ products, onClose }) => {
+    const [copies, setCopies] = useState(1);
+    const printable = products.filter(getLabelCode);
+    const missing = products.filter(p => !getLabelCode(p));
+
+    return (
+        <PrintView title={`條碼標籤 (${printable.length} 項商品)`} onClose={onClose}>
+            <div className="print:hidden mb-6 flex items-center space-x-4 text-sm">
+                <label className="font-medium text-gray-700">每項商品張數</label>
+                <input type="number" value={copies} onChange={(e) => setCopies(Math.max(1, parseInt(e.target.value, 10) || 1))} min="1" className="w-20 p-1 border rounded" />
+                {missing.length > 0 && <span className="text-red-600">以下商品沒有條碼且 SKU 含非英數字，未產生標籤：{missing.map(p => p.sku || p.name).join('、')}</span>}
+            </div>
+            <div className="grid grid-cols-3 gap-2">
+                {printable.flatMap(p => Array.from({ length: copies }, (_, copy) => (
+                    <div key={`${p.id}-${copy}`} className="border border-gray-400 p-2 text-center break-inside-avoid">
+                        <p className="text-xs font-semibold truncate">{`${p.brand || ''} ${p.name} ${p.spec || ''}`.trim()}</p>
+                        <BarcodeSvg value={getLabelCode(p)} />
+                        <p className="text-xs tracking-widest">{getLabelCode(p)}</p>
+                        <p className="text-xs">SKU: {p.sku}</p>
+                    </div>
+                )))}
+            </div>
+        </PrintView>
+    );
+};
+
+// --- Lots ---
+// 批號管理的商品 (lotTracked) 收貨時登記批號與有效期限，各倉庫各批號的結存記錄在 lots，出貨依先到期先出 (FEFO) 建議批號。
+// 出貨、銷貨退回、進貨退出、調撥與盤點調整都必須指定批號並同步異動批號結存，各批號結存合計即為該倉庫的存量
+const EXPIRY_WARNING_PERIODS = [30, 60, 90];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 有效期限可能是 Firestore Timestamp (已儲存) 或 Date (交易中剛輸入)
+const getExpiryDate = (lot) => {
+    if (!lot.expiryDate) return null;
+    return lot.expiryDate.toDate ? lot.expiryDate.toDate() : lot.expiryDate;
+};
+const getExpiryTime = (lot) => getExpiryDate(lot)?.getTime() ?? null;
+const formatLotExpiry = (lot) => getExpiryDate(lot)?.toLocaleDateString() || '無';
+const isLotExpired = (lot, now = new Date()) => getExpiryTime(lot) !== null && getExpiryTime(lot) < now.getTime();
+
+// 先到期先出: 依有效期限排序，沒有有效期限的批號排最後，同一期限依入庫先後
+const compareLotsByExpiry = (a, b) => {
+    const expiryA = getExpiryTime(a) ?? Infinity;
+    const expiryB = getExpiryTime(b) ?? Infinity;
+    if (expiryA !== expiryB) return expiryA - expiryB;
+    return (a.firstReceivedAt?.toMillis() || 0) - (b.firstReceivedAt?.toMillis() || 0);
+};
+
+/**
+ * 依先到期先出建議各出貨品項的批號，同一商品出現在多個品項時依序分配，已過期或沒有結存的批號不列入
+ * @param {Array<{ productId: string }>} items 訂單品項
+ * @param {number[]} quantities 各品項本次出貨數量
+ * @param {Array} lots 出貨倉庫的批號結存 (含 id)
+ * @param {Set<string>} lotTrackedIds 批號管理的商品 id
+ * @returns {Array<Object<string, number>|null>} 各品項的 { 批號文件 id: 數量 }，非批號商品為 null；批號結存不足時分配數量會少於出貨數量
+ */
+const suggestFefoLots = (items, quantities, lots, lotTrackedIds) => {
+    const remainingByLot = Object.fromEntries(lots.map(lot => [lot.id, lot.quantity]));
+    const sortedLots = lots.filter(lot => lot.quantity > 0 && !isLotExpired(lot)).sort(compareLotsByExpiry);
+    return items.map((item, index) => {
+        if (!lotTrackedIds.has(item.productId)) return null;
+        const allocation = {};
+        let needed = quantities[index] || 0;
+        for (const lot of sortedLots.filter(l => l.productId === item.productId)) {
+            if (needed <= 0) break;
+            const take = Math.min(needed, remainingByLot[lot.id]);
+            if (take <= 0) continue;
+            allocation[lot.id] = take;
+            remainingByLot[lot.id] -= take;
+            needed -= take;
+        }
+        return allocation;
+    });
+};
+
+// 訂閱倉庫的批號結存，未指定倉庫時為空陣列
+const useWarehouseLots = (warehouseId) => {
+    const [lots, setLots] = useState([]);
+
+    useEffect(() => {
+        if (!warehouseId) { setLots([]); return; }
+        const q = query(collection(db, getCollectionPath('lots')), where('warehouseId', '==', warehouseId));
+        const unsubscribe = onSnapshot(q, snapshot => setLots(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))));
+        return () => unsubscribe();
+    }, [warehouseId]);
+
+    return lots;
+};
+
+/**
+ * 在交易中讀取批號結存，同一批號只讀取一次 (交易需在所有寫入之前完成讀取)
+ * @param {Object<string, Object|null>} lotStates 交易中的批號結存，以批號文件 id 為 key，讀取結果寫入此物件
+ * @returns {Promise<Object|null>} 批號結存，該倉庫沒有此批號時為 null
+ */
+const readLotState = async (transaction, lotStates, productId, warehouseId, lotNumber) => {
+    const lotId = getLotDocId(productId, warehouseId, lotNumber);
+    if (!(lotId in lotStates)) {
+        const lotDoc = await transaction.get(doc(db, getDocPath('lots', lotId)));
+        lotStates[lotId] = lotDoc.exists() ? { ...lotDoc.data(), isNew: false } : null;
+    }
+    return lotStates[lotId];
+};
+
+/**
+ * 異動批號結存，扣減後不可為負數；調入或退回到倉庫尚未有的批號時，沿用同批號在來源倉庫 (source) 的有效期限建立
+ * @param {Object<string, Object|null>} lotStates 已由 readLotState 讀取的批號結存
+ * @param {{ productId: string, productName: string, warehouseId: string, lotNumber: string, change: number, source?: Object }} movement
+ */
+const changeLotQuantity = (lotStates, { productId, productName, warehouseId, lotNumber, change, source }) => {
+    const lotId = getLotDocId(productId, warehouseId, lotNumber);
+    if (!lotStates[lotId]) {
+        if (change < 0 || !source) throw new Error(`商品 ${productName} 在此倉庫沒有批號 ${lotNumber}。`);
+        lotStates[lotId] = { productId, productName, warehouseId, lotNumber, expiryDate: source.expiryDate ?? null, quantity: 0, isNew: true };
+    }
+    const lotState = lotStates[lotId];
+    if (lotState.quantity + change < 0) throw new Error(`商品 ${productName} 批號 ${lotNumber} 的結存不足 (現有 ${lotState.quantity})`);
+    lotState.quantity += change;
+    lotState.isChanged = true;
+};
+
+// 寫回交易中有異動的批號結存，新的批號文件以本次異動時間為首次入庫時間、本次入庫數量為入庫數量 (安全規則要求兩者相同)
+const writeLotStates = (transaction, lotStates) => {
+    for (const [lotId, lotState] of Object.entries(lotStates)) {
+        if (!lotState?.isChanged) continue;
+        const { isNew, isChanged, ...lotData } = lotState;
+        const lotRef = doc(db, getDocPath('lots', lotId));
+        if (isNew) transaction.set(lotRef, validateDocument('lots', { ...lotData, receivedQuantity: lotData.quantity, firstReceivedAt: serverTimestamp(), updatedAt: serverTimestamp() }));
+        else transaction.update(lotRef, validateDocument('lots', { quantity: lotData.quantity, updatedAt: serverTimestamp() }, { partial: true }));
+    }
+};
+
+// 退貨與調撥的批號選單，lots 為可選的批號 (含 lotNumber，倉庫結存另附 quantity 與有效期限)
+const LotSelect = ({ lots, value, onChange }) => (
+    <select value={value} onChange={(e) => onChange(e.target.value)} className="p-1 border rounded bg-white text-sm">
+        <option value="">選擇批號</option>
+        {lots.map(lot => <option key={lot.lotNumber} value={lot.lotNumber}>{lot.lotNumber}{lot.quantity !== undefined && ` (效期 ${formatLotExpiry(lot)}，結存 ${lot.quantity})`}</option>)}
+    </select>
+);
+
+/**
+ * 銷貨退回各批號可退的數量: 此訂單各次出貨的批號數量扣除先前退貨單退回的數量。
+ * 商品改為批號管理前的出貨沒有批號，歸入 lotNumber 為 '' 的項目，退回時輸入批號與有效期限
+ * @param {Object} order 銷售單
+ * @param {Array} shipments 訂單的出貨紀錄，出貨紀錄上線前完成的訂單沒有出貨紀錄，以品項的出貨數量計算
+ * @param {Array} salesReturns 此訂單先前的退貨單
+ * @returns {Array<{ productId: string, lotNumber: string, warehouseId: string|null, quantity: number }>} warehouseId 為出貨倉庫
+ */
+const getReturnableLots = (order, shipments, salesReturns) => {
+    const lots = new Map();
+    const add = (productId, lotNumber, warehouseId, quantity) => {
+        const key = `${productId}:${lotNumber}`;
+        if (!lots.has(key)) lots.set(key, { productId, lotNumber, warehouseId, quantity: 0 });
+        lots.get(key).quantity += quantity;
+    };
+    if (shipments.length > 0) {
+        shipments.forEach(shipment => shipment.items.forEach(item => {
+            if (item.lots?.length) item.lots.forEach(lot => add(item.productId, lot.lotNumber, shipment.warehouseId, lot.quantity));
+            else add(item.productId, '', null, item.quantity);
+        }));
+    } else {
+        order.items.forEach(item => add(item.productId, '', null, item.shippedQuantity ?? item.quantity));
+    }
+    // 退回的批號不在出貨批號內時 (輸入的批號)，扣減沒有批號的出貨數量
+    salesReturns.forEach(salesReturn => salesReturn.items.forEach(item => {
+        add(item.productId, lots.has(`${item.productId}:${item.lotNumber}`) ? item.lotNumber : '', null, -item.quantity);
+    }));
+    return [...lots.values()];
+};
+
+// 出貨單號為 {訂單號碼}-S{n}
+const getShipmentOrderNumber = (shipmentNumber) => shipmentNumber.replace(/-S\d+$/, '');
+
+// 即期品報表與批號追溯 (召回時查詢哪些客戶收到某個批號)
+const LotReport = ({ products }) => {
+    const [lots, setLots] = useState([]);
+    const [days, setDays] = useState(EXPIRY_WARNING_PERIODS[0]);
+    const [traceLotNumber, setTraceLotNumber] = useState('');
+    const [traceProductId, setTraceProductId] = useState('');
+    const [trace, setTrace] = useState(null);
+    const [isTracing, setIsTracing] = useState(false);
+    const { user } = useAuth();
+    const { showMessage } = useModal();
+    const { getWarehouseName } = useWarehouses();
+    const { getPartyName } = useParties('customers');
+    const lotTrackedProducts = products.filter(p => p.lotTracked);
+
+    useEffect(() => {
+        if (!user) return;
+        const unsubscribe = onSnapshot(collection(db, getCollectionPath('lots')), snapshot => setLots(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))));
+        return () => unsubscribe();
+    }, [user]);
+
+    const now = new Date();
+    const expiringLots = lots
+        .filter(lot => lot.quantity > 0 && getExpiryTime(lot) !== null && getExpiryTime(lot) <= now.getTime() + days * DAY_MS)
+        .sort(compareLotsByExpiry);
+
+    // 出貨的庫存異動以出貨單號 ({訂單號碼}-S{n}) 為關聯單號，依訂單號碼找出客戶；Firestore 的 in 查詢一次最多 30 個值
+    const handleTrace = async () => {
+        const lotNumber = traceLotNumber.trim();
+        if (!lotNumber) return showMessage('請輸入批號。', 'error');
+        setIsTracing(true);
+        try {
+            const logSnapshot = await getDocs(query(collection(db, getCollectionPath('inventoryLogs')), where('lotNumber', '==', lotNumber)));
+            const logs = logSnapshot.docs.map(doc => doc.data())
+                .filter(log => !traceProductId || log.productId === traceProductId)
+                .sort((a, b) => (a.timestamp?.toMillis() || 0) - (b.timestamp?.toMillis() || 0));
+            const shipmentLogs = logs.filter(log => log.type === 'out' && !log.source);
+            const orderNumbers = [...new Set(shipmentLogs.map(log => getShipmentOrderNumber(log.relatedDoc)))];
+            const ordersByNumber = {};
+            for (let start = 0; start < orderNumbers.length; start += 30) {
+                const orderSnapshot = await getDocs(query(collection(db, getCollectionPath('salesOrders')), where('orderNumber', 'in', orderNumbers.slice(start, start + 30))));
+                orderSnapshot.docs.forEach(doc => { ordersByNumber[doc.data().orderNumber] = doc.data(); });
+            }
+            setTrace({
+                lotNumber,
+                receipts: logs.filter(log => log.type === 'in'),
+                shipments: shipmentLogs.map(log => ({ ...log, order: ordersByNumber[getShipmentOrderNumber(log.relatedDoc)] })),
+                balances: lots.filter(lot => lot.lotNumber === lotNumber && (!traceProductId || lot.productId === traceProductId))
+            });
+        } catch (error) { showMessage(`查詢失敗: ${error.message}`, 'error'); }
+        setIsTracing(false);
+    };
+
+    const customerCount = trace ? new Set(trace.shipments.map(log => log.order?.customerId || log.order?.partyName)).size : 0;
+
+    return (
+        <div className="space-y-6">
+            <div className="bg-white p-4 rounded-lg shadow">
+                <div className="flex justify-between items-center mb-4">
+                    <h3 className="text-xl font-semibold text-gray-800">即期品</h3>
+                    <label className="text-sm text-gray-700">有效期限在
+                        <select value={days} onChange={(e) => setDays(Number(e.target.value))} className="mx-2 p-1 border rounded">
+                            {EXPIRY_WARNING_PERIODS.map(period => <option key={period} value={period}>{period} 天</option>)}
+                        </select>
+                        內 (含已過期)
+                    </label>
+                </div>
+                <table className="w-full text-sm text-left text-gray-500">
+                    <thead className="text-xs text-gray-700 uppercase bg-gray-50">
+                        <tr>
+                            <th className="px-6 py-3">商品</th>
+                            <th className="px-6 py-3">批號</th>
+                            <th className="px-6 py-3">倉庫</th>
+                            <th className="px-6 py-3">有效期限</th>
+                            <th className="px-6 py-3 text-right">剩餘天數</th>
+                            <th className="px-6 py-3 text-right">結存數量</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {expiringLots.length === 0 ? (
+                            <tr><td colSpan="6" className="text-center p-8">沒有即將到期的批號</td></tr>
+                        ) : expiringLots.map(lot => {
+                            const daysLeft = Math.ceil((getExpiryTime(lot) - now.getTime()) / DAY_MS);
+                            return (
+                                <tr key={lot.id} className={`border-b ${isLotExpired(lot, now) ? 'bg-red-50' : 'bg-white'}`}>
+                                    <td className="px-6 py-4">{lot.productName}</td>
+                                    <td className="px-6 py-4 font-medium text-gray-900">{lot.lotNumber}</td>
+                                    <td className="px-6 py-4">{getWarehouseName(lot.warehouseId)}</td>
+                                    <td className="px-6 py-4">{formatLotExpiry(lot)}</td>
+                                    <td className={`px-6 py-4 text-right font-semibold ${isLotExpired(lot, now) ? 'text-red-600' : 'text-orange-600'}`}>{isLotExpired(lot, now) ? '已過期' : daysLeft}</td>
+                                    <td className="px-6 py-4 text-right">{lot.quantity}</td>
+                                </tr>
+                            );
+                        })}
+                    </tbody>
+                </table>
+            </div>
+            <div className="bg-white p-4 rounded-lg shadow">
+                <h3 className="text-xl font-semibold text-gray-800 mb-4">批號追溯</h3>
+                <div className="flex items-center space-x-2 mb-4">
+                    <input value={traceLotNumber} onChange={(e) => setTraceLotNumber(e.target.value)} onKeyDown={(e) => e.key === 'Enter' && handleTrace()} placeholder="輸入批號" className="p-2 border rounded" />
+                    <select value={traceProductId} onChange={(e) => setTraceProductId(e.target.value)} className="p-2 border rounded">
+                        <option value="">所有商品</option>
+                        {lotTrackedProducts.map(p => <option key={p.id} value={p.id}>{p.sku} {p.name}</option>)}
+                    </select>
+                    <button onClick={handleTrace} disabled={isTracing} className="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600 disabled:bg-gray-400">{isTracing ? '查詢中...' : '查詢'}</button>
+                </div>
+                {trace && (
+                    <div className="space-y-4 text-sm">
+                        <p className="text-gray-700">批號 <strong>{trace.lotNumber}</strong>: 收貨 {trace.receipts.reduce((sum, log) => sum + log.change, 0)}，出貨給 {customerCount} 位客戶共 {trace.shipments.reduce((sum, log) => sum - log.change, 0)}，目前結存 {trace.balances.reduce((sum, lot) => sum + lot.quantity, 0)}</p>
+                        <table className="w-full text-left text-gray-500">
+                            <thead className="text-xs text-gray-700 uppercase bg-gray-50">
+                                <tr>
+                                    <th className="px-6 py-3">出貨日期</th>
+                                    <th className="px-6 py-3">出貨單號</th>
+                                    <th className="px-6 py-3">客戶</th>
+                                    <th className="px-6 py-3">商品</th>
+                                    <th className="px-6 py-3">倉庫</th>
+                                    <th className="px-6 py-3 text-right">數量</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {trace.shipments.length === 0 ? (
+                                    <tr><td colSpan="6" className="text-center p-8">此批號尚未出貨</td></tr>
+                                ) : trace.shipments.map((log, index) => (
+                                    <tr key={index} className="bg-white border-b">
+                                        <td className="px-6 py-4">{log.timestamp?.toDate().toLocaleString()}</td>
+                                        <td className="px-6 py-4">{log.relatedDoc}</td>
+                                        <td className="px-6 py-4 font-medium text-gray-900">{log.order ? getPartyName(log.order.customerId, log.order.partyName) : '-'}</td>
+                                        <td className="px-6 py-4">{log.productName}</td>
+                                        <td className="px-6 py-4">{getWarehouseName(log.warehouseId)}</td>
+                                        <td className="px-6 py-4 text-right">{-log.change}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                        {trace.receipts.length > 0 && <p className="text-gray-500">收貨紀錄: {trace.receipts.map(log => `${log.relatedDoc} ${log.productName} x ${log.change} (${getWarehouseName(log.warehouseId)})`).join('、')}</p>}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+const InventoryManagement = () => {
+    const [products, setProducts] = useState([]);
+    const [activeTab, setActiveTab] = useState('overview');
+    const [ledgerProduct, setLedgerProduct] = useState(null);
+    const [costLedgerProduct, setCostLedgerProduct] = useState(null);
+    const { user, role } = useAuth();
+    const { warehouses, defaultWarehouseId } = useWarehouses();
+    const [columnWidths, setColumnWidths] = useState({ sku: 150, name: 300, stock: 120, reserved: 120, available: 120, avgCost: 150 });
+    const handleResize = (key) => (newWidth) => setColumnWidths(prev => ({ ...prev, [key]: newWidth }));
+
+    useEffect(() => {
+        if (!user) return;
+        const unsubscribe = onSnapshot(collection(db, getCollectionPath('products')), snapshot => setProducts(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))));
+        return () => unsubscribe();
+    }, [user]);
+
+    return (
+        <div>
+            <h2 className="text-3xl font-bold text-gray-800 mb-6">庫存管理</h2>
+            <div className="border-b border-gray-200 mb-4">
+                <nav className="-mb-px flex space-x-8" aria-label="Tabs">
+                    <button onClick={() => setActiveTab('overview')} className={`${activeTab === 'overview' ? 'border-blue-500 text-blue-600' : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'} whitespace-nowrap py-4 px-1 border-b-2 font-medium text-sm`}>庫存總覽</button>
+                    <button onClick={() => setActiveTab('stocktake')} className={`${activeTab === 'stocktake' ? 'border-blue-500 text-blue-600' : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'} whitespace-nowrap py-4 px-1 border-b-2 font-medium text-sm`}>盤點作業</button>
+                    <button onClick={() => setActiveTab('transfers')} className={`${activeTab === 'transfers' ? 'border-blue-500 text-blue-600' : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'} whitespace-nowrap py-4 px-1 border-b-2 font-medium text-sm`}>調撥作業</button>
+                    <button onClick={() => setActiveTab('lots')} className={`${activeTab === 'lots' ? 'border-blue-500 text-blue-600' : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'} whitespace-nowrap py-4 px-1 border-b-2 font-medium text-sm`}>批號效期</button>
+                </nav>
+            </div>
+            {activeTab === 'stocktake' && <StocktakeManagement products={products} />}
+            {activeTab === 'transfers' && <StockTransferManagement products={products} />}
+            {activeTab === 'lots' && <LotReport products={products} />}
+            {activeTab === 'overview' && (
+            <div className="bg-white p-4 rounded-lg shadow"><div className="overflow-x-auto">
+                <table className="w-full text-sm text-left text-gray-500 table-fixed">
+                    <thead className="text-xs text-gray-700 uppercase bg-gray-50">
+                        <tr>
+                            <ResizableHeader width={columnWidths.sku} onResize={handleResize('sku')}>SKU</ResizableHeader>
+                            <ResizableHeader width={columnWidths.name} onResize={handleResize('name')}>商品名稱</ResizableHeader>
+                            <ResizableHeader width={columnWidths.stock} onResize={handleResize('stock')}>在庫數量</ResizableHeader>
+                            {warehouses.map(w => <th key={w.id} style={{ width: '110px' }} className="px-6 py-3 border-r border-gray-200">{w.name}</th>)}
+                            <ResizableHeader width={columnWidths.reserved} onResize={handleResize('reserved')}>已保留</ResizableHeader>
+                            <ResizableHeader width={columnWidths.available} onResize={handleResize('available')}>可用數量</ResizableHeader>
+                            {role === 'admin' && <ResizableHeader width={columnWidths.avgCost} onResize={handleResize('avgCost')}>單位平均成本</ResizableHeader>}
+                        </tr>
+                    </thead>
+                    <tbody>{products.map(p => (
+                        <tr key={p.id} className="bg-white border-b border-gray-200 hover:bg-gray-50">
+                            <td className="px-6 py-4 font-medium text-gray-900 truncate border-r border-gray-200">{p.sku}</td>
+                            <td className="px-6 py-4 truncate border-r border-gray-200">{`${p.brand || ''} ${p.name} ${p.spec || ''}`.trim()}</td>
+                            <td className="px-6 py-4 truncate border-r border-gray-200">
+                                <button onClick={() => setLedgerProduct(p)} className="text-blue-600 hover:underline">{p.stock}</button>
+                            </td>
+                            {warehouses.map(w => <td key={w.id} className="px-6 py-4 truncate border-r border-gray-200">{getLocationStock(p, w.id, defaultWarehouseId)}</td>)}
+                            <td className="px-6 py-4 truncate border-r border-gray-200">{p.reserved || 0}</td>
+                            <td className={`px-6 py-4 truncate border-r border-gray-200 font-semibold ${getAvailableStock(p) <= (p.lowStockThreshold || 5) ? 'text-red-600' : 'text-gray-900'}`}>{getAvailableStock(p)}</td>
+                            {role === 'admin' && (
+                                <td className="px-6 py-4 font-semibold text-blue-600 truncate">
+                                    <button onClick={() => setCostLedgerProduct(p)} className="text-blue-600 hover:underline">${p.averageCost?.toFixed(2) || 'N/A'}</button>
+                                </td>
+                            )}
+                        </tr>))}
+                    </tbody>
+                </table>
+            </div></div>
+            )}
+            {ledgerProduct && <InventoryLedgerModal product={ledgerProduct} onClose={() => setLedgerProduct(null)} />}
+            {costLedgerProduct && <CostLedgerModal product={costLedgerProduct} onClose={() => setCostLedgerProduct(null)} />}
+        </div>
+    );
+};
+
+// --- Stocktake (Cycle Count) ---
+// 流程: 建立盤點單 (Counting) -> 倉庫輸入實盤數量並送出 (Pending Approval，此時記錄帳面數量) -> 管理員選擇原因代碼後核准入帳 (Approved)
+// 批號商品依建立時倉庫有結存的批號逐批盤點，帳面數量為批號結存，核准時差異同時調整批號結存
+
+// 帳面數量在送出時記錄於 systemStocks (以品項位置為 key，安全規則只允許送出時寫入)，沒有 systemStocks 的舊盤點單記錄在品項的 systemStock；
+// 差異一律以實盤數量減帳面數量計算，不採用品項上儲存的 variance
+const getCountSystemStock = (count, index) => (count.systemStocks ? count.systemStocks[index] : count.items[index].systemStock) ?? 0;
+const getCountVariance = (count, index) => (count.items[index].countedQuantity ?? 0) - getCountSystemStock(count, index);
+// 差異不為 0 的品項，原因代碼依品項位置 (index) 對應
+const getVarianceLines = (count) => count.items.map((item, index) => ({ index, item, variance: getCountVariance(count, index) })).filter(({ variance }) => variance !== 0);
+
+const StocktakeManagement = ({ products }) => {
+    const [stockCounts, setStockCounts] = useState([]);
+    const [isCreateOpen, setIsCreateOpen] = useState(false);
+    const [selectedCount, setSelectedCount] = useState(null);
+    const { user, role } = useAuth();
+    const { showMessage, showConfirmation } = useModal();
+    const { warehouses, defaultWarehouseId, getWarehouseName } = useWarehouses();
+
+    useEffect(() => {
+        if (!user) return;
+        const q = query(collection(db, getCollectionPath('stockCounts')), orderBy('createdAt', 'desc'));
+        const unsubscribe = onSnapshot(q, snapshot => setStockCounts(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))));
+        return () => unsubscribe();
+    }, [user]);
+
+    // 讀取盤點倉庫的批號結存
+    const getWarehouseLots = async (warehouseId) => (await getDocs(query(collection(db, getCollectionPath('lots')), where('warehouseId', '==', warehouseId)))).docs.map(doc => doc.data());
+
+    const handleCreate = async (productIds, warehouseId) => {
+        try {
+            const lots = (await getWarehouseLots(warehouseId)).filter(lot => lot.quantity > 0).sort(compareLotsByExpiry);
+            const items = products.filter(p => productIds.includes(p.id)).flatMap(p => {
+                const item = { productId: p.id, sku: p.sku || '', name: `${p.brand || ''} ${p.name} ${p.spec || ''}`.trim(), countedQuantity: null };
+                const productLots = p.lotTracked ? lots.filter(lot => lot.productId === p.id) : [];
+                if (!p.lotTracked) return [item];
+                return productLots.length > 0 ? productLots.map(lot => ({ ...item, lotNumber: lot.lotNumber })) : [{ ...item, manualLot: true }];
+            });
+            const countNumber = await runTransaction(db, async (transaction) => {
+                const countNumber = await getNextDocNumber(transaction, 'stockCounts');
+                transaction.set(doc(collection(db, getCollectionPath('stockCounts'))), validateDocument('stockCounts', { countNumber, warehouseId, items, status: 'Counting', createdBy: user.uid, createdAt: serverTimestamp() }));
+                return countNumber;
+            });
+            showMessage(`盤點單 ${countNumber} 已建立。`);
+            setIsCreateOpen(false);
+        } catch (error) { showMessage(`建立盤點單失敗: ${error.message}`, 'error'); }
+    };
+
+    // lines: 盤點單品項 (可能含盤點人員新增的批號列)，countedQuantity 為輸入的實盤數量
+    const handleSaveCounts = async (count, lines, submit) => {
+        if (submit && lines.some(line => line.countedQuantity === null || line.countedQuantity === '')) return showMessage('請輸入所有品項的實盤數量。', 'error');
+        if (submit && lines.some(line => line.manualLot && !line.lotNumber && parseInt(line.countedQuantity, 10) > 0)) return showMessage('批號商品請輸入盤點到的批號。', 'error');
+        const lotKeys = lines.filter(line => line.lotNumber).map(line => `${line.productId}:${line.lotNumber}`);
+        if (new Set(lotKeys).size !== lotKeys.length) return showMessage('同一商品的批號不可重複盤點。', 'error');
+        try {
+            // 送出時記錄當下的帳面數量，核准時以差異數量調整庫存，避免盤點期間的出入庫被覆蓋
+            const warehouseId = count.warehouseId || defaultWarehouseId;
+            const lots = submit && lines.some(line => line.lotNumber) ? await getWarehouseLots(warehouseId) : [];
+            // 退回重盤的品項可能帶有上次送出或舊版記錄的帳面數量與差異，一律不寫回品項
+            const items = lines.map(({ systemStock, variance, ...line }) => ({ ...line, countedQuantity: line.countedQuantity === '' || line.countedQuantity === null ? null : parseInt(line.countedQuantity, 10) }));
+            // 輸入批號的品項只比對該批號的結存，沒有批號時帳面數量為 0 (批號商品的庫存全數屬於某個批號)
+            const systemStocks = submit && Object.fromEntries(items.map((line, index) => [index, line.lotNumber
+                ? lots.find(lot => lot.productId === line.productId && lot.lotNumber === line.lotNumber)?.quantity || 0
+                : line.manualLot ? 0 : getLocationStock(products.find(p => p.id === line.productId), warehouseId, defaultWarehouseId)]));
+            await updateDoc(doc(db, getDocPath('stockCounts', count.id)), validateDocument('stockCounts', submit
+                ? { items, systemStocks, status: 'Pending Approval', submittedBy: user.uid, submittedAt: serverTimestamp() }
+                : { items }, { partial: true }));
+            showMessage(submit ? '盤點結果已送出，等待管理員核准。' : '實盤數量已儲存。');
+            setSelectedCount(null);
+        } catch (error) { showMessage(`${submit ? '送出' : '儲存'}失敗: ${error.message}`, 'error'); }
+    };
+
+    const handleReturnForRecount = async (count) => {
+        try {
+            await updateDoc(doc(db, getDocPath('stockCounts', count.id)), validateDocument('stockCounts', { status: 'Counting' }, { partial: true }));
+            showMessage('盤點單已退回重盤。');
+            setSelectedCount(null);
+        } catch (error) { showMessage(`退回重盤失敗: ${error.message}`, 'error'); }
+    };
+
+    const handleApprove = async (count, reasonCodes) => {
+        if (getVarianceLines(count).some(({ index }) => !reasonCodes[index])) return showMessage('請為每一筆差異選擇原因代碼。', 'error');
+        const confirmed = await showConfirmation('確定要核准此盤點單？差異數量將調整至庫存。');
+        if (!confirmed) return;
+
+        try {
+            await runTransaction(db, async (transaction) => {
+                const countRef = doc(db, getDocPath('stockCounts', count.id));
+                const countDoc = await transaction.get(countRef);
+                if (!countDoc.exists() || countDoc.data().status !== 'Pending Approval') throw new Error("盤點單不存在或已處理。");
+                const countData = countDoc.data();
+                // 開啟核准視窗後盤點單可能已退回重盤並重新送出，差異與原因代碼一律以交易中讀到的實盤與帳面數量計算
+                if (countData.submittedAt?.toMillis() !== count.submittedAt?.toMillis()) throw new Error("盤點單已重新送出，請重新開啟後再核准。");
+                const varianceLines = getVarianceLines(countData);
+                if (varianceLines.some(({ index }) => !reasonCodes[index])) throw new Error("請為每一筆差異選擇原因代碼。");
+                const warehouseId = countData.warehouseId || defaultWarehouseId;
+
+                const productStates = {};
+                const lotTrackedIds = new Set();
+                for (const { item } of varianceLines) {
+                    if (productStates[item.productId]) continue;
+                    const productDoc = await transaction.get(doc(db, getDocPath('products', item.productId)));
+                    if (!productDoc.exists()) throw new Error(`商品 ${item.name} 不存在。`);
+                    const productData = productDoc.data();
+                    productStates[item.productId] = { stock: productData.stock || 0, stockByLocation: getStockByLocation(productData, defaultWarehouseId), reserved: productData.reserved || 0 };
+                    if (productData.lotTracked) lotTrackedIds.add(item.productId);
+                }
+                const lotStates = {};
+                for (const { item } of varianceLines.filter(({ item }) => lotTrackedIds.has(item.productId))) {
+                    if (!item.lotNumber) throw new Error(`商品 ${item.name} 為批號管理商品，盤點差異需依批號調整，請退回重盤並輸入批號。`);
+                    await readLotState(transaction, lotStates, item.productId, warehouseId, item.lotNumber);
+                }
+
+                for (const { index, item, variance } of varianceLines) {
+                    const productState = productStates[item.productId];
+                    moveLocationStock(productState, warehouseId, variance);
+                    if (productState.stockByLocation[warehouseId] < 0) throw new Error(`商品 ${item.name} 調整後庫存為負數。`);
+                    const lotNumber = lotTrackedIds.has(item.productId) ? item.lotNumber : undefined;
+                    // 盤點人員輸入的批號在此倉庫沒有結存時，盤盈以輸入的有效期限建立批號
+                    if (lotNumber) changeLotQuantity(lotStates, { productId: item.productId, productName: item.name, warehouseId, lotNumber, change: variance, source: item.manualLot ? { expiryDate: item.expiryDate ?? null } : undefined });
+                    const invLogRef = doc(collection(db, getCollectionPath('inventoryLogs')));
+                    transaction.set(invLogRef, validateDocument('inventoryLogs', {
+                        productId: item.productId, productName: item.name, type: 'adjust', reasonCode: reasonCodes[index], change: variance, newStock: productState.stock, lotNumber,
+                        warehouseId, locationStock: productState.stockByLocation[warehouseId], relatedDoc: countData.countNumber, timestamp: serverTimestamp()
+                    }));
+                }
+
+                // 盤虧後的在庫數量不可低於已批准訂單保留的數量，否則訂單會保留不存在的庫存
+                for (const { item } of varianceLines.filter(({ variance }) => variance < 0)) {
+                    const productState = productStates[item.productId];
+                    if (getAvailableStock(productState) < 0) throw new Error(`商品 ${item.name} 調整後在庫 ${productState.stock} 低於已保留的 ${productState.reserved}，請先取消或調整保留此商品的訂單。`);
+                }
+
+                for (const [productId, productState] of Object.entries(productStates)) {
+                    transaction.update(doc(db, getDocPath('products', productId)), validateDocument('products', { stock: productState.stock, stockByLocation: productState.stockByLocation }, { partial: true }));
+                }
+                writeLotStates(transaction, lotStates);
+                const items = countData.items.map((item, index) => (varianceLines.some(line => line.index === index) ? { ...item, reasonCode: reasonCodes[index] } : item));
+                transaction.update(countRef, validateDocument('stockCounts', { items, status: 'Approved', approvedBy: user.uid, approvedAt: serverTimestamp() }, { partial: true }));
+            });
+            showMessage('盤點差異已核准並調整庫存。');
+            setSelectedCount(null);
+        } catch (error) { showMessage(`核准失敗: ${error.message}`, 'error'); }
+    };
+
+    const statusText = { 'Counting': '盤點中', 'Pending Approval': '待核准', 'Approved': '已核准' };
+    const statusColor = { 'Counting': 'text-blue-600', 'Pending Approval': 'text-yellow-600', 'Approved': 'text-green-600' };
+
+    return (
+        <div>
+            <div className="flex justify-end mb-4">
+                <button onClick={() => setIsCreateOpen(true)} className="flex items-center bg-blue-500 text-white px-4 py-2 rounded-lg shadow hover:bg-blue-600 transition"><PlusCircle className="w-5 h-5 mr-2" /> 新增盤點單</button>
+            </div>
+            <div className="bg-white rounded-lg shadow"><div className="overflow-x-auto">
+                <table className="w-full text-sm text-left text-gray-500">
+                    <thead className="text-xs text-gray-700 uppercase bg-gray-50">
+                        <tr>
+                            <th className="px-6 py-3 border-r border-gray-200">日期</th><th className="px-6 py-3 border-r border-gray-200">盤點單號</th>
+                            <th className="px-6 py-3 border-r border-gray-200">倉庫</th><th className="px-6 py-3 border-r border-gray-200">品項數</th><th className="px-6 py-3 border-r border-gray-200">差異品項</th><th className="px-6 py-3">狀態</th>
+                        </tr>
+                    </thead>
+                    <tbody>{stockCounts.map(count => (
+                        <tr key={count.id} onClick={() => setSelectedCount(count)} className="bg-white border-b border-gray-200 hover:bg-gray-50 cursor-pointer">
+                            <td className="px-6 py-4 border-r border-gray-200">{count.createdAt?.toDate().toLocaleDateString()}</td>
+                            <td className="px-6 py-4 font-medium text-gray-900 border-r border-gray-200">{count.countNumber}</td>
+                            <td className="px-6 py-4 border-r border-gray-200">{getWarehouseName(count.warehouseId || defaultWarehouseId)}</td>
+                            <td className="px-6 py-4 border-r border-gray-200">{count.items.length}</td>
+                            <td className="px-6 py-4 border-r border-gray-200">{count.status === 'Counting' ? '-' : getVarianceLines(count).length}</td>
+                            <td className={`px-6 py-4 font-semibold ${statusColor[count.status]}`}>{statusText[count.status] || count.status}</td>
+                        </tr>))}
+                    </tbody>
+                </table>
+            </div></div>
+            {isCreateOpen && <StocktakeCreateModal products={products} warehouses={warehouses} defaultWarehouseId={defaultWarehouseId} onClose={() => setIsCreateOpen(false)} onSave={handleCreate} />}
+            {selectedCount && <StocktakeDetailModal count={selectedCount} products={products} role={role} onClose={() => setSelectedCount(null)} onSaveCounts={handleSaveCounts} onReturnForRecount={handleReturnForRecount} onApprove={handleApprove} />}
+        </div>
+    );
+};
+
+const StocktakeCreateModal = ({ products, warehouses, defaultWarehouseId, onClose, onSave }) => {
+    const [searchTerm, setSearchTerm] = useState('');
+    const [selectedWarehouseId, setSelectedWarehouseId] = useState(null);
+    const warehouseId = selectedWarehouseId || defaultWarehouseId;
+    const [selectedIds, setSelectedIds] = useState([]);
+    const { showMessage } = useModal();
+
+    const filteredProducts = useMemo(() => {
+        const lowercasedTerm = searchTerm.toLowerCase();
+        return products.filter(p =>
+            (p.sku || '').toLowerCase().includes(lowercasedTerm) ||
+            (p.brand || '').toLowerCase().includes(lowercasedTerm) ||
+            (p.name || '').toLowerCase().includes(lowercasedTerm)
+        );
+    }, [products, searchTerm]);
+
+    const toggle = (id) => setSelectedIds(prev => prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]);
+    const allFilteredSelected = filteredProducts.length > 0 && filteredProducts.every(p => selectedIds.includes(p.id));
+    const toggleAll = () => setSelectedIds(prev => allFilteredSelected
+        ? prev.filter(id => !filteredProducts.some(p => p.id === id))
+        : [...new Set([...prev, ...filteredProducts.map(p => p.id)])]);
+
+    const handleSubmit = () => {
+        if (!warehouseId) return showMessage('請選擇盤點倉庫。', 'error');
+        if (selectedIds.length === 0) return showMessage('請至少選擇一項商品。', 'error');
+        onSave(selectedIds, warehouseId);
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex justify-center items-center z-50">
+            <div className="bg-white rounded-lg shadow-xl p-8 w-full max-w-2xl">
+                <h3 className="text-2xl font-bold mb-4">新增盤點單</h3>
+                <div className="mb-2"><WarehouseSelect warehouses={warehouses} value={warehouseId} onChange={setSelectedWarehouseId} label="盤點倉庫" /></div>
+                <input type="text" placeholder="搜尋 SKU 或商品..." value={searchTerm} onChange={(e) => setSearchTerm(e.target.value)} className="w-full p-2 border rounded-md mb-2" />
+                <label className="flex items-center text-sm text-gray-600 mb-2"><input type="checkbox" checked={allFilteredSelected} onChange={toggleAll} className="mr-2" />全選搜尋結果 (已選 {selectedIds.length} 項)</label>
+                <ul className="border rounded-md max-h-[50vh] overflow-y-auto divide-y">
+                    {filteredProducts.map(p => (
+                        <li key={p.id} className="px-4 py-2">
+                            <label className="flex items-center text-sm cursor-pointer">
+                                <input type="checkbox" checked={selectedIds.includes(p.id)} onChange={() => toggle(p.id)} className="mr-3" />
+                                <span className="font-medium w-40 truncate">{p.sku}</span>
+                                <span className="truncate">{`${p.brand || ''} ${p.name} ${p.spec || ''}`.trim()}</span>
+                            </label>
+                        </li>
+                    ))}
+                </ul>
+                <div className="flex justify-end space-x-4 pt-4">
+                    <button type="button" onClick={onClose} className="px-4 py-2 bg-gray-200 rounded hover:bg-gray-300">取消</button>
+                    <button type="button" onClick={handleSubmit} className="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600">建立盤點單</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+const StocktakeDetailModal = ({ count, products, role, onClose, onSaveCounts, onReturnForRecount, onApprove }) => {
+    // 盤點中可為批號商品新增盤點到的其他批號；批號由盤點人員輸入的品項 (expiryInput 為有效期限的輸入值) 可編輯批號與有效期限
+    const [lines, setLines] = useState(() => count.items.map(item => ({ ...item, expiryInput: getExpiryDate(item) ? toDateInputValue(getExpiryDate(item)) : '' })));
+    const [countedQuantities, setCountedQuantities] = useState(() => count.items.map(item => item.countedQuantity ?? ''));
+    const [reasonCodes, setReasonCodes] = useState(() => count.items.map(item => item.reasonCode || ''));
+    const [isScanning, setIsScanning] = useState(false);
+    const isCounting = count.status === 'Counting';
+    const canApprove = role === 'admin' && count.status === 'Pending Approval';
+    const variances = count.items.map((_, index) => getCountVariance(count, index));
+    // 掃描盤點: 每掃一件實盤數量加一 (累加在已輸入的數量上)，不在盤點單內的商品列為異常；
+    // 條碼無法區分批號，批號商品計入該商品的第一個批號，掃描結果顯示批號供核對後手動調整
+    const scanItems = useMemo(() => lines.map(item => (item.lotNumber ? { ...item, name: `${item.name} 批號 ${item.lotNumber}` } : item)), [lines]);
+    const scan = useScanSession({ items: scanItems, counts: countedQuantities, limits: lines.map(() => Infinity), products, setCounts: setCountedQuantities });
+
+    const isLotTrackedLine = (item) => !!products.find(p => p.id === item.productId)?.lotTracked;
+    // 批號商品沒有批號的品項 (倉庫沒有批號結存時建立的盤點單) 也由盤點人員輸入批號
+    const isManualLotLine = (item) => item.manualLot || (isLotTrackedLine(item) && !item.lotNumber);
+    const handleLotInputChange = (index, field, value) => setLines(prev => prev.map((line, i) => (i === index ? { ...line, [field]: value } : line)));
+    const handleAddLotLine = (index) => {
+        const { productId, sku, name } = lines[index];
+        setLines(prev => [...prev.slice(0, index + 1), { productId, sku, name, manualLot: true, lotNumber: '', expiryInput: '', countedQuantity: null }, ...prev.slice(index + 1)]);
+        setCountedQuantities(prev => [...prev.slice(0, index + 1), '', ...prev.slice(index + 1)]);
+    };
+    const handleRemoveLine = (index) => {
+        setLines(prev => prev.filter((_, i) => i !== index));
+        setCountedQuantities(prev => prev.filter((_, i) => i !== index));
+    };
+    const getCountLines = () => lines.map(({ expiryInput, ...item }, index) => ({
+        ...item,
+        countedQuantity: countedQuantities[index],
+        ...(isManualLotLine(item) && { manualLot: true, lotNumber: item.lotNumber?.trim() || undefined, expiryDate: expiryInput ? new Date(`${expiryInput}T00:00:00`) : null })
+    }));
+
+    const handleCountChange = (index, value) => {
+        const newQuantities = [...countedQuantities];
+        newQuantities[index] = value === '' ? '' : Math.max(0, parseInt(value, 10) || 0);
+        setCountedQuantities(newQuantities);
+    };
+    const handleReasonChange = (index, value) => {
+        const newReasonCodes = [...reasonCodes];
+        newReasonCodes[index] = value;
+        setReasonCodes(newReasonCodes);
+    };
+    // 依目前庫存估算盤虧後低於已保留數量的缺口，有缺口時無法核准
+    const getReservedShortfall = (item, variance) => {
+        const product = products.find(p => p.id === item.productId);
+        return product && variance < 0 ? Math.max(0, -getAvailableStock({ stock: (product.stock || 0) + variance, reserved: product.reserved })) : 0;
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex justify-center items-center z-50">
+            <div className="bg-white rounded-lg shadow-xl p-8 w-full max-w-4xl">
+                <div className="flex justify-between items-center mb-4">
+                    <h3 className="text-2xl font-bold text-gray-800">盤點單: {count.countNumber}</h3>
+                    <div className="flex items-center space-x-4">
+                        {isCounting && !isScanning && <button onClick={() => setIsScanning(true)} className="flex items-center px-4 py-2 bg-gray-600 text-white rounded hover:bg-gray-700 text-sm"><ScanLine className="w-4 h-4 mr-2" /> 掃描盤點</button>}
+                        <button onClick={onClose} className="text-gray-500 hover:text-gray-800 text-2xl">&times;</button>
+                    </div>
+                </div>
+                {isCounting && isScanning && <ScanPanel onScan={scan.handleScan} lastScan={scan.lastScan} issues={scan.issues} onClearIssues={scan.clearIssues} />}
+                <div className="overflow-y-auto max-h-[50vh] border rounded-md">
+                    <table className="w-full text-sm text-left text-gray-500">
+                        <thead className="text-xs text-gray-700 uppercase bg-gray-50 sticky top-0">
+                            <tr>
+                                <th className="px-6 py-3">SKU</th>
+                                <th className="px-6 py-3">商品</th>
+                                <th className="px-6 py-3 text-right">實盤數量</th>
+                                {!isCounting && <th className="px-6 py-3 text-right">帳面數量</th>}
+                                {!isCounting && <th className="px-6 py-3 text-right">差異</th>}
+                                {!isCounting && <th className="px-6 py-3">原因</th>}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {lines.map((item, index) => (
+                                <tr key={`${item.productId}-${index}`} className="bg-white border-b">
+                                    <td className="px-6 py-4 font-medium text-gray-900">{item.sku}</td>
+                                    <td className="px-6 py-4">
+                                        {item.name}
+                                        {isCounting && isManualLotLine(item) ? (
+                                            <div className="flex items-center space-x-2 mt-1">
+                                                <input value={item.lotNumber || ''} onChange={(e) => handleLotInputChange(index, 'lotNumber', e.target.value)} placeholder="批號" className="w-32 p-1 border rounded" />
+                                                <input type="date" value={item.expiryInput} onChange={(e) => handleLotInputChange(index, 'expiryInput', e.target.value)} title="有效期限" className="w-36 p-1 border rounded" />
+                                                {lines.filter(line => line.productId === item.productId).length > 1 && <button onClick={() => handleRemoveLine(index)} className="text-red-500 hover:text-red-700"><Trash2 className="w-4 h-4" /></button>}
+                                            </div>
+                                        ) : item.lotNumber && <span className="ml-2 text-xs text-gray-500">批號 {item.lotNumber}{item.manualLot && ` (效期 ${formatLotExpiry(item)})`}</span>}
+                                        {isCounting && isLotTrackedLine(item) && index === lines.map(line => line.productId).lastIndexOf(item.productId) && (
+                                            <button onClick={() => handleAddLotLine(index)} className="block mt-1 text-xs text-blue-600 hover:underline">+ 盤點其他批號</button>
+                                        )}
+                                    </td>
+                                    <td className="px-6 py-4 text-right">
+                                        {isCounting
+                                            ? <input type="number" value={countedQuantities[index]} onChange={(e) => handleCountChange(index, e.target.value)} min="0" className="w-24 p-1 border rounded text-right" />
+                                            : item.countedQuantity}
+                                    </td>
+                                    {!isCounting && <td className="px-6 py-4 text-right">{getCountSystemStock(count, index)}</td>}
+                                    {!isCounting && <td className={`px-6 py-4 text-right font-semibold ${variances[index] > 0 ? 'text-green-600' : variances[index] < 0 ? 'text-red-600' : ''}`}>{variances[index] > 0 ? `+${variances[index]}` : variances[index]}{canApprove && getReservedShortfall(item, variances[index]) > 0 && <p className="text-xs font-normal">低於已保留 {getReservedShortfall(item, variances[index])}</p>}</td>}
+                                    {!isCounting && (
+                                        <td className="px-6 py-4">
+                                            {variances[index] === 0 ? '-' : canApprove ? (
+                                                <select value={reasonCodes[index]} onChange={(e) => handleReasonChange(index, e.target.value)} className="p-1 border rounded bg-white">
+                                                    <option value="">選擇原因</option>
+                                                    {Object.entries(ADJUST_REASON_MAP).map(([code, label]) => <option key={code} value={code}>{label}</option>)}
+                                                </select>
+                                            ) : (ADJUST_REASON_MAP[item.reasonCode] || '-')}
+                                        </td>
+                                    )}
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+                <div className="flex justify-end space-x-4 pt-6">
+                    <button onClick={onClose} className="px-4 py-2 bg-gray-200 rounded hover:bg-gray-300">關閉</button>
+                    {isCounting && <button onClick={() => onSaveCounts(count, getCountLines(), false)} className="px-4 py-2 bg-gray-600 text-white rounded hover:bg-gray-700">儲存</button>}
+                    {isCounting && <button onClick={() => onSaveCounts(count, getCountLines(), true)} className="px-6 py-2 bg-blue-500 text-white rounded hover:bg-blue-600">送出審核</button>}
+                    {canApprove && <button onClick={() => onReturnForRecount(count)} className="px-4 py-2 bg-yellow-500 text-white rounded hover:bg-yellow-600">退回重盤</button>}
+                    {canApprove && <button onClick={() => onApprove(count, reasonCodes)} className="px-6 py-2 bg-green-500 text-white rounded hover:bg-green-600">核准調整</button>}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// --- Stock Transfers ---
+// 調撥單在同一筆交易中扣減調出倉、增加調入倉，兩邊各寫一筆 inventoryLogs，合計 stock 與平均成本不變；
+// 批號商品同時將批號結存移到調入倉 (調入倉沒有此批號時以相同有效期限建立)
+const StockTransferManagement = ({ products }) => {
+    const [transfers, setTransfers] = useState([]);
+    const [isModalOpen, setIsModalOpen] = useState(false);
     const { user } = useAuth();
-    const [columnWidths, setColumnWidths] = useState({ sku: 150, name: 300, stock: 150, avgCost: 150 });
-    const handleResize = (key) => (newWidth) => setColumnWidths(prev => ({ ...prev, [key]: newWidth }));
+    const { showMessage } = useModal();
+    const { warehouses, defaultWarehouseId, getWarehouseName } = useWarehouses();
 
     useEffect(() => {
         if (!user) return;
-        const unsubscribe = onSnapshot(collection(db, getCollectionPath('products')), snapshot => setProducts(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))));
+        const q = query(collection(db, getCollectionPath('stockTransfers')), orderBy('createdAt', 'desc'));
+        const unsubscribe = onSnapshot(q, snapshot => setTransfers(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))));
         return () => unsubscribe();
     }, [user]);
 
+    const handleTransfer = async ({ fromWarehouseId, toWarehouseId, items }) => {
+        try {
+            const transferNumber = await runTransaction(db, async (transaction) => {
+                const productStates = {};
+                const lotTrackedIds = new Set();
+                for (const item of items) {
+                    if (productStates[item.productId]) continue;
+                    const productDoc = await transaction.get(doc(db, getDocPath('products', item.productId)));
+                    if (!productDoc.exists()) throw new Error(`商品 ${item.name} 不存在。`);
+                    const productData = productDoc.data();
+                    productStates[item.productId] = { stock: productData.stock || 0, stockByLocation: getStockByLocation(productData, defaultWarehouseId) };
+                    if (productData.lotTracked) lotTrackedIds.add(item.productId);
+                }
+                const lotStates = {};
+                for (const item of items.filter(item => lotTrackedIds.has(item.productId))) {
+                    if (!item.lotNumber) throw new Error(`商品 ${item.name} 為批號管理商品，請選擇調撥的批號。`);
+                    await readLotState(transaction, lotStates, item.productId, fromWarehouseId, item.lotNumber);
+                    await readLotState(transaction, lotStates, item.productId, toWarehouseId, item.lotNumber);
+                }
+                const transferNumber = await getNextDocNumber(transaction, 'stockTransfers');
+
+                for (const item of items) {
+                    const productState = productStates[item.productId];
+                    const fromStock = productState.stockByLocation[fromWarehouseId] || 0;
+                    if (fromStock < item.quantity) throw new Error(`商品 ${item.name} 在 ${getWarehouseName(fromWarehouseId)} 的庫存不足 (現有 ${fromStock})`);
+                    moveLocationStock(productState, fromWarehouseId, -item.quantity);
+                    moveLocationStock(productState, toWarehouseId, item.quantity);
+                    const lotNumber = lotTrackedIds.has(item.productId) ? item.lotNumber : undefined;
+                    if (lotNumber) {
+                        const movement = { productId: item.productId, productName: item.name, lotNumber };
+                        changeLotQuantity(lotStates, { ...movement, warehouseId: fromWarehouseId, change: -item.quantity });
+                        changeLotQuantity(lotStates, { ...movement, warehouseId: toWarehouseId, change: item.quantity, source: lotStates[getLotDocId(item.productId, fromWarehouseId, lotNumber)] });
+                    }
+                    for (const [warehouseId, change] of [[fromWarehouseId, -item.quantity], [toWarehouseId, item.quantity]]) {
+                        transaction.set(doc(collection(db, getCollectionPath('inventoryLogs'))), validateDocument('inventoryLogs', {
+                            productId: item.productId, productName: item.name, type: 'transfer', change, newStock: productState.stock, lotNumber,
+                            warehouseId, locationStock: productState.stockByLocation[warehouseId], relatedDoc: transferNumber, timestamp: serverTimestamp()
+                        }));
+                    }
+                }
+
+                for (const [productId, productState] of Object.entries(productStates)) {
+                    transaction.update(doc(db, getDocPath('products', productId)), validateDocument('products', { stock: productState.stock, stockByLocation: productState.stockByLocation }, { partial: true }));
+                }
+                writeLotStates(transaction, lotStates);
+                const transferItems = items.map(({ lotNumber, ...item }) => (lotTrackedIds.has(item.productId) ? { ...item, lotNumber } : item));
+                transaction.set(doc(collection(db, getCollectionPath('stockTransfers'))), validateDocument('stockTransfers', {
+                    transferNumber, fromWarehouseId, toWarehouseId, items: transferItems, createdBy: user.uid, createdAt: serverTimestamp()
+                }));
+                return transferNumber;
+            });
+            showMessage(`調撥單 ${transferNumber} 已完成。`);
+            setIsModalOpen(false);
+        } catch (error) { showMessage(`調撥失敗: ${error.message}`, 'error'); }
+    };
+
     return (
         <div>
-            <h2 className="text-3xl font-bold text-gray-800 mb-6">庫存管理</h2>
-            <div className="bg-white p-4 rounded-lg shadow"><div className="overflow-x-auto">
-                <table className="w-full text-sm text-left text-gray-500 table-fixed">
+            <div className="flex justify-end mb-4">
+                <button onClick={() => setIsModalOpen(true)} className="flex items-center bg-blue-500 text-white px-4 py-2 rounded-lg shadow hover:bg-blue-600 transition"><ArrowRightLeft className="w-5 h-5 mr-2" /> 新增調撥單</button>
+            </div>
+            <div className="bg-white rounded-lg shadow"><div className="overflow-x-auto">
+                <table className="w-full text-sm text-left text-gray-500">
                     <thead className="text-xs text-gray-700 uppercase bg-gray-50">
                         <tr>
-                            <ResizableHeader width={columnWidths.sku} onResize={handleResize('sku')}>SKU</ResizableHeader>
-                            <ResizableHeader width={columnWidths.name} onResize={handleResize('name')}>商品名稱</ResizableHeader>
-                            <ResizableHeader width={columnWidths.stock} onResize={handleResize('stock')}>目前庫存數量</ResizableHeader>
-                            <ResizableHeader width={columnWidths.avgCost} onResize={handleResize('avgCost')}>單位平均成本</ResizableHeader>
+                            <th className="px-6 py-3 border-r border-gray-200">日期</th><th className="px-6 py-3 border-r border-gray-200">調撥單號</th>
+                            <th className="px-6 py-3 border-r border-gray-200">調出倉庫</th><th className="px-6 py-3 border-r border-gray-200">調入倉庫</th><th className="px-6 py-3">品項</th>
                         </tr>
                     </thead>
-                    <tbody>{products.map(p => (
-                        <tr key={p.id} className="bg-white border-b border-gray-200 hover:bg-gray-50">
-                            <td className="px-6 py-4 font-medium text-gray-900 truncate border-r border-gray-200">{p.sku}</td>
-                            <td className="px-6 py-4 truncate border-r border-gray-200">{`${p.brand || ''} ${p.name} ${p.spec || ''}`.trim()}</td>
-                            <td className="px-6 py-4 truncate border-r border-gray-200">
-                                <button onClick={() => setLedgerProduct(p)} className="text-blue-600 hover:underline">{p.stock}</button>
-                            </td>
-                            <td className="px-6 py-4 font-semibold text-blue-600 truncate">
-                                <button onClick={() => setCostLedgerProduct(p)} className="text-blue-600 hover:underline">${p.averageCost?.toFixed(2) || 'N/A'}</button>
-                            </td>
+                    <tbody>{transfers.map(transfer => (
+                        <tr key={transfer.id} className="bg-white border-b border-gray-200">
+                            <td className="px-6 py-4 border-r border-gray-200">{transfer.createdAt?.toDate().toLocaleDateString()}</td>
+                            <td className="px-6 py-4 font-medium text-gray-900 border-r border-gray-200">{transfer.transferNumber}</td>
+                            <td className="px-6 py-4 border-r border-gray-200">{getWarehouseName(transfer.fromWarehouseId)}</td>
+                            <td className="px-6 py-4 border-r border-gray-200">{getWarehouseName(transfer.toWarehouseId)}</td>
+                            <td className="px-6 py-4">{transfer.items.map(item => `${item.name}${item.lotNumber ? ` (批號 ${item.lotNumber})` : ''} x ${item.quantity}`).join('、')}</td>
                         </tr>))}
                     </tbody>
                 </table>
             </div></div>
-            {ledgerProduct && <InventoryLedgerModal product={ledgerProduct} onClose={() => setLedgerProduct(null)} />}
-            {costLedgerProduct && <CostLedgerModal product={costLedgerProduct} onClose={() => setCostLedgerProduct(null)} />}
+            {isModalOpen && <StockTransferModal products={products} warehouses={warehouses} defaultWarehouseId={defaultWarehouseId} onClose={() => setIsModalOpen(false)} onSave={handleTransfer} />}
+        </div>
+    );
+};
+
+const StockTransferModal = ({ products, warehouses, defaultWarehouseId, onClose, onSave }) => {
+    const [fromWarehouseId, setFromWarehouseId] = useState(defaultWarehouseId || '');
+    const [toWarehouseId, setToWarehouseId] = useState(() => warehouses.find(w => w.id !== defaultWarehouseId)?.id || '');
+    const [items, setItems] = useState([{ productId: '', quantity: 1, name: '', lotNumber: '' }]);
+    const { showMessage } = useModal();
+    const fromLots = useWarehouseLots(fromWarehouseId);
+    const isLotTracked = (item) => !!products.find(p => p.id === item.productId)?.lotTracked;
+    const getProductLots = (productId) => fromLots.filter(lot => lot.productId === productId && lot.quantity > 0).sort(compareLotsByExpiry);
+
+    const handleItemChange = (index, field, value) => {
+        const newItems = [...items];
+        newItems[index] = { ...newItems[index], [field]: value };
+        if (field === 'productId') {
+            const product = products.find(p => p.id === value);
+            newItems[index].name = product ? `${product.brand || ''} ${product.name} ${product.spec || ''}`.trim() : '';
+            newItems[index].lotNumber = '';
+        }
+        setItems(newItems);
+    };
+    // 調出倉改變時批號需重新選擇
+    const handleFromWarehouseChange = (warehouseId) => {
+        setFromWarehouseId(warehouseId);
+        setItems(prev => prev.map(item => ({ ...item, lotNumber: '' })));
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (!fromWarehouseId || !toWarehouseId || fromWarehouseId === toWarehouseId) return showMessage('請選擇不同的調出與調入倉庫。', 'error');
+        const finalItems = items.filter(item => item.productId && item.quantity > 0);
+        if (finalItems.length === 0) return showMessage('請至少新增一項有效的商品。', 'error');
+        const missingLots = finalItems.filter(item => isLotTracked(item) && !item.lotNumber);
+        if (missingLots.length > 0) return showMessage(`請選擇調撥的批號：${missingLots.map(item => item.name).join('、')}`, 'error');
+        onSave({ fromWarehouseId, toWarehouseId, items: finalItems.map(({ lotNumber, ...item }) => (isLotTracked(item) ? { ...item, lotNumber } : item)) });
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex justify-center items-center z-50">
+            <div className="bg-white rounded-lg shadow-xl p-8 w-full max-w-2xl">
+                <h3 className="text-2xl font-bold mb-6">新增調撥單</h3>
+                <form onSubmit={handleSubmit} className="space-y-4">
+                    <div className="flex justify-between">
+                        <WarehouseSelect warehouses={warehouses} value={fromWarehouseId} onChange={handleFromWarehouseChange} label="調出倉庫" />
+                        <WarehouseSelect warehouses={warehouses} value={toWarehouseId} onChange={setToWarehouseId} label="調入倉庫" />
+                    </div>
+                    <div className="space-y-2 max-h-64 overflow-y-auto pr-2">{items.map((item, index) => (
+                        <div key={index} className="flex items-center space-x-2 p-2 border rounded-md">
+                            <select value={item.productId} onChange={(e) => handleItemChange(index, 'productId', e.target.value)} className="w-2/3 p-2 border rounded bg-white" required>
+                                <option value="">選擇商品</option>
+                                {products.map(p => <option key={p.id} value={p.id}>{`${p.brand || ''} ${p.name} ${p.spec || ''}`.trim()} (調出倉: {getLocationStock(p, fromWarehouseId, defaultWarehouseId)})</option>)}
+                            </select>
+                            {isLotTracked(item) && <LotSelect lots={getProductLots(item.productId)} value={item.lotNumber} onChange={(lotNumber) => handleItemChange(index, 'lotNumber', lotNumber)} />}
+                            <input type="number" value={item.quantity} onChange={(e) => handleItemChange(index, 'quantity', parseInt(e.target.value) || 1)} min="1" placeholder="數量" className="w-1/4 p-2 border rounded" required />
+                            <button type="button" onClick={() => setItems(items.filter((_, i) => i !== index))} className="text-red-500"><Trash2 className="w-5 h-5"/></button>
+                        </div>))}
+                    </div>
+                    <button type="button" onClick={() => setItems([...items, { productId: '', quantity: 1, name: '', lotNumber: '' }])} className="text-blue-500 hover:text-blue-700 flex items-center"><PlusCircle className="w-4 h-4 mr-1"/> 新增品項</button>
+                    <div className="flex justify-end space-x-4 pt-4">
+                        <button type="button" onClick={onClose} className="px-4 py-2 bg-gray-200 rounded hover:bg-gray-300">取消</button>
+                        <button type="submit" className="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600">確認調撥</button>
+                    </div>
+                </form>
+            </div>
         </div>
     );
 };
@@ -796,6 +3096,7 @@ const InventoryManagement = () => {
 const InventoryLedgerModal = ({ product, onClose }) => {
     const [logs, setLogs] = useState([]);
     const [loading, setLoading] = useState(true);
+    const { getWarehouseName } = useWarehouses();
 
     useEffect(() => {
         const q = query(collection(db, getCollectionPath('inventoryLogs')), where("productId", "==", product.id), orderBy("timestamp", "desc"));
@@ -808,7 +3109,7 @@ const InventoryLedgerModal = ({ product, onClose }) => {
 
     return (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex justify-center items-center z-50">
-            <div className="bg-white rounded-lg shadow-xl p-8 w-full max-w-3xl">
+            <div className="bg-white rounded-lg shadow-xl p-8 w-full max-w-5xl">
                 <div className="flex justify-between items-center mb-4">
                     <h3 className="text-2xl font-bold text-gray-800">庫存流水帳: {product.name}</h3>
                     <button onClick={onClose} className="text-gray-500 hover:text-gray-800 text-2xl">&times;</button>
@@ -820,26 +3121,26 @@ const InventoryLedgerModal = ({ product, onClose }) => {
                                 <th className="px-6 py-3">日期</th>
                                 <th className="px-6 py-3">類型</th>
                                 <th className="px-6 py-3">關聯單號</th>
+                                <th className="px-6 py-3">倉庫</th>
                                 <th className="px-6 py-3 text-right">數量變化</th>
+                                <th className="px-6 py-3 text-right">倉庫結餘</th>
                                 <th className="px-6 py-3 text-right">庫存結餘</th>
                             </tr>
                         </thead>
                         <tbody>
                             {loading ? (
-                                <tr><td colSpan="5" className="text-center p-8">載入中...</td></tr>
+                                <tr><td colSpan="7" className="text-center p-8">載入中...</td></tr>
                             ) : logs.length === 0 ? (
-                                <tr><td colSpan="5" className="text-center p-8">無歷史紀錄</td></tr>
+                                <tr><td colSpan="7" className="text-center p-8">無歷史紀錄</td></tr>
                             ) : (
                                 logs.map((log, index) => (
                                     <tr key={index} className="bg-white border-b">
                                         <td className="px-6 py-4">{log.timestamp?.toDate().toLocaleString()}</td>
-                                        <td className="px-6 py-4">
-                                            <span className={`px-2 py-1 rounded-full text-xs ${log.type === 'in' ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}`}>
-                                                {log.type === 'in' ? '進貨' : '銷貨'}
-                                            </span>
-                                        </td>
-                                        <td className="px-6 py-4">{log.relatedDoc}</td>
+                                        <td className="px-6 py-4"><LogTypeBadge log={log} /></td>
+                                        <td className="px-6 py-4">{log.relatedDoc}{log.reasonCode && <span className="ml-2 text-xs text-gray-500">({ADJUST_REASON_MAP[log.reasonCode] || log.reasonCode})</span>}{log.lotNumber && <span className="ml-2 text-xs text-gray-500">(批號 {log.lotNumber})</span>}</td>
+                                        <td className="px-6 py-4">{log.warehouseId ? getWarehouseName(log.warehouseId) : '-'}</td>
                                         <td className={`px-6 py-4 text-right font-medium ${log.change > 0 ? 'text-green-600' : 'text-red-600'}`}>{log.change > 0 ? `+${log.change}` : log.change}</td>
+                                        <td className="px-6 py-4 text-right">{log.locationStock ?? '-'}</td>
                                         <td className="px-6 py-4 text-right font-bold">{log.newStock}</td>
                                     </tr>
                                 ))
@@ -892,7 +3193,7 @@ const CostLedgerModal = ({ product, onClose }) => {
                                 logs.map((log, index) => (
                                     <tr key={index} className="bg-white border-b">
                                         <td className="px-6 py-4">{log.timestamp?.toDate().toLocaleString()}</td>
-                                        <td className="px-6 py-4"><span className="px-2 py-1 rounded-full text-xs bg-blue-100 text-blue-800">進貨</span></td>
+                                        <td className="px-6 py-4"><LogTypeBadge log={log} /></td>
                                         <td className="px-6 py-4">{log.relatedDoc}</td>
                                         <td className="px-6 py-4 text-right">${log.oldAvgCost?.toFixed(2)}</td>
                                         <td className="px-6 py-4 text-right font-bold">${log.newAvgCost?.toFixed(2)}</td>
@@ -907,49 +3208,814 @@ const CostLedgerModal = ({ product, onClose }) => {
     );
 };
 
-
-const SalesManagement = () => {
-    const [salesOrders, setSalesOrders] = useState([]);
-    const [isModalOpen, setIsModalOpen] = useState(false);
+
+const SalesManagement = () => {
+    const [salesOrders, setSalesOrders] = useState([]);
+    const [isModalOpen, setIsModalOpen] = useState(false);
+    const [editingOrder, setEditingOrder] = useState(null);
+    const [cancellingOrder, setCancellingOrder] = useState(null);
+    const [returningOrder, setReturningOrder] = useState(null);
+    const [printingOrder, setPrintingOrder] = useState(null);
+    const { user } = useAuth();
+    const { showMessage, showConfirmation } = useModal();
+    const { warehouses, defaultWarehouseId } = useWarehouses();
+    const { minMarginPercent, saveSettings } = useSalesSettings();
+    const [marginInput, setMarginInput] = useState(null);
+
+    useEffect(() => {
+        if (!user) return;
+        const salesCollection = collection(db, getCollectionPath('salesOrders'));
+        const unsubscribe = onSnapshot(salesCollection, snapshot => setSalesOrders(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))));
+        return () => unsubscribe();
+    }, [user]);
+
+    const handleAddOrder = async (order) => {
+        const amounts = calculateOrderAmounts(order.items, order, order.taxMode);
+        const orderNumber = await runTransaction(db, async (transaction) => {
+            const orderNumber = await getNextDocNumber(transaction, 'salesOrders');
+            transaction.set(doc(collection(db, getCollectionPath('salesOrders'))), validateDocument('salesOrders', { 
+                ...order, 
+                ...amounts, 
+                orderNumber, 
+                status: 'Pending Approval', // New initial status
+                createdBy: user.uid,
+                createdAt: serverTimestamp() 
+            }));
+            return orderNumber;
+        });
+        showMessage(`銷售訂單 ${orderNumber} 已成功建立，等待批准。`);
+    };
+
+    // 只有待批准的訂單可以修改，批准後已保留庫存，需先取消再重新建立
+    const handleUpdateOrder = async (changes) => {
+        const amounts = calculateOrderAmounts(changes.items, changes, changes.taxMode);
+        await runTransaction(db, async (transaction) => {
+            const orderRef = doc(db, getDocPath('salesOrders', editingOrder.id));
+            const orderDoc = await transaction.get(orderRef);
+            if (!orderDoc.exists() || !EDITABLE_STATUSES.sales.includes(orderDoc.data().status)) throw new Error("訂單已批准或不存在，無法修改。");
+            transaction.update(orderRef, validateDocument('salesOrders', { ...changes, ...amounts, updatedBy: user.uid, updatedAt: serverTimestamp() }, { partial: true }));
+        });
+        showMessage('銷售訂單已更新。');
+    };
+
+    // 取消訂單時一併釋放批准時保留的庫存
+    const handleCancelOrder = async (order, reason) => {
+        try {
+            await runTransaction(db, async (transaction) => {
+                const orderRef = doc(db, getDocPath('salesOrders', order.id));
+                const orderDoc = await transaction.get(orderRef);
+                if (!orderDoc.exists()) throw new Error("訂單不存在。");
+                const orderData = orderDoc.data();
+                if (!CANCELLABLE_STATUSES.sales.includes(orderData.status) || hasStockMoved(orderData)) throw new Error("訂單已開始出貨，無法取消。");
+                const updatedItems = orderData.items.map(item => ({ ...item }));
+
+                const productStates = {};
+                for (const item of updatedItems) {
+                    if (!item.reservedQuantity || productStates[item.productId]) continue;
+                    const productDoc = await transaction.get(doc(db, getDocPath('products', item.productId)));
+                    if (productDoc.exists()) productStates[item.productId] = productDoc.data();
+                }
+
+                for (const item of updatedItems) {
+                    const productState = productStates[item.productId];
+                    if (item.reservedQuantity && productState) productState.reserved = Math.max(0, (productState.reserved || 0) - item.reservedQuantity);
+                    item.reservedQuantity = 0;
+                }
+
+                for (const [productId, productState] of Object.entries(productStates)) {
+                    transaction.update(doc(db, getDocPath('products', productId)), validateDocument('products', { reserved: productState.reserved }, { partial: true }));
+                }
+                transaction.update(orderRef, validateDocument('salesOrders', { status: 'Cancelled', items: updatedItems, cancelReason: reason, cancelledBy: user.uid, cancelledAt: serverTimestamp() }, { partial: true }));
+            });
+            showMessage('訂單已取消，保留庫存已釋放。');
+            setCancellingOrder(null);
+        } catch (error) { showMessage(`取消失敗: ${error.message}`, 'error'); }
+    };
+
+    // 部分出貨的訂單不再補貨時結案，釋放未出貨數量的保留庫存
+    const handleCloseOrder = async (order) => {
+        const confirmed = await showConfirmation('確定要結案此訂單嗎？未出貨的數量將不再出貨，保留的庫存將會釋放。');
+        if (!confirmed) return;
+        try {
+            await runTransaction(db, async (transaction) => {
+                const orderRef = doc(db, getDocPath('salesOrders', order.id));
+                const orderDoc = await transaction.get(orderRef);
+                if (!orderDoc.exists() || orderDoc.data().status !== 'Partially Shipped') throw new Error("只有部分出貨的訂單可以結案。");
+                const updatedItems = orderDoc.data().items.map(item => ({ ...item }));
+
+                const productStates = {};
+                for (const item of updatedItems) {
+                    if (!item.reservedQuantity || productStates[item.productId]) continue;
+                    const productDoc = await transaction.get(doc(db, getDocPath('products', item.productId)));
+                    if (productDoc.exists()) productStates[item.productId] = productDoc.data();
+                }
+
+                for (const item of updatedItems) {
+                    const productState = productStates[item.productId];
+                    if (item.reservedQuantity && productState) productState.reserved = Math.max(0, (productState.reserved || 0) - item.reservedQuantity);
+                    item.reservedQuantity = 0;
+                }
+
+                for (const [productId, productState] of Object.entries(productStates)) {
+                    transaction.update(doc(db, getDocPath('products', productId)), validateDocument('products', { reserved: productState.reserved }, { partial: true }));
+                }
+                transaction.update(orderRef, validateDocument('salesOrders', { status: 'Closed', items: updatedItems, closedAt: serverTimestamp() }, { partial: true }));
+            });
+            showMessage('訂單已結案，保留庫存已釋放。');
+        } catch (error) { showMessage(`錯誤: ${error.message}`, 'error'); }
+    };
+
+    const handleApproveOrder = async (orderId) => {
+        // 低於最低售價等需特別核准的原因列在確認訊息中，由管理員確認後批准
+        const approvalReasons = salesOrders.find(order => order.id === orderId)?.approvalReasons || [];
+        const reasonText = approvalReasons.map(reason => `${APPROVAL_REASON_MAP[reason.code]}: ${reason.message}`).join('；');
+        const confirmed = await showConfirmation(`${reasonText ? `此訂單需要特別核准 (${reasonText})。` : ''}確定要批准此訂單嗎？批准後將保留庫存並通知倉庫備貨。`);
+        if (!confirmed) return;
+
+        try {
+            const shortItems = await runTransaction(db, async (transaction) => {
+                const orderRef = doc(db, getDocPath('salesOrders', orderId));
+                const orderDoc = await transaction.get(orderRef);
+                if (!orderDoc.exists() || orderDoc.data().status !== 'Pending Approval') throw new Error("訂單不存在或已批准。");
+                const updatedItems = orderDoc.data().items.map(item => ({ ...item }));
+
+                const productStates = {};
+                for (const item of updatedItems) {
+                    if (productStates[item.productId]) continue;
+                    const productDoc = await transaction.get(doc(db, getDocPath('products', item.productId)));
+                    if (!productDoc.exists()) throw new Error(`商品 ${item.name} 不存在。`);
+                    productStates[item.productId] = productDoc.data();
+                }
+
+                // 依可用庫存保留數量，不足的部分不保留，到貨後可再以「補保留」保留
+                const shortItems = reserveAvailableStock(updatedItems, productStates);
+
+                for (const [productId, productState] of Object.entries(productStates)) {
+                    transaction.update(doc(db, getDocPath('products', productId)), validateDocument('products', { reserved: productState.reserved }, { partial: true }));
+                }
+                transaction.update(orderRef, validateDocument('salesOrders', { status: 'Pending Shipment', items: updatedItems, approvedAt: serverTimestamp() }, { partial: true }));
+                return shortItems;
+            });
+            if (shortItems.length > 0) {
+                showMessage(`訂單已批准，但可用庫存不足無法全數保留: ${shortItems.join('、')}`, 'error');
+            } else {
+                showMessage('訂單已批准並保留庫存，已通知倉庫。');
+            }
+        } catch (error) { showMessage(`批准失敗: ${error.message}`, 'error'); }
+    };
+
+    // 批准時庫存不足的待補貨，到貨後以目前的可用庫存補足保留，避免被後來的訂單佔用
+    const handleReserveShortfall = async (order) => {
+        try {
+            const shortItems = await runTransaction(db, async (transaction) => {
+                const orderRef = doc(db, getDocPath('salesOrders', order.id));
+                const orderDoc = await transaction.get(orderRef);
+                if (!orderDoc.exists() || !SHIPPABLE_STATUSES.includes(orderDoc.data().status)) throw new Error("訂單不存在或已無法出貨。");
+                const updatedItems = orderDoc.data().items.map(item => ({ ...item }));
+                const shortfallItems = updatedItems.filter(item => getUnreservedQuantity(item) > 0);
+
+                const productStates = {};
+                for (const item of shortfallItems) {
+                    if (productStates[item.productId]) continue;
+                    const productDoc = await transaction.get(doc(db, getDocPath('products', item.productId)));
+                    if (!productDoc.exists()) throw new Error(`商品 ${item.name} 不存在。`);
+                    productStates[item.productId] = productDoc.data();
+                }
+
+                const shortItems = reserveAvailableStock(shortfallItems, productStates);
+                for (const [productId, productState] of Object.entries(productStates)) {
+                    transaction.update(doc(db, getDocPath('products', productId)), validateDocument('products', { reserved: productState.reserved }, { partial: true }));
+                }
+                transaction.update(orderRef, validateDocument('salesOrders', { items: updatedItems }, { partial: true }));
+                return shortItems;
+            });
+            if (shortItems.length > 0) {
+                showMessage(`已依可用庫存補保留，仍不足: ${shortItems.join('、')}`, 'error');
+            } else {
+                showMessage(`訂單 ${order.orderNumber} 的待補貨已全數保留。`);
+            }
+        } catch (error) { showMessage(`補保留失敗: ${error.message}`, 'error'); }
+    };
+
+    // lots: 批號商品各品項退回的 { lotNumber, warehouseId (出貨倉庫) }，入庫倉庫沒有此批號時沿用出貨倉庫的有效期限建立；
+    // 出貨時沒有登記批號的商品為 { lotNumber, manualLot: true, expiryDate }，以輸入的有效期限建立
+    const handleCreateReturn = async (order, returnQuantities, reason, warehouseId, lots = []) => {
+        const returnLines = order.items.map((item, index) => ({ index, quantity: returnQuantities[index] || 0 })).filter(line => line.quantity > 0);
+        if (returnLines.length === 0) return showMessage('請輸入退貨數量。', 'error');
+        if (!reason.trim()) return showMessage('請輸入退貨原因。', 'error');
+        if (!warehouseId) return showMessage('請選擇退貨入庫倉庫。', 'error');
+
+        try {
+            // 已完成或已結案的訂單不會再有出貨，退貨單建立後不可修改；交易中比對訂單的已退數量，確認讀取後沒有其他退貨
+            const orderRef = doc(db, getDocPath('salesOrders', order.id));
+            const [shipmentsSnapshot, returnsSnapshot] = await Promise.all([
+                getDocs(collection(orderRef, 'shipments')),
+                getDocs(query(collection(db, getCollectionPath('salesReturns')), where('orderId', '==', order.id)))
+            ]);
+            const earlierReturns = returnsSnapshot.docs.map(returnDoc => returnDoc.data());
+            const returnableLots = getReturnableLots(order, shipmentsSnapshot.docs.map(shipmentDoc => shipmentDoc.data()), earlierReturns);
+            const earlierReturnedQuantity = earlierReturns.reduce((sum, salesReturn) => sum + salesReturn.items.reduce((total, item) => total + item.quantity, 0), 0);
+
+            const returnNumber = await runTransaction(db, async (transaction) => {
+                const orderDoc = await transaction.get(orderRef);
+                if (!orderDoc.exists() || !SHIPPED_STATUSES.includes(orderDoc.data().status)) throw new Error("只有已完成或已結案的訂單可以退貨。");
+                const orderData = orderDoc.data();
+                if (orderData.items.reduce((sum, item) => sum + (item.returnedQuantity || 0), 0) !== earlierReturnedQuantity) throw new Error("此訂單剛建立了其他退貨單，請重新開啟後再退貨。");
+                const updatedItems = orderData.items.map(item => ({ ...item }));
+
+                const productStates = {};
+                const lotTrackedIds = new Set();
+                for (const { index } of returnLines) {
+                    const productId = updatedItems[index].productId;
+                    if (productStates[productId]) continue;
+                    const productDoc = await transaction.get(doc(db, getDocPath('products', productId)));
+                    if (!productDoc.exists()) throw new Error(`商品 ${updatedItems[index].name} 不存在。`);
+                    const productData = productDoc.data();
+                    productStates[productId] = { stock: productData.stock || 0, stockByLocation: getStockByLocation(productData, defaultWarehouseId), averageCost: productData.averageCost || 0 };
+                    if (productData.lotTracked) lotTrackedIds.add(productId);
+                }
+                const lotStates = {};
+                for (const { index } of returnLines.filter(({ index }) => lotTrackedIds.has(updatedItems[index].productId))) {
+                    const lot = lots[index];
+                    if (!lot?.lotNumber) throw new Error(`商品 ${updatedItems[index].name} 為批號管理商品，請選擇退回的批號。`);
+                    await readLotState(transaction, lotStates, updatedItems[index].productId, warehouseId, lot.lotNumber);
+                    if (lot.warehouseId) await readLotState(transaction, lotStates, updatedItems[index].productId, lot.warehouseId, lot.lotNumber);
+                }
+                const returnNumber = await getNextDocNumber(transaction, 'salesReturns');
+
+                const returnItems = [];
+                for (const { index, quantity } of returnLines) {
+                    const item = updatedItems[index];
+                    const returnable = (item.shippedQuantity ?? item.quantity) - (item.returnedQuantity || 0);
+                    if (quantity > returnable) throw new Error(`商品 ${item.name} 退貨數量超過可退數量 (${returnable})`);
+                    item.returnedQuantity = (item.returnedQuantity || 0) + quantity;
+                    const lot = lotTrackedIds.has(item.productId) ? lots[index] : null;
+                    // 每個批號退回的數量不可超過此訂單該批號的出貨數量 (扣除先前的退貨)，同一商品有多個品項時依序扣減
+                    if (lot) {
+                        const returnableLot = returnableLots.find(candidate => candidate.productId === item.productId && candidate.lotNumber === (lot.manualLot ? '' : lot.lotNumber));
+                        if (!returnableLot || quantity > returnableLot.quantity) throw new Error(`商品 ${item.name} 批號 ${lot.lotNumber} 退貨數量超過此訂單出貨的數量 (可退 ${Math.max(0, returnableLot?.quantity || 0)})`);
+                        returnableLot.quantity -= quantity;
+                    }
+
+                    // 退回的商品以出貨時的 costAtSale 入庫，重新計算移動平均成本
+                    const costAtSale = item.costAtSale || 0;
+                    const productState = productStates[item.productId];
+                    const oldStock = productState.stock;
+                    const oldAvgCost = productState.averageCost;
+                    const newStock = oldStock + quantity;
+                    const newAvgCost = newStock > 0 ? ((oldStock * oldAvgCost) + (quantity * costAtSale)) / newStock : costAtSale;
+                    moveLocationStock(productState, warehouseId, quantity);
+                    productState.averageCost = newAvgCost;
+                    if (lot) {
+                        const source = lot.manualLot ? { expiryDate: lot.expiryDate ?? null } : lot.warehouseId ? lotStates[getLotDocId(item.productId, lot.warehouseId, lot.lotNumber)] : null;
+                        changeLotQuantity(lotStates, { productId: item.productId, productName: item.name, warehouseId, lotNumber: lot.lotNumber, change: quantity, source });
+                    }
+                    // 退款依分攤品項與整單折扣後的實際單價計算
+                    returnItems.push({ productId: item.productId, name: item.name, quantity, price: getNetUnitPrice(orderData, item), costAtSale, ...(lot && { lotNumber: lot.lotNumber }) });
+
+                    const invLogRef = doc(collection(db, getCollectionPath('inventoryLogs')));
+                    transaction.set(invLogRef, validateDocument('inventoryLogs', {
+                        productId: item.productId, productName: item.name, type: 'return', change: quantity, newStock: newStock, lotNumber: lot?.lotNumber,
+                        warehouseId, locationStock: productState.stockByLocation[warehouseId], relatedDoc: returnNumber, timestamp: serverTimestamp()
+                    }));
+                    const costLogRef = doc(collection(db, getCollectionPath('costLogs')));
+                    transaction.set(costLogRef, validateDocument('costLogs', {
+                        productId: item.productId, productName: item.name, type: 'return', relatedDoc: returnNumber,
+                        oldAvgCost: oldAvgCost, newAvgCost: newAvgCost, timestamp: serverTimestamp()
+                    }));
+                }
+
+                for (const [productId, productState] of Object.entries(productStates)) {
+                    transaction.update(doc(db, getDocPath('products', productId)), validateDocument('products', productState, { partial: true }));
+                }
+                writeLotStates(transaction, lotStates);
+
+                // 退回金額沿用原訂單的稅別計算
+                const amounts = calculateTax(returnItems.reduce((sum, item) => sum + item.price * item.quantity, 0), orderData.taxMode);
+                const totalCost = returnItems.reduce((sum, item) => sum + item.costAtSale * item.quantity, 0);
+                transaction.set(doc(collection(db, getCollectionPath('salesReturns'))), validateDocument('salesReturns', {
+                    returnNumber, warehouseId, orderId: order.id, orderNumber: orderData.orderNumber, customerId: orderData.customerId, partyName: orderData.partyName,
+                    items: returnItems, ...amounts, totalCost, reason: reason.trim(), createdBy: user.uid, createdAt: serverTimestamp()
+                }));
+                transaction.update(orderRef, validateDocument('salesOrders', { items: updatedItems, returnedAmount: (orderData.returnedAmount || 0) + amounts.totalAmount }, { partial: true }));
+                return returnNumber;
+            });
+            showMessage(`退貨單 ${returnNumber} 已建立，庫存已回補。`);
+            setReturningOrder(null);
+        } catch (error) { showMessage(`退貨失敗: ${error.message}`, 'error'); }
+    };
+
+    // 毛利率門檻只影響之後建立或修改的訂單
+    const handleSaveMarginThreshold = async (e) => {
+        e.preventDefault();
+        const value = parseFloat(marginInput);
+        if (!Number.isFinite(value)) return showMessage('請輸入毛利率門檻。', 'error');
+        try {
+            await saveSettings({ minMarginPercent: value });
+            setMarginInput(null);
+            showMessage(`毛利率門檻已設為 ${value}%。`);
+        } catch (error) { showMessage(`儲存失敗: ${error.message}`, 'error'); }
+    };
+
+    return (
+        <div>
+            <div className="flex justify-between items-center mb-6">
+                <h2 className="text-3xl font-bold text-gray-800">銷貨管理</h2>
+                <div className="flex items-center space-x-4">
+                    <form onSubmit={handleSaveMarginThreshold} className="flex items-center space-x-2 text-sm">
+                        <label className="font-medium text-gray-700">毛利率門檻</label>
+                        <input type="number" value={marginInput ?? minMarginPercent} onChange={(e) => setMarginInput(e.target.value)} step="0.1" className="w-20 p-2 border rounded-md" />
+                        <span>%</span>
+                        {marginInput !== null && <button type="submit" className="px-3 py-2 bg-blue-500 text-white rounded-md hover:bg-blue-600">儲存</button>}
+                    </form>
+                    <button onClick={() => setIsModalOpen(true)} className="flex items-center bg-green-500 text-white px-4 py-2 rounded-lg shadow hover:bg-green-600 transition"><PlusCircle className="w-5 h-5 mr-2" /> 新增銷售單</button>
+                </div>
+            </div>
+            <OrderList orders={salesOrders} type="sales" onApprove={handleApproveOrder} onReserve={handleReserveShortfall} onCloseBackorder={handleCloseOrder} onReturn={setReturningOrder} onEdit={setEditingOrder} onCancel={setCancellingOrder} onPrint={setPrintingOrder} />
+            {isModalOpen && <OrderForm type="sales" onClose={() => setIsModalOpen(false)} onSave={handleAddOrder} />}
+            {editingOrder && <OrderForm type="sales" order={editingOrder} onClose={() => setEditingOrder(null)} onSave={handleUpdateOrder} />}
+            {cancellingOrder && <CancelOrderModal order={cancellingOrder} onClose={() => setCancellingOrder(null)} onConfirm={handleCancelOrder} />}
+            {returningOrder && <SalesReturnModal order={returningOrder} warehouses={warehouses} defaultWarehouseId={defaultWarehouseId} onClose={() => setReturningOrder(null)} onSave={handleCreateReturn} />}
+            {printingOrder && <PrintView title={`列印: ${printingOrder.orderNumber}`} onClose={() => setPrintingOrder(null)}><QuotationDocument order={printingOrder} /></PrintView>}
+        </div>
+    );
+};
+
+// 銷貨退回的批號選單中代表「輸入批號」的選項
+const MANUAL_LOT = '__manual__';
+
+const SalesReturnModal = ({ order, warehouses, defaultWarehouseId, onClose, onSave }) => {
+    const [quantities, setQuantities] = useState(() => order.items.map(() => 0));
+    const [reason, setReason] = useState('');
+    const [selectedWarehouseId, setSelectedWarehouseId] = useState(null);
+    const warehouseId = selectedWarehouseId || defaultWarehouseId;
+    const [lotNumbers, setLotNumbers] = useState(() => order.items.map(() => ''));
+    // 出貨時沒有登記批號的品項改為輸入批號與有效期限 (expiryInput 為日期輸入值)
+    const [manualLots, setManualLots] = useState(() => order.items.map(() => ({ lotNumber: '', expiryInput: '' })));
+    const [shipments, setShipments] = useState([]);
+    const [salesReturns, setSalesReturns] = useState([]);
+    const [products, setProducts] = useState([]);
+    const returnableOf = (item) => (item.shippedQuantity ?? item.quantity) - (item.returnedQuantity || 0);
+
+    useEffect(() => {
+        const unsubShipments = onSnapshot(collection(db, getDocPath('salesOrders', order.id), 'shipments'), snapshot => setShipments(snapshot.docs.map(doc => doc.data())));
+        const unsubReturns = onSnapshot(query(collection(db, getCollectionPath('salesReturns')), where('orderId', '==', order.id)), snapshot => setSalesReturns(snapshot.docs.map(doc => doc.data())));
+        const unsubProducts = onSnapshot(collection(db, getCollectionPath('products')), snapshot => setProducts(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))));
+        return () => { unsubShipments(); unsubReturns(); unsubProducts(); };
+    }, [order.id]);
+
+    // 批號商品需選擇退回的批號，選項為此訂單出貨過且尚有可退數量的批號
+    const isLotTracked = (item) => !!products.find(p => p.id === item.productId)?.lotTracked;
+    const returnableLots = useMemo(() => getReturnableLots(order, shipments, salesReturns), [order, shipments, salesReturns]);
+    const getShippedLots = (productId) => returnableLots.filter(lot => lot.productId === productId && lot.lotNumber && lot.quantity > 0);
+    const hasUnlottedShipments = (productId) => returnableLots.some(lot => lot.productId === productId && !lot.lotNumber && lot.quantity > 0);
+    const handleLotChange = (index, lotNumber) => setLotNumbers(prev => prev.map((value, i) => (i === index ? lotNumber : value)));
+    const handleManualLotChange = (index, field, value) => setManualLots(prev => prev.map((lot, i) => (i === index ? { ...lot, [field]: value } : lot)));
+    const handleSave = () => {
+        const lots = order.items.map((item, index) => {
+            if (lotNumbers[index] !== MANUAL_LOT) return getShippedLots(item.productId).find(lot => lot.lotNumber === lotNumbers[index]) || null;
+            const { lotNumber, expiryInput } = manualLots[index];
+            return lotNumber.trim() ? { lotNumber: lotNumber.trim(), manualLot: true, expiryDate: expiryInput ? new Date(`${expiryInput}T00:00:00`) : null } : null;
+        });
+        onSave(order, quantities, reason, warehouseId, lots);
+    };
+
+    const handleQuantityChange = (index, value) => {
+        const newQuantities = [...quantities];
+        newQuantities[index] = Math.max(0, Math.min(returnableOf(order.items[index]), parseInt(value, 10) || 0));
+        setQuantities(newQuantities);
+    };
+
+    const refundAmount = order.items.reduce((sum, item, index) => sum + getNetUnitPrice(order, item) * quantities[index], 0);
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex justify-center items-center z-50">
+            <div className="bg-white rounded-lg shadow-xl p-8 w-full max-w-3xl">
+                <div className="flex justify-between items-center mb-4">
+                    <h3 className="text-2xl font-bold text-gray-800">銷貨退回: {order.orderNumber}</h3>
+                    <button onClick={onClose} className="text-gray-500 hover:text-gray-800 text-2xl">&times;</button>
+                </div>
+                <div className="flex justify-between items-center mb-4">
+                    <p className="text-sm"><strong>客戶:</strong> {order.partyName}</p>
+                    <WarehouseSelect warehouses={warehouses} value={warehouseId} onChange={setSelectedWarehouseId} label="入庫倉庫" />
+                </div>
+                <div className="overflow-y-auto max-h-[40vh] border rounded-md">
+                    <table className="w-full text-sm text-left text-gray-500">
+                        <thead className="text-xs text-gray-700 uppercase bg-gray-50 sticky top-0">
+                            <tr>
+                                <th className="px-6 py-3">商品</th>
+                                <th className="px-6 py-3 text-right">實際單價 (折扣後)</th>
+                                <th className="px-6 py-3 text-right">已出貨</th>
+                                <th className="px-6 py-3 text-right">已退回</th>
+                                <th className="px-6 py-3 text-right">本次退貨</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {order.items.map((item, index) => (
+                                <tr key={index} className="bg-white border-b">
+                                    <td className="px-6 py-4">{item.name}</td>
+                                    <td className="px-6 py-4 text-right">${getNetUnitPrice(order, item).toLocaleString()}</td>
+                                    <td className="px-6 py-4 text-right">{item.shippedQuantity ?? item.quantity}</td>
+                                    <td className="px-6 py-4 text-right">{item.returnedQuantity || 0}</td>
+                                    <td className="px-6 py-4 text-right">
+                                        <input type="number" value={quantities[index]} onChange={(e) => handleQuantityChange(index, e.target.value)} min="0" max={returnableOf(item)} disabled={returnableOf(item) <= 0} className="w-20 p-1 border rounded text-right" />
+                                        {isLotTracked(item) && quantities[index] > 0 && (
+                                            <div className="mt-1 space-y-1">
+                                                <select value={lotNumbers[index]} onChange={(e) => handleLotChange(index, e.target.value)} className="p-1 border rounded bg-white text-sm">
+                                                    <option value="">選擇批號</option>
+                                                    {getShippedLots(item.productId).map(lot => <option key={lot.lotNumber} value={lot.lotNumber}>{lot.lotNumber} (可退 {lot.quantity})</option>)}
+                                                    {hasUnlottedShipments(item.productId) && <option value={MANUAL_LOT}>出貨時未登記批號，輸入批號</option>}
+                                                </select>
+                                                {lotNumbers[index] === MANUAL_LOT && (
+                                                    <div className="flex justify-end space-x-1">
+                                                        <input value={manualLots[index].lotNumber} onChange={(e) => handleManualLotChange(index, 'lotNumber', e.target.value)} placeholder="批號" className="w-28 p-1 border rounded" />
+                                                        <input type="date" value={manualLots[index].expiryInput} onChange={(e) => handleManualLotChange(index, 'expiryInput', e.target.value)} title="有效期限" className="w-36 p-1 border rounded" />
+                                                    </div>
+                                                )}
+                                            </div>
+                                        )}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+                <div className="mt-4">
+                    <label className="block text-sm font-medium text-gray-700 mb-1">退貨原因</label>
+                    <textarea value={reason} onChange={(e) => setReason(e.target.value)} rows="2" className="w-full p-2 border rounded-md" required />
+                </div>
+                <div className="flex justify-between items-center pt-6">
+                    <span className="text-lg font-semibold">退款金額: ${refundAmount.toLocaleString()}</span>
+                    <div className="flex space-x-4">
+                        <button onClick={onClose} className="px-4 py-2 bg-gray-200 rounded hover:bg-gray-300">取消</button>
+                        <button onClick={handleSave} className="px-6 py-2 bg-red-500 text-white rounded hover:bg-red-600">建立退貨單</button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// --- Replenishment ---
+// 補貨建議: 庫存水位 (可用庫存 + 在途數量) 低於再訂購點時，建議補到最高庫存。
+// 商品未設定時，再訂購點 = 日均銷量 × 交期 + 低庫存警示數量 (安全庫存)，最高庫存 = 再訂購點 + coverDays 天的銷量
+const REPLENISHMENT_DEFAULTS = { leadTimeDays: 7, coverDays: 30 };
+const VELOCITY_PERIODS = [30, 60, 90];
+// 在途數量包含草稿，避免重複產生同一商品的採購草稿
+const OPEN_PURCHASE_STATUSES = ['Draft', ...RECEIVABLE_STATUSES];
+
+const buildReplenishmentRows = ({ products, suppliers, purchaseOrders, salesByProduct, velocityDays, getProductSupplier, getPreferredSupplier }) => {
+    const incomingByProduct = {};
+    const lastSupplierByProduct = {};
+    [...purchaseOrders].sort((a, b) => (a.createdAt?.toMillis() || 0) - (b.createdAt?.toMillis() || 0)).forEach(order => {
+        order.items.forEach(item => {
+            if (order.supplierId && order.status !== 'Cancelled') lastSupplierByProduct[item.productId] = order.supplierId;
+            if (OPEN_PURCHASE_STATUSES.includes(order.status)) incomingByProduct[item.productId] = (incomingByProduct[item.productId] || 0) + Math.max(0, item.quantity - getReceivedQuantity(order, item));
+        });
+    });
+
+    return products.map(product => {
+        // 慣用供應商未設定時沿用最近一次採購的供應商；交期與最小訂購量以供應商目錄為準
+        const supplierId = getPreferredSupplier(product.id)?.supplierId || lastSupplierByProduct[product.id] || '';
+        const productSupplier = getProductSupplier(product.id, supplierId);
+        const leadTimeDays = productSupplier?.leadTimeDays ?? suppliers.find(s => s.id === supplierId)?.leadTimeDays ?? REPLENISHMENT_DEFAULTS.leadTimeDays;
+        const minOrderQuantity = productSupplier?.minOrderQuantity || 0;
+        const dailySales = (salesByProduct[product.id] || 0) / velocityDays;
+        const reorderPoint = product.reorderPoint ?? Math.ceil(dailySales * leadTimeDays) + (product.lowStockThreshold || 5);
+        const maxStock = Math.max(product.maxStock ?? reorderPoint + Math.ceil(dailySales * REPLENISHMENT_DEFAULTS.coverDays), reorderPoint);
+        const available = getAvailableStock(product);
+        const incoming = incomingByProduct[product.id] || 0;
+        const position = available + incoming;
+        return { product, supplierId, leadTimeDays, minOrderQuantity, dailySales, reorderPoint, maxStock, available, incoming, suggestedQuantity: position <= reorderPoint ? Math.max(1, minOrderQuantity, maxStock - position) : 0 };
+    });
+};
+
+const Replenishment = () => {
+    const [products, setProducts] = useState([]);
+    const [purchaseOrders, setPurchaseOrders] = useState([]);
+    const [salesByProduct, setSalesByProduct] = useState({});
+    const [velocityDays, setVelocityDays] = useState(VELOCITY_PERIODS[0]);
+    const [showAll, setShowAll] = useState(false);
+    const [lineChanges, setLineChanges] = useState({});
+    const [isCreating, setIsCreating] = useState(false);
+    const { user } = useAuth();
+    const { showMessage, showConfirmation } = useModal();
+    const { parties: suppliers, getParty: getSupplier } = useParties('suppliers');
+    const { getProductSupplier, getPreferredSupplier } = useProductSuppliers();
+
+    useEffect(() => {
+        if (!user) return;
+        const unsubProducts = onSnapshot(collection(db, getCollectionPath('products')), snapshot => setProducts(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))));
+        const unsubOrders = onSnapshot(collection(db, getCollectionPath('purchaseOrders')), snapshot => setPurchaseOrders(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))));
+        return () => { unsubProducts(); unsubOrders(); };
+    }, [user]);
+
+    // 銷售速度: 統計期間內的銷貨出庫 (不含進貨退出) 扣除銷貨退回
+    useEffect(() => {
+        if (!user) return;
+        let cancelled = false;
+        const since = new Date();
+        since.setDate(since.getDate() - velocityDays);
+        getDocs(query(collection(db, getCollectionPath('inventoryLogs')), where('timestamp', '>=', since))).then(snapshot => {
+            if (cancelled) return;
+            const totals = {};
+            snapshot.docs.map(logDoc => logDoc.data()).filter(log => (log.type === 'out' && !log.source) || log.type === 'return').forEach(log => {
+                totals[log.productId] = (totals[log.productId] || 0) - log.change;
+            });
+            // 期間內的退回可能來自期間外的出貨，淨銷量不低於 0
+            Object.keys(totals).forEach(productId => { totals[productId] = Math.max(0, totals[productId]); });
+            setSalesByProduct(totals);
+        }).catch(error => {
+            if (!cancelled) showMessage(`讀取銷售紀錄失敗: ${error.message}`, 'error');
+        });
+        return () => { cancelled = true; };
+    }, [user, velocityDays, showMessage]);
+
+    const rows = useMemo(() => buildReplenishmentRows({ products, suppliers, purchaseOrders, salesByProduct, velocityDays, getProductSupplier, getPreferredSupplier })
+        .sort((a, b) => (getSupplier(a.supplierId)?.name || '~').localeCompare(getSupplier(b.supplierId)?.name || '~') || b.suggestedQuantity - a.suggestedQuantity),
+    [products, suppliers, purchaseOrders, salesByProduct, velocityDays, getSupplier, getProductSupplier, getPreferredSupplier]);
+    const visibleRows = showAll ? rows : rows.filter(row => row.suggestedQuantity > 0);
+
+    // 使用者調整過的數量、供應商與勾選狀態
+    const getLine = (row) => ({ quantity: row.suggestedQuantity, supplierId: row.supplierId, selected: row.suggestedQuantity > 0, ...lineChanges[row.product.id] });
+    const changeLine = (productId, changes) => setLineChanges(prev => ({ ...prev, [productId]: { ...prev[productId], ...changes } }));
+
+    const handleCreateDrafts = async () => {
+        const lines = rows.map(row => ({ row, ...getLine(row) })).filter(line => line.selected && line.quantity > 0);
+        if (lines.length === 0) return showMessage('請勾選要補貨的商品。', 'error');
+        const missingSupplier = lines.filter(line => !getSupplier(line.supplierId));
+        if (missingSupplier.length > 0) return showMessage(`請為以下商品選擇供應商：${missingSupplier.map(line => line.row.product.name).join('、')}`, 'error');
+
+        // 同一供應商的品項超過採購單品項上限時分成多張草稿
+        const groups = {};
+        lines.forEach(line => (groups[line.supplierId] = groups[line.supplierId] || []).push(line));
+        const drafts = Object.entries(groups).flatMap(([supplierId, supplierLines]) => {
+            const chunks = [];
+            for (let start = 0; start < supplierLines.length; start += MAX_ORDER_ITEMS) chunks.push([supplierId, supplierLines.slice(start, start + MAX_ORDER_ITEMS)]);
+            return chunks;
+        });
+        const confirmed = await showConfirmation(`將依供應商建立 ${drafts.length} 張採購草稿，共 ${lines.length} 項商品。確認下單前可在進貨管理修改。`);
+        if (!confirmed) return;
+
+        setIsCreating(true);
+        const orderNumbers = [];
+        try {
+            for (const [supplierId, supplierLines] of drafts) {
+                const supplier = getSupplier(supplierId);
+                const items = supplierLines.map(({ row, quantity }) => {
+                    const productSupplier = getProductSupplier(row.product.id, supplierId);
+                    return { productId: row.product.id, name: `${row.product.brand || ''} ${row.product.name} ${row.product.spec || ''}`.trim(), quantity, cost: getSupplierCost(row.product, productSupplier, 'exclusive'), supplierSku: productSupplier?.supplierSku || undefined };
+                });
+                const amounts = calculateTax(items.reduce((sum, item) => sum + item.cost * item.quantity, 0), 'exclusive');
+                const orderNumber = await runTransaction(db, async (transaction) => {
+                    const orderNumber = await getNextDocNumber(transaction, 'purchaseOrders');
+                    transaction.set(doc(collection(db, getCollectionPath('purchaseOrders'))), validateDocument('purchaseOrders', {
+                        supplierId, ...getPartySnapshot(supplier), items, ...amounts, orderNumber, status: 'Draft', createdBy: user.uid, createdAt: serverTimestamp()
+                    }));
+                    return orderNumber;
+                });
+                orderNumbers.push(orderNumber);
+            }
+            setLineChanges({});
+            showMessage(`已建立採購草稿 ${orderNumbers.join('、')}，請至進貨管理確認下單。`);
+        } catch (error) {
+            showMessage(`建立失敗: ${error.message}${orderNumbers.length > 0 ? ` (已建立 ${orderNumbers.join('、')})` : ''}`, 'error');
+        } finally {
+            setIsCreating(false);
+        }
+    };
+
+    return (
+        <div>
+            <div className="flex justify-between items-center mb-6">
+                <h2 className="text-3xl font-bold text-gray-800">補貨建議</h2>
+                <div className="flex items-center space-x-4 text-sm">
+                    <label className="font-medium text-gray-700">銷售速度統計</label>
+                    <select value={velocityDays} onChange={(e) => setVelocityDays(Number(e.target.value))} className="p-2 border rounded-md bg-white">
+                        {VELOCITY_PERIODS.map(days => <option key={days} value={days}>近 {days} 天</option>)}
+                    </select>
+                    <label className="flex items-center text-gray-700"><input type="checkbox" checked={showAll} onChange={(e) => setShowAll(e.target.checked)} className="mr-2" />顯示全部商品</label>
+                    <button onClick={handleCreateDrafts} disabled={isCreating} className="flex items-center bg-blue-500 text-white px-4 py-2 rounded-lg shadow hover:bg-blue-600 transition disabled:bg-gray-400"><PackagePlus className="w-5 h-5 mr-2" /> 產生採購草稿</button>
+                </div>
+            </div>
+            <p className="text-sm text-gray-600 mb-4">庫存水位 = 可用庫存 + 在途數量 (未收貨的採購單與草稿)，低於再訂購點時建議補到最高庫存。商品未設定再訂購點時，以日均銷量 × 供應商交期 + 低庫存警示數量估算；建議數量不低於供應商目錄的最小訂購量，進價帶入該供應商的最近進價。</p>
+            <div className="bg-white rounded-lg shadow"><div className="overflow-x-auto">
+                <table className="w-full text-sm text-left text-gray-500">
+                    <thead className="text-xs text-gray-700 uppercase bg-gray-50">
+                        <tr>
+                            <th className="px-4 py-3 border-r border-gray-200 w-10"></th>
+                            <th className="px-4 py-3 border-r border-gray-200">商品</th>
+                            <th className="px-4 py-3 border-r border-gray-200 text-right">可用庫存</th>
+                            <th className="px-4 py-3 border-r border-gray-200 text-right">在途</th>
+                            <th className="px-4 py-3 border-r border-gray-200 text-right">日均銷量</th>
+                            <th className="px-4 py-3 border-r border-gray-200 text-right">交期 (天)</th>
+                            <th className="px-4 py-3 border-r border-gray-200 text-right">再訂購點</th>
+                            <th className="px-4 py-3 border-r border-gray-200 text-right">最高庫存</th>
+                            <th className="px-4 py-3 border-r border-gray-200 text-right">建議數量</th>
+                            <th className="px-4 py-3">供應商</th>
+                        </tr>
+                    </thead>
+                    <tbody>{visibleRows.map(row => {
+                        const line = getLine(row);
+                        return (
+                            <tr key={row.product.id} className="bg-white border-b border-gray-200 hover:bg-gray-50">
+                                <td className="px-4 py-3 border-r border-gray-200"><input type="checkbox" checked={line.selected} onChange={(e) => changeLine(row.product.id, { selected: e.target.checked })} /></td>
+                                <td className="px-4 py-3 border-r border-gray-200"><span className="font-medium text-gray-900">{row.product.sku}</span> {`${row.product.brand || ''} ${row.product.name} ${row.product.spec || ''}`.trim()}</td>
+                                <td className="px-4 py-3 border-r border-gray-200 text-right">{row.available}</td>
+                                <td className="px-4 py-3 border-r border-gray-200 text-right">{row.incoming}</td>
+                                <td className="px-4 py-3 border-r border-gray-200 text-right">{row.dailySales.toFixed(1)}</td>
+                                <td className="px-4 py-3 border-r border-gray-200 text-right">{row.leadTimeDays}</td>
+                                <td className="px-4 py-3 border-r border-gray-200 text-right">{row.reorderPoint}</td>
+                                <td className="px-4 py-3 border-r border-gray-200 text-right">{row.maxStock}</td>
+                                <td className="px-4 py-3 border-r border-gray-200 text-right">
+                                    <input type="number" value={line.quantity} onChange={(e) => changeLine(row.product.id, { quantity: Math.max(0, parseInt(e.target.value, 10) || 0) })} min="0" className="w-20 p-1 border rounded text-right" />
+                                    {row.minOrderQuantity > 0 && <div className="text-xs text-gray-400">最小訂購量 {row.minOrderQuantity}</div>}
+                                </td>
+                                <td className="px-4 py-3">
+                                    <select value={line.supplierId} onChange={(e) => changeLine(row.product.id, { supplierId: e.target.value })} className={`p-1 border rounded bg-white ${line.supplierId ? '' : 'border-red-400'}`}>
+                                        <option value="">-- 選擇供應商 --</option>
+                                        {suppliers.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+                                    </select>
+                                </td>
+                            </tr>
+                        );
+                    })}
+                    {visibleRows.length === 0 && <tr><td colSpan="10" className="px-6 py-4 text-center">目前沒有需要補貨的商品。</td></tr>}
+                    </tbody>
+                </table>
+            </div></div>
+        </div>
+    );
+};
+
+// --- Receiving ---
+// 收貨入庫: 管理員由進貨管理、倉庫人員由倉庫收貨管理登記實際到貨數量，兩邊共用同一個交易
+const useReceiveItems = () => {
     const { user } = useAuth();
     const { showMessage, showConfirmation } = useModal();
+    const { defaultWarehouseId } = useWarehouses();
+
+    // lots: 各品項登記的 { lotNumber, expiryDate }，只有批號管理的商品需要
+    // scanIssues: 掃描收貨時發現的錯誤或多餘商品，入庫前需再次確認
+    // 入庫成功時回傳 true，呼叫端據此關閉收貨視窗
+    const receiveItems = async (order, receiveQuantities, warehouseId, { lots = [], scanIssues = [] } = {}) => {
+        if (!warehouseId) return showMessage('請選擇收貨倉庫。', 'error');
+        const receiveLines = order.items.map((item, index) => ({ index, quantity: receiveQuantities[index] || 0 })).filter(line => line.quantity > 0);
+        if (receiveLines.length === 0) return showMessage('請輸入本次收貨數量。', 'error');
+        if (scanIssues.length > 0) {
+            const confirmed = await showConfirmation(`掃描時發現 ${scanIssues.length} 筆異常 (${scanIssues.join('、')})，這些商品不會入庫。確定只依目前數量收貨嗎？`);
+            if (!confirmed) return;
+        }
+        const overDelivered = receiveLines.filter(({ index, quantity }) => (order.items[index].receivedQuantity || 0) + quantity > order.items[index].quantity);
+        if (overDelivered.length > 0) {
+            const confirmed = await showConfirmation(`以下商品收貨數量超過採購數量：${overDelivered.map(({ index }) => order.items[index].name).join('、')}。確定要照實際數量入庫嗎？`);
+            if (!confirmed) return;
+        }
+
+        try {
+            const isCompleted = await runTransaction(db, async (transaction) => {
+                const orderRef = doc(db, getDocPath('purchaseOrders', order.id));
+                const orderDoc = await transaction.get(orderRef);
+                if (!orderDoc.exists() || !RECEIVABLE_STATUSES.includes(orderDoc.data().status)) throw new Error("訂單不存在或已結案。");
+                const orderData = orderDoc.data();
+                const updatedItems = orderData.items.map(item => ({ ...item }));
+
+                // Firestore 交易需先完成所有讀取才能寫入，同一商品出現在多個品項時依序累計
+                const productStates = {};
+                const lotTrackedIds = new Set();
+                for (const { index } of receiveLines) {
+                    const productId = updatedItems[index].productId;
+                    if (productStates[productId]) continue;
+                    const productDoc = await transaction.get(doc(db, getDocPath('products', productId)));
+                    if (!productDoc.exists()) throw new Error(`商品 ID ${productId} 不存在。`);
+                    const productData = productDoc.data();
+                    productStates[productId] = { stock: productData.stock || 0, stockByLocation: getStockByLocation(productData, defaultWarehouseId), averageCost: productData.averageCost || 0, cost: productData.cost || 0 };
+                    if (productData.lotTracked) lotTrackedIds.add(productId);
+                }
+
+                // 同一批號再次到貨時累計結存，有效期限必須與先前登記的相同
+                const lotStates = {};
+                for (const { index } of receiveLines) {
+                    const item = updatedItems[index];
+                    if (!lotTrackedIds.has(item.productId)) continue;
+                    const lot = lots[index];
+                    if (!lot?.lotNumber) throw new Error(`商品 ${item.name} 需登記批號。`);
+                    const lotId = getLotDocId(item.productId, warehouseId, lot.lotNumber);
+                    if (!lotStates[lotId]) {
+                        const lotDoc = await transaction.get(doc(db, getDocPath('lots', lotId)));
+                        lotStates[lotId] = lotDoc.exists()
+                            ? { ...lotDoc.data(), isNew: false }
+                            : { productId: item.productId, productName: item.name, warehouseId, lotNumber: lot.lotNumber, expiryDate: lot.expiryDate, quantity: 0, receivedQuantity: 0, isNew: true };
+                    }
+                    if (getExpiryTime(lotStates[lotId]) !== getExpiryTime(lot)) throw new Error(`批號 ${lot.lotNumber} 已登記的有效期限為 ${formatLotExpiry(lotStates[lotId])}，與本次輸入的 ${formatLotExpiry(lot)} 不同。`);
+                }
+
+                const receiptCount = (orderData.receiptCount || 0) + 1;
+                const receiptNumber = `${orderData.orderNumber}-R${receiptCount}`;
+                const receiptItems = [];
+
+                for (const { index, quantity } of receiveLines) {
+                    const item = updatedItems[index];
+                    const productState = productStates[item.productId];
+                    const oldStock = productState.stock;
+                    const oldAvgCost = productState.averageCost;
+                    // 移動平均成本只計入實際到貨的數量，平均成本不分倉庫；內含稅採購單的進項稅額不計入成本。
+                    // 商品的最近進價同樣記錄未稅金額，供應商的最近進價則記錄採購單上的進價與稅別，帶入新採購單時再依稅別換算 (getSupplierCost)
+                    const unitCost = getNetUnitCost(orderData, item);
+                    const newStock = oldStock + quantity;
+                    const newAvgCost = newStock > 0 ? ((oldStock * oldAvgCost) + (quantity * unitCost)) / newStock : unitCost;
+                    moveLocationStock(productState, warehouseId, quantity);
+                    Object.assign(productState, { averageCost: newAvgCost, cost: unitCost });
+
+                    item.receivedQuantity = (item.receivedQuantity || 0) + quantity;
+                    const lot = lotTrackedIds.has(item.productId) ? lots[index] : null;
+                    if (lot) {
+                        const lotState = lotStates[getLotDocId(item.productId, warehouseId, lot.lotNumber)];
+                        lotState.quantity += quantity;
+                        lotState.receivedQuantity = (lotState.receivedQuantity || 0) + quantity;
+                    }
+                    receiptItems.push({ productId: item.productId, name: item.name, quantity, cost: item.cost, ...(lot && { lotNumber: lot.lotNumber, expiryDate: lot.expiryDate }) });
+
+                    // 更新此供應商的最近進價，目錄內沒有的商品同時建立供應關係
+                    if (orderData.supplierId) {
+                        transaction.set(doc(db, getDocPath('productSuppliers', getProductSupplierDocId(item.productId, orderData.supplierId))), validateDocument('productSuppliers', {
+                            productId: item.productId, supplierId: orderData.supplierId, lastPrice: item.cost, lastPriceTaxMode: orderData.taxMode || 'exempt', lastPurchasedAt: serverTimestamp(), updatedAt: serverTimestamp()
+                        }), { merge: true });
+                    }
+
+                    const invLogRef = doc(collection(db, getCollectionPath('inventoryLogs')));
+                    transaction.set(invLogRef, validateDocument('inventoryLogs', {
+                        productId: item.productId, productName: item.name, type: 'in', change: quantity, newStock: newStock, lotNumber: lot?.lotNumber,
+                        warehouseId, locationStock: productState.stockByLocation[warehouseId], relatedDoc: receiptNumber, timestamp: serverTimestamp()
+                    }));
+
+                    if (oldAvgCost.toFixed(5) !== newAvgCost.toFixed(5)) {
+                        const costLogRef = doc(collection(db, getCollectionPath('costLogs')));
+                        transaction.set(costLogRef, validateDocument('costLogs', {
+                            productId: item.productId, productName: item.name, type: 'in', relatedDoc: receiptNumber,
+                            oldAvgCost: oldAvgCost, newAvgCost: newAvgCost, timestamp: serverTimestamp()
+                        }));
+                    }
+                }
+
+                for (const [productId, productState] of Object.entries(productStates)) {
+                    transaction.update(doc(db, getDocPath('products', productId)), validateDocument('products', productState, { partial: true }));
+                }
+                for (const [lotId, { isNew, ...lotState }] of Object.entries(lotStates)) {
+                    const lotRef = doc(db, getDocPath('lots', lotId));
+                    if (isNew) transaction.set(lotRef, validateDocument('lots', { ...lotState, firstReceivedAt: serverTimestamp(), updatedAt: serverTimestamp() }));
+                    else transaction.update(lotRef, validateDocument('lots', { quantity: lotState.quantity, receivedQuantity: lotState.receivedQuantity, updatedAt: serverTimestamp() }, { partial: true }));
+                }
+
+                const receiptRef = doc(collection(db, getDocPath('purchaseOrders', order.id), 'receipts'));
+                const receiptAmounts = calculateTax(receiptItems.reduce((sum, item) => sum + item.cost * item.quantity, 0), orderData.taxMode);
+                transaction.set(receiptRef, validateDocument('receipts', { receiptNumber, warehouseId, items: receiptItems, ...receiptAmounts, receivedBy: user.uid, receivedAt: serverTimestamp() }));
+                // 陣列內不能使用 serverTimestamp，收貨摘要以用戶端時間記錄收貨日期
+                const receiptSummary = { receiptId: receiptRef.id, receiptNumber, receivedAt: Timestamp.now(), ...receiptAmounts };
+
+                const allReceived = updatedItems.every(item => (item.receivedQuantity || 0) >= item.quantity);
+                transaction.update(orderRef, validateDocument('purchaseOrders', {
+                    status: allReceived ? 'Received' : 'Partially Received',
+                    items: updatedItems,
+                    receiptCount,
+                    receiptSummaries: [...(orderData.receiptSummaries || []), receiptSummary],
+                    lastReceivedAt: serverTimestamp(),
+                    ...(allReceived && { receivedAt: serverTimestamp() })
+                }, { partial: true }));
+                return allReceived;
+            });
+            showMessage(isCompleted ? '庫存已成功更新！' : '已部分收貨，採購單保持開啟等待後續到貨。');
+            return true;
+        } catch (error) { showMessage(`錯誤: ${error.message}`, 'error'); }
+    };
+
+    return receiveItems;
+};
+
+const WarehouseReceivingManagement = () => {
+    const [orders, setOrders] = useState([]);
+    const [receivingOrder, setReceivingOrder] = useState(null);
+    const { user } = useAuth();
+    const { warehouses, defaultWarehouseId, getWarehouseName } = useWarehouses();
+    const receiveItems = useReceiveItems();
 
+    // 倉庫人員只能讀取待收貨的採購單 (firestore.rules)，查詢條件需與規則一致
     useEffect(() => {
         if (!user) return;
-        const salesCollection = collection(db, getCollectionPath('salesOrders'));
-        const unsubscribe = onSnapshot(salesCollection, snapshot => setSalesOrders(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))));
+        const q = query(collection(db, getCollectionPath('purchaseOrders')), where('status', 'in', RECEIVABLE_STATUSES));
+        const unsubscribe = onSnapshot(q, snapshot => setOrders(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))));
         return () => unsubscribe();
     }, [user]);
 
-    const handleAddOrder = async (order) => {
-        const totalAmount = order.items.reduce((sum, item) => sum + item.price * item.quantity, 0);
-        const orderNumber = `SO-${Date.now()}`;
-        await addDoc(collection(db, getCollectionPath('salesOrders')), { 
-            ...order, 
-            totalAmount, 
-            orderNumber, 
-            status: 'Pending Approval', // New initial status
-            createdAt: serverTimestamp() 
-        });
-        showMessage('銷售訂單已成功建立，等待批准。');
-    };
-
-    const handleApproveOrder = async (orderId) => {
-        const confirmed = await showConfirmation('確定要批准此訂單嗎？批准後將通知倉庫備貨。');
-        if (confirmed) {
-            await updateDoc(doc(db, getDocPath('salesOrders', orderId)), { status: 'Pending Shipment' });
-            showMessage('訂單已批准，已通知倉庫。');
-        }
+    const handleReceiveItems = async (...args) => {
+        if (await receiveItems(...args)) setReceivingOrder(null);
     };
 
     return (
         <div>
-            <div className="flex justify-between items-center mb-6">
-                <h2 className="text-3xl font-bold text-gray-800">銷貨管理</h2>
-                <button onClick={() => setIsModalOpen(true)} className="flex items-center bg-green-500 text-white px-4 py-2 rounded-lg shadow hover:bg-green-600 transition"><PlusCircle className="w-5 h-5 mr-2" /> 新增銷售單</button>
-            </div>
-            <OrderList orders={salesOrders} type="sales" onApprove={handleApproveOrder} />
-            {isModalOpen && <OrderForm type="sales" onClose={() => setIsModalOpen(false)} onSave={handleAddOrder} />}
+            <h2 className="text-3xl font-bold text-gray-800 mb-6">倉庫收貨管理</h2>
+            <OrderList orders={orders} type="receiving" onOpen={setReceivingOrder} />
+            {receivingOrder && <ReceivingModal order={receivingOrder} warehouses={warehouses} defaultWarehouseId={defaultWarehouseId} getWarehouseName={getWarehouseName} onClose={() => setReceivingOrder(null)} onReceive={handleReceiveItems} />}
         </div>
     );
 };
@@ -957,8 +4023,14 @@ const SalesManagement = () => {
 const PurchaseManagement = () => {
     const [purchaseOrders, setPurchaseOrders] = useState([]);
     const [isModalOpen, setIsModalOpen] = useState(false);
+    const [editingOrder, setEditingOrder] = useState(null);
+    const [cancellingOrder, setCancellingOrder] = useState(null);
+    const [receivingOrder, setReceivingOrder] = useState(null);
+    const [returningOrder, setReturningOrder] = useState(null);
     const { user } = useAuth();
-    const { showMessage } = useModal();
+    const { showMessage, showConfirmation } = useModal();
+    const { warehouses, defaultWarehouseId, getWarehouseName } = useWarehouses();
+    const receiveItems = useReceiveItems();
 
     useEffect(() => {
         if (!user) return;
@@ -967,48 +4039,155 @@ const PurchaseManagement = () => {
     }, [user]);
 
     const handleAddOrder = async (order) => {
-        const totalAmount = order.items.reduce((sum, item) => sum + item.cost * item.quantity, 0);
-        await addDoc(collection(db, getCollectionPath('purchaseOrders')), { ...order, totalAmount, orderNumber: `PO-${Date.now()}`, status: 'Pending', createdAt: serverTimestamp() });
+        const amounts = calculateTax(order.items.reduce((sum, item) => sum + item.cost * item.quantity, 0), order.taxMode);
+        await runTransaction(db, async (transaction) => {
+            const orderNumber = await getNextDocNumber(transaction, 'purchaseOrders');
+            transaction.set(doc(collection(db, getCollectionPath('purchaseOrders'))), validateDocument('purchaseOrders', { ...order, ...amounts, orderNumber, status: 'Pending', createdAt: serverTimestamp() }));
+        });
     };
 
-    const handleReceiveItems = async (order) => {
+    const handleUpdateOrder = async (changes) => {
+        const amounts = calculateTax(changes.items.reduce((sum, item) => sum + item.cost * item.quantity, 0), changes.taxMode);
+        await runTransaction(db, async (transaction) => {
+            const orderRef = doc(db, getDocPath('purchaseOrders', editingOrder.id));
+            const orderDoc = await transaction.get(orderRef);
+            if (!orderDoc.exists() || !EDITABLE_STATUSES.purchases.includes(orderDoc.data().status) || hasStockMoved(orderDoc.data())) throw new Error("採購單已開始收貨或不存在，無法修改。");
+            transaction.update(orderRef, validateDocument('purchaseOrders', { ...changes, ...amounts, updatedBy: user.uid, updatedAt: serverTimestamp() }, { partial: true }));
+        });
+        showMessage('採購單已更新。');
+    };
+
+    // 補貨建議產生的草稿確認後才成為待收貨的採購單
+    const handleConfirmDraft = async (order) => {
+        const confirmed = await showConfirmation(`確定要對 ${order.partyName} 下單 ${order.orderNumber} 嗎？`);
+        if (!confirmed) return;
         try {
             await runTransaction(db, async (transaction) => {
                 const orderRef = doc(db, getDocPath('purchaseOrders', order.id));
                 const orderDoc = await transaction.get(orderRef);
-                if (!orderDoc.exists() || orderDoc.data().status === 'Received') throw new Error("訂單不存在或已入庫。");
+                if (!orderDoc.exists() || orderDoc.data().status !== 'Draft') throw new Error("採購單不存在或已確認。");
+                transaction.update(orderRef, validateDocument('purchaseOrders', { status: 'Pending', updatedBy: user.uid, updatedAt: serverTimestamp() }, { partial: true }));
+            });
+            showMessage(`採購單 ${order.orderNumber} 已確認下單。`);
+        } catch (error) { showMessage(`確認失敗: ${error.message}`, 'error'); }
+    };
 
-                for (const item of order.items) {
-                    const productRef = doc(db, getDocPath('products', item.productId));
-                    const productDoc = await transaction.get(productRef);
-                    if (!productDoc.exists()) throw new Error(`商品 ID ${item.productId} 不存在。`);
-                    
+    // 尚未收貨的採購單不影響庫存，取消只需記錄原因
+    const handleCancelOrder = async (order, reason) => {
+        try {
+            await runTransaction(db, async (transaction) => {
+                const orderRef = doc(db, getDocPath('purchaseOrders', order.id));
+                const orderDoc = await transaction.get(orderRef);
+                if (!orderDoc.exists() || !CANCELLABLE_STATUSES.purchases.includes(orderDoc.data().status) || hasStockMoved(orderDoc.data())) throw new Error("採購單已開始收貨，無法取消。");
+                transaction.update(orderRef, validateDocument('purchaseOrders', { status: 'Cancelled', cancelReason: reason, cancelledBy: user.uid, cancelledAt: serverTimestamp() }, { partial: true }));
+            });
+            showMessage('採購單已取消。');
+            setCancellingOrder(null);
+        } catch (error) { showMessage(`取消失敗: ${error.message}`, 'error'); }
+    };
+
+    const handleReceiveItems = async (...args) => {
+        if (await receiveItems(...args)) setReceivingOrder(null);
+    };
+
+    const handleCloseOrder = async (order) => {
+        const confirmed = await showConfirmation('確定要結案此採購單嗎？未到貨的數量將不再收貨。');
+        if (!confirmed) return;
+        try {
+            await runTransaction(db, async (transaction) => {
+                const orderRef = doc(db, getDocPath('purchaseOrders', order.id));
+                const orderDoc = await transaction.get(orderRef);
+                if (!orderDoc.exists() || orderDoc.data().status !== 'Partially Received') throw new Error("只有部分收貨的採購單可以結案。");
+                transaction.update(orderRef, validateDocument('purchaseOrders', { status: 'Closed', closedAt: serverTimestamp() }, { partial: true }));
+            });
+            showMessage('採購單已結案。');
+        } catch (error) { showMessage(`錯誤: ${error.message}`, 'error'); }
+    };
+
+    // lotNumbers: 批號商品各品項退出的批號 (出貨倉庫的批號結存)
+    const handleCreateReturn = async (order, returnQuantities, reason, warehouseId, lotNumbers = []) => {
+        const returnLines = order.items.map((item, index) => ({ index, quantity: returnQuantities[index] || 0 })).filter(line => line.quantity > 0);
+        if (returnLines.length === 0) return showMessage('請輸入退貨數量。', 'error');
+        if (!reason.trim()) return showMessage('請輸入退貨原因。', 'error');
+        if (!warehouseId) return showMessage('請選擇出貨倉庫。', 'error');
+
+        try {
+            const returnNumber = await runTransaction(db, async (transaction) => {
+                const orderRef = doc(db, getDocPath('purchaseOrders', order.id));
+                const orderDoc = await transaction.get(orderRef);
+                if (!orderDoc.exists()) throw new Error("採購單不存在。");
+                const orderData = orderDoc.data();
+                const updatedItems = orderData.items.map(item => ({ ...item }));
+
+                const productStates = {};
+                const lotTrackedIds = new Set();
+                for (const { index } of returnLines) {
+                    const productId = updatedItems[index].productId;
+                    if (productStates[productId]) continue;
+                    const productDoc = await transaction.get(doc(db, getDocPath('products', productId)));
+                    if (!productDoc.exists()) throw new Error(`商品 ${updatedItems[index].name} 不存在。`);
                     const productData = productDoc.data();
-                    const oldStock = productData.stock || 0;
-                    const oldAvgCost = productData.averageCost || 0;
-                    const newStock = oldStock + item.quantity;
-                    const newAvgCost = newStock > 0 ? ((oldStock * oldAvgCost) + (item.quantity * item.cost)) / newStock : item.cost;
-                    
-                    transaction.update(productRef, { stock: newStock, averageCost: newAvgCost, cost: item.cost });
-                    
+                    productStates[productId] = { stock: productData.stock || 0, stockByLocation: getStockByLocation(productData, defaultWarehouseId), reserved: productData.reserved || 0, averageCost: productData.averageCost || 0 };
+                    if (productData.lotTracked) lotTrackedIds.add(productId);
+                }
+                const lotStates = {};
+                for (const { index } of returnLines.filter(({ index }) => lotTrackedIds.has(updatedItems[index].productId))) {
+                    if (!lotNumbers[index]) throw new Error(`商品 ${updatedItems[index].name} 為批號管理商品，請選擇退出的批號。`);
+                    await readLotState(transaction, lotStates, updatedItems[index].productId, warehouseId, lotNumbers[index]);
+                }
+                const returnNumber = await getNextDocNumber(transaction, 'purchaseReturns');
+
+                const returnItems = [];
+                for (const { index, quantity } of returnLines) {
+                    const item = updatedItems[index];
+                    const returnable = getReceivedQuantity(orderData, item) - (item.returnedQuantity || 0);
+                    if (quantity > returnable) throw new Error(`商品 ${item.name} 退貨數量超過可退數量 (${returnable})`);
+                    const productState = productStates[item.productId];
+                    // 已被銷售單保留的庫存不可退給供應商
+                    if (quantity > getAvailableStock(productState)) throw new Error(`商品 ${item.name} 可用庫存不足 (可用 ${getAvailableStock(productState)})`);
+                    const locationStock = productState.stockByLocation[warehouseId] || 0;
+                    if (quantity > locationStock) throw new Error(`商品 ${item.name} 在 ${getWarehouseName(warehouseId)} 的庫存不足 (現有 ${locationStock})`);
+                    item.returnedQuantity = (item.returnedQuantity || 0) + quantity;
+
+                    // 以原採購成本扣除庫存價值後重新計算移動平均成本，庫存歸零時保留原平均成本
+                    const oldStock = productState.stock;
+                    const oldAvgCost = productState.averageCost;
+                    const newStock = oldStock - quantity;
+                    const newAvgCost = newStock > 0 ? Math.max(0, ((oldStock * oldAvgCost) - (quantity * getNetUnitCost(orderData, item))) / newStock) : oldAvgCost;
+                    moveLocationStock(productState, warehouseId, -quantity);
+                    productState.averageCost = newAvgCost;
+                    const lotNumber = lotTrackedIds.has(item.productId) ? lotNumbers[index] : undefined;
+                    if (lotNumber) changeLotQuantity(lotStates, { productId: item.productId, productName: item.name, warehouseId, lotNumber, change: -quantity });
+                    returnItems.push({ productId: item.productId, name: item.name, quantity, cost: item.cost, ...(lotNumber && { lotNumber }) });
+
                     const invLogRef = doc(collection(db, getCollectionPath('inventoryLogs')));
-                    transaction.set(invLogRef, {
-                        productId: item.productId, productName: item.name, type: 'in', change: item.quantity, newStock: newStock,
-                        relatedDoc: order.orderNumber, timestamp: serverTimestamp()
-                    });
+                    transaction.set(invLogRef, validateDocument('inventoryLogs', {
+                        productId: item.productId, productName: item.name, type: 'out', source: 'purchaseReturn', change: -quantity, newStock: newStock, lotNumber,
+                        warehouseId, locationStock: productState.stockByLocation[warehouseId], relatedDoc: returnNumber, timestamp: serverTimestamp()
+                    }));
+                    const costLogRef = doc(collection(db, getCollectionPath('costLogs')));
+                    transaction.set(costLogRef, validateDocument('costLogs', {
+                        productId: item.productId, productName: item.name, type: 'out', source: 'purchaseReturn', relatedDoc: returnNumber,
+                        oldAvgCost: oldAvgCost, newAvgCost: newAvgCost, timestamp: serverTimestamp()
+                    }));
+                }
 
-                    if (oldAvgCost.toFixed(5) !== newAvgCost.toFixed(5)) {
-                        const costLogRef = doc(collection(db, getCollectionPath('costLogs')));
-                        transaction.set(costLogRef, {
-                            productId: item.productId, productName: item.name, type: 'in', relatedDoc: order.orderNumber,
-                            oldAvgCost: oldAvgCost, newAvgCost: newAvgCost, timestamp: serverTimestamp()
-                        });
-                    }
+                for (const [productId, productState] of Object.entries(productStates)) {
+                    transaction.update(doc(db, getDocPath('products', productId)), validateDocument('products', { stock: productState.stock, stockByLocation: productState.stockByLocation, averageCost: productState.averageCost }, { partial: true }));
                 }
-                transaction.update(orderRef, { status: 'Received', receivedAt: serverTimestamp() });
+                writeLotStates(transaction, lotStates);
+
+                const amounts = calculateTax(returnItems.reduce((sum, item) => sum + item.cost * item.quantity, 0), orderData.taxMode);
+                transaction.set(doc(collection(db, getCollectionPath('purchaseReturns'))), validateDocument('purchaseReturns', {
+                    returnNumber, warehouseId, orderId: order.id, orderNumber: orderData.orderNumber, supplierId: orderData.supplierId, partyName: orderData.partyName,
+                    items: returnItems, ...amounts, reason: reason.trim(), createdBy: user.uid, createdAt: serverTimestamp()
+                }));
+                transaction.update(orderRef, validateDocument('purchaseOrders', { items: updatedItems, returnedAmount: (orderData.returnedAmount || 0) + amounts.totalAmount }, { partial: true }));
+                return returnNumber;
             });
-            showMessage('庫存已成功更新！');
-        } catch (error) { showMessage(`錯誤: ${error.message}`, 'error'); }
+            showMessage(`進貨退出單 ${returnNumber} 已建立，庫存已扣除。`);
+            setReturningOrder(null);
+        } catch (error) { showMessage(`退貨失敗: ${error.message}`, 'error'); }
     };
 
     return (
@@ -1017,24 +4196,247 @@ const PurchaseManagement = () => {
                 <h2 className="text-3xl font-bold text-gray-800">進貨管理</h2>
                 <button onClick={() => setIsModalOpen(true)} className="flex items-center bg-purple-500 text-white px-4 py-2 rounded-lg shadow hover:bg-purple-600 transition"><PlusCircle className="w-5 h-5 mr-2" /> 新增採購單</button>
             </div>
-            <OrderList orders={purchaseOrders} type="purchases" onReceive={handleReceiveItems} />
+            <OrderList orders={purchaseOrders} type="purchases" onConfirmDraft={handleConfirmDraft} onReceive={setReceivingOrder} onClosePurchase={handleCloseOrder} onReturn={setReturningOrder} onEdit={setEditingOrder} onCancel={setCancellingOrder} />
             {isModalOpen && <OrderForm type="purchases" onClose={() => setIsModalOpen(false)} onSave={handleAddOrder} />}
+            {editingOrder && <OrderForm type="purchases" order={editingOrder} onClose={() => setEditingOrder(null)} onSave={handleUpdateOrder} />}
+            {cancellingOrder && <CancelOrderModal order={cancellingOrder} onClose={() => setCancellingOrder(null)} onConfirm={handleCancelOrder} />}
+            {receivingOrder && <ReceivingModal order={receivingOrder} warehouses={warehouses} defaultWarehouseId={defaultWarehouseId} getWarehouseName={getWarehouseName} onClose={() => setReceivingOrder(null)} onReceive={handleReceiveItems} />}
+            {returningOrder && <PurchaseReturnModal order={returningOrder} warehouses={warehouses} defaultWarehouseId={defaultWarehouseId} onClose={() => setReturningOrder(null)} onSave={handleCreateReturn} />}
+        </div>
+    );
+};
+
+const ReceivingModal = ({ order, warehouses, defaultWarehouseId, getWarehouseName, onClose, onReceive }) => {
+    const [receipts, setReceipts] = useState([]);
+    const [selectedWarehouseId, setSelectedWarehouseId] = useState(null);
+    const warehouseId = selectedWarehouseId || defaultWarehouseId;
+    const [quantities, setQuantities] = useState(() => order.items.map(item => Math.max(0, item.quantity - (item.receivedQuantity || 0))));
+    const [products, setProducts] = useState([]);
+    const [isScanning, setIsScanning] = useState(false);
+    const [lotInputs, setLotInputs] = useState(() => order.items.map(() => ({ lotNumber: '', expiryDate: '' })));
+    const { showMessage } = useModal();
+
+    useEffect(() => {
+        const q = query(collection(db, getDocPath('purchaseOrders', order.id), 'receipts'), orderBy('receivedAt', 'asc'));
+        const unsubscribe = onSnapshot(q, snapshot => setReceipts(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))));
+        const unsubProducts = onSnapshot(collection(db, getCollectionPath('products')), snapshot => setProducts(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))));
+        return () => { unsubscribe(); unsubProducts(); };
+    }, [order.id]);
+
+    // 掃描收貨: 本次實收從 0 開始，每掃一件加一；超過未到貨數量的視為多餘商品，需手動調整數量才會超收
+    const scan = useScanSession({
+        items: order.items, counts: quantities, products, setCounts: setQuantities,
+        limits: order.items.map(item => Math.max(0, item.quantity - (item.receivedQuantity || 0)))
+    });
+    const startScanning = () => {
+        setIsScanning(true);
+        setQuantities(order.items.map(() => 0));
+        scan.clearIssues();
+    };
+
+    const handleQuantityChange = (index, value) => {
+        const newQuantities = [...quantities];
+        newQuantities[index] = Math.max(0, parseInt(value, 10) || 0);
+        setQuantities(newQuantities);
+    };
+
+    const isLotTracked = (item) => !!products.find(p => p.id === item.productId)?.lotTracked;
+    const handleLotChange = (index, field, value) => setLotInputs(prev => prev.map((input, i) => i === index ? { ...input, [field]: value } : input));
+
+    const handleReceive = () => {
+        const missingLots = order.items.filter((item, index) => quantities[index] > 0 && isLotTracked(item) && !lotInputs[index].lotNumber.trim());
+        if (missingLots.length > 0) return showMessage(`請輸入批號：${missingLots.map(item => item.name).join('、')}`, 'error');
+        const lots = order.items.map((item, index) => isLotTracked(item)
+            ? { lotNumber: lotInputs[index].lotNumber.trim(), expiryDate: lotInputs[index].expiryDate ? new Date(`${lotInputs[index].expiryDate}T00:00:00`) : null }
+            : null);
+        onReceive(order, quantities, warehouseId, { lots, scanIssues: scan.issues });
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex justify-center items-center z-50">
+            <div className="bg-white rounded-lg shadow-xl p-8 w-full max-w-5xl">
+                <div className="flex justify-between items-center mb-4">
+                    <h3 className="text-2xl font-bold text-gray-800">收貨入庫: {order.orderNumber}</h3>
+                    <button onClick={onClose} className="text-gray-500 hover:text-gray-800 text-2xl">&times;</button>
+                </div>
+                <div className="grid grid-cols-2 gap-4 text-sm mb-4">
+                    <p><strong>供應商:</strong> {order.partyName}</p>
+                    <p><strong>訂單日期:</strong> {order.createdAt?.toDate().toLocaleDateString()}</p>
+                </div>
+                <div className="mb-4 flex items-center justify-between">
+                    <WarehouseSelect warehouses={warehouses} value={warehouseId} onChange={setSelectedWarehouseId} label="收貨倉庫" />
+                    {!isScanning && <button onClick={startScanning} className="flex items-center px-4 py-2 bg-gray-600 text-white rounded hover:bg-gray-700"><ScanLine className="w-5 h-5 mr-2" /> 掃描收貨</button>}
+                </div>
+                {isScanning && <ScanPanel onScan={scan.handleScan} lastScan={scan.lastScan} issues={scan.issues} onClearIssues={scan.clearIssues} />}
+                <div className="overflow-y-auto max-h-[40vh] border rounded-md">
+                    <table className="w-full text-sm text-left text-gray-500">
+                        <thead className="text-xs text-gray-700 uppercase bg-gray-50 sticky top-0">
+                            <tr>
+                                <th className="px-6 py-3">商品</th>
+                                <th className="px-6 py-3 text-right">採購數量</th>
+                                <th className="px-6 py-3 text-right">已收貨</th>
+                                <th className="px-6 py-3 text-right">未到貨</th>
+                                <th className="px-6 py-3 text-right">本次實收</th>
+                                <th className="px-6 py-3">批號 / 有效期限</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {order.items.map((item, index) => {
+                                const received = item.receivedQuantity || 0;
+                                const remaining = item.quantity - received;
+                                const isOver = received + quantities[index] > item.quantity;
+                                return (
+                                    <tr key={index} className={`border-b ${isScanning && remaining > 0 && quantities[index] >= remaining ? 'bg-green-50' : 'bg-white'}`}>
+                                        <td className="px-6 py-4">{item.name}</td>
+                                        <td className="px-6 py-4 text-right">{item.quantity}</td>
+                                        <td className="px-6 py-4 text-right">{received}</td>
+                                        <td className={`px-6 py-4 text-right ${remaining > 0 ? 'text-orange-600 font-semibold' : ''}`}>{Math.max(0, remaining)}</td>
+                                        <td className="px-6 py-4 text-right">
+                                            <input type="number" value={quantities[index]} onChange={(e) => handleQuantityChange(index, e.target.value)} min="0" className={`w-20 p-1 border rounded text-right ${isOver ? 'border-red-500 text-red-600' : ''}`} />
+                                            {isOver && <p className="text-xs text-red-600 mt-1">超收 {received + quantities[index] - item.quantity}</p>}
+                                        </td>
+                                        <td className="px-6 py-4">
+                                            {isLotTracked(item) ? (
+                                                <div className="space-y-1">
+                                                    <input value={lotInputs[index].lotNumber} onChange={(e) => handleLotChange(index, 'lotNumber', e.target.value)} placeholder="批號" className="w-32 p-1 border rounded" />
+                                                    <input type="date" value={lotInputs[index].expiryDate} onChange={(e) => handleLotChange(index, 'expiryDate', e.target.value)} className="w-32 p-1 border rounded" />
+                                                </div>
+                                            ) : '-'}
+                                        </td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                </div>
+                {receipts.length > 0 && (
+                    <div className="mt-4">
+                        <h4 className="text-sm font-medium text-gray-700 mb-1">收貨紀錄</h4>
+                        <ul className="text-sm border rounded-md divide-y">
+                            {receipts.map(receipt => (
+                                <li key={receipt.id} className="px-4 py-2 flex justify-between">
+                                    <span className="font-medium">{receipt.receiptNumber}{receipt.warehouseId && <span className="ml-2 text-xs text-gray-500">({getWarehouseName(receipt.warehouseId)})</span>}</span>
+                                    <span>{receipt.items.map(item => `${item.name} x ${item.quantity}${item.lotNumber ? ` (批號 ${item.lotNumber})` : ''}`).join('、')}</span>
+                                    <span className="text-gray-500">{receipt.receivedAt?.toDate().toLocaleString()}</span>
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                )}
+                <div className="flex justify-end space-x-4 pt-6">
+                    <button onClick={onClose} className="px-4 py-2 bg-gray-200 rounded hover:bg-gray-300">取消</button>
+                    <button onClick={handleReceive} className="px-6 py-2 bg-blue-500 text-white rounded hover:bg-blue-600">確認入庫</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+const PurchaseReturnModal = ({ order, warehouses, defaultWarehouseId, onClose, onSave }) => {
+    const [quantities, setQuantities] = useState(() => order.items.map(() => 0));
+    const [reason, setReason] = useState('');
+    const [selectedWarehouseId, setSelectedWarehouseId] = useState(null);
+    const warehouseId = selectedWarehouseId || defaultWarehouseId;
+    const [lotNumbers, setLotNumbers] = useState(() => order.items.map(() => ''));
+    const [products, setProducts] = useState([]);
+    const lots = useWarehouseLots(warehouseId);
+    const returnableOf = (item) => getReceivedQuantity(order, item) - (item.returnedQuantity || 0);
+
+    useEffect(() => {
+        const unsubscribe = onSnapshot(collection(db, getCollectionPath('products')), snapshot => setProducts(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))));
+        return () => unsubscribe();
+    }, []);
+
+    // 批號商品需選擇退出的批號，選項為出貨倉庫目前有結存的批號
+    const isLotTracked = (item) => !!products.find(p => p.id === item.productId)?.lotTracked;
+    const getProductLots = (productId) => lots.filter(lot => lot.productId === productId && lot.quantity > 0).sort(compareLotsByExpiry);
+    const handleLotChange = (index, lotNumber) => setLotNumbers(prev => prev.map((value, i) => (i === index ? lotNumber : value)));
+    const handleWarehouseChange = (id) => {
+        setSelectedWarehouseId(id);
+        setLotNumbers(order.items.map(() => ''));
+    };
+
+    const handleQuantityChange = (index, value) => {
+        const newQuantities = [...quantities];
+        newQuantities[index] = Math.max(0, Math.min(returnableOf(order.items[index]), parseInt(value, 10) || 0));
+        setQuantities(newQuantities);
+    };
+
+    const creditAmount = order.items.reduce((sum, item, index) => sum + item.cost * quantities[index], 0);
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex justify-center items-center z-50">
+            <div className="bg-white rounded-lg shadow-xl p-8 w-full max-w-3xl">
+                <div className="flex justify-between items-center mb-4">
+                    <h3 className="text-2xl font-bold text-gray-800">進貨退出: {order.orderNumber}</h3>
+                    <button onClick={onClose} className="text-gray-500 hover:text-gray-800 text-2xl">&times;</button>
+                </div>
+                <div className="flex justify-between items-center mb-4">
+                    <p className="text-sm"><strong>供應商:</strong> {order.partyName}</p>
+                    <WarehouseSelect warehouses={warehouses} value={warehouseId} onChange={handleWarehouseChange} label="出貨倉庫" />
+                </div>
+                <div className="overflow-y-auto max-h-[40vh] border rounded-md">
+                    <table className="w-full text-sm text-left text-gray-500">
+                        <thead className="text-xs text-gray-700 uppercase bg-gray-50 sticky top-0">
+                            <tr>
+                                <th className="px-6 py-3">商品</th>
+                                <th className="px-6 py-3 text-right">進價</th>
+                                <th className="px-6 py-3 text-right">已收貨</th>
+                                <th className="px-6 py-3 text-right">已退出</th>
+                                <th className="px-6 py-3 text-right">本次退出</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {order.items.map((item, index) => (
+                                <tr key={index} className="bg-white border-b">
+                                    <td className="px-6 py-4">{item.name}</td>
+                                    <td className="px-6 py-4 text-right">${item.cost.toLocaleString()}</td>
+                                    <td className="px-6 py-4 text-right">{getReceivedQuantity(order, item)}</td>
+                                    <td className="px-6 py-4 text-right">{item.returnedQuantity || 0}</td>
+                                    <td className="px-6 py-4 text-right">
+                                        <input type="number" value={quantities[index]} onChange={(e) => handleQuantityChange(index, e.target.value)} min="0" max={returnableOf(item)} disabled={returnableOf(item) <= 0} className="w-20 p-1 border rounded text-right" />
+                                        {isLotTracked(item) && quantities[index] > 0 && <div className="mt-1"><LotSelect lots={getProductLots(item.productId)} value={lotNumbers[index]} onChange={(lotNumber) => handleLotChange(index, lotNumber)} /></div>}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+                <div className="mt-4">
+                    <label className="block text-sm font-medium text-gray-700 mb-1">退貨原因</label>
+                    <textarea value={reason} onChange={(e) => setReason(e.target.value)} rows="2" className="w-full p-2 border rounded-md" required />
+                </div>
+                <div className="flex justify-between items-center pt-6">
+                    <span className="text-lg font-semibold">供應商折讓金額: ${creditAmount.toLocaleString()}</span>
+                    <div className="flex space-x-4">
+                        <button onClick={onClose} className="px-4 py-2 bg-gray-200 rounded hover:bg-gray-300">取消</button>
+                        <button onClick={() => onSave(order, quantities, reason, warehouseId, lotNumbers)} className="px-6 py-2 bg-red-500 text-white rounded hover:bg-red-600">建立進貨退出單</button>
+                    </div>
+                </div>
+            </div>
         </div>
     );
 };
-const OrderList = ({ orders, type, onApprove, onReceive, onShip, onOpen }) => {
+
+const OrderList = ({ orders, type, onApprove, onReserve, onCloseBackorder, onConfirmDraft, onReturn, onReceive, onClosePurchase, onEdit, onCancel, onPrint, onShip, onOpen }) => {
     const [expandedOrderId, setExpandedOrderId] = useState(null);
     const { role } = useAuth();
     const isSales = type === 'sales';
     const isShipping = type === 'shipping';
+    // 倉庫出貨與收貨的清單點選後開啟作業視窗，不展開明細
+    const opensDetail = isShipping || type === 'receiving';
 
     const statusColor = (status) => {
         switch(status) {
             case 'Pending Approval': return 'text-yellow-600';
             case 'Pending Shipment': return 'text-orange-600';
+            case 'Partially Shipped': return 'text-orange-500';
             case 'Completed': return 'text-green-600';
+            case 'Draft': return 'text-gray-600';
             case 'Pending': return 'text-yellow-600';
+            case 'Partially Received': return 'text-orange-500';
             case 'Received': return 'text-green-600';
+            case 'Closed': return 'text-gray-500';
+            case 'Cancelled': return 'text-gray-400';
             default: return 'text-gray-600';
         }
     };
@@ -1043,9 +4445,14 @@ const OrderList = ({ orders, type, onApprove, onReceive, onShip, onOpen }) => {
         switch(status) {
             case 'Pending Approval': return '待批准';
             case 'Pending Shipment': return '待出貨';
+            case 'Partially Shipped': return '部分出貨';
             case 'Completed': return '已完成';
+            case 'Draft': return '草稿';
             case 'Pending': return '待收貨';
+            case 'Partially Received': return '部分收貨';
             case 'Received': return '已收貨';
+            case 'Closed': return '已結案';
+            case 'Cancelled': return '已取消';
             default: return status;
         }
     }
@@ -1063,25 +4470,55 @@ const OrderList = ({ orders, type, onApprove, onReceive, onShip, onOpen }) => {
                 </thead>
                 <tbody>{orders.map(order => (
                     <React.Fragment key={order.id}>
-                        <tr className="bg-white border-b border-gray-200 hover:bg-gray-50 cursor-pointer" onClick={() => isShipping ? onOpen(order) : setExpandedOrderId(expandedOrderId === order.id ? null : order.id)}>
-                            <td className="px-6 py-4 border-r border-gray-200">{isShipping ? <Edit className="w-4 h-4 text-gray-400"/> : (expandedOrderId === order.id ? <ChevronDown /> : <ChevronRight />)}</td>
+                        <tr className="bg-white border-b border-gray-200 hover:bg-gray-50 cursor-pointer" onClick={() => opensDetail ? onOpen(order) : setExpandedOrderId(expandedOrderId === order.id ? null : order.id)}>
+                            <td className="px-6 py-4 border-r border-gray-200">{opensDetail ? <Edit className="w-4 h-4 text-gray-400"/> : (expandedOrderId === order.id ? <ChevronDown /> : <ChevronRight />)}</td>
                             <td className="px-6 py-4 border-r border-gray-200">{order.createdAt?.toDate().toLocaleDateString()}</td>
                             <td className="px-6 py-4 font-medium text-gray-900 border-r border-gray-200">{order.orderNumber}</td>
                             <td className="px-6 py-4 border-r border-gray-200">{order.partyName || 'N/A'}</td>
                             {role === 'admin' && <td className="px-6 py-4 border-r border-gray-200">${order.totalAmount.toLocaleString()}</td>}
-                            <td className={`px-6 py-4 font-semibold ${statusColor(order.status)} border-r border-gray-200`}>{statusText(order.status)}</td>
+                            <td className={`px-6 py-4 font-semibold ${statusColor(order.status)} border-r border-gray-200`}>
+                                {statusText(order.status)}
+                                {order.status === 'Pending Approval' && order.approvalReasons?.length > 0 && <span className="ml-2 text-xs font-normal text-red-600" title={order.approvalReasons.map(reason => reason.message).join('\n')}>需特別核准</span>}
+                            </td>
                             <td className="px-6 py-4">
-                                {isSales && order.status === 'Pending Approval' && (<button onClick={(e) => { e.stopPropagation(); onApprove(order.id); }} className="text-white bg-green-500 hover:bg-green-600 px-3 py-1 rounded text-xs flex items-center"><CheckCircle className="w-4 h-4 mr-1"/> 批准</button>)}
-                                {type === 'purchases' && order.status === 'Pending' && (<button onClick={(e) => { e.stopPropagation(); onReceive(order); }} className="text-white bg-blue-500 hover:bg-blue-600 px-3 py-1 rounded text-xs">收貨入庫</button>)}
+                                <div className="flex space-x-2">
+                                    {onPrint && order.status !== 'Cancelled' && (<button onClick={(e) => { e.stopPropagation(); onPrint(order); }} className="text-gray-600 hover:text-gray-800" title={order.status === 'Pending Approval' ? '列印報價單' : '列印訂單確認書'}><Printer className="w-5 h-5" /></button>)}
+                                    {onEdit && EDITABLE_STATUSES[type]?.includes(order.status) && !hasStockMoved(order) && (<button onClick={(e) => { e.stopPropagation(); onEdit(order); }} className="text-blue-600 hover:text-blue-800" title="編輯"><Edit className="w-5 h-5" /></button>)}
+                                    {isSales && order.status === 'Pending Approval' && (<button onClick={(e) => { e.stopPropagation(); onApprove(order.id); }} className="text-white bg-green-500 hover:bg-green-600 px-3 py-1 rounded text-xs flex items-center"><CheckCircle className="w-4 h-4 mr-1"/> 批准</button>)}
+                                    {onReserve && SHIPPABLE_STATUSES.includes(order.status) && order.items.some(item => getUnreservedQuantity(item) > 0) && (<button onClick={(e) => { e.stopPropagation(); onReserve(order); }} className="text-white bg-orange-500 hover:bg-orange-600 px-3 py-1 rounded text-xs" title="以目前可用庫存保留待補貨數量">補保留</button>)}
+                                    {onCloseBackorder && order.status === 'Partially Shipped' && (<button onClick={(e) => { e.stopPropagation(); onCloseBackorder(order); }} className="text-white bg-gray-500 hover:bg-gray-600 px-3 py-1 rounded text-xs" title="未出貨的數量不再出貨並釋放保留">結案</button>)}
+                                    {isSales && SHIPPED_STATUSES.includes(order.status) && (<button onClick={(e) => { e.stopPropagation(); onReturn(order); }} className="text-white bg-red-500 hover:bg-red-600 px-3 py-1 rounded text-xs">退貨</button>)}
+                                    {type === 'purchases' && order.status === 'Draft' && (<button onClick={(e) => { e.stopPropagation(); onConfirmDraft(order); }} className="text-white bg-green-500 hover:bg-green-600 px-3 py-1 rounded text-xs flex items-center"><CheckCircle className="w-4 h-4 mr-1"/> 確認下單</button>)}
+                                    {type === 'purchases' && RECEIVABLE_STATUSES.includes(order.status) && (<button onClick={(e) => { e.stopPropagation(); onReceive(order); }} className="text-white bg-blue-500 hover:bg-blue-600 px-3 py-1 rounded text-xs">收貨入庫</button>)}
+                                    {type === 'purchases' && order.status === 'Partially Received' && (<button onClick={(e) => { e.stopPropagation(); onClosePurchase(order); }} className="text-white bg-gray-500 hover:bg-gray-600 px-3 py-1 rounded text-xs">結案</button>)}
+                                    {onCancel && CANCELLABLE_STATUSES[type]?.includes(order.status) && !hasStockMoved(order) && (<button onClick={(e) => { e.stopPropagation(); onCancel(order); }} className="text-white bg-gray-400 hover:bg-gray-500 px-3 py-1 rounded text-xs">取消</button>)}
+                                    {type === 'purchases' && order.items.some(item => getReceivedQuantity(order, item) > (item.returnedQuantity || 0)) && (<button onClick={(e) => { e.stopPropagation(); onReturn(order); }} className="text-white bg-red-500 hover:bg-red-600 px-3 py-1 rounded text-xs">退貨</button>)}
+                                </div>
                             </td>
                         </tr>
-                        {expandedOrderId === order.id && !isShipping && (
+                        {expandedOrderId === order.id && !opensDetail && (
                             <tr className="bg-gray-50"><td colSpan={role === 'admin' ? 8 : 7} className="p-4"><div className="p-4 bg-white rounded-md border">
+                                {order.status === 'Cancelled' && <p className="text-sm text-red-600 mb-2">取消原因: {order.cancelReason}</p>}
+                                {order.status === 'Pending Approval' && order.approvalReasons?.length > 0 && (
+                                    <div className="text-sm text-red-600 mb-2">需特別核准:
+                                        <ul className="list-disc list-inside">{order.approvalReasons.map((reason, index) => <li key={index}>{APPROVAL_REASON_MAP[reason.code]}: {reason.message}</li>)}</ul>
+                                    </div>
+                                )}
+                                {role === 'admin' && order.taxMode && <p className="text-sm text-gray-600 mb-2">稅別: {TAX_MODE_MAP[order.taxMode]}，未稅金額: ${order.netAmount.toLocaleString()}，稅額: ${order.taxAmount.toLocaleString()}</p>}
+                                {role === 'admin' && isSales && order.discountAmount > 0 && <p className="text-sm text-gray-600 mb-2">折扣前金額: ${order.grossAmount.toLocaleString()}，折扣合計: -${order.discountAmount.toLocaleString()}{order.discountValue > 0 && ` (整單折扣 ${formatDiscount(order.discountType, order.discountValue)})`}</p>}
+                                {role === 'admin' && isSales && order.marginPercent !== undefined && <p className="text-sm text-gray-600 mb-2">毛利率 (下單時估算): {order.marginPercent}%，估算成本: ${order.estimatedCost.toLocaleString()}</p>}
                                 <h4 className="font-bold mb-2">訂單明細:</h4>
                                 <ul>{order.items.map((item, index) => (
                                     <li key={index} className="flex justify-between py-1 border-b">
                                         <span>{item.name}</span><span>數量: {item.quantity}</span>
+                                        {isSales && <span>已出貨: {item.shippedQuantity || 0}</span>}
+                                        {isSales && SHIPPABLE_STATUSES.includes(order.status) && <span className={getUnreservedQuantity(item) > 0 ? 'text-orange-600' : ''}>已保留: {item.reservedQuantity || 0}</span>}
+                                        {isSales && item.returnedQuantity > 0 && <span className="text-red-600">已退回: {item.returnedQuantity}</span>}
+                                        {type === 'purchases' && <span>已收貨: {getReceivedQuantity(order, item)}</span>}
+                                        {type === 'purchases' && item.returnedQuantity > 0 && <span className="text-red-600">已退出: {item.returnedQuantity}</span>}
                                         {role === 'admin' && <span>單價: ${isSales ? item.price.toLocaleString() : item.cost.toLocaleString()}</span>}
+                                        {role === 'admin' && isSales && item.discountValue > 0 && <span>折扣: {formatDiscount(item.discountType, item.discountValue)}</span>}
+                                        {role === 'admin' && isSales && item.priceSource && <span className="text-xs text-gray-500">{getPriceSourceLabel(item)}</span>}
                                     </li>))}
                                 </ul>
                             </div></td></tr>
@@ -1092,156 +4529,718 @@ const OrderList = ({ orders, type, onApprove, onReceive, onShip, onOpen }) => {
         </div></div>
     );
 };
-const OrderForm = ({ type, onClose, onSave }) => {
+const CancelOrderModal = ({ order, onClose, onConfirm }) => {
+    const [reason, setReason] = useState('');
+    const { showMessage } = useModal();
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (!reason.trim()) return showMessage('請輸入取消原因。', 'error');
+        onConfirm(order, reason.trim());
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex justify-center items-center z-50">
+            <div className="bg-white rounded-lg shadow-xl p-8 w-full max-w-md">
+                <h3 className="text-2xl font-bold mb-6">取消訂單: {order.orderNumber}</h3>
+                <form onSubmit={handleSubmit} className="space-y-4">
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">取消原因</label>
+                        <textarea value={reason} onChange={(e) => setReason(e.target.value)} rows="3" className="w-full p-2 border rounded" required />
+                    </div>
+                    <div className="flex justify-end space-x-4 pt-4">
+                        <button type="button" onClick={onClose} className="px-4 py-2 bg-gray-200 rounded hover:bg-gray-300">返回</button>
+                        <button type="submit" className="px-4 py-2 bg-red-500 text-white rounded hover:bg-red-600">確認取消訂單</button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+};
+
+// 採購單品項的供應商料號、最小訂購量與最近進價
+const SupplierItemInfo = ({ item, productSupplier }) => {
+    if (!productSupplier) return <div className="text-xs text-yellow-600 pl-1">不在此供應商目錄內，進價為商品最近一次的進價</div>;
+    const belowMinimum = item.quantity < (productSupplier.minOrderQuantity || 0);
+    return (
+        <div className="flex items-center space-x-4 text-xs text-gray-500 pl-1">
+            {productSupplier.supplierSku && <span>供應商料號 {productSupplier.supplierSku}</span>}
+            {productSupplier.minOrderQuantity > 0 && <span className={belowMinimum ? 'text-red-600' : ''}>最小訂購量 {productSupplier.minOrderQuantity}{belowMinimum && ' (數量不足)'}</span>}
+            {productSupplier.lastPrice !== undefined && <span>最近進價 {formatLastPrice(productSupplier)}</span>}
+        </div>
+    );
+};
+
+const OrderForm = ({ type, order, onClose, onSave }) => {
     const [products, setProducts] = useState([]);
     const [customers, setCustomers] = useState([]);
     const [suppliers, setSuppliers] = useState([]);
+    const [priceLists, setPriceLists] = useState([]);
     const [selectedCustomer, setSelectedCustomer] = useState(null);
-    const [partyName, setPartyName] = useState('');
-    const [items, setItems] = useState([{ productId: '', quantity: 1, name: '', price: 0, cost: 0 }]);
+    const [partyId, setPartyId] = useState('');
+    const [items, setItems] = useState(() => order ? order.items.map(item => ({ ...item })) : [{ productId: '', quantity: 1, name: '', price: 0, cost: 0 }]);
+    const [taxMode, setTaxMode] = useState(order?.taxMode || 'exclusive');
+    const [orderDiscount, setOrderDiscount] = useState({ discountType: order?.discountType || 'percent', discountValue: order?.discountValue || 0 });
+    const [showAllProducts, setShowAllProducts] = useState(false);
     const { showMessage } = useModal();
     const isSales = type === 'sales';
+    const isEditing = !!order;
     const { user } = useAuth();
+    const { minMarginPercent } = useSalesSettings();
+    const { productSuppliers, getProductSupplier } = useProductSuppliers();
 
     useEffect(() => {
         if (!user) return;
         const unsubProducts = onSnapshot(collection(db, getCollectionPath('products')), snapshot => setProducts(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))));
         if (isSales) {
             const unsubCustomers = onSnapshot(collection(db, getCollectionPath('customers')), snapshot => setCustomers(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))));
-            return () => { unsubProducts(); unsubCustomers(); };
+            const unsubPriceLists = onSnapshot(collection(db, getCollectionPath('priceLists')), snapshot => setPriceLists(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))));
+            return () => { unsubProducts(); unsubCustomers(); unsubPriceLists(); };
         } else {
             const unsubSuppliers = onSnapshot(collection(db, getCollectionPath('suppliers')), snapshot => setSuppliers(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))));
             return () => { unsubProducts(); unsubSuppliers(); };
         }
     }, [user, isSales]);
 
+    // 編輯時帶出原本的客戶/供應商，尚未記錄 id 的舊訂單依名稱比對
+    useEffect(() => {
+        if (!order || partyId) return;
+        const orderPartyId = isSales ? order.customerId : order.supplierId;
+        const party = (isSales ? customers : suppliers).find(p => (orderPartyId ? p.id === orderPartyId : p.name === order.partyName));
+        if (party) {
+            setPartyId(party.id);
+            if (isSales) setSelectedCustomer(party);
+        }
+    }, [order, partyId, isSales, customers, suppliers]);
+
+    // 重新計算牌價 (換客戶、換商品或改數量時)；手動改過的單價保留，只更新牌價作為對照
+    const applyListPrice = (item, customer) => {
+        const product = products.find(p => p.id === item.productId);
+        if (!product) return item;
+        const overridden = isPriceOverridden(item);
+        const { listPrice, priceSource, priceListId, priceListName } = resolvePrice({ product, customer, quantity: item.quantity, priceLists });
+        return { ...item, listPrice, priceSource, priceListId, priceListName, ...(!overridden && { price: listPrice, overrideReason: undefined }) };
+    };
+
+    // 採購單依供應商帶入進價與供應商料號
+    const applySupplierCost = (item, supplierId) => {
+        const product = products.find(p => p.id === item.productId);
+        if (!product) return item;
+        const productSupplier = getProductSupplier(item.productId, supplierId);
+        return { ...item, cost: getSupplierCost(product, productSupplier, taxMode), supplierSku: productSupplier?.supplierSku || undefined };
+    };
+
     const handlePartyChange = (partyId) => {
+        setPartyId(partyId);
         if (isSales) {
             const customer = customers.find(c => c.id === partyId);
             setSelectedCustomer(customer);
-            setPartyName(customer ? customer.name : '');
+            setItems(prev => prev.map(item => applyListPrice(item, customer)));
         } else {
-            const supplier = suppliers.find(s => s.id === partyId);
-            setPartyName(supplier ? supplier.name : '');
+            setItems(prev => prev.map(item => applySupplierCost(item, partyId)));
         }
     };
 
+    // 採購單預設只列出所選供應商目錄內的商品
+    const getSelectableProducts = (item) => {
+        if (isSales || !partyId || showAllProducts) return products;
+        return products.filter(p => p.id === item.productId || productSuppliers.some(link => link.productId === p.id && link.supplierId === partyId));
+    };
+
+    // 採購單改變稅別時，已輸入的進價換算成新稅別的金額，未稅成本不變
+    const handleTaxModeChange = (newTaxMode) => {
+        if (!isSales) setItems(prev => prev.map(item => ({ ...item, cost: convertUnitCost(item.cost, taxMode, newTaxMode) })));
+        setTaxMode(newTaxMode);
+    };
+
     const handleItemChange = (index, field, value) => {
         const newItems = [...items];
-        newItems[index][field] = value;
+        newItems[index] = { ...newItems[index], [field]: value };
         if (field === 'productId') {
             const product = products.find(p => p.id === value);
             if (product) {
                 newItems[index].name = `${product.brand || ''} ${product.name} ${product.spec || ''}`.trim();
                 newItems[index].cost = product.cost || 0;
-                if (isSales) {
-                    const tier = selectedCustomer?.tier || 'retail';
-                    newItems[index].price = product[`price_${tier}`] || product.price_retail || 0;
-                }
+                if (isSales) newItems[index] = applyListPrice({ ...newItems[index], listPrice: undefined, overrideReason: undefined }, selectedCustomer);
+                else newItems[index] = applySupplierCost(newItems[index], partyId);
             }
         }
+        if (field === 'quantity' && isSales) newItems[index] = applyListPrice(newItems[index], selectedCustomer);
+        if (field === 'price' && !isPriceOverridden(newItems[index])) newItems[index].overrideReason = undefined;
         setItems(newItems);
     };
 
     const addItem = () => setItems([...items, { productId: '', quantity: 1, name: '', price: 0, cost: 0 }]);
+    const amounts = isSales
+        ? calculateOrderAmounts(items, orderDiscount, taxMode)
+        : calculateTax(items.reduce((sum, item) => sum + item.cost * item.quantity, 0), taxMode);
+    const margin = isSales ? calculateMargin(amounts.netAmount, items.filter(item => item.productId), products) : null;
     const removeItem = (index) => setItems(items.filter((_, i) => i !== index));
 
-    const handleSubmit = (e) => {
+    const handleSubmit = async (e) => {
         e.preventDefault();
-        if (!partyName) {
+        const party = (isSales ? customers : suppliers).find(p => p.id === partyId);
+        if (!party) {
             return showMessage(isSales ? '請選擇一位客戶。' : '請選擇一位供應商。', 'error');
         }
-        const finalItems = items.filter(item => item.productId && item.quantity > 0);
+        // 沒有折扣的品項不記錄折扣欄位
+        const finalItems = items.filter(item => item.productId && item.quantity > 0)
+            .map(({ discountType, discountValue, ...item }) => (discountValue > 0 ? { ...item, discountType: discountType || 'percent', discountValue } : item));
         if (finalItems.length === 0) return showMessage('請至少新增一項有效的商品。', 'error');
-        onSave({ partyName, items: finalItems });
-        onClose();
+        if (finalItems.length > MAX_ORDER_ITEMS) return showMessage(`每張${isSales ? '銷售單' : '採購單'}最多 ${MAX_ORDER_ITEMS} 個品項，請分成多張訂單。`, 'error');
+        if (finalItems.some(item => isPriceOverridden(item) && !item.overrideReason?.trim())) return showMessage('手動改價的品項請填寫改價原因。', 'error');
+        // 儲存時記錄客戶/供應商當下的名稱、編號與等級，之後主檔異動不影響已成立的訂單
+        const partyData = { [isSales ? 'customerId' : 'supplierId']: party.id, ...getPartySnapshot(party) };
+        try {
+            if (isSales) {
+                const { estimatedCost, marginPercent } = calculateMargin(calculateOrderAmounts(finalItems, orderDiscount, taxMode).netAmount, finalItems, products);
+                const approvalReasons = getApprovalReasons({ items: finalItems, products, marginPercent, minMarginPercent });
+                await onSave({ ...partyData, taxMode, ...orderDiscount, items: finalItems, estimatedCost, marginPercent, approvalReasons });
+            } else {
+                await onSave({ ...partyData, taxMode, items: finalItems });
+            }
+            onClose();
+        } catch (error) { showMessage(`儲存失敗: ${error.message}`, 'error'); }
     };
 
     return (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex justify-center items-center z-50">
             <div className="bg-white rounded-lg shadow-xl p-8 w-full max-w-2xl">
-                <h3 className="text-2xl font-bold mb-6">{isSales ? '新增銷售單' : '新增採購單'}</h3>
+                <h3 className="text-2xl font-bold mb-6">{isEditing ? `編輯${isSales ? '銷售單' : '採購單'}: ${order.orderNumber}` : (isSales ? '新增銷售單' : '新增採購單')}</h3>
                 <form onSubmit={handleSubmit} className="space-y-4">
                     {isSales ? (
-                        <select onChange={(e) => handlePartyChange(e.target.value)} className="w-full p-2 border rounded bg-white" required>
+                        <select value={partyId} onChange={(e) => handlePartyChange(e.target.value)} className="w-full p-2 border rounded bg-white" required>
                             <option value="">-- 選擇客戶 --</option>
                             {customers.map(c => <option key={c.id} value={c.id}>{c.name} ({c.code}) - {TIER_MAP[c.tier]}</option>)}
                         </select>
                     ) : (
-                         <select onChange={(e) => handlePartyChange(e.target.value)} className="w-full p-2 border rounded bg-white" required>
-                            <option value="">-- 選擇供應商 --</option>
-                            {suppliers.map(s => <option key={s.id} value={s.id}>{s.name} ({s.code})</option>)}
-                        </select>
+                        <div className="flex items-center space-x-4">
+                            <select value={partyId} onChange={(e) => handlePartyChange(e.target.value)} className="flex-1 p-2 border rounded bg-white" required>
+                                <option value="">-- 選擇供應商 --</option>
+                                {suppliers.map(s => <option key={s.id} value={s.id}>{s.name} ({s.code})</option>)}
+                            </select>
+                            <label className="flex items-center text-sm text-gray-700 whitespace-nowrap"><input type="checkbox" checked={showAllProducts} onChange={(e) => setShowAllProducts(e.target.checked)} className="mr-2" />顯示目錄外商品</label>
+                        </div>
                     )}
                     <div className="space-y-2 max-h-64 overflow-y-auto pr-2">{items.map((item, index) => (
-                        <div key={index} className="flex items-center space-x-2 p-2 border rounded-md">
-                            <select value={item.productId} onChange={(e) => handleItemChange(index, 'productId', e.target.value)} className="w-1/2 p-2 border rounded bg-white" required>
-                                <option value="">選擇商品</option>
-                                {products.map(p => <option key={p.id} value={p.id}>{`${p.brand || ''} ${p.name} ${p.spec || ''}`.trim()} (庫存: {p.stock})</option>)}
-                            </select>
-                            <input type="number" value={item.quantity} onChange={(e) => handleItemChange(index, 'quantity', parseInt(e.target.value) || 1)} min="1" placeholder="數量" className="w-1/4 p-2 border rounded" required />
-                            <div className="w-1/4 p-2">${(isSales ? item.price : item.cost)?.toLocaleString() || 0}</div>
-                            <button type="button" onClick={() => removeItem(index)} className="text-red-500"><Trash2 className="w-5 h-5"/></button>
+                        <div key={index} className="p-2 border rounded-md space-y-1">
+                            <div className="flex items-center space-x-2">
+                                <select value={item.productId} onChange={(e) => handleItemChange(index, 'productId', e.target.value)} className="w-1/2 p-2 border rounded bg-white" required>
+                                    <option value="">選擇商品</option>
+                                    {getSelectableProducts(item).map(p => <option key={p.id} value={p.id}>{`${p.brand || ''} ${p.name} ${p.spec || ''}`.trim()} ({isSales ? `可用: ${getAvailableStock(p)}` : `庫存: ${p.stock || 0}`})</option>)}
+                                </select>
+                                <input type="number" value={item.quantity} onChange={(e) => handleItemChange(index, 'quantity', parseInt(e.target.value) || 1)} min="1" placeholder="數量" className="w-1/4 p-2 border rounded" required />
+                                {isSales
+                                    ? <input type="number" value={item.price} onChange={(e) => handleItemChange(index, 'price', parseFloat(e.target.value) || 0)} min="0" step="0.01" title="單價" className="w-1/4 p-2 border rounded" />
+                                    : <div className="w-1/4 p-2">${item.cost?.toLocaleString() || 0}</div>}
+                                <button type="button" onClick={() => removeItem(index)} className="text-red-500"><Trash2 className="w-5 h-5"/></button>
+                            </div>
+                            {!isSales && item.productId && partyId && <SupplierItemInfo item={item} productSupplier={getProductSupplier(item.productId, partyId)} />}
+                            {isSales && item.productId && (
+                                <div className="flex items-center space-x-2 text-xs text-gray-500 pl-1">
+                                    <span>折扣</span>
+                                    <input type="number" value={item.discountValue || ''} onChange={(e) => handleItemChange(index, 'discountValue', parseFloat(e.target.value) || 0)} min="0" step="0.01" className="w-20 p-1 border rounded" />
+                                    <select value={item.discountType || 'percent'} onChange={(e) => handleItemChange(index, 'discountType', e.target.value)} className="p-1 border rounded bg-white">
+                                        {Object.entries(DISCOUNT_TYPE_MAP).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                                    </select>
+                                    <span className="whitespace-nowrap">小計 ${getLineAmount(item).toLocaleString()}</span>
+                                </div>
+                            )}
+                            {isSales && item.productId && item.priceSource && (
+                                <div className="flex items-center space-x-2 text-xs text-gray-500 pl-1">
+                                    {isPriceOverridden(item) ? (
+                                        <>
+                                            <span className="whitespace-nowrap">牌價 ${item.listPrice.toLocaleString()} ({PRICE_SOURCE_MAP[item.priceSource]}{item.priceListName ? `: ${item.priceListName}` : ''})</span>
+                                            <input value={item.overrideReason || ''} onChange={(e) => handleItemChange(index, 'overrideReason', e.target.value)} placeholder="改價原因 (必填)" className="flex-1 p-1 border rounded" />
+                                            {products.find(p => p.id === item.productId)?.floorPrice > item.price && <span className="text-red-600 whitespace-nowrap">低於最低售價，需管理員特別核准</span>}
+                                        </>
+                                    ) : <span>售價來源: {getPriceSourceLabel(item)}</span>}
+                                </div>
+                            )}
                         </div>))}
                     </div>
                     <button type="button" onClick={addItem} className="text-blue-500 hover:text-blue-700 flex items-center"><PlusCircle className="w-4 h-4 mr-1"/> 新增品項</button>
+                    <div className="flex justify-between items-end border-t pt-4">
+                        <div className="space-y-2">
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-1">稅別</label>
+                                <select value={taxMode} onChange={(e) => handleTaxModeChange(e.target.value)} className="p-2 border rounded bg-white">
+                                    {Object.entries(TAX_MODE_MAP).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                                </select>
+                            </div>
+                            {isSales && (
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-1">整單折扣</label>
+                                    <div className="flex space-x-2">
+                                        <input type="number" value={orderDiscount.discountValue || ''} onChange={(e) => setOrderDiscount(prev => ({ ...prev, discountValue: parseFloat(e.target.value) || 0 }))} min="0" step="0.01" className="w-24 p-2 border rounded" />
+                                        <select value={orderDiscount.discountType} onChange={(e) => setOrderDiscount(prev => ({ ...prev, discountType: e.target.value }))} className="p-2 border rounded bg-white">
+                                            {Object.entries(DISCOUNT_TYPE_MAP).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                                        </select>
+                                    </div>
+                                </div>
+                            )}
+                        </div>
+                        <div className="text-right text-sm space-y-1">
+                            {isSales && amounts.discountAmount > 0 && <p>折扣前金額: ${amounts.grossAmount.toLocaleString()}，折扣: -${amounts.discountAmount.toLocaleString()}</p>}
+                            <p>未稅金額: ${amounts.netAmount.toLocaleString()}</p>
+                            <p>稅額: ${amounts.taxAmount.toLocaleString()}</p>
+                            <p className="text-lg font-semibold">總計: ${amounts.totalAmount.toLocaleString()}</p>
+                            {margin && (
+                                <p className={margin.marginPercent < minMarginPercent ? 'text-red-600 font-semibold' : 'text-green-600'}>
+                                    毛利率: {margin.marginPercent}% (估算成本 ${margin.estimatedCost.toLocaleString()}){margin.marginPercent < minMarginPercent && `，低於門檻 ${minMarginPercent}% 需特別核准`}
+                                </p>
+                            )}
+                        </div>
+                    </div>
+                    <div className="flex justify-end space-x-4 pt-4">
+                        <button type="button" onClick={onClose} className="px-4 py-2 bg-gray-200 rounded hover:bg-gray-300">取消</button>
+                        <button type="submit" className="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600">{isEditing ? '儲存變更' : '建立訂單'}</button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+};
+// --- Print Layouts ---
+// 列印版面以 portal 掛在 body 下，列印時隱藏整個 #root (側邊欄、頁首等)，只輸出單據內容；
+// 瀏覽器的列印對話框可直接另存為 PDF
+const PrintView = ({ title, onClose, children }) => createPortal(
+    <div className="fixed inset-0 z-50 bg-gray-100 overflow-y-auto print:static print:bg-white print:overflow-visible">
+        <style>{'@media print { #root { display: none; } @page { size: A4; margin: 12mm; } }'}</style>
+        <div className="print:hidden sticky top-0 bg-white shadow flex justify-between items-center px-6 py-3">
+            <h3 className="text-lg font-semibold text-gray-800">{title}</h3>
+            <div className="flex space-x-4">
+                <button onClick={() => window.print()} className="flex items-center bg-blue-500 text-white px-4 py-2 rounded-lg shadow hover:bg-blue-600 transition"><Printer className="w-5 h-5 mr-2" /> 列印 / 另存 PDF</button>
+                <button onClick={onClose} className="px-4 py-2 bg-gray-200 rounded hover:bg-gray-300">關閉</button>
+            </div>
+        </div>
+        <div className="max-w-4xl mx-auto my-6 bg-white shadow p-10 text-gray-900 print:max-w-none print:m-0 print:p-0 print:shadow-none">{children}</div>
+    </div>,
+    document.body
+);
+
+// 單據抬頭取自管理員在「公司資料」設定的 settings/company
+const CompanyHeader = ({ documentTitle, documentNumber, date }) => {
+    const { company } = useCompanySettings();
+    return (
+        <div className="flex justify-between items-start border-b-2 border-gray-800 pb-4 mb-4">
+            <div>
+                {company && !company.companyName && <p className="text-sm text-red-600 print:hidden">尚未設定公司資料，請由管理員至「基礎資料 &gt; 公司資料」設定。</p>}
+                <h1 className="text-2xl font-bold">{company?.companyName}</h1>
+                {company?.taxId && <p className="text-sm">統一編號: {company.taxId}</p>}
+                {company?.address && <p className="text-sm">地址: {company.address}</p>}
+                {company?.phone && <p className="text-sm">電話: {company.phone}</p>}
+            </div>
+            <div className="text-right">
+                <h2 className="text-2xl font-bold tracking-widest">{documentTitle}</h2>
+                <p className="text-sm mt-1">單號: {documentNumber}</p>
+                {date && <p className="text-sm">日期: {date.toLocaleDateString()}</p>}
+            </div>
+        </div>
+    );
+};
+
+const SignatureArea = ({ labels }) => (
+    <div className="grid gap-8 mt-12" style={{ gridTemplateColumns: `repeat(${labels.length}, minmax(0, 1fr))` }}>
+        {labels.map(label => <div key={label} className="border-t border-gray-800 pt-2 text-sm text-center">{label}</div>)}
+    </div>
+);
+
+// 揀貨單: 列出未出貨數量供倉庫備貨，不含價格
+const PickingList = ({ order, customerName, products, warehouseName }) => (
+    <div>
+        <CompanyHeader documentTitle="揀貨單" documentNumber={order.orderNumber} date={new Date()} />
+        <div className="grid grid-cols-2 gap-2 text-sm mb-4">
+            <p>客戶: {customerName}</p>
+            <p>出貨倉庫: {warehouseName}</p>
+            <p>訂單日期: {order.createdAt?.toDate().toLocaleDateString()}</p>
+        </div>
+        <table className="w-full text-sm border border-gray-800">
+            <thead><tr className="bg-gray-100">
+                <th className="border border-gray-800 px-2 py-1 w-10">#</th><th className="border border-gray-800 px-2 py-1 text-left">料號</th><th className="border border-gray-800 px-2 py-1 text-left">商品</th>
+                <th className="border border-gray-800 px-2 py-1 text-right">應揀數量</th><th className="border border-gray-800 px-2 py-1 w-20">已揀</th>
+            </tr></thead>
+            <tbody>{order.items.filter(item => item.quantity - (item.shippedQuantity || 0) > 0).map((item, index) => (
+                <tr key={index}>
+                    <td className="border border-gray-800 px-2 py-2 text-center">{index + 1}</td>
+                    <td className="border border-gray-800 px-2 py-2">{products[item.productId]?.sku || ''}</td>
+                    <td className="border border-gray-800 px-2 py-2">{item.name}</td>
+                    <td className="border border-gray-800 px-2 py-2 text-right">{item.quantity - (item.shippedQuantity || 0)}</td>
+                    <td className="border border-gray-800 px-2 py-2 text-center">☐</td>
+                </tr>))}
+            </tbody>
+        </table>
+        {order.remarks && <p className="text-sm mt-4">倉庫備註: {order.remarks}</p>}
+        <SignatureArea labels={['揀貨人員', '覆核人員']} />
+    </div>
+);
+
+// 出貨單: 依單次出貨紀錄列印，附司機與客戶簽收欄
+const DeliveryNote = ({ order, customerName, shipment, products, warehouseName }) => (
+    <div>
+        <CompanyHeader documentTitle="出貨單" documentNumber={shipment.shipmentNumber} date={shipment.shippedAt?.toDate()} />
+        <div className="grid grid-cols-2 gap-2 text-sm mb-4">
+            <p>客戶: {customerName}</p>
+            <p>訂單號碼: {order.orderNumber}</p>
+            <p>出貨倉庫: {warehouseName}</p>
+        </div>
+        <table className="w-full text-sm border border-gray-800">
+            <thead><tr className="bg-gray-100">
+                <th className="border border-gray-800 px-2 py-1 w-10">#</th><th className="border border-gray-800 px-2 py-1 text-left">料號</th><th className="border border-gray-800 px-2 py-1 text-left">商品</th>
+                <th className="border border-gray-800 px-2 py-1 text-right">出貨數量</th><th className="border border-gray-800 px-2 py-1 text-left">備註</th>
+            </tr></thead>
+            <tbody>{shipment.items.map((item, index) => (
+                <tr key={index}>
+                    <td className="border border-gray-800 px-2 py-2 text-center">{index + 1}</td>
+                    <td className="border border-gray-800 px-2 py-2">{products[item.productId]?.sku || ''}</td>
+                    <td className="border border-gray-800 px-2 py-2">{item.name}</td>
+                    <td className="border border-gray-800 px-2 py-2 text-right">{item.quantity}</td>
+                    <td className="border border-gray-800 px-2 py-2">{item.lots?.map(lot => `批號 ${lot.lotNumber} x ${lot.quantity}`).join('、')}</td>
+                </tr>))}
+            </tbody>
+        </table>
+        <p className="text-sm mt-4">以上貨品經客戶點收無誤。</p>
+        <SignatureArea labels={['出貨人員', '司機', '客戶簽收 / 日期']} />
+    </div>
+);
+
+// 報價單 / 訂單確認書: 待批准的訂單印成報價單，批准後印成訂單確認書
+const QuotationDocument = ({ order }) => {
+    const amounts = order.taxMode ? order : calculateTax(order.totalAmount);
+    return (
+        <div>
+            <CompanyHeader documentTitle={order.status === 'Pending Approval' ? '報價單' : '訂單確認書'} documentNumber={order.orderNumber} date={order.createdAt?.toDate()} />
+            <p className="text-sm mb-4">客戶: <span className="font-semibold">{order.partyName}</span></p>
+            <table className="w-full text-sm border border-gray-800">
+                <thead><tr className="bg-gray-100">
+                    <th className="border border-gray-800 px-2 py-1 w-10">#</th><th className="border border-gray-800 px-2 py-1 text-left">商品</th><th className="border border-gray-800 px-2 py-1 text-right">數量</th>
+                    <th className="border border-gray-800 px-2 py-1 text-right">單價</th><th className="border border-gray-800 px-2 py-1 text-right">折扣</th><th className="border border-gray-800 px-2 py-1 text-right">金額</th>
+                </tr></thead>
+                <tbody>{order.items.map((item, index) => (
+                    <tr key={index}>
+                        <td className="border border-gray-800 px-2 py-2 text-center">{index + 1}</td>
+                        <td className="border border-gray-800 px-2 py-2">{item.name}</td>
+                        <td className="border border-gray-800 px-2 py-2 text-right">{item.quantity}</td>
+                        <td className="border border-gray-800 px-2 py-2 text-right">${item.price.toLocaleString()}</td>
+                        <td className="border border-gray-800 px-2 py-2 text-right">{formatDiscount(item.discountType, item.discountValue)}</td>
+                        <td className="border border-gray-800 px-2 py-2 text-right">${getLineAmount(item).toLocaleString()}</td>
+                    </tr>))}
+                </tbody>
+            </table>
+            <div className="flex justify-end mt-4">
+                <div className="w-64 text-sm space-y-1">
+                    {order.discountValue > 0 && <div className="flex justify-between"><span>整單折扣</span><span>{formatDiscount(order.discountType, order.discountValue)}</span></div>}
+                    <div className="flex justify-between"><span>稅別</span><span>{TAX_MODE_MAP[amounts.taxMode]}</span></div>
+                    <div className="flex justify-between"><span>未稅金額</span><span>${amounts.netAmount.toLocaleString()}</span></div>
+                    <div className="flex justify-between"><span>營業稅</span><span>${amounts.taxAmount.toLocaleString()}</span></div>
+                    <div className="flex justify-between font-bold text-base border-t border-gray-800 pt-1"><span>總計</span><span>${amounts.totalAmount.toLocaleString()}</span></div>
+                </div>
+            </div>
+            {order.status === 'Pending Approval' && <p className="text-sm mt-6">本報價自報價日起 30 日內有效，實際交期依庫存狀況另行通知。</p>}
+            <SignatureArea labels={['業務承辦', '客戶確認簽章']} />
+        </div>
+    );
+};
+
+const StatementTable = ({ statementData }) => (
+    <div className="overflow-x-auto">
+        <table className="w-full text-sm text-left text-gray-500">
+            <thead className="text-xs text-gray-700 uppercase bg-gray-50">
+                <tr><th className="px-6 py-3 border-r border-gray-200">日期</th><th className="px-6 py-3 border-r border-gray-200">單據號碼</th><th className="px-6 py-3 border-r border-gray-200">摘要</th><th className="px-6 py-3 border-r border-gray-200 text-right">{statementData.balanceLabel}金額</th><th className="px-6 py-3 border-r border-gray-200 text-right">沖銷金額</th><th className="px-6 py-3 text-right">餘額</th></tr>
+            </thead>
+            <tbody>
+                <tr className="bg-gray-50 border-b border-gray-200 font-medium text-gray-900"><td colSpan="5" className="px-6 py-3 border-r border-gray-200">期初餘額</td><td className="px-6 py-3 text-right">${statementData.openingBalance.toLocaleString()}</td></tr>
+                {statementData.entries.map(entry => (<tr key={entry.id} className="bg-white border-b border-gray-200"><td className="px-6 py-4 border-r border-gray-200">{entry.date.toLocaleDateString()}</td><td className="px-6 py-4 border-r border-gray-200">{entry.number}</td><td className="px-6 py-4 border-r border-gray-200">{entry.description}</td><td className="px-6 py-4 border-r border-gray-200 text-right">{entry.amount > 0 ? `$${entry.amount.toLocaleString()}` : ''}</td><td className="px-6 py-4 border-r border-gray-200 text-right text-red-600">{entry.amount < 0 ? `$${(-entry.amount).toLocaleString()}` : ''}</td><td className="px-6 py-4 text-right">${entry.balance.toLocaleString()}</td></tr>))}
+            </tbody>
+            <tfoot><tr className="font-semibold text-gray-900"><td colSpan="3" className="px-6 py-3 text-right text-lg border-r border-gray-200">期末餘額</td><td className="px-6 py-3 text-right border-r border-gray-200">${statementData.totalCharges.toLocaleString()}</td><td className="px-6 py-3 text-right text-red-600 border-r border-gray-200">${statementData.totalCredits.toLocaleString()}</td><td className="px-6 py-3 text-right text-lg">${statementData.closingBalance.toLocaleString()}</td></tr></tfoot>
+        </table>
+    </div>
+);
+
+// --- Accounts Management ---
+const AccountsManagement = () => {
+    const [activeTab, setActiveTab] = useState('receivable');
+
+    return (
+        <div>
+            <h2 className="text-3xl font-bold text-gray-800 mb-6">帳款管理</h2>
+            <div className="mb-4 border-b border-gray-200">
+                <nav className="-mb-px flex space-x-8" aria-label="Tabs">
+                    <button onClick={() => setActiveTab('receivable')} className={`${activeTab === 'receivable' ? 'border-blue-500 text-blue-600' : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'} whitespace-nowrap py-4 px-1 border-b-2 font-medium text-sm`}>應收帳款</button>
+                    <button onClick={() => setActiveTab('payable')} className={`${activeTab === 'payable' ? 'border-blue-500 text-blue-600' : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'} whitespace-nowrap py-4 px-1 border-b-2 font-medium text-sm`}>應付帳款</button>
+                </nav>
+            </div>
+            <PaymentManagement key={activeTab} type={activeTab} />
+        </div>
+    );
+};
+
+const PaymentManagement = ({ type }) => {
+    const [payments, setPayments] = useState([]);
+    const [isModalOpen, setIsModalOpen] = useState(false);
+    const entries = useAccountEntries(type);
+    const { user } = useAuth();
+    const { showMessage, showConfirmation } = useModal();
+    const config = ACCOUNT_TYPES[type];
+    const { parties, getPartyName } = useParties(config.partyCollection);
+
+    useEffect(() => {
+        if (!user) return;
+        const q = query(collection(db, getCollectionPath(config.paymentCollection)), orderBy('paidAt', 'desc'));
+        const unsubscribe = onSnapshot(q, snapshot => setPayments(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))));
+        return () => unsubscribe();
+    }, [user, config]);
+
+    // 依 partyId 歸戶，客戶/供應商改名後帳齡仍合併在同一列並顯示目前的名稱
+    const agingRows = useMemo(() => {
+        const partyIds = [...new Set(entries.map(entry => entry.partyId))];
+        return partyIds.map(partyId => {
+            const partyEntries = entries.filter(entry => entry.partyId === partyId);
+            return { partyId, partyName: getPartyName(partyId, partyEntries[0].partyName), ...buildAging(partyEntries) };
+        })
+            .filter(row => Math.abs(row.total) > 0.005)
+            .sort((a, b) => b.total - a.total);
+    }, [entries, getPartyName]);
+    const agingTotals = useMemo(() => Object.fromEntries([...AGING_BUCKETS.map(bucket => bucket.key), 'total'].map(key => [key, agingRows.reduce((sum, row) => sum + row[key], 0)])), [agingRows]);
+
+    const handleAddPayment = async (payment) => {
+        try {
+            const paymentNumber = await runTransaction(db, async (transaction) => {
+                const paymentNumber = await getNextDocNumber(transaction, config.paymentCollection);
+                transaction.set(doc(collection(db, getCollectionPath(config.paymentCollection))), validateDocument(config.paymentCollection, { ...payment, paymentNumber, createdBy: user.uid, createdAt: serverTimestamp() }));
+                return paymentNumber;
+            });
+            showMessage(`${config.paymentLabel}單 ${paymentNumber} 已建立。`);
+            setIsModalOpen(false);
+        } catch (error) { showMessage(`建立失敗: ${error.message}`, 'error'); }
+    };
+
+    const handleDeletePayment = async (payment) => {
+        const confirmed = await showConfirmation(`確定要刪除${config.paymentLabel}單 ${payment.paymentNumber} 嗎？對帳單與帳齡會一併更新。`);
+        if (!confirmed) return;
+        try {
+            await deleteDoc(doc(db, getDocPath(config.paymentCollection, payment.id)));
+            showMessage(`${config.paymentLabel}單已刪除。`);
+        } catch (error) { showMessage(`刪除失敗: ${error.message}`, 'error'); }
+    };
+
+    const formatAmount = (amount) => `$${amount.toLocaleString(undefined, { minimumFractionDigits: 0, maximumFractionDigits: 2 })}`;
+
+    return (
+        <div className="space-y-6">
+            <div className="bg-white rounded-lg shadow">
+                <h3 className="text-xl font-semibold p-4">{config.balanceLabel}帳齡分析 (截至今日)</h3>
+                <div className="overflow-x-auto">
+                    <table className="w-full text-sm text-left text-gray-500">
+                        <thead className="text-xs text-gray-700 uppercase bg-gray-50">
+                            <tr>
+                                <th className="px-6 py-3 border-r border-gray-200">{config.partyLabel}</th>
+                                {AGING_BUCKETS.map(bucket => <th key={bucket.key} className="px-6 py-3 border-r border-gray-200 text-right">{bucket.label}</th>)}
+                                <th className="px-6 py-3 text-right">{config.balanceLabel}餘額</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {agingRows.map(row => (
+                                <tr key={row.partyId} className="bg-white border-b border-gray-200">
+                                    <td className="px-6 py-4 font-medium text-gray-900 border-r border-gray-200">{row.partyName}</td>
+                                    {AGING_BUCKETS.map(bucket => <td key={bucket.key} className={`px-6 py-4 border-r border-gray-200 text-right ${bucket.key === 'over90' && row[bucket.key] > 0 ? 'text-red-600 font-semibold' : ''}`}>{row[bucket.key] ? formatAmount(row[bucket.key]) : '-'}</td>)}
+                                    <td className="px-6 py-4 text-right font-semibold">{formatAmount(row.total)}</td>
+                                </tr>
+                            ))}
+                            {agingRows.length === 0 && <tr><td colSpan={AGING_BUCKETS.length + 2} className="px-6 py-4 text-center">目前沒有未結清的{config.balanceLabel}帳款。</td></tr>}
+                        </tbody>
+                        <tfoot><tr className="font-semibold text-gray-900 bg-gray-50">
+                            <td className="px-6 py-3 border-r border-gray-200">合計</td>
+                            {AGING_BUCKETS.map(bucket => <td key={bucket.key} className="px-6 py-3 border-r border-gray-200 text-right">{formatAmount(agingTotals[bucket.key])}</td>)}
+                            <td className="px-6 py-3 text-right">{formatAmount(agingTotals.total)}</td>
+                        </tr></tfoot>
+                    </table>
+                </div>
+            </div>
+
+            <div className="bg-white rounded-lg shadow">
+                <div className="flex justify-between items-center p-4">
+                    <h3 className="text-xl font-semibold">{config.paymentLabel}紀錄</h3>
+                    <button onClick={() => setIsModalOpen(true)} className="flex items-center bg-green-500 text-white px-4 py-2 rounded-lg shadow hover:bg-green-600 transition"><PlusCircle className="w-5 h-5 mr-2" /> 新增{config.paymentLabel}</button>
+                </div>
+                <div className="overflow-x-auto">
+                    <table className="w-full text-sm text-left text-gray-500">
+                        <thead className="text-xs text-gray-700 uppercase bg-gray-50">
+                            <tr>
+                                <th className="px-6 py-3 border-r border-gray-200">{config.paymentLabel}日期</th><th className="px-6 py-3 border-r border-gray-200">單號</th>
+                                <th className="px-6 py-3 border-r border-gray-200">{config.partyLabel}</th><th className="px-6 py-3 border-r border-gray-200">方式</th>
+                                <th className="px-6 py-3 border-r border-gray-200">參考號碼</th><th className="px-6 py-3 border-r border-gray-200 text-right">金額</th>
+                                <th className="px-6 py-3 border-r border-gray-200">備註</th><th className="px-6 py-3">操作</th>
+                            </tr>
+                        </thead>
+                        <tbody>{payments.map(payment => (
+                            <tr key={payment.id} className="bg-white border-b border-gray-200">
+                                <td className="px-6 py-4 border-r border-gray-200">{payment.paidAt?.toDate().toLocaleDateString()}</td>
+                                <td className="px-6 py-4 font-medium text-gray-900 border-r border-gray-200">{payment.paymentNumber}</td>
+                                <td className="px-6 py-4 border-r border-gray-200">{getPartyName(payment[config.partyIdField], payment.partyName)}</td>
+                                <td className="px-6 py-4 border-r border-gray-200">{PAYMENT_METHOD_MAP[payment.method] || payment.method}</td>
+                                <td className="px-6 py-4 border-r border-gray-200">{payment.reference}</td>
+                                <td className="px-6 py-4 border-r border-gray-200 text-right">{formatAmount(payment.amount)}</td>
+                                <td className="px-6 py-4 border-r border-gray-200">{payment.remarks}</td>
+                                <td className="px-6 py-4"><button onClick={() => handleDeletePayment(payment)} className="text-red-600 hover:text-red-800" title="刪除"><Trash2 className="w-5 h-5" /></button></td>
+                            </tr>))}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+            {isModalOpen && <PaymentForm config={config} parties={parties} onClose={() => setIsModalOpen(false)} onSave={handleAddPayment} />}
+        </div>
+    );
+};
+
+const PaymentForm = ({ config, parties, onClose, onSave }) => {
+    const [formData, setFormData] = useState({ partyId: '', paidAt: new Date().toISOString().split('T')[0], amount: '', method: 'transfer', reference: '', remarks: '' });
+    const { showMessage } = useModal();
+    const handleChange = (e) => { const { name, value } = e.target; setFormData(prev => ({ ...prev, [name]: value })); };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        const amount = parseFloat(formData.amount);
+        if (!(amount > 0)) return showMessage('請輸入大於 0 的金額。', 'error');
+        const { partyId, ...payment } = formData;
+        const party = parties.find(p => p.id === partyId);
+        if (!party) return showMessage(`請選擇一位${config.partyLabel}。`, 'error');
+        const { partyName, partyCode } = getPartySnapshot(party);
+        onSave({ ...payment, [config.partyIdField]: party.id, partyName, partyCode, amount, paidAt: new Date(`${formData.paidAt}T00:00:00`) });
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex justify-center items-center z-50">
+            <div className="bg-white rounded-lg shadow-xl p-8 w-full max-w-md">
+                <h3 className="text-2xl font-bold mb-6">新增{config.paymentLabel}</h3>
+                <form onSubmit={handleSubmit} className="space-y-4">
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">{config.partyLabel}</label>
+                        <select name="partyId" value={formData.partyId} onChange={handleChange} className="w-full p-2 border rounded bg-white" required>
+                            <option value="">-- 選擇{config.partyLabel} --</option>
+                            {parties.map(party => <option key={party.id} value={party.id}>{party.name}{party.code ? ` (${party.code})` : ''}</option>)}
+                        </select>
+                    </div>
+                    <div className="grid grid-cols-2 gap-4">
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-1">{config.paymentLabel}日期</label>
+                            <input type="date" name="paidAt" value={formData.paidAt} onChange={handleChange} className="w-full p-2 border rounded" required />
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-1">金額</label>
+                            <input type="number" name="amount" value={formData.amount} onChange={handleChange} min="0" step="0.01" className="w-full p-2 border rounded" required />
+                        </div>
+                    </div>
+                    <div className="grid grid-cols-2 gap-4">
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-1">方式</label>
+                            <select name="method" value={formData.method} onChange={handleChange} className="w-full p-2 border rounded bg-white">
+                                {Object.entries(PAYMENT_METHOD_MAP).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                            </select>
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-1">參考號碼 (匯款帳號末碼/支票號碼)</label>
+                            <input name="reference" value={formData.reference} onChange={handleChange} className="w-full p-2 border rounded" />
+                        </div>
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">備註</label>
+                        <input name="remarks" value={formData.remarks} onChange={handleChange} className="w-full p-2 border rounded" />
+                    </div>
                     <div className="flex justify-end space-x-4 pt-4">
                         <button type="button" onClick={onClose} className="px-4 py-2 bg-gray-200 rounded hover:bg-gray-300">取消</button>
-                        <button type="submit" className="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600">建立訂單</button>
+                        <button type="submit" className="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600">儲存</button>
                     </div>
                 </form>
             </div>
         </div>
     );
 };
+
+// 對帳單對象依 partyId 列出，顯示目前的名稱與編號；已刪除的對象顯示異動上的快照名稱
+const getStatementParties = (entries, getParty) => [...new Map(entries.map(entry => [entry.partyId, entry.partyName])).entries()]
+    .map(([id, snapshotName]) => {
+        const party = getParty(id);
+        return { id, label: party ? `${party.name}${party.code ? ` (${party.code})` : ''}` : snapshotName };
+    })
+    .sort((a, b) => (a.label || '').localeCompare(b.label || ''));
+
 const Reports = () => {
     const [sales, setSales] = useState([]);
-    const [customers, setCustomers] = useState([]);
+    const [salesReturns, setSalesReturns] = useState([]);
     const [selectedCustomer, setSelectedCustomer] = useState('');
+    const [selectedSupplier, setSelectedSupplier] = useState('');
+    const receivableEntries = useAccountEntries('receivable');
+    const payableEntries = useAccountEntries('payable');
     const [startDate, setStartDate] = useState(() => new Date(new Date().getFullYear(), new Date().getMonth(), 1).toISOString().split('T')[0]);
     const [endDate, setEndDate] = useState(() => new Date(new Date().getFullYear(), new Date().getMonth() + 1, 0).toISOString().split('T')[0]);
     const [statementData, setStatementData] = useState(null);
+    const [isPrintingStatement, setIsPrintingStatement] = useState(false);
     const [performanceData, setPerformanceData] = useState(null);
     const { user } = useAuth();
     const { showMessage } = useModal();
 
     useEffect(() => {
         if (!user) return;
-        const q = query(collection(db, getCollectionPath('salesOrders')), where('status', '==', 'Completed'));
+        const q = query(collection(db, getCollectionPath('salesOrders')), where('status', 'in', ['Partially Shipped', ...SHIPPED_STATUSES]));
         const unsub = onSnapshot(q, snapshot => {
             const salesData = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
             setSales(salesData);
-            const uniqueCustomers = [...new Set(salesData.map(order => order.partyName).filter(Boolean))];
-            setCustomers(uniqueCustomers);
         });
-        return () => unsub();
+        const unsubReturns = onSnapshot(collection(db, getCollectionPath('salesReturns')), snapshot => setSalesReturns(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))));
+        return () => { unsub(); unsubReturns(); };
     }, [user]);
 
-    const filterOrdersByDate = useCallback((orders) => {
-        const start = new Date(startDate);
-        const end = new Date(endDate);
-        end.setHours(23, 59, 59, 999);
-        return orders.filter(order => {
-            const orderDate = order.createdAt.toDate();
-            return orderDate >= start && orderDate <= end;
-        });
-    }, [startDate, endDate]);
-    
+    // 有交易、退回或收付款紀錄的客戶與供應商都可以產生對帳單
+    const { getParty: getCustomer } = useParties('customers');
+    const { getParty: getSupplier } = useParties('suppliers');
+    const customers = useMemo(() => getStatementParties(receivableEntries, getCustomer), [receivableEntries, getCustomer]);
+    const suppliers = useMemo(() => getStatementParties(payableEntries, getSupplier), [payableEntries, getSupplier]);
+
     useEffect(() => {
-        const filteredSales = filterOrdersByDate(sales);
-        const totalRevenue = filteredSales.reduce((sum, order) => sum + order.totalAmount, 0);
-        const totalCogs = filteredSales.reduce((sum, order) => sum + (order.items.reduce((itemSum, item) => itemSum + (item.costAtSale || 0) * item.quantity, 0)), 0);
+        const start = new Date(`${startDate}T00:00:00`);
+        const end = new Date(`${endDate}T23:59:59.999`);
+        const inPeriod = (date) => date >= start && date <= end;
+        // 銷售額與銷售成本依出貨日期認列每次出貨；銷貨退回依退貨日期計入當期，沖減銷售額與銷售成本
+        const shipments = sales.flatMap(getOrderShipments).filter(shipment => inPeriod(shipment.date));
+        const filteredReturns = salesReturns.filter(salesReturn => inPeriod(salesReturn.createdAt?.toDate()));
+        // 業績以未稅金額計算，稅額另列於營業稅彙總
+        const grossSales = shipments.reduce((sum, shipment) => sum + shipment.netAmount, 0);
+        const totalReturns = filteredReturns.reduce((sum, salesReturn) => sum + getNetAmount(salesReturn), 0);
+        const totalRevenue = grossSales - totalReturns;
+        const totalCogs = shipments.reduce((sum, shipment) => sum + (shipment.costAmount || 0), 0)
+            - filteredReturns.reduce((sum, salesReturn) => sum + (salesReturn.totalCost || 0), 0);
         const grossProfit = totalRevenue - totalCogs;
         const profitMargin = totalRevenue > 0 ? (grossProfit / totalRevenue) * 100 : 0;
-        setPerformanceData({ totalRevenue, totalCogs, grossProfit, profitMargin });
-    }, [sales, filterOrdersByDate]);
+        setPerformanceData({ grossSales, totalReturns, totalRevenue, totalCogs, grossProfit, profitMargin });
+    }, [sales, salesReturns, startDate, endDate]);
+
+    // 營業稅彙總 (401 申報): 銷項依出貨日期認列出貨金額並扣除銷貨退回，進項以已到貨採購扣除進貨退出
+    const taxSummary = useMemo(() => {
+        const start = new Date(`${startDate}T00:00:00`);
+        const end = new Date(`${endDate}T23:59:59.999`);
+        const inPeriod = (entries) => entries.filter(entry => entry.netAmount !== undefined && entry.date >= start && entry.date <= end);
+        const sum = (entries, field) => entries.reduce((total, entry) => total + entry[field], 0);
+        const salesEntries = inPeriod(receivableEntries);
+        const purchaseEntries = inPeriod(payableEntries);
+        const taxableSales = sum(salesEntries.filter(entry => entry.taxMode !== 'exempt'), 'netAmount');
+        const exemptSales = sum(salesEntries.filter(entry => entry.taxMode === 'exempt'), 'netAmount');
+        const outputTax = sum(salesEntries, 'taxAmount');
+        const taxablePurchases = sum(purchaseEntries.filter(entry => entry.taxMode !== 'exempt'), 'netAmount');
+        const inputTax = sum(purchaseEntries, 'taxAmount');
+        return { taxableSales, exemptSales, outputTax, taxablePurchases, inputTax, taxPayable: outputTax - inputTax };
+    }, [receivableEntries, payableEntries, startDate, endDate]);
 
     const handleGenerateStatement = () => {
         if (!selectedCustomer) { showMessage('請選擇一位客戶。', 'error'); return; }
-        const customerOrders = sales.filter(order => order.partyName === selectedCustomer);
-        const filteredOrders = filterOrdersByDate(customerOrders).sort((a,b) => a.createdAt.toDate() - b.createdAt.toDate());
-        const total = filteredOrders.reduce((sum, order) => sum + order.totalAmount, 0);
-        setStatementData({ customer: selectedCustomer, startDate, endDate, orders: filteredOrders, totalAmount: total });
+        const entries = receivableEntries.filter(entry => entry.partyId === selectedCustomer);
+        setStatementData({ partyLabel: '客戶', balanceLabel: '應收', party: customers.find(c => c.id === selectedCustomer)?.label, startDate, endDate, ...buildStatement(entries, startDate, endDate) });
+    };
+
+    const handleGenerateSupplierStatement = () => {
+        if (!selectedSupplier) { showMessage('請選擇一位供應商。', 'error'); return; }
+        const entries = payableEntries.filter(entry => entry.partyId === selectedSupplier);
+        setStatementData({ partyLabel: '供應商', balanceLabel: '應付', party: suppliers.find(s => s.id === selectedSupplier)?.label, startDate, endDate, ...buildStatement(entries, startDate, endDate) });
     };
 
     return (
@@ -1249,7 +5248,7 @@ const Reports = () => {
             <h2 className="text-3xl font-bold text-gray-800 mb-6">報表與結算</h2>
             
             <div className="bg-white p-6 rounded-lg shadow mb-6">
-                <h3 className="text-xl font-semibold mb-4">整體業績分析 (僅含已完成訂單)</h3>
+                <h3 className="text-xl font-semibold mb-4">整體業績分析 (依出貨日期認列)</h3>
                 <div className="flex items-center space-x-4 mb-4">
                     <div>
                         <label className="block text-sm font-medium text-gray-700 mb-1">開始日期</label>
@@ -1261,8 +5260,9 @@ const Reports = () => {
                     </div>
                 </div>
                 {performanceData && (
-                    <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-center">
-                        <div className="p-4 bg-gray-50 rounded-lg"><p className="text-sm text-gray-500">總銷售額</p><p className="text-2xl font-bold text-green-600">${performanceData.totalRevenue.toLocaleString(undefined, {minimumFractionDigits: 2, maximumFractionDigits: 2})}</p></div>
+                    <div className="grid grid-cols-2 md:grid-cols-5 gap-4 text-center">
+                        <div className="p-4 bg-gray-50 rounded-lg"><p className="text-sm text-gray-500">銷貨退回</p><p className="text-2xl font-bold text-orange-600">${performanceData.totalReturns.toLocaleString(undefined, {minimumFractionDigits: 2, maximumFractionDigits: 2})}</p></div>
+                        <div className="p-4 bg-gray-50 rounded-lg"><p className="text-sm text-gray-500">銷售淨額</p><p className="text-2xl font-bold text-green-600">${performanceData.totalRevenue.toLocaleString(undefined, {minimumFractionDigits: 2, maximumFractionDigits: 2})}</p></div>
                         <div className="p-4 bg-gray-50 rounded-lg"><p className="text-sm text-gray-500">總銷售成本</p><p className="text-2xl font-bold text-red-600">${performanceData.totalCogs.toLocaleString(undefined, {minimumFractionDigits: 2, maximumFractionDigits: 2})}</p></div>
                         <div className="p-4 bg-gray-50 rounded-lg"><p className="text-sm text-gray-500">毛利</p><p className="text-2xl font-bold text-blue-600">${performanceData.grossProfit.toLocaleString(undefined, {minimumFractionDigits: 2, maximumFractionDigits: 2})}</p></div>
                         <div className="p-4 bg-gray-50 rounded-lg"><p className="text-sm text-gray-500">毛利率</p><p className="text-2xl font-bold text-purple-600">{performanceData.profitMargin.toFixed(2)}%</p></div>
@@ -1271,32 +5271,135 @@ const Reports = () => {
             </div>
 
             <div className="bg-white p-6 rounded-lg shadow mb-6">
-                <h3 className="text-xl font-semibold mb-4">客戶對帳單產生器 (僅含已完成訂單)</h3>
+                <h3 className="text-xl font-semibold mb-1">營業稅彙總 (401 申報)</h3>
+                <p className="text-sm text-gray-500 mb-4">依上方日期區間計算，申報時請選擇單月 1 日至雙月月底的兩個月期間。</p>
+                <div className="grid grid-cols-2 md:grid-cols-6 gap-4 text-center">
+                    <div className="p-4 bg-gray-50 rounded-lg"><p className="text-sm text-gray-500">應稅銷售額</p><p className="text-xl font-bold text-gray-800">${taxSummary.taxableSales.toLocaleString()}</p></div>
+                    <div className="p-4 bg-gray-50 rounded-lg"><p className="text-sm text-gray-500">免稅銷售額</p><p className="text-xl font-bold text-gray-800">${taxSummary.exemptSales.toLocaleString()}</p></div>
+                    <div className="p-4 bg-gray-50 rounded-lg"><p className="text-sm text-gray-500">銷項稅額</p><p className="text-xl font-bold text-green-600">${taxSummary.outputTax.toLocaleString()}</p></div>
+                    <div className="p-4 bg-gray-50 rounded-lg"><p className="text-sm text-gray-500">應稅進貨額</p><p className="text-xl font-bold text-gray-800">${taxSummary.taxablePurchases.toLocaleString()}</p></div>
+                    <div className="p-4 bg-gray-50 rounded-lg"><p className="text-sm text-gray-500">進項稅額</p><p className="text-xl font-bold text-red-600">${taxSummary.inputTax.toLocaleString()}</p></div>
+                    <div className="p-4 bg-gray-50 rounded-lg"><p className="text-sm text-gray-500">{taxSummary.taxPayable >= 0 ? '應納稅額' : '溢付稅額'}</p><p className="text-xl font-bold text-blue-600">${Math.abs(taxSummary.taxPayable).toLocaleString()}</p></div>
+                </div>
+            </div>
+
+            <div className="bg-white p-6 rounded-lg shadow mb-6">
+                <h3 className="text-xl font-semibold mb-4">客戶對帳單產生器 (含出貨、銷貨退回與收款)</h3>
                 <div className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
-                    <div className="md:col-span-2"><label className="block text-sm font-medium text-gray-700 mb-1">客戶</label><select value={selectedCustomer} onChange={e => setSelectedCustomer(e.target.value)} className="w-full p-2 border rounded-md bg-white"><option value="">-- 選擇客戶 --</option>{customers.map(c => <option key={c} value={c}>{c}</option>)}</select></div>
+                    <div className="md:col-span-2"><label className="block text-sm font-medium text-gray-700 mb-1">客戶</label><select value={selectedCustomer} onChange={e => setSelectedCustomer(e.target.value)} className="w-full p-2 border rounded-md bg-white"><option value="">-- 選擇客戶 --</option>{customers.map(c => <option key={c.id} value={c.id}>{c.label}</option>)}</select></div>
                     <div className="md:col-span-2"><button onClick={handleGenerateStatement} className="w-full bg-blue-500 text-white px-4 py-2 rounded-lg shadow hover:bg-blue-600 transition h-10">產生對帳單</button></div>
                 </div>
             </div>
 
+            <div className="bg-white p-6 rounded-lg shadow mb-6">
+                <h3 className="text-xl font-semibold mb-4">供應商對帳單產生器 (含已到貨採購、進貨退出與付款)</h3>
+                <div className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+                    <div className="md:col-span-2"><label className="block text-sm font-medium text-gray-700 mb-1">供應商</label><select value={selectedSupplier} onChange={e => setSelectedSupplier(e.target.value)} className="w-full p-2 border rounded-md bg-white"><option value="">-- 選擇供應商 --</option>{suppliers.map(s => <option key={s.id} value={s.id}>{s.label}</option>)}</select></div>
+                    <div className="md:col-span-2"><button onClick={handleGenerateSupplierStatement} className="w-full bg-purple-500 text-white px-4 py-2 rounded-lg shadow hover:bg-purple-600 transition h-10">產生對帳單</button></div>
+                </div>
+            </div>
+
             {statementData && (
                 <div className="bg-white p-6 rounded-lg shadow">
                     <div className="flex justify-between items-start mb-4">
                         <div>
                             <h3 className="text-2xl font-bold text-gray-800">對帳單</h3>
-                            <p className="text-gray-600">客戶: <span className="font-semibold">{statementData.customer}</span></p>
+                            <p className="text-gray-600">{statementData.partyLabel}: <span className="font-semibold">{statementData.party}</span></p>
                             <p className="text-gray-600">期間: {statementData.startDate} to {statementData.endDate}</p>
                         </div>
-                        <button onClick={() => window.print()} className="flex items-center text-gray-600 hover:text-blue-500"><Printer className="w-5 h-5 mr-2" /> 列印</button>
-                    </div>
-                    <div className="overflow-x-auto">
-                        <table className="w-full text-sm text-left text-gray-500">
-                            <thead className="text-xs text-gray-700 uppercase bg-gray-50">
-                                <tr><th className="px-6 py-3 border-r border-gray-200">訂單日期</th><th className="px-6 py-3 border-r border-gray-200">訂單號碼</th><th className="px-6 py-3 text-right">金額</th></tr>
-                            </thead>
-                            <tbody>{statementData.orders.map(order => (<tr key={order.id} className="bg-white border-b border-gray-200"><td className="px-6 py-4 border-r border-gray-200">{order.createdAt.toDate().toLocaleDateString()}</td><td className="px-6 py-4 border-r border-gray-200">{order.orderNumber}</td><td className="px-6 py-4 text-right">${order.totalAmount.toLocaleString()}</td></tr>))}</tbody>
-                            <tfoot><tr className="font-semibold text-gray-900"><td colSpan="2" className="px-6 py-3 text-right text-lg border-r border-gray-200">總計</td><td className="px-6 py-3 text-right text-lg">${statementData.totalAmount.toLocaleString()}</td></tr></tfoot>
-                        </table>
+                        <button onClick={() => setIsPrintingStatement(true)} className="flex items-center text-gray-600 hover:text-blue-500"><Printer className="w-5 h-5 mr-2" /> 列印</button>
                     </div>
+                    <StatementTable statementData={statementData} />
+                </div>
+            )}
+            {isPrintingStatement && statementData && (
+                <PrintView title="對帳單" onClose={() => setIsPrintingStatement(false)}>
+                    <CompanyHeader documentTitle="對帳單" documentNumber={`${statementData.startDate} ~ ${statementData.endDate}`} />
+                    <p className="mb-4 text-sm">{statementData.partyLabel}: <span className="font-semibold">{statementData.party}</span></p>
+                    <StatementTable statementData={statementData} />
+                </PrintView>
+            )}
+        </div>
+    );
+};
+
+// --- Data Backup ---
+const downloadFile = (content, fileName, mimeType) => {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+};
+
+const DataBackup = () => {
+    const [archive, setArchive] = useState(null);
+    const [isExporting, setIsExporting] = useState(false);
+    const [progress, setProgress] = useState('');
+    const { showMessage } = useModal();
+
+    const handleExport = async () => {
+        setIsExporting(true);
+        try {
+            const collections = {};
+            for (const name of BACKUP_COLLECTIONS) {
+                setProgress(`讀取 ${name}...`);
+                const snapshot = await getDocs(collection(db, getCollectionPath(name)));
+                collections[name] = snapshot.docs.map(doc => ({ id: doc.id, data: doc.data() }));
+            }
+            const subcollections = {};
+            for (const subcollection of BACKUP_SUBCOLLECTIONS) {
+                setProgress(`讀取 ${getSubcollectionKey(subcollection)}...`);
+                const docs = [];
+                for (const parent of collections[subcollection.parent]) {
+                    const snapshot = await getDocs(collection(db, getDocPath(subcollection.parent, parent.id), subcollection.name));
+                    snapshot.docs.forEach(doc => docs.push({ parentId: parent.id, id: doc.id, data: doc.data() }));
+                }
+                subcollections[getSubcollectionKey(subcollection)] = docs;
+            }
+            const newArchive = buildArchive(appId, collections, subcollections);
+            downloadFile(JSON.stringify(newArchive), `inventory-backup-${appId}-${newArchive.exportedAt.slice(0, 10)}.json`, 'application/json');
+            setArchive(newArchive);
+        } catch (error) {
+            console.error("匯出備份錯誤:", error);
+            showMessage(`匯出失敗: ${error.message}`, 'error');
+        } finally {
+            setIsExporting(false);
+            setProgress('');
+        }
+    };
+
+    const handleDownloadCsv = (name, docs) => {
+        downloadFile(toCsv(docs), `${name.replace('/', '-')}-${archive.exportedAt.slice(0, 10)}.csv`, 'text/csv;charset=utf-8');
+    };
+
+    const archiveSections = archive ? [...Object.entries(archive.collections), ...Object.entries(archive.subcollections)] : [];
+
+    return (
+        <div>
+            <h2 className="text-3xl font-bold text-gray-800 mb-6">資料備份</h2>
+            <div className="bg-white p-6 rounded-lg shadow mb-6">
+                <h3 className="text-xl font-semibold mb-1">匯出完整備份</h3>
+                <p className="text-sm text-gray-500 mb-4">下載所有集合 (含出貨與收貨紀錄) 的 JSON 封存檔 (格式版本 {BACKUP_VERSION})。還原時請由管理者在空的專案執行 <code>FIREBASE_APP_ID=&lt;appId&gt; npm run db:restore -- &lt;封存檔&gt;</code>。</p>
+                <button onClick={handleExport} disabled={isExporting} className="bg-blue-500 text-white px-4 py-2 rounded-lg shadow hover:bg-blue-600 transition flex items-center disabled:bg-gray-400"><Download className="w-5 h-5 mr-2" /> {isExporting ? progress : '匯出備份'}</button>
+            </div>
+            {archive && (
+                <div className="bg-white p-6 rounded-lg shadow">
+                    <h3 className="text-xl font-semibold mb-1">各集合 CSV</h3>
+                    <p className="text-sm text-gray-500 mb-4">匯出時間: {new Date(archive.exportedAt).toLocaleString()}，巢狀欄位 (如訂單品項) 以 JSON 文字呈現。</p>
+                    <table className="w-full text-sm text-left text-gray-500">
+                        <thead className="text-xs text-gray-700 uppercase bg-gray-50"><tr><th className="px-6 py-3">集合</th><th className="px-6 py-3 text-right">筆數</th><th className="px-6 py-3 text-center">下載</th></tr></thead>
+                        <tbody>
+                            {archiveSections.map(([name, docs]) => (
+                                <tr key={name} className="bg-white border-b hover:bg-gray-50">
+                                    <td className="px-6 py-4 font-medium text-gray-900">{name}</td>
+                                    <td className="px-6 py-4 text-right">{docs.length}</td>
+                                    <td className="px-6 py-4 text-center"><button onClick={() => handleDownloadCsv(name, docs)} disabled={docs.length === 0} className="text-blue-600 hover:text-blue-800 disabled:text-gray-300">CSV</button></td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
                 </div>
             )}
         </div>
@@ -1309,53 +5412,132 @@ const WarehouseShippingManagement = () => {
     const [selectedOrder, setSelectedOrder] = useState(null);
     const { user } = useAuth();
     const { showMessage, showConfirmation } = useModal();
+    const { warehouses, defaultWarehouseId, getWarehouseName } = useWarehouses();
 
     useEffect(() => {
         if (!user) return;
         const statusMap = {
-            pending: ['Pending Shipment'],
-            completed: ['Completed']
+            pending: SHIPPABLE_STATUSES,
+            completed: SHIPPED_STATUSES
         };
         const q = query(collection(db, getCollectionPath('salesOrders')), where('status', 'in', statusMap[activeTab]));
         const unsubscribe = onSnapshot(q, snapshot => setOrders(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))));
         return () => unsubscribe();
     }, [user, activeTab]);
 
-    const handleShipOrder = async (order) => {
-        const confirmed = await showConfirmation('確定此訂單已完成出貨？此動作將會正式扣除庫存。');
+    // lotAllocations: 批號管理商品各品項的 { 批號文件 id: 數量 }，合計必須等於該品項的出貨數量
+    // scanIssues: 掃描揀貨時發現的錯誤或多餘商品，出貨前需再次確認已取出
+    const handleShipOrder = async (order, shipQuantities, warehouseId, { lotAllocations = [], scanIssues = [] } = {}) => {
+        if (!warehouseId) return showMessage('請選擇出貨倉庫。', 'error');
+        const shipLines = order.items.map((item, index) => ({ index, quantity: shipQuantities[index] || 0 })).filter(line => line.quantity > 0);
+        if (shipLines.length === 0) return showMessage('請輸入本次出貨數量。', 'error');
+        const isFinalShipment = order.items.every((item, index) => (item.shippedQuantity || 0) + (shipQuantities[index] || 0) >= item.quantity);
+        const scanWarning = scanIssues.length > 0 ? `掃描時發現 ${scanIssues.length} 筆異常 (${scanIssues.join('、')})，請確認錯誤或多餘的商品已取出。` : '';
+        const confirmed = await showConfirmation(scanWarning + (isFinalShipment ? '確定此訂單已完成出貨？此動作將會正式扣除庫存。' : '確定部分出貨？此動作將會扣除本次出貨的庫存，未出貨數量將保留為待補貨。'));
         if (!confirmed) return;
 
         try {
             await runTransaction(db, async (transaction) => {
-                const orderNumber = order.orderNumber;
-                const updatedItems = [];
+                const orderRef = doc(db, getDocPath('salesOrders', order.id));
+                const orderDoc = await transaction.get(orderRef);
+                if (!orderDoc.exists() || !SHIPPABLE_STATUSES.includes(orderDoc.data().status)) throw new Error("訂單不存在或已無法出貨。");
+                const orderData = orderDoc.data();
+                const updatedItems = orderData.items.map(item => ({ ...item }));
 
-                for (const item of order.items) {
-                    const productRef = doc(db, getDocPath('products', item.productId));
-                    const productDoc = await transaction.get(productRef);
-                    if (!productDoc.exists() || productDoc.data().stock < item.quantity) throw new Error(`商品 ${item.name} 庫存不足`);
-                    
+                // Firestore 交易需先完成所有讀取才能寫入，同一商品出現在多個品項時共用庫存
+                const productStates = {};
+                const lotTrackedIds = new Set();
+                for (const { index } of shipLines) {
+                    const productId = updatedItems[index].productId;
+                    if (productStates[productId]) continue;
+                    const productDoc = await transaction.get(doc(db, getDocPath('products', productId)));
+                    if (!productDoc.exists()) throw new Error(`商品 ${updatedItems[index].name} 不存在。`);
                     const productData = productDoc.data();
-                    const newStock = productData.stock - item.quantity;
-                    transaction.update(productRef, { stock: newStock });
+                    productStates[productId] = { stock: productData.stock || 0, stockByLocation: getStockByLocation(productData, defaultWarehouseId), reserved: productData.reserved || 0, averageCost: productData.averageCost || 0 };
+                    if (productData.lotTracked) lotTrackedIds.add(productId);
+                }
+                const lotStates = {};
+                for (const { index } of shipLines) {
+                    for (const [lotId, lotQuantity] of Object.entries(lotAllocations[index] || {})) {
+                        if (lotQuantity <= 0 || lotStates[lotId]) continue;
+                        const lotDoc = await transaction.get(doc(db, getDocPath('lots', lotId)));
+                        if (!lotDoc.exists() || lotDoc.data().productId !== updatedItems[index].productId || lotDoc.data().warehouseId !== warehouseId) throw new Error(`商品 ${updatedItems[index].name} 的批號不存在於 ${getWarehouseName(warehouseId)}。`);
+                        lotStates[lotId] = lotDoc.data();
+                    }
+                }
 
-                    // 將當時的平均成本記錄到品項中
-                    updatedItems.push({
-                        ...item,
-                        costAtSale: productData.averageCost || 0
-                    });
+                const shipmentCount = (orderData.shipmentCount || 0) + 1;
+                const shipmentNumber = `${orderData.orderNumber}-S${shipmentCount}`;
+                const shipmentItems = [];
 
-                    const invLogRef = doc(collection(db, getCollectionPath('inventoryLogs')));
-                    transaction.set(invLogRef, {
-                        productId: item.productId, productName: item.name, type: 'out', change: -item.quantity, newStock: newStock,
-                        relatedDoc: orderNumber, timestamp: serverTimestamp()
+                for (const { index, quantity } of shipLines) {
+                    const item = updatedItems[index];
+                    const shippedQuantity = item.shippedQuantity || 0;
+                    const remaining = item.quantity - shippedQuantity;
+                    if (quantity > remaining) throw new Error(`商品 ${item.name} 出貨數量超過未出貨數量 (${remaining})`);
+                    const productState = productStates[item.productId];
+                    // 可出貨數量 = 本品項已保留的數量 + 未被其他訂單保留的可用庫存
+                    const lineReserved = item.reservedQuantity || 0;
+                    const shippable = lineReserved + getAvailableStock(productState);
+                    if (shippable < quantity) throw new Error(`商品 ${item.name} 庫存不足 (可出貨 ${shippable})`);
+                    const locationStock = productState.stockByLocation[warehouseId] || 0;
+                    if (locationStock < quantity) throw new Error(`商品 ${item.name} 在 ${getWarehouseName(warehouseId)} 的庫存不足 (現有 ${locationStock})`);
+                    const released = Math.min(lineReserved, quantity);
+                    item.reservedQuantity = lineReserved - released;
+                    productState.reserved -= released;
+
+                    // 依批號拆成多筆庫存異動，批號商品必須全數分配批號
+                    const lotLines = Object.entries(lotAllocations[index] || {}).filter(([, lotQuantity]) => lotQuantity > 0).map(([lotId, lotQuantity]) => {
+                        const lotState = lotStates[lotId];
+                        if (isLotExpired(lotState)) throw new Error(`批號 ${lotState.lotNumber} 已過期，不可出貨。`);
+                        if (lotQuantity > lotState.quantity) throw new Error(`商品 ${item.name} 批號 ${lotState.lotNumber} 的結存不足 (現有 ${lotState.quantity})`);
+                        lotState.quantity -= lotQuantity;
+                        return { lotNumber: lotState.lotNumber, quantity: lotQuantity };
                     });
+                    const unlottedQuantity = quantity - lotLines.reduce((sum, line) => sum + line.quantity, 0);
+                    if (unlottedQuantity < 0) throw new Error(`商品 ${item.name} 分配的批號數量超過本次出貨數量。`);
+                    if (lotTrackedIds.has(item.productId) && unlottedQuantity > 0) throw new Error(`商品 ${item.name} 為批號管理商品，尚有 ${unlottedQuantity} 件未分配批號。`);
+                    const movements = unlottedQuantity > 0 ? [...lotLines, { quantity: unlottedQuantity }] : lotLines;
+                    movements.forEach(movement => {
+                        moveLocationStock(productState, warehouseId, -movement.quantity);
+                        const invLogRef = doc(collection(db, getCollectionPath('inventoryLogs')));
+                        transaction.set(invLogRef, validateDocument('inventoryLogs', {
+                            productId: item.productId, productName: item.name, type: 'out', change: -movement.quantity, newStock: productState.stock, lotNumber: movement.lotNumber,
+                            warehouseId, locationStock: productState.stockByLocation[warehouseId], relatedDoc: shipmentNumber, timestamp: serverTimestamp()
+                        }));
+                    });
+
+                    // 將當時的平均成本記錄到品項中，多次出貨時以數量加權
+                    item.shippedQuantity = shippedQuantity + quantity;
+                    item.costAtSale = (((item.costAtSale || 0) * shippedQuantity) + (productState.averageCost * quantity)) / item.shippedQuantity;
+                    shipmentItems.push({ productId: item.productId, name: item.name, quantity, costAtSale: productState.averageCost, price: getNetUnitPrice(orderData, item), ...(lotLines.length > 0 && { lots: lotLines }) });
                 }
-                const orderRef = doc(db, getDocPath('salesOrders', order.id));
-                // 更新訂單狀態，並將帶有銷售成本的品項陣列存回
-                transaction.update(orderRef, { status: 'Completed', shippedAt: serverTimestamp(), items: updatedItems });
+
+                for (const [productId, productState] of Object.entries(productStates)) {
+                    transaction.update(doc(db, getDocPath('products', productId)), validateDocument('products', { stock: productState.stock, stockByLocation: productState.stockByLocation, reserved: productState.reserved }, { partial: true }));
+                }
+                for (const [lotId, lotState] of Object.entries(lotStates)) {
+                    transaction.update(doc(db, getDocPath('lots', lotId)), validateDocument('lots', { quantity: lotState.quantity, updatedAt: serverTimestamp() }, { partial: true }));
+                }
+
+                const shipmentRef = doc(collection(db, getDocPath('salesOrders', order.id), 'shipments'));
+                const shipmentAmounts = calculateTax(shipmentItems.reduce((sum, item) => sum + item.price * item.quantity, 0), orderData.taxMode);
+                transaction.set(shipmentRef, validateDocument('shipments', { shipmentNumber, warehouseId, items: shipmentItems, ...shipmentAmounts, shippedBy: user.uid, shippedAt: serverTimestamp() }));
+                // 陣列內不能使用 serverTimestamp，出貨摘要以用戶端時間記錄出貨日期
+                const shipmentSummary = { shipmentId: shipmentRef.id, shipmentNumber, shippedAt: Timestamp.now(), ...shipmentAmounts, costAmount: shipmentItems.reduce((sum, item) => sum + item.costAtSale * item.quantity, 0) };
+
+                const isCompleted = updatedItems.every(item => (item.shippedQuantity || 0) >= item.quantity);
+                // 更新訂單狀態，並將帶有出貨數量與銷售成本的品項陣列存回
+                transaction.update(orderRef, validateDocument('salesOrders', {
+                    status: isCompleted ? 'Completed' : 'Partially Shipped',
+                    items: updatedItems,
+                    shipmentCount,
+                    shipmentSummaries: [...(orderData.shipmentSummaries || []), shipmentSummary],
+                    lastShippedAt: serverTimestamp(),
+                    ...(isCompleted && { shippedAt: serverTimestamp() })
+                }, { partial: true }));
             });
-            showMessage('訂單已出貨，庫存已更新！');
+            showMessage(isFinalShipment ? '訂單已出貨，庫存已更新！' : '已部分出貨，未出貨數量保留為待補貨。');
             setSelectedOrder(null);
         } catch (error) {
             showMessage(`出貨失敗: ${error.message}`, 'error');
@@ -1363,7 +5545,7 @@ const WarehouseShippingManagement = () => {
     };
 
     const handleSaveRemarks = async (orderId, remarks) => {
-        await updateDoc(doc(db, getDocPath('salesOrders', orderId)), { remarks });
+        await updateDoc(doc(db, getDocPath('salesOrders', orderId)), validateDocument('salesOrders', { remarks }, { partial: true }));
         showMessage('備註已儲存。');
         setSelectedOrder(prev => ({ ...prev, remarks }));
     };
@@ -1380,54 +5562,188 @@ const WarehouseShippingManagement = () => {
             <div className="mt-4">
                 <OrderList orders={orders} type="shipping" onOpen={setSelectedOrder} />
             </div>
-            {selectedOrder && <ShippingDetailModal order={selectedOrder} onClose={() => setSelectedOrder(null)} onShip={handleShipOrder} onSaveRemarks={handleSaveRemarks} />}
+            {selectedOrder && <ShippingDetailModal order={selectedOrder} warehouses={warehouses} defaultWarehouseId={defaultWarehouseId} getWarehouseName={getWarehouseName} onClose={() => setSelectedOrder(null)} onShip={handleShipOrder} onSaveRemarks={handleSaveRemarks} />}
         </div>
     );
 };
 
-const ShippingDetailModal = ({ order, onClose, onShip, onSaveRemarks }) => {
+const ShippingDetailModal = ({ order, warehouses, defaultWarehouseId, getWarehouseName, onClose, onShip, onSaveRemarks }) => {
     const [remarks, setRemarks] = useState(order.remarks || '');
+    const [selectedWarehouseId, setSelectedWarehouseId] = useState(null);
+    const warehouseId = selectedWarehouseId || defaultWarehouseId;
+    const [products, setProducts] = useState({});
+    const [shipments, setShipments] = useState([]);
+    const [shipQuantities, setShipQuantities] = useState(null);
+    const [printing, setPrinting] = useState(null);
+    const [isScanning, setIsScanning] = useState(false);
+    const [lotOverrides, setLotOverrides] = useState({});
+    const { showMessage } = useModal();
+    const isShippable = SHIPPABLE_STATUSES.includes(order.status);
+    const lots = useWarehouseLots(isShippable ? warehouseId : null);
+    // 出貨對象依 customerId 帶出客戶目前的資料，客戶改名時另外標示下單時的名稱
+    const { getParty } = useParties('customers');
+    const customer = getParty(order.customerId);
+    const customerName = customer ? `${customer.name} (${customer.code})` : order.partyName;
+
+    useEffect(() => {
+        const unsubProducts = onSnapshot(collection(db, getCollectionPath('products')), snapshot => setProducts(Object.fromEntries(snapshot.docs.map(doc => [doc.id, doc.data()]))));
+        const q = query(collection(db, getDocPath('salesOrders', order.id), 'shipments'), orderBy('shippedAt', 'asc'));
+        const unsubShipments = onSnapshot(q, snapshot => setShipments(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))));
+        return () => { unsubProducts(); unsubShipments(); };
+    }, [order.id]);
+
+    // 預設本次出貨數量為未出貨數量、可出貨數量 (本單保留 + 可用庫存) 與出貨倉庫存量三者的最小值
+    const defaultQuantities = useMemo(() => order.items.map(item => {
+        const remaining = item.quantity - (item.shippedQuantity || 0);
+        const product = products[item.productId];
+        if (!product) return Math.max(0, remaining);
+        const shippable = Math.min((item.reservedQuantity || 0) + getAvailableStock(product), getLocationStock(product, warehouseId, defaultWarehouseId));
+        return Math.max(0, Math.min(remaining, shippable));
+    }), [order.items, products, warehouseId, defaultWarehouseId]);
+    const quantities = shipQuantities || defaultQuantities;
+
+    const handleQuantityChange = (index, value) => {
+        const remaining = order.items[index].quantity - (order.items[index].shippedQuantity || 0);
+        const newQuantities = [...quantities];
+        newQuantities[index] = Math.max(0, Math.min(remaining, parseInt(value, 10) || 0));
+        setShipQuantities(newQuantities);
+        setLotOverrides(prev => ({ ...prev, [index]: null }));
+    };
+
+    // 掃描揀貨: 本次出貨數量從 0 開始，每掃一件加一，最多到未出貨數量
+    const productList = useMemo(() => Object.entries(products).map(([id, data]) => ({ id, ...data })), [products]);
+    const scan = useScanSession({
+        items: order.items, counts: quantities, products: productList, setCounts: setShipQuantities,
+        limits: order.items.map(item => Math.max(0, item.quantity - (item.shippedQuantity || 0)))
+    });
+    const startScanning = () => {
+        setIsScanning(true);
+        setShipQuantities(order.items.map(() => 0));
+        setLotOverrides({});
+        scan.clearIssues();
+    };
+
+    // 批號預設依先到期先出分配，手動調整過的品項改用調整後的數量
+    const lotTrackedIds = useMemo(() => new Set(productList.filter(p => p.lotTracked).map(p => p.id)), [productList]);
+    const suggestedLots = useMemo(() => suggestFefoLots(order.items, quantities, lots, lotTrackedIds), [order.items, quantities, lots, lotTrackedIds]);
+    const lotAllocations = order.items.map((item, index) => lotOverrides[index] || suggestedLots[index]);
+    const getProductLots = (productId) => lots.filter(lot => lot.productId === productId && lot.quantity > 0).sort(compareLotsByExpiry);
+    const getUnallocatedQuantity = (index) => quantities[index] - Object.values(lotAllocations[index] || {}).reduce((sum, quantity) => sum + quantity, 0);
+
+    const handleLotQuantityChange = (index, lotId, value) => {
+        setLotOverrides(prev => ({ ...prev, [index]: { ...lotAllocations[index], [lotId]: Math.max(0, parseInt(value, 10) || 0) } }));
+    };
+
+    // 批號商品的出貨數量必須全數分配到批號
+    const handleShip = () => {
+        const unallocated = order.items.map((item, index) => index).filter(index => lotAllocations[index] && quantities[index] > 0 && getUnallocatedQuantity(index) !== 0);
+        if (unallocated.length > 0) return showMessage(`批號分配數量需等於本次出貨數量，批號結存不足時請調整出貨數量：${unallocated.map(index => order.items[index].name).join('、')}`, 'error');
+        onShip(order, quantities, warehouseId, { lotAllocations, scanIssues: scan.issues });
+    };
+
     return (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex justify-center items-center z-50">
-            <div className="bg-white rounded-lg shadow-xl p-8 w-full max-w-3xl">
+            <div className="bg-white rounded-lg shadow-xl p-8 w-full max-w-4xl">
                 <div className="flex justify-between items-center mb-4">
                     <h3 className="text-2xl font-bold text-gray-800">訂單明細: {order.orderNumber}</h3>
                     <button onClick={onClose} className="text-gray-500 hover:text-gray-800 text-2xl">&times;</button>
                 </div>
                 <div className="grid grid-cols-2 gap-4 text-sm mb-4">
-                    <p><strong>客戶:</strong> {order.partyName}</p>
+                    <p><strong>客戶:</strong> {customerName}{customer && customer.name !== order.partyName && <span className="text-gray-500"> (下單時: {order.partyName})</span>}</p>
                     <p><strong>訂單日期:</strong> {order.createdAt?.toDate().toLocaleDateString()}</p>
                 </div>
+                {isShippable && (
+                    <div className="mb-4 flex items-center justify-between">
+                        <WarehouseSelect warehouses={warehouses} value={warehouseId} onChange={(id) => { setSelectedWarehouseId(id); setLotOverrides({}); if (!isScanning) setShipQuantities(null); }} label="出貨倉庫" />
+                        {!isScanning && <button onClick={startScanning} className="flex items-center px-4 py-2 bg-gray-600 text-white rounded hover:bg-gray-700"><ScanLine className="w-5 h-5 mr-2" /> 掃描揀貨</button>}
+                    </div>
+                )}
+                {isShippable && isScanning && <ScanPanel onScan={scan.handleScan} lastScan={scan.lastScan} issues={scan.issues} onClearIssues={scan.clearIssues} />}
                 <div className="overflow-y-auto max-h-[40vh] border rounded-md">
                     <table className="w-full text-sm text-left text-gray-500">
                         <thead className="text-xs text-gray-700 uppercase bg-gray-50 sticky top-0">
                             <tr>
                                 <th className="px-6 py-3">商品</th>
-                                <th className="px-6 py-3 text-right">數量</th>
+                                <th className="px-6 py-3 text-right">訂購數量</th>
+                                <th className="px-6 py-3 text-right">已出貨</th>
+                                <th className="px-6 py-3 text-right">待補貨</th>
+                                {isShippable && <th className="px-6 py-3 text-right">本單保留</th>}
+                                {isShippable && <th className="px-6 py-3 text-right">可用庫存</th>}
+                                {isShippable && <th className="px-6 py-3 text-right">倉庫存量</th>}
+                                {isShippable && <th className="px-6 py-3 text-right">本次出貨</th>}
                             </tr>
                         </thead>
                         <tbody>
-                            {order.items.map((item, index) => (
-                                <tr key={index} className="bg-white border-b">
-                                    <td className="px-6 py-4">{item.name}</td>
-                                    <td className="px-6 py-4 text-right">{item.quantity}</td>
-                                </tr>
-                            ))}
+                            {order.items.map((item, index) => {
+                                const remaining = item.quantity - (item.shippedQuantity || 0);
+                                const showLots = isShippable && lotAllocations[index] && remaining > 0;
+                                return (
+                                    <React.Fragment key={index}>
+                                    <tr className={`${showLots ? '' : 'border-b'} ${isScanning && remaining > 0 && quantities[index] >= remaining ? 'bg-green-50' : 'bg-white'}`}>
+                                        <td className="px-6 py-4">{item.name}</td>
+                                        <td className="px-6 py-4 text-right">{item.quantity}</td>
+                                        <td className="px-6 py-4 text-right">{item.shippedQuantity || 0}</td>
+                                        <td className={`px-6 py-4 text-right ${remaining > 0 ? 'text-orange-600 font-semibold' : ''}`}>{remaining}</td>
+                                        {isShippable && <td className="px-6 py-4 text-right">{item.reservedQuantity || 0}</td>}
+                                        {isShippable && <td className="px-6 py-4 text-right">{products[item.productId] ? getAvailableStock(products[item.productId]) : '-'}</td>}
+                                        {isShippable && <td className="px-6 py-4 text-right">{products[item.productId] ? getLocationStock(products[item.productId], warehouseId, defaultWarehouseId) : '-'}</td>}
+                                        {isShippable && (
+                                            <td className="px-6 py-4 text-right">
+                                                <input type="number" value={quantities[index]} onChange={(e) => handleQuantityChange(index, e.target.value)} min="0" max={remaining} disabled={remaining <= 0} className="w-20 p-1 border rounded text-right" />
+                                            </td>
+                                        )}
+                                    </tr>
+                                    {showLots && (
+                                        <tr className="border-b bg-gray-50">
+                                            <td colSpan="8" className="px-6 pb-3">
+                                                <div className="flex flex-wrap gap-2 text-xs">
+                                                    {getProductLots(item.productId).map(lot => (
+                                                        <label key={lot.id} className={`flex items-center px-2 py-1 border rounded ${isLotExpired(lot) ? 'border-red-300 bg-red-50 text-red-600' : 'bg-white'}`}>
+                                                            批號 {lot.lotNumber} (效期 {formatLotExpiry(lot)}{isLotExpired(lot) && ' 已過期'}，結存 {lot.quantity})
+                                                            <input type="number" value={lotAllocations[index][lot.id] || 0} onChange={(e) => handleLotQuantityChange(index, lot.id, e.target.value)} min="0" max={lot.quantity} disabled={isLotExpired(lot)} className="w-16 ml-2 p-1 border rounded text-right" />
+                                                        </label>
+                                                    ))}
+                                                    {getUnallocatedQuantity(index) !== 0 && <span className="px-2 py-1 text-orange-600 font-semibold">未分配批號 {getUnallocatedQuantity(index)}</span>}
+                                                </div>
+                                            </td>
+                                        </tr>
+                                    )}
+                                    </React.Fragment>
+                                );
+                            })}
                         </tbody>
                     </table>
                 </div>
+                {shipments.length > 0 && (
+                    <div className="mt-4">
+                        <h4 className="text-sm font-medium text-gray-700 mb-1">出貨紀錄</h4>
+                        <ul className="text-sm border rounded-md divide-y">
+                            {shipments.map(shipment => (
+                                <li key={shipment.id} className="px-4 py-2 flex justify-between">
+                                    <span className="font-medium">{shipment.shipmentNumber}{shipment.warehouseId && <span className="ml-2 text-xs text-gray-500">({getWarehouseName(shipment.warehouseId)})</span>}</span>
+                                    <span>{shipment.items.map(item => `${item.name} x ${item.quantity}${item.lots ? ` (批號 ${item.lots.map(lot => `${lot.lotNumber} x ${lot.quantity}`).join('、')})` : ''}`).join('、')}</span>
+                                    <span className="text-gray-500">{shipment.shippedAt?.toDate().toLocaleString()}</span>
+                                    <button onClick={() => setPrinting({ shipment })} className="text-gray-600 hover:text-gray-800 flex items-center" title="列印出貨單"><Printer className="w-4 h-4 mr-1" /> 出貨單</button>
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                )}
                 <div className="mt-4">
                     <label className="block text-sm font-medium text-gray-700 mb-1">倉庫備註</label>
                     <textarea value={remarks} onChange={(e) => setRemarks(e.target.value)} rows="3" className="w-full p-2 border rounded-md"></textarea>
                     <button onClick={() => onSaveRemarks(order.id, remarks)} className="mt-2 bg-gray-600 text-white px-4 py-2 rounded-lg shadow hover:bg-gray-700 transition text-sm">儲存備註</button>
                 </div>
                 <div className="flex justify-end space-x-4 pt-6">
+                    {isShippable && <button onClick={() => setPrinting({ pickingList: true })} className="px-4 py-2 bg-gray-600 text-white rounded hover:bg-gray-700 flex items-center"><Printer className="w-5 h-5 mr-2" /> 列印揀貨單</button>}
                     <button onClick={onClose} className="px-4 py-2 bg-gray-200 rounded hover:bg-gray-300">關閉</button>
-                    {order.status === 'Pending Shipment' && (
-                        <button onClick={() => onShip(order)} className="px-6 py-2 bg-blue-500 text-white rounded hover:bg-blue-600 flex items-center"><Truck className="w-5 h-5 mr-2" /> 確認出貨</button>
+                    {isShippable && (
+                        <button onClick={handleShip} className="px-6 py-2 bg-blue-500 text-white rounded hover:bg-blue-600 flex items-center"><Truck className="w-5 h-5 mr-2" /> 確認出貨</button>
                     )}
                 </div>
             </div>
+            {printing?.pickingList && <PrintView title={`揀貨單: ${order.orderNumber}`} onClose={() => setPrinting(null)}><PickingList order={order} customerName={customerName} products={products} warehouseName={getWarehouseName(warehouseId)} /></PrintView>}
+            {printing?.shipment && <PrintView title={`出貨單: ${printing.shipment.shipmentNumber}`} onClose={() => setPrinting(null)}><DeliveryNote order={order} customerName={customerName} shipment={printing.shipment} products={products} warehouseName={getWarehouseName(printing.shipment.warehouseId || defaultWarehouseId)} /></PrintView>}
         </div>
     );
 };
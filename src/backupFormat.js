@@ -0,0 +1,165 @@
+// 備份封存檔格式，前端匯出 (App.js 的 DataBackup) 與還原指令 (scripts/restore.js) 共用。
+
+const BACKUP_FORMAT = 'inventory-backup';
+// 格式有不相容的變更時遞增，還原指令只接受 SUPPORTED_BACKUP_VERSIONS 內的版本
+const BACKUP_VERSION = 1;
+const SUPPORTED_BACKUP_VERSIONS = [1];
+
+// artifacts/{appId}/public/data 底下的所有集合
+const BACKUP_COLLECTIONS = [
+  'products',
+  'lots',
+  'customers',
+  'suppliers',
+  'productSuppliers',
+  'warehouses',
+  'priceLists',
+  'salesOrders',
+  'purchaseOrders',
+  'salesReturns',
+  'purchaseReturns',
+  'customerPayments',
+  'supplierPayments',
+  'stockCounts',
+  'stockTransfers',
+  'inventoryLogs',
+  'costLogs',
+  'counters',
+  'settings',
+  'schemaMigrations',
+  'users'
+];
+
+// 子集合以「父集合/子集合」為鍵，每筆記錄附上 parentId
+const BACKUP_SUBCOLLECTIONS = [
+  { parent: 'salesOrders', name: 'shipments' },
+  { parent: 'purchaseOrders', name: 'receipts' }
+];
+
+const getSubcollectionKey = ({ parent, name }) => `${parent}/${name}`;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+
+/**
+ * 將 Firestore 資料轉成可寫入 JSON 的值，Timestamp 與 Date 轉為 { __timestamp: ISO 字串 }
+ * @param {*} value Firestore 文件欄位值 (web 或 admin SDK 皆可)
+ * @returns {*}
+ */
+const serializeValue = (value) => {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return { __timestamp: value.toISOString() };
+  if (typeof value.toDate === 'function') return { __timestamp: value.toDate().toISOString() };
+  if (Array.isArray(value)) return value.map(serializeValue);
+  if (typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, fieldValue]) => [key, serializeValue(fieldValue)]));
+  }
+  return value;
+};
+
+/**
+ * serializeValue 的反向轉換
+ * @param {*} value 封存檔中的值
+ * @param {(date: Date) => *} toTimestamp 轉回目標 SDK 的 Timestamp
+ * @returns {*}
+ */
+const deserializeValue = (value, toTimestamp) => {
+  if (Array.isArray(value)) return value.map(item => deserializeValue(item, toTimestamp));
+  if (isPlainObject(value)) {
+    if (typeof value.__timestamp === 'string' && Object.keys(value).length === 1) return toTimestamp(new Date(value.__timestamp));
+    return Object.fromEntries(Object.entries(value).map(([key, fieldValue]) => [key, deserializeValue(fieldValue, toTimestamp)]));
+  }
+  return value;
+};
+
+/**
+ * 建立封存檔物件
+ * @param {string} appId 來源的 Firebase Web App appId
+ * @param {Object<string, Array<{ id: string, data: object }>>} collections 各集合的文件
+ * @param {Object<string, Array<{ parentId: string, id: string, data: object }>>} subcollections 各子集合的文件
+ */
+const buildArchive = (appId, collections, subcollections) => ({
+  format: BACKUP_FORMAT,
+  version: BACKUP_VERSION,
+  appId,
+  exportedAt: new Date().toISOString(),
+  counts: Object.fromEntries([
+    ...Object.entries(collections).map(([name, docs]) => [name, docs.length]),
+    ...Object.entries(subcollections).map(([name, docs]) => [name, docs.length])
+  ]),
+  collections: Object.fromEntries(Object.entries(collections).map(([name, docs]) => [name, docs.map(({ id, data }) => ({ id, data: serializeValue(data) }))])),
+  subcollections: Object.fromEntries(Object.entries(subcollections).map(([name, docs]) => [name, docs.map(({ parentId, id, data }) => ({ parentId, id, data: serializeValue(data) }))]))
+});
+
+/**
+ * 檢查封存檔結構，回傳錯誤訊息陣列 (空陣列代表通過)
+ * @param {*} archive JSON.parse 後的封存檔
+ * @returns {string[]}
+ */
+const validateArchive = (archive) => {
+  const errors = [];
+  if (!isPlainObject(archive)) return ['封存檔不是 JSON 物件'];
+  if (archive.format !== BACKUP_FORMAT) errors.push(`format 應為 ${BACKUP_FORMAT}`);
+  if (!SUPPORTED_BACKUP_VERSIONS.includes(archive.version)) errors.push(`不支援的版本 ${archive.version} (支援: ${SUPPORTED_BACKUP_VERSIONS.join(', ')})`);
+  if (!isPlainObject(archive.collections)) return [...errors, '缺少 collections'];
+
+  const checkDocs = (name, docs, needsParent) => {
+    if (!Array.isArray(docs)) return errors.push(`${name} 不是陣列`);
+    const seen = new Set();
+    docs.forEach((docEntry, index) => {
+      if (!docEntry || typeof docEntry.id !== 'string' || !docEntry.id || docEntry.id.includes('/')) errors.push(`${name}[${index}] 的 id 無效`);
+      if (!isPlainObject(docEntry?.data)) errors.push(`${name}[${index}] 缺少 data`);
+      if (needsParent && typeof docEntry?.parentId !== 'string') errors.push(`${name}[${index}] 缺少 parentId`);
+      const key = needsParent ? `${docEntry?.parentId}/${docEntry?.id}` : docEntry?.id;
+      if (seen.has(key)) errors.push(`${name} 的 id ${key} 重複`);
+      seen.add(key);
+    });
+    if (archive.counts && archive.counts[name] !== undefined && archive.counts[name] !== docs.length) errors.push(`${name} 筆數 ${docs.length} 與 counts ${archive.counts[name]} 不符，檔案可能不完整`);
+  };
+
+  Object.entries(archive.collections).forEach(([name, docs]) => {
+    if (!BACKUP_COLLECTIONS.includes(name)) errors.push(`未知的集合 ${name}`);
+    checkDocs(name, docs, false);
+  });
+  const subcollectionKeys = BACKUP_SUBCOLLECTIONS.map(getSubcollectionKey);
+  Object.entries(archive.subcollections || {}).forEach(([name, docs]) => {
+    if (!subcollectionKeys.includes(name)) errors.push(`未知的子集合 ${name}`);
+    checkDocs(name, docs, true);
+    const parentName = name.split('/')[0];
+    const parentIds = new Set((archive.collections[parentName] || []).map(docEntry => docEntry.id));
+    if (Array.isArray(docs) && docs.some(docEntry => !parentIds.has(docEntry.parentId))) errors.push(`${name} 有找不到父文件的記錄`);
+  });
+  return errors;
+};
+
+const formatCsvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = isPlainObject(value) && typeof value.__timestamp === 'string' ? value.__timestamp : (typeof value === 'object' ? JSON.stringify(value) : String(value));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * 將一個集合轉為 CSV (第一欄為文件 id，巢狀欄位以 JSON 表示)，加上 BOM 讓 Excel 正確顯示中文
+ * @param {Array<{ id: string, parentId?: string, data: object }>} docs serializeValue 後的文件
+ * @returns {string}
+ */
+const toCsv = (docs) => {
+  const hasParent = docs.some(docEntry => docEntry.parentId);
+  const fields = [...new Set(docs.flatMap(docEntry => Object.keys(docEntry.data)))].sort();
+  const header = [...(hasParent ? ['parentId'] : []), 'id', ...fields];
+  const lines = docs.map(docEntry => [...(hasParent ? [docEntry.parentId] : []), docEntry.id, ...fields.map(field => docEntry.data[field])].map(formatCsvCell).join(','));
+  return `\uFEFF${[header.join(','), ...lines].join('\r\n')}`;
+};
+
+module.exports = {
+  BACKUP_FORMAT,
+  BACKUP_VERSION,
+  SUPPORTED_BACKUP_VERSIONS,
+  BACKUP_COLLECTIONS,
+  BACKUP_SUBCOLLECTIONS,
+  getSubcollectionKey,
+  serializeValue,
+  deserializeValue,
+  buildArchive,
+  validateArchive,
+  toCsv
+};
@@ -0,0 +1,71 @@
+import { BACKUP_FORMAT, BACKUP_VERSION, buildArchive, validateArchive, serializeValue, deserializeValue } from './backupFormat';
+
+// 模擬 Firestore Timestamp (只需要 toDate)
+const fakeTimestamp = (date) => ({ toDate: () => date });
+
+describe('serializeValue / deserializeValue', () => {
+  test('Timestamp 與 Date 轉為 __timestamp 後可還原，其他值保持不變', () => {
+    const createdAt = new Date('2026-01-02T03:04:05.000Z');
+    const data = {
+      orderNumber: 'SO-20260102-001',
+      createdAt: fakeTimestamp(createdAt),
+      shippedAt: createdAt,
+      items: [{ productId: 'p1', quantity: 2, price: 99.5 }],
+      stockByLocation: { main: 3 },
+      isDefault: false,
+      remarks: null
+    };
+    const serialized = JSON.parse(JSON.stringify(serializeValue(data)));
+    expect(serialized.createdAt).toEqual({ __timestamp: '2026-01-02T03:04:05.000Z' });
+    expect(serialized.shippedAt).toEqual({ __timestamp: '2026-01-02T03:04:05.000Z' });
+
+    const restored = deserializeValue(serialized, (date) => date);
+    expect(restored).toEqual({ ...data, createdAt });
+  });
+
+  test('含其他欄位的物件不視為 Timestamp', () => {
+    const value = { __timestamp: '2026-01-02T03:04:05.000Z', note: 'x' };
+    expect(deserializeValue(value, () => 'timestamp')).toEqual(value);
+  });
+});
+
+describe('validateArchive', () => {
+  const buildValidArchive = () => JSON.parse(JSON.stringify(buildArchive('test-app',
+    { salesOrders: [{ id: 'so1', data: { orderNumber: 'SO-20260102-001' } }], products: [] },
+    { 'salesOrders/shipments': [{ parentId: 'so1', id: 'sh1', data: { shipmentNumber: 'SO-20260102-001-1' } }] }
+  )));
+
+  test('buildArchive 產生的封存檔通過檢查', () => {
+    const archive = buildValidArchive();
+    expect(archive.format).toBe(BACKUP_FORMAT);
+    expect(archive.version).toBe(BACKUP_VERSION);
+    expect(validateArchive(archive)).toEqual([]);
+  });
+
+  test('拒絕非物件、格式或版本不符的檔案', () => {
+    expect(validateArchive([])).toEqual(['封存檔不是 JSON 物件']);
+    expect(validateArchive({ ...buildValidArchive(), format: 'other' })).toEqual([`format 應為 ${BACKUP_FORMAT}`]);
+    expect(validateArchive({ ...buildValidArchive(), version: 99 })).toHaveLength(1);
+    expect(validateArchive({ format: BACKUP_FORMAT, version: BACKUP_VERSION })).toEqual(['缺少 collections']);
+  });
+
+  test('檢查未知集合、重複或無效的 id 與筆數不符', () => {
+    const archive = buildValidArchive();
+    archive.collections.unknown = [];
+    archive.collections.products = [{ id: 'p1', data: {} }, { id: 'p1', data: {} }, { id: 'a/b', data: {} }];
+    const errors = validateArchive(archive);
+    expect(errors).toContain('未知的集合 unknown');
+    expect(errors).toContain('products 的 id p1 重複');
+    expect(errors).toContain('products[2] 的 id 無效');
+    expect(errors).toContain('products 筆數 3 與 counts 0 不符，檔案可能不完整');
+  });
+
+  test('子集合需有 parentId 且父文件存在', () => {
+    const archive = buildValidArchive();
+    archive.subcollections['salesOrders/shipments'].push({ parentId: 'missing', id: 'sh2', data: {} }, { id: 'sh3', data: {} });
+    archive.counts['salesOrders/shipments'] = 3;
+    const errors = validateArchive(archive);
+    expect(errors).toContain('salesOrders/shipments[2] 缺少 parentId');
+    expect(errors).toContain('salesOrders/shipments 有找不到父文件的記錄');
+  });
+});
@@ -0,0 +1,45 @@
+import { isCode128Encodable, encodeCode128, getEan13CheckDigit } from './barcode';
+
+// 每個字元 6 條線，結束碼 7 條；第 index 個字元 (0 為起始碼) 的線條寬度
+const symbolAt = (bars, index) => bars.slice(index * 6, index * 6 + 6);
+const START_B = [2, 1, 1, 2, 1, 4];
+const START_C = [2, 1, 1, 2, 3, 2];
+const STOP = [2, 3, 3, 1, 1, 1, 2];
+
+describe('encodeCode128', () => {
+  test('偶數位數字使用 Code C，每兩位一個字元', () => {
+    const bars = encodeCode128('1234');
+    expect(symbolAt(bars, 0)).toEqual(START_C);
+    // 起始碼、12、34、檢查碼、結束碼
+    expect(bars).toHaveLength(4 * 6 + 7);
+    expect(bars.slice(-7)).toEqual(STOP);
+    expect(bars.reduce((sum, width) => sum + width, 0)).toBe(4 * 11 + 13);
+  });
+
+  test('奇數位數字或含英文字母時使用 Code B', () => {
+    expect(symbolAt(encodeCode128('123'), 0)).toEqual(START_B);
+    expect(encodeCode128('123')).toHaveLength(5 * 6 + 7);
+    expect(symbolAt(encodeCode128('12AB'), 0)).toEqual(START_B);
+  });
+
+  test('檢查碼為起始碼加上各字元值乘以位置的總和除以 103 的餘數', () => {
+    // Code C: (105 + 12×1 + 34×2) % 103 = 82，與 Code C 字元 "82" 的線條相同
+    expect(symbolAt(encodeCode128('1234'), 3)).toEqual(symbolAt(encodeCode128('82'), 1));
+    // Code B: (104 + 33×1 + 17×2) % 103 = 68，與 Code B 字元 "d" (值 68) 的線條相同
+    expect(symbolAt(encodeCode128('A1'), 3)).toEqual(symbolAt(encodeCode128('d'), 1));
+  });
+
+  test('無法編碼的文字拋出錯誤', () => {
+    expect(isCode128Encodable('ABC-123')).toBe(true);
+    expect(isCode128Encodable('商品')).toBe(false);
+    expect(isCode128Encodable('')).toBe(false);
+    expect(() => encodeCode128('條碼')).toThrow('無法以 Code 128 編碼');
+  });
+});
+
+describe('getEan13CheckDigit', () => {
+  test('依前 12 碼計算檢查碼', () => {
+    expect(getEan13CheckDigit('400638133393')).toBe(1);
+    expect(getEan13CheckDigit('471000000000')).toBe(4);
+  });
+});
@@ -0,0 +1,473 @@
+// 各集合的文件模型，App.js 的每一次寫入與 Node 腳本 (seed、migrate) 都經過 validateDocument，
+// 避免不同寫入端的欄位型別漂移 (例如表單送出的數字字串、遺漏的欄位)。
+const { TIER_MAP, PRICE_LIST_KIND_MAP, PRICE_SOURCE_MAP, APPROVAL_REASON_MAP, DISCOUNT_TYPE_MAP, ROLE_MAP, ADJUST_REASON_MAP, PAYMENT_METHOD_MAP, TAX_MODE_MAP, SALES_ORDER_STATUSES, PURCHASE_ORDER_STATUSES, STOCK_COUNT_STATUSES } = require('./schema');
+
+class ValidationError extends Error {
+  constructor(collectionName, errors) {
+    super(`${collectionName} 資料格式錯誤: ${errors.join('；')}`);
+    this.name = 'ValidationError';
+    this.errors = errors;
+  }
+}
+
+// 欄位型別: string | number | integer | boolean | timestamp | enum (values) | map (數字對照表) | array (of: 子欄位模型)
+// required 的欄位在新增時必填，nullable 允許 null (例如尚未輸入的實盤數量)
+const string = (options = {}) => ({ type: 'string', ...options });
+const number = (options = {}) => ({ type: 'number', ...options });
+const integer = (options = {}) => ({ type: 'integer', ...options });
+const boolean = (options = {}) => ({ type: 'boolean', ...options });
+const timestamp = (options = {}) => ({ type: 'timestamp', ...options });
+const oneOf = (values, options = {}) => ({ type: 'enum', values, ...options });
+const numberMap = (options = {}) => ({ type: 'map', ...options });
+const arrayOf = (fields, options = {}) => ({ type: 'array', of: fields, ...options });
+
+const TAX_MODES = Object.keys(TAX_MODE_MAP);
+const LOG_TYPES = ['in', 'out', 'return', 'adjust', 'transfer'];
+
+const amountFields = {
+  taxMode: oneOf(TAX_MODES),
+  netAmount: number({ min: 0 }),
+  taxAmount: number({ min: 0 }),
+  totalAmount: number({ required: true, min: 0 })
+};
+
+// 銷售單與採購單共用的品項欄位 (表單的品項同時帶有 price 與 cost)
+const orderItemFields = {
+  productId: string({ required: true }),
+  name: string({ required: true }),
+  quantity: integer({ required: true, min: 1 }),
+  price: number({ min: 0 }),
+  cost: number({ min: 0 }),
+  reservedQuantity: integer({ min: 0 }),
+  shippedQuantity: integer({ min: 0 }),
+  receivedQuantity: integer({ min: 0 }),
+  returnedQuantity: integer({ min: 0 }),
+  costAtSale: number({ min: 0 }),
+  // 銷售單: 定價引擎算出的牌價與來源，手動改價時 price 與 listPrice 不同並記錄原因
+  listPrice: number({ min: 0 }),
+  priceSource: oneOf(Object.keys(PRICE_SOURCE_MAP)),
+  priceListId: string(),
+  priceListName: string(),
+  overrideReason: string(),
+  discountType: oneOf(Object.keys(DISCOUNT_TYPE_MAP)),
+  discountValue: number({ min: 0 }),
+  // 採購單: 下單當時的供應商料號
+  supplierSku: string()
+};
+
+const movementItemFields = {
+  productId: string({ required: true }),
+  name: string({ required: true }),
+  quantity: integer({ required: true, min: 1 })
+};
+
+// partyName / partyCode / partyTier 為下單當時客戶或供應商的快照，關聯以 customerId / supplierId 為準
+const orderFields = {
+  orderNumber: string({ required: true }),
+  partyName: string({ required: true }),
+  partyCode: string(),
+  items: arrayOf(orderItemFields, { required: true }),
+  ...amountFields,
+  returnedAmount: number({ min: 0 }),
+  cancelReason: string(),
+  cancelledBy: string(),
+  cancelledAt: timestamp(),
+  createdBy: string(),
+  updatedBy: string(),
+  updatedAt: timestamp(),
+  createdAt: timestamp({ required: true })
+};
+
+const paymentFields = {
+  paymentNumber: string({ required: true }),
+  partyName: string({ required: true }),
+  partyCode: string(),
+  paidAt: timestamp({ required: true }),
+  amount: number({ required: true, min: 0.01 }),
+  method: oneOf(Object.keys(PAYMENT_METHOD_MAP), { required: true }),
+  reference: string(),
+  remarks: string(),
+  createdBy: string({ required: true }),
+  createdAt: timestamp({ required: true })
+};
+
+const MODELS = {
+  products: {
+    sku: string({ required: true }),
+    // 商品條碼 (EAN 等)，掃描時與 sku 一併比對
+    barcode: string(),
+    brand: string(),
+    name: string({ required: true }),
+    spec: string(),
+    description: string(),
+    ...Object.fromEntries(Object.keys(TIER_MAP).map(tier => [`price_${tier}`, number({ required: true, min: 0 })])),
+    // 最低售價，手動改價低於此價的銷售單需管理員特別核准；0 表示不限制
+    floorPrice: number({ min: 0 }),
+    // 補貨設定，未設定時補貨建議依銷售速度與交期估算 (慣用供應商記錄在 productSuppliers)
+    reorderPoint: integer({ min: 0, nullable: true }),
+    maxStock: integer({ min: 0, nullable: true }),
+    lowStockThreshold: integer({ min: 0 }),
+    // 批號管理: 收貨需登記批號與有效期限，出貨依先到期先出分配批號
+    lotTracked: boolean(),
+    averageCost: number({ required: true, min: 0 }),
+    cost: number({ required: true, min: 0 }),
+    stock: integer({ required: true }),
+    stockByLocation: numberMap(),
+    reserved: integer({ required: true, min: 0 }),
+    createdAt: timestamp({ required: true })
+  },
+  customers: {
+    code: string({ required: true }),
+    name: string({ required: true }),
+    tier: oneOf(Object.keys(TIER_MAP), { required: true })
+  },
+  suppliers: {
+    code: string({ required: true }),
+    name: string({ required: true }),
+    // 下單到到貨的天數
+    leadTimeDays: integer({ min: 0 })
+  },
+  // 商品與供應商的供應關係: 供應商料號、最小訂購量、交期與最近進價；每個商品最多一筆 isPreferred
+  productSuppliers: {
+    productId: string({ required: true }),
+    supplierId: string({ required: true }),
+    supplierSku: string(),
+    minOrderQuantity: integer({ min: 0 }),
+    // 未填寫時使用供應商的交期
+    leadTimeDays: integer({ min: 0, nullable: true }),
+    // 收貨時更新為該供應商最近一次採購單上的進價，lastPriceTaxMode 為該採購單的稅別 (未記錄時視為未稅進價)
+    lastPrice: number({ min: 0 }),
+    lastPriceTaxMode: oneOf(TAX_MODES),
+    lastPurchasedAt: timestamp(),
+    isPreferred: boolean(),
+    updatedAt: timestamp()
+  },
+  // 各倉庫各批號的結存，隨收貨與出貨異動
+  lots: {
+    productId: string({ required: true }),
+    productName: string({ required: true }),
+    warehouseId: string({ required: true }),
+    lotNumber: string({ required: true }),
+    expiryDate: timestamp({ nullable: true }),
+    quantity: integer({ required: true, min: 0 }),
+    receivedQuantity: integer({ min: 0 }),
+    firstReceivedAt: timestamp({ required: true }),
+    updatedAt: timestamp()
+  },
+  warehouses: {
+    code: string({ required: true }),
+    name: string({ required: true }),
+    isDefault: boolean()
+  },
+  // 價目表: effectiveTo 為 null 表示無結束日；品項依 minQuantity 設定數量級距
+  priceLists: {
+    name: string({ required: true }),
+    kind: oneOf(Object.keys(PRICE_LIST_KIND_MAP), { required: true }),
+    tier: oneOf(Object.keys(TIER_MAP), { nullable: true }),
+    customerId: string({ nullable: true }),
+    partyName: string({ nullable: true }),
+    effectiveFrom: timestamp({ required: true }),
+    effectiveTo: timestamp({ nullable: true }),
+    items: arrayOf({
+      productId: string({ required: true }),
+      name: string({ required: true }),
+      minQuantity: integer({ required: true, min: 1 }),
+      price: number({ required: true, min: 0 })
+    }, { required: true }),
+    remarks: string(),
+    updatedBy: string(),
+    updatedAt: timestamp({ required: true })
+  },
+  users: {
+    email: string(),
+    role: oneOf(Object.keys(ROLE_MAP), { required: true }),
+    updatedAt: timestamp()
+  },
+  salesOrders: {
+    ...orderFields,
+    customerId: string(),
+    partyTier: oneOf(Object.keys(TIER_MAP)),
+    // 整張訂單折扣；grossAmount 為折扣前金額，discountAmount 為品項與整單折扣合計
+    discountType: oneOf(Object.keys(DISCOUNT_TYPE_MAP)),
+    discountValue: number({ min: 0 }),
+    grossAmount: number({ min: 0 }),
+    discountAmount: number({ min: 0 }),
+    // 依商品平均成本估算的成本與毛利率 (下單時)
+    estimatedCost: number({ min: 0 }),
+    marginPercent: number(),
+    approvalReasons: arrayOf({ code: oneOf(Object.keys(APPROVAL_REASON_MAP), { required: true }), message: string({ required: true }) }),
+    status: oneOf(SALES_ORDER_STATUSES, { required: true }),
+    approvedAt: timestamp(),
+    shipmentCount: integer({ min: 0 }),
+    // 每次出貨的金額與銷貨成本 (與 shipments 子集合的出貨紀錄相同)，應收帳款與報表依此認列，不必逐張讀取出貨紀錄
+    shipmentSummaries: arrayOf({
+      shipmentId: string({ required: true }),
+      shipmentNumber: string({ required: true }),
+      shippedAt: timestamp({ required: true }),
+      ...amountFields,
+      costAmount: number({ min: 0 })
+    }),
+    lastShippedAt: timestamp(),
+    shippedAt: timestamp(),
+    closedAt: timestamp(),
+    remarks: string()
+  },
+  purchaseOrders: {
+    ...orderFields,
+    supplierId: string(),
+    status: oneOf(PURCHASE_ORDER_STATUSES, { required: true }),
+    receiptCount: integer({ min: 0 }),
+    // 每次收貨的金額 (與 receipts 子集合的收貨紀錄相同)，應付帳款與進項稅額依此認列
+    receiptSummaries: arrayOf({
+      receiptId: string({ required: true }),
+      receiptNumber: string({ required: true }),
+      receivedAt: timestamp({ required: true }),
+      ...amountFields
+    }),
+    lastReceivedAt: timestamp(),
+    receivedAt: timestamp(),
+    closedAt: timestamp()
+  },
+  shipments: {
+    shipmentNumber: string({ required: true }),
+    warehouseId: string({ required: true }),
+    items: arrayOf({
+      ...movementItemFields,
+      costAtSale: number({ required: true, min: 0 }),
+      // 分攤折扣後的實際單價，出貨金額據此計算
+      price: number({ min: 0 }),
+      // 批號商品各批出貨的數量，合計等於出貨數量
+      lots: arrayOf({ lotNumber: string({ required: true }), quantity: integer({ required: true, min: 1 }) })
+    }, { required: true }),
+    // 本次出貨的金額，沿用訂單稅別；應收帳款與銷項稅額依出貨日期認列
+    ...amountFields,
+    shippedBy: string({ required: true }),
+    shippedAt: timestamp({ required: true })
+  },
+  receipts: {
+    receiptNumber: string({ required: true }),
+    warehouseId: string({ required: true }),
+    items: arrayOf({ ...movementItemFields, cost: number({ required: true, min: 0 }), lotNumber: string(), expiryDate: timestamp({ nullable: true }) }, { required: true }),
+    // 本次收貨的金額，沿用採購單稅別
+    ...amountFields,
+    receivedBy: string({ required: true }),
+    receivedAt: timestamp({ required: true })
+  },
+  salesReturns: {
+    returnNumber: string({ required: true }),
+    warehouseId: string({ required: true }),
+    orderId: string({ required: true }),
+    orderNumber: string({ required: true }),
+    customerId: string(),
+    partyName: string({ required: true }),
+    items: arrayOf({ ...movementItemFields, price: number({ required: true, min: 0 }), costAtSale: number({ required: true, min: 0 }), lotNumber: string() }, { required: true }),
+    ...amountFields,
+    totalCost: number({ min: 0 }),
+    reason: string({ required: true }),
+    createdBy: string({ required: true }),
+    createdAt: timestamp({ required: true })
+  },
+  purchaseReturns: {
+    returnNumber: string({ required: true }),
+    warehouseId: string({ required: true }),
+    orderId: string({ required: true }),
+    orderNumber: string({ required: true }),
+    supplierId: string(),
+    partyName: string({ required: true }),
+    items: arrayOf({ ...movementItemFields, cost: number({ required: true, min: 0 }), lotNumber: string() }, { required: true }),
+    ...amountFields,
+    reason: string({ required: true }),
+    createdBy: string({ required: true }),
+    createdAt: timestamp({ required: true })
+  },
+  customerPayments: { ...paymentFields, customerId: string() },
+  supplierPayments: { ...paymentFields, supplierId: string() },
+  stockCounts: {
+    countNumber: string({ required: true }),
+    warehouseId: string({ required: true }),
+    items: arrayOf({
+      productId: string({ required: true }),
+      sku: string(),
+      name: string({ required: true }),
+      // 批號商品依倉庫現有的批號逐批盤點
+      lotNumber: string(),
+      // 倉庫沒有此商品的批號結存或盤點到未列出的批號時，批號與有效期限由盤點人員輸入，核准盤盈時建立批號
+      manualLot: boolean(),
+      expiryDate: timestamp({ nullable: true }),
+      countedQuantity: integer({ required: true, nullable: true, min: 0 }),
+      // 舊盤點單在品項上記錄帳面數量與差異，新的盤點單帳面數量記錄在 systemStocks，差異於核准時計算
+      systemStock: integer(),
+      variance: integer(),
+      reasonCode: oneOf(Object.keys(ADJUST_REASON_MAP))
+    }, { required: true }),
+    // 送出時各品項的帳面數量，以品項位置為 key
+    systemStocks: numberMap(),
+    status: oneOf(STOCK_COUNT_STATUSES, { required: true }),
+    createdBy: string({ required: true }),
+    createdAt: timestamp({ required: true }),
+    submittedBy: string(),
+    submittedAt: timestamp(),
+    approvedBy: string(),
+    approvedAt: timestamp()
+  },
+  stockTransfers: {
+    transferNumber: string({ required: true }),
+    fromWarehouseId: string({ required: true }),
+    toWarehouseId: string({ required: true }),
+    items: arrayOf({ ...movementItemFields, lotNumber: string() }, { required: true }),
+    createdBy: string({ required: true }),
+    createdAt: timestamp({ required: true })
+  },
+  inventoryLogs: {
+    productId: string({ required: true }),
+    productName: string({ required: true }),
+    type: oneOf(LOG_TYPES, { required: true }),
+    source: oneOf(['purchaseReturn']),
+    reasonCode: oneOf(Object.keys(ADJUST_REASON_MAP)),
+    lotNumber: string(),
+    change: integer({ required: true }),
+    newStock: integer({ required: true }),
+    warehouseId: string({ required: true }),
+    locationStock: integer({ required: true }),
+    relatedDoc: string({ required: true }),
+    timestamp: timestamp({ required: true })
+  },
+  costLogs: {
+    productId: string({ required: true }),
+    productName: string({ required: true }),
+    type: oneOf(LOG_TYPES, { required: true }),
+    source: oneOf(['purchaseReturn']),
+    relatedDoc: string({ required: true }),
+    oldAvgCost: number({ required: true }),
+    newAvgCost: number({ required: true }),
+    timestamp: timestamp({ required: true })
+  },
+  counters: {
+    period: string({ required: true }),
+    seq: integer({ required: true, min: 1 }),
+    updatedAt: timestamp({ required: true })
+  },
+  // 系統設定，每個文件為一組設定 (settings/sales: 銷售單核准門檻)
+  settings: {
+    minMarginPercent: number(),
+    // settings/company: 列印單據的公司抬頭
+    companyName: string(),
+    taxId: string(),
+    address: string(),
+    phone: string(),
+    updatedBy: string(),
+    updatedAt: timestamp({ required: true })
+  },
+  // 已套用的資料遷移，由 scripts/migrate.js 寫入
+  schemaMigrations: {
+    version: integer({ required: true, min: 1 }),
+    name: string({ required: true }),
+    description: string(),
+    updatedCount: integer({ min: 0 }),
+    appliedAt: timestamp({ required: true })
+  }
+};
+
+// Timestamp、Date 與 serverTimestamp() 等 FieldValue (web 與 admin SDK 皆有 isEqual)
+const isTimestampValue = (value) => value instanceof Date || (value !== null && typeof value === 'object' && typeof value.isEqual === 'function');
+
+const toNumber = (value) => {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value))) return Number(value);
+  return NaN;
+};
+
+const normalizeField = (field, value, path, errors, options) => {
+  if (value === null) {
+    if (!field.nullable) errors.push(`${path} 不可為空值`);
+    return null;
+  }
+  switch (field.type) {
+    case 'string':
+      if (typeof value === 'number') return String(value);
+      if (typeof value !== 'string') errors.push(`${path} 應為文字`);
+      return typeof value === 'string' ? value.trim() : value;
+    case 'number':
+    case 'integer': {
+      const numberValue = toNumber(value);
+      if (!Number.isFinite(numberValue)) errors.push(`${path} 應為數字`);
+      else if (field.type === 'integer' && !Number.isInteger(numberValue)) errors.push(`${path} 應為整數`);
+      else if (field.min !== undefined && numberValue < field.min) errors.push(`${path} 不可小於 ${field.min}`);
+      return Number.isFinite(numberValue) ? numberValue : value;
+    }
+    case 'boolean':
+      if (typeof value !== 'boolean') errors.push(`${path} 應為是/否`);
+      return value;
+    case 'timestamp':
+      if (!isTimestampValue(value)) errors.push(`${path} 應為日期時間`);
+      return value;
+    case 'enum':
+      if (!field.values.includes(value)) errors.push(`${path} 的值 ${value} 不在允許範圍 (${field.values.join(', ')})`);
+      return value;
+    case 'map':
+      if (typeof value !== 'object' || Array.isArray(value) || isTimestampValue(value)) {
+        errors.push(`${path} 應為對照表`);
+        return value;
+      }
+      return Object.fromEntries(Object.entries(value).map(([key, entryValue]) => {
+        const numberValue = toNumber(entryValue);
+        if (!Number.isFinite(numberValue)) errors.push(`${path}.${key} 應為數字`);
+        return [key, Number.isFinite(numberValue) ? numberValue : entryValue];
+      }));
+    case 'array':
+      if (!Array.isArray(value)) {
+        errors.push(`${path} 應為陣列`);
+        return value;
+      }
+      return value.map((item, index) => normalizeFields(field.of, item, `${path}[${index}]`, errors, { ...options, partial: false }));
+    default:
+      return value;
+  }
+};
+
+const normalizeFields = (fields, data, path, errors, options) => {
+  if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+    errors.push(`${path || '文件'} 應為物件`);
+    return data;
+  }
+  const result = {};
+  Object.entries(data).forEach(([key, value]) => {
+    const fieldPath = path ? `${path}.${key}` : key;
+    if (value === undefined) return;
+    if (!fields[key]) {
+      if (options.allowUnknown) result[key] = value;
+      else errors.push(`未定義的欄位 ${fieldPath}`);
+      return;
+    }
+    result[key] = normalizeField(fields[key], value, fieldPath, errors, options);
+  });
+  if (!options.partial) {
+    Object.entries(fields).forEach(([key, field]) => {
+      if (field.required && result[key] === undefined) errors.push(`缺少必填欄位 ${path ? `${path}.${key}` : key}`);
+    });
+  }
+  return result;
+};
+
+/**
+ * 依集合的模型檢查並正規化要寫入的資料 (數字字串轉為數字、文字去除前後空白、移除 undefined)
+ * @param {string} collectionName 集合名稱 (子集合為 shipments / receipts)
+ * @param {object} data 要寫入的資料
+ * @param {{ partial?: boolean, allowUnknown?: boolean }} options partial: 更新部分欄位時不檢查必填；allowUnknown: 保留模型未定義的欄位 (遷移舊資料時使用)
+ * @returns {object} 正規化後的資料
+ * @throws {ValidationError}
+ */
+const validateDocument = (collectionName, data, options = {}) => {
+  const fields = MODELS[collectionName];
+  if (!fields) throw new ValidationError(collectionName, ['未定義的集合']);
+  const errors = [];
+  const result = normalizeFields(fields, data, '', errors, options);
+  if (errors.length > 0) throw new ValidationError(collectionName, errors);
+  return result;
+};
+
+module.exports = {
+  MODELS,
+  ValidationError,
+  validateDocument
+};
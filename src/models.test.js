@@ -0,0 +1,47 @@
+import { validateDocument, ValidationError } from './models';
+
+describe('validateDocument', () => {
+  test('新增時檢查必填欄位', () => {
+    expect(() => validateDocument('customers', { name: '測試客戶', tier: 'retail' })).toThrow('缺少必填欄位 code');
+    expect(validateDocument('customers', { code: 'C-001', name: '測試客戶', tier: 'retail' })).toEqual({ code: 'C-001', name: '測試客戶', tier: 'retail' });
+  });
+
+  test('partial 更新時不檢查必填欄位，但仍檢查型別', () => {
+    expect(validateDocument('customers', { name: '改名' }, { partial: true })).toEqual({ name: '改名' });
+    expect(() => validateDocument('customers', { tier: 'platinum' }, { partial: true })).toThrow(ValidationError);
+  });
+
+  test('partial 更新陣列時仍檢查每個元素的必填欄位', () => {
+    expect(() => validateDocument('stockTransfers', { items: [{ productId: 'p1', quantity: 1 }] }, { partial: true })).toThrow('缺少必填欄位 items[0].name');
+  });
+
+  test('未定義的欄位視為錯誤，allowUnknown 時保留', () => {
+    expect(() => validateDocument('customers', { name: '改名', nickname: '小名' }, { partial: true })).toThrow('未定義的欄位 nickname');
+    expect(validateDocument('customers', { nickname: '小名' }, { partial: true, allowUnknown: true })).toEqual({ nickname: '小名' });
+    expect(() => validateDocument('unknownCollection', {})).toThrow('未定義的集合');
+  });
+
+  test('數字字串轉為數字，無法轉換或不符整數、最小值時為錯誤', () => {
+    expect(validateDocument('suppliers', { leadTimeDays: '7' }, { partial: true })).toEqual({ leadTimeDays: 7 });
+    expect(validateDocument('products', { floorPrice: ' 12.5 ' }, { partial: true })).toEqual({ floorPrice: 12.5 });
+    expect(() => validateDocument('suppliers', { leadTimeDays: 'abc' }, { partial: true })).toThrow('leadTimeDays 應為數字');
+    expect(() => validateDocument('suppliers', { leadTimeDays: '' }, { partial: true })).toThrow('leadTimeDays 應為數字');
+    expect(() => validateDocument('suppliers', { leadTimeDays: '1.5' }, { partial: true })).toThrow('leadTimeDays 應為整數');
+    expect(() => validateDocument('suppliers', { leadTimeDays: -1 }, { partial: true })).toThrow('leadTimeDays 不可小於 0');
+  });
+
+  test('文字去除前後空白，undefined 欄位移除，null 只允許 nullable 欄位', () => {
+    expect(validateDocument('customers', { name: '  測試客戶 ', code: undefined }, { partial: true })).toEqual({ name: '測試客戶' });
+    expect(validateDocument('products', { reorderPoint: null }, { partial: true })).toEqual({ reorderPoint: null });
+    expect(() => validateDocument('customers', { name: null }, { partial: true })).toThrow('name 不可為空值');
+  });
+
+  test('錯誤訊息列出所有錯誤欄位', () => {
+    let error;
+    try {
+      validateDocument('customers', { tier: 'platinum', nickname: '小名' });
+    } catch (caught) { error = caught; }
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.errors).toHaveLength(4);
+  });
+});
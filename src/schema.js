@@ -0,0 +1,214 @@
+// 資料結構定義，前端 (App.js) 與 Node 腳本 (scripts/seed.js、scripts/restore.js) 共用，
+// 欄位名稱、等級、單號格式與稅額計算只在這裡定義一次。
+// 以 CommonJS 撰寫，讓 Node 腳本可以直接 require，CRA 也能正常 import。
+
+// 所有業務資料都位於 artifacts/{appId}/public/data 之下
+const getDataRoot = (appId) => `artifacts/${appId}/public/data`;
+
+// 批次寫入每批的文件數: Firestore 單一批次上限 500 筆寫入，保留餘裕
+const WRITE_BATCH_SIZE = 400;
+
+// 客戶等級，商品以 price_{tier} 欄位記錄各等級售價
+const TIER_MAP = {
+  retail: '零售',
+  bronze: '銅牌',
+  silver: '銀牌',
+  gold: '金牌'
+};
+const getPriceField = (tier) => `price_${tier}`;
+
+// 價目表類型: 等級價目表 (可限定客戶等級)、客戶合約價 (指定客戶)、限時促銷 (可限定客戶等級)
+const PRICE_LIST_KIND_MAP = {
+  tier: '等級價目表',
+  contract: '客戶合約價',
+  promotion: '限時促銷'
+};
+
+// 銷售單品項記錄實際採用的售價來源，base 為商品主檔的等級售價 (price_{tier})
+const PRICE_SOURCE_MAP = {
+  base: '商品售價',
+  tier: '等級價目表',
+  contract: '客戶合約價',
+  promotion: '限時促銷'
+};
+
+// 銷售單需要管理員特別留意才能批准的原因
+const APPROVAL_REASON_MAP = {
+  belowFloor: '低於最低售價',
+  lowMargin: '毛利率過低'
+};
+
+// 毛利率低於門檻的銷售單需特別核准；門檻可在 settings/sales 調整，未設定時使用預設值
+const DEFAULT_MIN_MARGIN_PERCENT = 10;
+
+// 商品與供應商的供應關係 (productSuppliers) 以「商品 id_供應商 id」為文件 id，同一組只會有一筆
+const getProductSupplierDocId = (productId, supplierId) => `${productId}_${supplierId}`;
+
+// 批號結存 (lots) 以「商品 id_倉庫 id_批號」為文件 id，批號可能含有 / 等文件 id 不允許的字元，先行編碼
+const getLotDocId = (productId, warehouseId, lotNumber) => `${productId}_${warehouseId}_${encodeURIComponent(lotNumber)}`;
+
+// 角色由 users/{uid} 文件決定，Firestore 安全規則 (firestore.rules) 以相同的值進行權限控管
+const ROLE_MAP = {
+  admin: '管理員',
+  warehouse: '倉庫人員'
+};
+
+// 盤點差異核准時必須選擇的原因代碼
+const ADJUST_REASON_MAP = {
+  damage: '損壞',
+  loss: '遺失',
+  found: '盤盈',
+  sample: '樣品'
+};
+
+const PAYMENT_METHOD_MAP = {
+  transfer: '匯款',
+  cash: '現金',
+  check: '支票',
+  card: '信用卡'
+};
+
+// 各類單據的狀態
+const SALES_ORDER_STATUSES = ['Pending Approval', 'Pending Shipment', 'Partially Shipped', 'Completed', 'Closed', 'Cancelled'];
+// 銷售單與採購單的品項上限: 安全規則逐一檢查倉庫人員出貨、收貨時異動的品項，最多只能檢查這麼多個
+// (firestore.rules 的 onlyShipmentItemChanges、onlyReceivingItemChanges)
+const MAX_ORDER_ITEMS = 30;
+// 採購單的 Draft 為補貨建議產生的草稿，確認下單後才進入 Pending (待收貨)
+const PURCHASE_ORDER_STATUSES = ['Draft', 'Pending', 'Partially Received', 'Received', 'Closed', 'Cancelled'];
+const STOCK_COUNT_STATUSES = ['Counting', 'Pending Approval', 'Approved'];
+
+// 各類單據的單號格式: {prefix}-{期間}-{流水號}，period 決定流水號重新起算的週期 ('day' | 'month' | 'none')
+const DOC_NUMBER_FORMATS = {
+  salesOrders: { prefix: 'SO', period: 'day', digits: 3 },
+  purchaseOrders: { prefix: 'PO', period: 'day', digits: 3 },
+  salesReturns: { prefix: 'RMA', period: 'day', digits: 3 },
+  purchaseReturns: { prefix: 'PR', period: 'day', digits: 3 },
+  stockCounts: { prefix: 'SC', period: 'month', digits: 3 },
+  stockTransfers: { prefix: 'TR', period: 'day', digits: 3 },
+  customerPayments: { prefix: 'RC', period: 'day', digits: 3 },
+  supplierPayments: { prefix: 'PY', period: 'day', digits: 3 }
+};
+
+const formatDocPeriod = (date, period) => {
+  const yyyy = date.getFullYear();
+  const mm = String(date.getMonth() + 1).padStart(2, '0');
+  const dd = String(date.getDate()).padStart(2, '0');
+  if (period === 'day') return `${yyyy}${mm}${dd}`;
+  if (period === 'month') return `${yyyy}${mm}`;
+  return '';
+};
+
+// 計數器文件 counters/{docType} 記錄 { period, seq }，單號由兩者組成
+const formatDocNumber = (docType, period, seq) => {
+  const format = DOC_NUMBER_FORMATS[docType];
+  return [format.prefix, period, String(seq).padStart(format.digits, '0')].filter(Boolean).join('-');
+};
+
+// 營業稅: 單據依稅別計算，未稅金額 (netAmount) 與稅額 (taxAmount) 分開儲存，totalAmount 為含稅總額
+const TAX_RATE = 0.05;
+const TAX_MODE_MAP = {
+  exclusive: '外加稅 5%',
+  inclusive: '內含稅 5%',
+  exempt: '免稅'
+};
+
+// 稅額四捨五入至整數元；稅別上線前的單據沒有另計稅額，視為免稅
+const calculateTax = (subtotal, taxMode = 'exempt') => {
+  if (taxMode === 'exclusive') {
+    const taxAmount = Math.round(subtotal * TAX_RATE);
+    return { taxMode, netAmount: subtotal, taxAmount, totalAmount: subtotal + taxAmount };
+  }
+  if (taxMode === 'inclusive') {
+    const netAmount = Math.round(subtotal / (1 + TAX_RATE));
+    return { taxMode, netAmount, taxAmount: subtotal - netAmount, totalAmount: subtotal };
+  }
+  return { taxMode: 'exempt', netAmount: subtotal, taxAmount: 0, totalAmount: subtotal };
+};
+
+// 折扣: percent 為百分比，amount 為折抵金額 (品項為整行折抵)；百分比折扣四捨五入至整數元，且不超過折扣前金額
+const DISCOUNT_TYPE_MAP = {
+  percent: '%',
+  amount: '元'
+};
+
+const getDiscountAmount = (baseAmount, discountType, discountValue) => {
+  if (!discountValue || baseAmount <= 0) return 0;
+  const amount = discountType === 'percent' ? Math.round(baseAmount * discountValue / 100) : discountValue;
+  return Math.min(baseAmount, Math.max(0, amount));
+};
+
+// 品項折扣後金額
+const getLineAmount = (item) => {
+  const grossAmount = item.price * item.quantity;
+  return grossAmount - getDiscountAmount(grossAmount, item.discountType, item.discountValue);
+};
+
+/**
+ * 銷售單金額: 先扣品項折扣，整張訂單折扣再套用於品項折扣後的小計，最後依稅別計算稅額
+ * @param {Array} items 品項 (price, quantity, discountType, discountValue)
+ * @param {{ discountType?: string, discountValue?: number }} orderDiscount 整張訂單折扣
+ * @param {string} taxMode
+ * @returns {{ grossAmount: number, discountAmount: number, taxMode: string, netAmount: number, taxAmount: number, totalAmount: number }}
+ */
+const calculateOrderAmounts = (items, orderDiscount, taxMode) => {
+  const grossAmount = items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+  const subtotal = items.reduce((sum, item) => sum + getLineAmount(item), 0);
+  const orderDiscountAmount = getDiscountAmount(subtotal, orderDiscount?.discountType, orderDiscount?.discountValue);
+  return { grossAmount, discountAmount: grossAmount - subtotal + orderDiscountAmount, ...calculateTax(subtotal - orderDiscountAmount, taxMode) };
+};
+
+// 品項分攤品項與整單折扣後的實際單價 (退貨退款依此計算)，四捨五入至小數兩位
+const getNetUnitPrice = (order, item) => {
+  const subtotal = order.items.reduce((sum, orderItem) => sum + getLineAmount(orderItem), 0);
+  const orderDiscountAmount = getDiscountAmount(subtotal, order.discountType, order.discountValue);
+  const ratio = subtotal > 0 ? (subtotal - orderDiscountAmount) / subtotal : 1;
+  return Math.round(getLineAmount(item) / item.quantity * ratio * 100) / 100;
+};
+
+/**
+ * 換算進價的稅別: 先換成未稅單價，再依目標稅別加回稅額，四捨五入至小數兩位 (外加稅與免稅的進價都是未稅單價)
+ * @param {number} cost 進價
+ * @param {string} fromTaxMode 進價所屬單據的稅別
+ * @param {string} toTaxMode 要帶入的單據稅別
+ * @returns {number}
+ */
+const convertUnitCost = (cost, fromTaxMode, toTaxMode) => {
+  const netCost = fromTaxMode === 'inclusive' ? cost / (1 + TAX_RATE) : cost;
+  return Math.round((toTaxMode === 'inclusive' ? netCost * (1 + TAX_RATE) : netCost) * 100) / 100;
+};
+
+// 採購單品項的未稅單位成本 (平均成本以未稅金額計算)；內含稅的進價需扣除稅額
+const getNetUnitCost = (order, item) => convertUnitCost(item.cost, order.taxMode, 'exclusive');
+
+module.exports = {
+  getDataRoot,
+  WRITE_BATCH_SIZE,
+  TIER_MAP,
+  getPriceField,
+  PRICE_LIST_KIND_MAP,
+  PRICE_SOURCE_MAP,
+  APPROVAL_REASON_MAP,
+  DEFAULT_MIN_MARGIN_PERCENT,
+  getProductSupplierDocId,
+  getLotDocId,
+  ROLE_MAP,
+  ADJUST_REASON_MAP,
+  PAYMENT_METHOD_MAP,
+  SALES_ORDER_STATUSES,
+  MAX_ORDER_ITEMS,
+  PURCHASE_ORDER_STATUSES,
+  STOCK_COUNT_STATUSES,
+  DOC_NUMBER_FORMATS,
+  formatDocPeriod,
+  formatDocNumber,
+  TAX_RATE,
+  TAX_MODE_MAP,
+  calculateTax,
+  DISCOUNT_TYPE_MAP,
+  getDiscountAmount,
+  getLineAmount,
+  calculateOrderAmounts,
+  getNetUnitPrice,
+  convertUnitCost,
+  getNetUnitCost
+};
@@ -0,0 +1,81 @@
+import { calculateTax, calculateOrderAmounts, getNetUnitPrice, convertUnitCost, getNetUnitCost } from './schema';
+
+describe('calculateTax', () => {
+  test('外加稅: 稅額另計並四捨五入至整數元', () => {
+    expect(calculateTax(1000, 'exclusive')).toEqual({ taxMode: 'exclusive', netAmount: 1000, taxAmount: 50, totalAmount: 1050 });
+    expect(calculateTax(110, 'exclusive')).toEqual({ taxMode: 'exclusive', netAmount: 110, taxAmount: 6, totalAmount: 116 });
+    expect(calculateTax(109, 'exclusive')).toEqual({ taxMode: 'exclusive', netAmount: 109, taxAmount: 5, totalAmount: 114 });
+  });
+
+  test('內含稅: 未稅金額四捨五入，稅額為總額減未稅金額', () => {
+    expect(calculateTax(1050, 'inclusive')).toEqual({ taxMode: 'inclusive', netAmount: 1000, taxAmount: 50, totalAmount: 1050 });
+    expect(calculateTax(100, 'inclusive')).toEqual({ taxMode: 'inclusive', netAmount: 95, taxAmount: 5, totalAmount: 100 });
+    expect(calculateTax(10, 'inclusive')).toEqual({ taxMode: 'inclusive', netAmount: 10, taxAmount: 0, totalAmount: 10 });
+  });
+
+  test('未指定或未知的稅別視為免稅', () => {
+    expect(calculateTax(100)).toEqual({ taxMode: 'exempt', netAmount: 100, taxAmount: 0, totalAmount: 100 });
+    expect(calculateTax(100, 'unknown')).toEqual({ taxMode: 'exempt', netAmount: 100, taxAmount: 0, totalAmount: 100 });
+  });
+});
+
+describe('calculateOrderAmounts / getNetUnitPrice', () => {
+  const order = {
+    discountType: 'amount',
+    discountValue: 30,
+    items: [
+      { productId: 'p1', price: 100, quantity: 2, discountType: 'percent', discountValue: 10 },
+      { productId: 'p2', price: 50, quantity: 1, discountType: 'amount', discountValue: 20 }
+    ]
+  };
+
+  test('先扣品項折扣，再扣整單折扣，最後計算稅額', () => {
+    expect(calculateOrderAmounts(order.items, order, 'exclusive')).toEqual({
+      grossAmount: 250, discountAmount: 70, taxMode: 'exclusive', netAmount: 180, taxAmount: 9, totalAmount: 189
+    });
+  });
+
+  test('整單百分比折扣套用於品項折扣後的小計', () => {
+    expect(calculateOrderAmounts(order.items, { discountType: 'percent', discountValue: 10 }, 'exempt')).toEqual({
+      grossAmount: 250, discountAmount: 61, taxMode: 'exempt', netAmount: 189, taxAmount: 0, totalAmount: 189
+    });
+  });
+
+  test('折扣不超過折扣前金額', () => {
+    const items = [{ productId: 'p1', price: 10, quantity: 1, discountType: 'amount', discountValue: 50 }];
+    expect(calculateOrderAmounts(items, { discountType: 'amount', discountValue: 5 }, 'exempt')).toMatchObject({ grossAmount: 10, discountAmount: 10, netAmount: 0, totalAmount: 0 });
+  });
+
+  test('實際單價分攤品項與整單折扣，四捨五入至小數兩位', () => {
+    expect(getNetUnitPrice(order, order.items[0])).toBe(77.14);
+    expect(getNetUnitPrice(order, order.items[1])).toBe(25.71);
+  });
+
+  test('沒有折扣時實際單價等於售價', () => {
+    const plainOrder = { items: [{ productId: 'p1', price: 100, quantity: 3 }] };
+    expect(getNetUnitPrice(plainOrder, plainOrder.items[0])).toBe(100);
+  });
+});
+
+describe('getNetUnitCost', () => {
+  test('內含稅採購單的進價扣除稅額，其他稅別沿用進價', () => {
+    expect(getNetUnitCost({ taxMode: 'inclusive' }, { cost: 105 })).toBe(100);
+    expect(getNetUnitCost({ taxMode: 'inclusive' }, { cost: 100 })).toBe(95.24);
+    expect(getNetUnitCost({ taxMode: 'exclusive' }, { cost: 100 })).toBe(100);
+    expect(getNetUnitCost({}, { cost: 100 })).toBe(100);
+  });
+});
+
+describe('convertUnitCost', () => {
+  test('內含稅進價帶入內含稅採購單時維持原進價', () => {
+    expect(convertUnitCost(105, 'inclusive', 'inclusive')).toBe(105);
+    expect(convertUnitCost(100, 'inclusive', 'inclusive')).toBe(100);
+    expect(convertUnitCost(getNetUnitCost({ taxMode: 'inclusive' }, { cost: 100 }), 'exclusive', 'inclusive')).toBe(100);
+  });
+
+  test('不同稅別之間以未稅進價換算', () => {
+    expect(convertUnitCost(105, 'inclusive', 'exclusive')).toBe(100);
+    expect(convertUnitCost(100, 'exclusive', 'inclusive')).toBe(105);
+    expect(convertUnitCost(100, 'exempt', 'exclusive')).toBe(100);
+  });
+});